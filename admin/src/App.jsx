@@ -10,6 +10,7 @@ import MenusPage from './pages/Menus';
 import HeadersPage from './pages/Headers';
 import FootersPage from './pages/Footers';
 import RolesPage from './pages/Settings/Roles';
+import WebhooksPage from './pages/Settings/Webhooks';
 import SettingsDashboardsPage from "./pages/Settings/Dashboards";
 import UsersPage from './pages/Users';
 import TaxonomiesPage from './pages/Taxonomies';
@@ -196,6 +197,19 @@ function App() {
             }
           />
 
+          <Route
+            path="/admin/settings/webhooks"
+            element={
+              <RequireAuth>
+                <RequirePermission slug="webhooks.manage">
+                  <AdminLayout>
+                    <WebhooksPage />
+                  </AdminLayout>
+                </RequirePermission>
+              </RequireAuth>
+            }
+          />
+
           <Route
             path="/admin/settings/dashboards"
             element={
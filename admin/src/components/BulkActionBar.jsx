@@ -0,0 +1,281 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { api } from '../lib/api';
+import useHasPermission from '../hooks/useHasPermission';
+
+// Action bar shown above an entry list when rows are selected. Posts one
+// request to /api/content/:slug/bulk and reports per-entry failures.
+
+const LIVE_ACTIONS = [
+  { value: 'set_status', label: 'Set status…' },
+  { value: 'set_field', label: 'Set field…' },
+  { value: 'set_owner', label: 'Set owner…' },
+  { value: 'add_terms', label: 'Add terms…' },
+  { value: 'remove_terms', label: 'Remove terms…' },
+  { value: 'duplicate', label: 'Duplicate' },
+  { value: 'trash', label: 'Move to trash' },
+];
+
+const TRASH_ACTIONS = [
+  { value: 'restore', label: 'Restore' },
+  { value: 'delete', label: 'Delete forever' },
+];
+
+// Used until the type's workflow states have loaded
+const DEFAULT_STATES = [
+  { key: 'draft', label: 'Draft' },
+  { key: 'published', label: 'Published' },
+  { key: 'archived', label: 'Archived' },
+];
+
+// Field types that hold a list of values
+const LIST_FIELD_TYPES = new Set(['tags', 'taxonomy', 'multiselect', 'checkbox', 'relationship']);
+
+function splitList(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Turn the text box into a value that matches the field type
+function coerceFieldValue(type, raw, checked) {
+  if (type === 'boolean') return !!checked;
+  if (raw === '') return null;
+  if (type === 'number' || type === 'price') {
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : raw;
+  }
+  if (LIST_FIELD_TYPES.has(type)) return splitList(raw);
+  return raw;
+}
+
+export default function BulkActionBar({ typeSlug, selectedIds, fields, trashMode, onDone, onClear }) {
+  const canReassign = useHasPermission('entries.reassign');
+  const actions = trashMode
+    ? TRASH_ACTIONS
+    : LIVE_ACTIONS.filter((a) => a.value !== 'set_owner' || canReassign);
+
+  const [action, setAction] = useState(actions[0].value);
+  const [status, setStatus] = useState('published');
+  const [field, setField] = useState('');
+  const [valueText, setValueText] = useState('');
+  const [valueChecked, setValueChecked] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [states, setStates] = useState(DEFAULT_STATES);
+  const [owner, setOwner] = useState('');
+  const [users, setUsers] = useState(null);
+
+  // Offer the type's workflow states; the API rejects moves the role may not make
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/api/content-types/${typeSlug}/workflow`)
+      .then((res) => {
+        if (!cancelled && res?.workflow?.states?.length) setStates(res.workflow.states);
+      })
+      .catch((err) => console.error('[BulkActionBar] failed to load workflow', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [typeSlug]);
+
+  // Owner choices load the first time "Set owner" is picked
+  useEffect(() => {
+    if (action !== 'set_owner' || users) return;
+    let cancelled = false;
+    api
+      .get('/api/users/picker?onlyActive=false&limit=50')
+      .then((res) => {
+        if (!cancelled) setUsers(Array.isArray(res?.users) ? res.users : []);
+      })
+      .catch((err) => {
+        console.error('[BulkActionBar] failed to load users', err);
+        if (!cancelled) setUsers([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [action, users]);
+
+  const fieldOptions = useMemo(
+    () =>
+      (fields || [])
+        .map((f) => ({
+          key: f.field_key || f.key,
+          label: f.label || f.name || f.field_key || f.key,
+          type: String(f.type || '').toLowerCase(),
+        }))
+        .filter((f) => f.key),
+    [fields],
+  );
+
+  const termFieldOptions = useMemo(
+    () => fieldOptions.filter((f) => LIST_FIELD_TYPES.has(f.type)),
+    [fieldOptions],
+  );
+
+  const currentAction = actions.some((a) => a.value === action) ? action : actions[0].value;
+  const currentStatus = states.some((s) => s.key === status) ? status : states[0]?.key || '';
+  const needsField = ['set_field', 'add_terms', 'remove_terms'].includes(currentAction);
+  const fieldChoices = currentAction === 'set_field' ? fieldOptions : termFieldOptions;
+  const selectedField = fieldChoices.find((f) => f.key === field) || null;
+
+  function buildBody() {
+    const body = { action: currentAction, ids: selectedIds };
+    if (currentAction === 'set_status') body.status = currentStatus;
+    if (currentAction === 'set_owner') body.owner_id = owner || null;
+    if (needsField) body.field = selectedField?.key;
+    if (currentAction === 'set_field') {
+      body.value = coerceFieldValue(selectedField?.type, valueText.trim(), valueChecked);
+    }
+    if (currentAction === 'add_terms' || currentAction === 'remove_terms') {
+      body.terms = splitList(valueText);
+    }
+    return body;
+  }
+
+  async function handleApply() {
+    setMessage('');
+    if (needsField && !selectedField) {
+      setMessage('Choose a field first.');
+      return;
+    }
+    if ((currentAction === 'add_terms' || currentAction === 'remove_terms') && !splitList(valueText).length) {
+      setMessage('Enter at least one term.');
+      return;
+    }
+
+    const n = selectedIds.length;
+    const label = actions.find((a) => a.value === currentAction)?.label.replace('…', '') || currentAction;
+    const warn = currentAction === 'delete' ? ' This cannot be undone.' : '';
+    if (!window.confirm(`${label} on ${n} ${n === 1 ? 'entry' : 'entries'}?${warn}`)) return;
+
+    setBusy(true);
+    try {
+      const res = await api.post(`/api/content/${typeSlug}/bulk`, buildBody());
+      const failures = (res?.results || []).filter((r) => !r.ok);
+      const summary = failures.length
+        ? `${res.succeeded} done, ${failures.length} failed: ${failures[0].error}`
+        : `${res.succeeded} ${res.succeeded === 1 ? 'entry' : 'entries'} updated.`;
+      setMessage(summary);
+      if (typeof onDone === 'function') onDone(res, summary);
+    } catch (err) {
+      console.error('[BulkActionBar] bulk action failed', err);
+      setMessage(err.body?.error || 'Bulk action failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="su-card su-mb-md">
+      <div className="su-card-body su-flex su-flex-wrap su-gap-sm su-items-center">
+        <strong className="su-text-sm">{selectedIds.length} selected</strong>
+
+        <select
+          className="su-select"
+          value={currentAction}
+          onChange={(e) => {
+            setAction(e.target.value);
+            setField('');
+            setValueText('');
+            setMessage('');
+          }}
+          disabled={busy}
+        >
+          {actions.map((a) => (
+            <option key={a.value} value={a.value}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+
+        {currentAction === 'set_status' && (
+          <select
+            className="su-select"
+            value={currentStatus}
+            onChange={(e) => setStatus(e.target.value)}
+            disabled={busy}
+          >
+            {states.map((s) => (
+              <option key={s.key} value={s.key}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {currentAction === 'set_owner' && (
+          <select
+            className="su-select"
+            value={owner}
+            onChange={(e) => setOwner(e.target.value)}
+            disabled={busy || !users}
+          >
+            <option value="">{users ? 'No owner' : 'Loading users…'}</option>
+            {(users || []).map((u) => (
+              <option key={u.id} value={u.id}>
+                {u.name ? `${u.name} (${u.email})` : u.email}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {needsField && (
+          <select
+            className="su-select"
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            disabled={busy}
+          >
+            <option value="">Field…</option>
+            {fieldChoices.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {currentAction === 'set_field' && selectedField?.type === 'boolean' && (
+          <label className="su-text-sm su-flex su-gap-sm su-items-center">
+            <input
+              type="checkbox"
+              checked={valueChecked}
+              onChange={(e) => setValueChecked(e.target.checked)}
+              disabled={busy}
+            />
+            Yes
+          </label>
+        )}
+
+        {((currentAction === 'set_field' && selectedField && selectedField.type !== 'boolean') ||
+          currentAction === 'add_terms' ||
+          currentAction === 'remove_terms') && (
+          <input
+            className="su-input"
+            value={valueText}
+            onChange={(e) => setValueText(e.target.value)}
+            placeholder={
+              currentAction === 'set_field' && !LIST_FIELD_TYPES.has(selectedField?.type)
+                ? 'New value (empty clears)'
+                : 'Comma-separated values'
+            }
+            style={{ maxWidth: 260 }}
+            disabled={busy}
+          />
+        )}
+
+        <button type="button" className="su-btn su-btn-primary" onClick={handleApply} disabled={busy}>
+          {busy ? 'Working…' : 'Apply'}
+        </button>
+        <button type="button" className="su-btn" onClick={onClear} disabled={busy}>
+          Clear selection
+        </button>
+
+        {message && <span className="su-text-sm su-text-muted">{message}</span>}
+      </div>
+    </div>
+  );
+}
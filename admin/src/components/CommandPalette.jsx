@@ -0,0 +1,235 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { api } from '../lib/api';
+import useHasPermission from '../hooks/useHasPermission';
+import SearchSnippet from './SearchSnippet';
+
+// Ctrl/Cmd-K palette: jump to an admin page, or search entries, users, terms,
+// content types, gadgets and gizmos (GET /api/search). Pages are matched
+// locally and filtered by the same permissions as their routes in App.jsx.
+
+const PAGES = [
+  { label: 'Dashboard', to: '/admin' },
+  { label: 'Content', to: '/admin/content' },
+  { label: 'Users', to: '/admin/users', permission: 'users.manage' },
+  { label: 'Taxonomies', to: '/admin/taxonomies' },
+  { label: 'Menus', to: '/admin/menus' },
+  { label: 'Headers', to: '/admin/headers' },
+  { label: 'Footers', to: '/admin/footers' },
+  { label: 'Quick Builder', to: '/admin/quick-builder', permission: 'roles.manage' },
+  { label: 'Settings', to: '/admin/settings' },
+  { label: 'Settings / Roles', to: '/admin/settings/roles', permission: 'roles.manage' },
+  { label: 'Settings / Dashboards', to: '/admin/settings/dashboards', permission: 'roles.manage' },
+  { label: 'Settings / Permissions', to: '/admin/settings/permissions', permission: 'roles.manage' },
+  { label: 'Settings / Entry Views', to: '/admin/settings/entry-views', permission: 'roles.manage' },
+  { label: 'Settings / List Views', to: '/admin/settings/list-views', permission: 'roles.manage' },
+  { label: 'Settings / Webhooks', to: '/admin/settings/webhooks', permission: 'webhooks.manage' },
+  { label: 'Gizmos', to: '/admin/gizmos' },
+  { label: 'Gadgets', to: '/admin/gadgets' },
+  { label: 'Widgets', to: '/admin/widgets' },
+  { label: 'Gizmo Packs', to: '/admin/gizmo-packs' },
+];
+
+const MAX_PAGES = 6;
+const SEARCH_DELAY_MS = 200;
+
+export default function CommandPalette({ open, onClose }) {
+  const navigate = useNavigate();
+  const canManageUsers = useHasPermission('users.manage');
+  const canManageRoles = useHasPermission('roles.manage');
+  const canManageWebhooks = useHasPermission('webhooks.manage');
+
+  const [query, setQuery] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+
+  // Start fresh every time the palette opens
+  useEffect(() => {
+    if (!open) return;
+    setQuery('');
+    setGroups([]);
+    setError('');
+    setActive(0);
+    const t = setTimeout(() => inputRef.current?.focus(), 0);
+    return () => clearTimeout(t);
+  }, [open]);
+
+  const pages = useMemo(() => {
+    const allowed = PAGES.filter((p) => {
+      if (p.permission === 'users.manage') return canManageUsers;
+      if (p.permission === 'roles.manage') return canManageRoles;
+      if (p.permission === 'webhooks.manage') return canManageWebhooks;
+      return true;
+    });
+    const q = query.trim().toLowerCase();
+    const matches = q
+      ? allowed.filter((p) => p.label.toLowerCase().includes(q) || p.to.includes(q))
+      : allowed;
+    return matches.slice(0, MAX_PAGES);
+  }, [query, canManageUsers, canManageRoles, canManageWebhooks]);
+
+  useEffect(() => {
+    if (!open) return;
+    const q = query.trim();
+    if (q.length < 2) {
+      setGroups([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const t = setTimeout(() => {
+      api
+        .get(`/api/search?q=${encodeURIComponent(q)}`)
+        .then((res) => {
+          if (cancelled) return;
+          setGroups(Array.isArray(res?.groups) ? res.groups : []);
+          setError('');
+        })
+        .catch((err) => {
+          console.error('[CommandPalette] search failed', err);
+          if (!cancelled) setError(err.message || 'Search failed');
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(t);
+    };
+  }, [open, query]);
+
+  // One flat list so the arrow keys walk pages and results in display order
+  const sections = useMemo(() => {
+    const out = [];
+    if (pages.length) {
+      out.push({
+        key: 'pages',
+        label: 'Pages',
+        items: pages.map((p) => ({ id: p.to, title: p.label, subtitle: p.to, url: p.to })),
+      });
+    }
+    return out.concat(groups);
+  }, [pages, groups]);
+
+  const flat = useMemo(() => sections.flatMap((s) => s.items), [sections]);
+
+  useEffect(() => {
+    setActive(0);
+  }, [flat.length]);
+
+  function go(item) {
+    if (!item?.url) return;
+    onClose();
+    navigate(item.url);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActive((i) => (flat.length ? (i + 1) % flat.length : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive((i) => (flat.length ? (i - 1 + flat.length) % flat.length : 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      go(flat[active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  }
+
+  if (!open) return null;
+
+  let index = -1;
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label="Search"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.45)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 60,
+        padding: '10vh 16px 16px',
+      }}
+    >
+      <div
+        className="su-card"
+        style={{ width: 'min(640px, 100%)', maxHeight: '70vh', display: 'flex', flexDirection: 'column', padding: 0 }}
+      >
+        <input
+          ref={inputRef}
+          className="su-input"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder="Search entries, users, terms… or jump to a page"
+          aria-label="Search"
+          style={{ margin: 12, width: 'auto' }}
+        />
+
+        <div style={{ overflow: 'auto', padding: '0 12px 12px' }}>
+          {error && <div style={{ fontSize: 12, color: '#b91c1c', marginBottom: 8 }}>{error}</div>}
+
+          {sections.map((section) => (
+            <div key={section.key} style={{ marginBottom: 10 }}>
+              <div style={{ fontSize: 11, textTransform: 'uppercase', opacity: 0.6, margin: '4px 0' }}>
+                {section.label}
+              </div>
+              {section.items.map((item) => {
+                index += 1;
+                const i = index;
+                const isActive = i === active;
+                return (
+                  <div
+                    key={`${section.key}:${item.id}`}
+                    role="option"
+                    aria-selected={isActive}
+                    onMouseEnter={() => setActive(i)}
+                    onClick={() => go(item)}
+                    style={{
+                      padding: '6px 8px',
+                      borderRadius: 6,
+                      cursor: 'pointer',
+                      background: isActive ? 'rgba(59, 130, 246, 0.12)' : 'transparent',
+                    }}
+                  >
+                    <div style={{ fontSize: 14 }}>{item.title}</div>
+                    {item.subtitle && <div style={{ fontSize: 12, opacity: 0.65 }}>{item.subtitle}</div>}
+                    {item.snippet && (
+                      <div style={{ fontSize: 12, opacity: 0.8 }}>
+                        <SearchSnippet snippet={item.snippet} />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+
+          {loading && <div style={{ fontSize: 12, opacity: 0.7 }}>Searching…</div>}
+
+          {!loading && !error && query.trim().length >= 2 && !flat.length && (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>No matches.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from 'react';
+import { api } from '../lib/api';
+
+// Duplicate one entry (POST /api/content/:slug/:id/duplicate). The copy
+// starts as a draft with a new slug; taxonomy terms and relations can be
+// left behind, and any field (reference numbers and the like) cleared.
+
+const TERM_TYPES = ['taxonomy'];
+const RELATION_TYPES = ['relation', 'relationship'];
+
+export default function DuplicateEntryDialog({ typeSlug, entry, fields, onClose, onDuplicated }) {
+  const [title, setTitle] = useState(`${entry?.title || 'Untitled'} (copy)`);
+  const [copyTerms, setCopyTerms] = useState(true);
+  const [copyRelations, setCopyRelations] = useState(true);
+  const [clearFields, setClearFields] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fieldList = useMemo(
+    () =>
+      (fields || [])
+        .map((f) => ({
+          key: f.field_key || f.key,
+          label: f.label || f.name || f.field_key || f.key,
+          type: String(f.type || '').toLowerCase(),
+        }))
+        .filter((f) => f.key),
+    [fields],
+  );
+
+  const hasTerms = fieldList.some((f) => TERM_TYPES.includes(f.type));
+  const hasRelations = fieldList.some((f) => RELATION_TYPES.includes(f.type));
+
+  // Term / relation fields follow their own checkbox instead
+  const clearable = fieldList.filter(
+    (f) => !TERM_TYPES.includes(f.type) && !RELATION_TYPES.includes(f.type),
+  );
+
+  function toggleClear(key) {
+    setClearFields((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key],
+    );
+  }
+
+  async function handleDuplicate() {
+    if (!entry?.id) return;
+    setBusy(true);
+    setError('');
+    try {
+      const copy = await api.post(`/api/content/${typeSlug}/${entry.id}/duplicate`, {
+        title: title.trim() || undefined,
+        copy_terms: copyTerms,
+        copy_relations: copyRelations,
+        clear_fields: clearFields,
+      });
+      onDuplicated?.(copy);
+    } catch (err) {
+      console.error('[DuplicateEntryDialog] duplicate failed', err);
+      // A 422 lists the fields the copy would leave invalid
+      const details = Array.isArray(err.body?.errors)
+        ? err.body.errors.map((e) => e.message).join('; ')
+        : '';
+      setError(
+        details
+          ? `The copy would not be valid: ${details}`
+          : err.body?.error || err.message || 'Failed to duplicate entry'
+      );
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.45)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50,
+        padding: 16,
+      }}
+    >
+      <div className="su-card" style={{ width: 'min(520px, 100%)', maxHeight: '90vh', overflow: 'auto' }}>
+        <div className="su-card-body">
+          <h2 style={{ marginTop: 0 }}>Duplicate entry</h2>
+          <p className="su-text-sm su-text-muted">
+            Copies the last saved version of “{entry?.title || entry?.slug || entry?.id}” as a new
+            draft with its own slug.
+          </p>
+
+          {error && <div className="su-alert su-alert-danger su-mb-md">{error}</div>}
+
+          <label className="su-label" style={{ display: 'block', marginBottom: 12 }}>
+            Title
+            <input
+              className="su-input"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              disabled={busy}
+            />
+          </label>
+
+          {hasTerms && (
+            <label style={{ display: 'block', marginBottom: 6 }}>
+              <input
+                type="checkbox"
+                checked={copyTerms}
+                onChange={(e) => setCopyTerms(e.target.checked)}
+                disabled={busy}
+              />{' '}
+              Copy taxonomy terms
+            </label>
+          )}
+          {hasRelations && (
+            <label style={{ display: 'block', marginBottom: 6 }}>
+              <input
+                type="checkbox"
+                checked={copyRelations}
+                onChange={(e) => setCopyRelations(e.target.checked)}
+                disabled={busy}
+              />{' '}
+              Copy related entries
+            </label>
+          )}
+
+          {clearable.length > 0 && (
+            <>
+              <h3 style={{ marginBottom: 6 }}>Leave empty on the copy</h3>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: 4 }}>
+                {clearable.map((f) => (
+                  <label key={f.key} className="su-text-sm">
+                    <input
+                      type="checkbox"
+                      checked={clearFields.includes(f.key)}
+                      onChange={() => toggleClear(f.key)}
+                      disabled={busy}
+                    />{' '}
+                    {f.label}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="su-flex su-gap-sm" style={{ marginTop: 16 }}>
+            <button
+              type="button"
+              className="su-btn su-btn-primary"
+              onClick={handleDuplicate}
+              disabled={busy}
+            >
+              {busy ? 'Duplicating…' : 'Duplicate'}
+            </button>
+            <button type="button" className="su-btn" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useMemo, useState } from "react";
+
+// Shown when a save is rejected because the entry changed on the server.
+// Lists every field where "mine" (the rejected payload) and "theirs" (the
+// current server copy) differ and lets the user pick a side per field.
+
+const TOP_LEVEL = [
+  ["title", "Title"],
+  ["slug", "Slug"],
+  ["status", "Status"],
+];
+
+const MIRRORED_KEYS = new Set(["title", "slug", "status", "_title", "_slug", "_status"]);
+
+// Stable stringify so key order never counts as a difference
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function objectOrEmpty(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+export default function EntryConflictDialog({
+  mine,
+  theirs,
+  labelFor,
+  formatValue,
+  busy,
+  onResolve,
+  onDiscardMine,
+  onCancel,
+}) {
+  const rows = useMemo(() => {
+    const out = [];
+    for (const [key, label] of TOP_LEVEL) {
+      if (canonical(mine?.[key]) !== canonical(theirs?.[key])) {
+        out.push({ key, label, top: true, mine: mine?.[key], theirs: theirs?.[key] });
+      }
+    }
+
+    const a = objectOrEmpty(mine?.data);
+    const b = objectOrEmpty(theirs?.data);
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (MIRRORED_KEYS.has(key) || key === "undefined") continue;
+      if (canonical(a[key]) === canonical(b[key])) continue;
+      out.push({ key, label: labelFor ? labelFor(key) : key, top: false, mine: a[key], theirs: b[key] });
+    }
+    return out;
+  }, [mine, theirs, labelFor]);
+
+  const [choices, setChoices] = useState({});
+
+  function choiceFor(key) {
+    return choices[key] || "mine";
+  }
+
+  function chooseAll(side) {
+    const next = {};
+    rows.forEach((r) => {
+      next[r.key] = side;
+    });
+    setChoices(next);
+  }
+
+  function buildMerged() {
+    const data = { ...objectOrEmpty(mine?.data) };
+    const merged = { ...mine, data };
+    const theirData = objectOrEmpty(theirs?.data);
+
+    for (const r of rows) {
+      if (choiceFor(r.key) !== "theirs") continue;
+      if (r.top) merged[r.key] = theirs?.[r.key];
+      else if (r.key in theirData) data[r.key] = theirData[r.key];
+      else delete data[r.key];
+    }
+
+    // keep the mirrored copies in data in step with the columns
+    data.title = data._title = merged.title;
+    data.slug = data._slug = merged.slug;
+    data.status = data._status = merged.status;
+    return merged;
+  }
+
+  const show = (key, v) => {
+    const text = formatValue ? formatValue(key, v) : v == null ? "" : String(v);
+    return text === "" ? "—" : text;
+  };
+
+  const cell = { padding: "6px 8px", borderTop: "1px solid var(--su-border)", verticalAlign: "top" };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 50,
+        padding: 16,
+      }}
+    >
+      <div className="su-card" style={{ width: "min(820px, 100%)", maxHeight: "90vh", overflow: "auto" }}>
+        <h2 style={{ marginTop: 0, marginBottom: 6 }}>This entry was changed by someone else</h2>
+        <p style={{ fontSize: 13, opacity: 0.8, marginTop: 0 }}>
+          The server copy is now version {theirs?.version ?? "?"}
+          {theirs?.updated_at ? ` (saved ${new Date(theirs.updated_at).toLocaleString()})` : ""}.
+          Pick which value to keep for each field that differs.
+        </p>
+
+        {!rows.length ? (
+          <p style={{ fontSize: 13 }}>Your changes match the server copy — saving will just confirm them.</p>
+        ) : (
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+            <thead>
+              <tr style={{ textAlign: "left" }}>
+                <th style={{ padding: "6px 8px" }}>Field</th>
+                <th style={{ padding: "6px 8px" }}>Mine</th>
+                <th style={{ padding: "6px 8px" }}>Theirs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key}>
+                  <td style={{ ...cell, fontWeight: 600, width: 140 }}>{r.label}</td>
+                  {["mine", "theirs"].map((side) => (
+                    <td key={side} style={{ ...cell, wordBreak: "break-word" }}>
+                      <label style={{ display: "flex", gap: 6, alignItems: "flex-start", cursor: "pointer" }}>
+                        <input
+                          type="radio"
+                          name={`conflict-${r.key}`}
+                          checked={choiceFor(r.key) === side}
+                          onChange={() => setChoices((prev) => ({ ...prev, [r.key]: side }))}
+                        />
+                        <span>{show(r.key, r[side])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 16 }}>
+          <button
+            type="button"
+            className="su-btn primary"
+            disabled={busy}
+            onClick={() => onResolve(buildMerged())}
+          >
+            {busy ? "Saving…" : "Save merged"}
+          </button>
+          {!!rows.length && (
+            <>
+              <button type="button" className="su-btn" disabled={busy} onClick={() => chooseAll("mine")}>
+                Keep all mine
+              </button>
+              <button type="button" className="su-btn" disabled={busy} onClick={() => chooseAll("theirs")}>
+                Take all theirs
+              </button>
+            </>
+          )}
+          <button type="button" className="su-btn" disabled={busy} onClick={onDiscardMine}>
+            Discard my changes
+          </button>
+          <button type="button" className="su-btn" disabled={busy} onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
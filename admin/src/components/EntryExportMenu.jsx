@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { api } from '../lib/api';
+
+// Export controls for an entry list. Downloads
+// GET /api/content/:slug/export with the list's current view, sort,
+// search and filter so the file matches what is on screen (every page).
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ndjson', label: 'NDJSON' },
+];
+
+export default function EntryExportMenu({ typeSlug, viewSlug, sort, q, filter, trash }) {
+  const [format, setFormat] = useState('csv');
+  const [raw, setRaw] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  async function handleExport() {
+    const qs = new URLSearchParams({ format });
+    if (viewSlug) qs.set('view', viewSlug);
+    if (sort) qs.set('sort', sort);
+    if (q) qs.set('q', q);
+    if (filter) qs.set('filter', filter);
+    if (trash) qs.set('trash', '1');
+    if (raw) qs.set('raw', '1');
+
+    setBusy(true);
+    setMessage('');
+    try {
+      const { blob, filename } = await api.download(`/api/content/${typeSlug}/export?${qs}`);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[EntryExportMenu] export failed', err);
+      setMessage(err.body?.error || 'Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <span className="su-flex su-gap-sm su-items-center">
+      <select
+        className="su-select"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={busy}
+        aria-label="Export format"
+      >
+        {FORMATS.map((f) => (
+          <option key={f.value} value={f.value}>
+            {f.label}
+          </option>
+        ))}
+      </select>
+      <label className="su-text-sm su-flex su-gap-sm su-items-center" title="Export stored values instead of display text">
+        <input type="checkbox" checked={raw} onChange={(e) => setRaw(e.target.checked)} disabled={busy} />
+        Raw values
+      </label>
+      <button type="button" className="su-btn" onClick={handleExport} disabled={busy}>
+        {busy ? 'Exporting…' : 'Export'}
+      </button>
+      {message && <span className="su-text-sm su-text-muted">{message}</span>}
+    </span>
+  );
+}
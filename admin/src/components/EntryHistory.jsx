@@ -0,0 +1,241 @@
+import { useEffect, useState } from "react";
+import { api } from "../lib/api";
+
+// Version history panel for the entry editor: list, compare, restore.
+
+function formatWhen(value) {
+  if (!value) return "";
+  try {
+    return new Date(value).toLocaleString();
+  } catch {
+    return String(value);
+  }
+}
+
+function authorLabel(author, actor) {
+  if (!author) return actor || "system";
+  return author.name || author.email || "unknown user";
+}
+
+function inlineValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (typeof v === "string" || typeof v === "number" || typeof v === "boolean") {
+    return String(v);
+  }
+  try {
+    return JSON.stringify(v);
+  } catch {
+    return String(v);
+  }
+}
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  restore: "Restored",
+  trash: "Moved to trash",
+  untrash: "Restored from trash",
+  publish: "Published (scheduled)",
+  unpublish: "Unpublished (scheduled)",
+  unschedule: "Unpublish schedule cleared",
+  recompute: "Formulas recomputed",
+};
+
+export default function EntryHistory({ typeSlug, entryId, refreshKey, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const [selectedId, setSelectedId] = useState("");
+  const [changes, setChanges] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const base = `/api/content/${typeSlug}/${entryId}/versions`;
+
+  useEffect(() => {
+    if (!typeSlug || !entryId) return;
+    let cancelled = false;
+
+    (async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await api.get(base);
+        if (cancelled) return;
+        setVersions(Array.isArray(res?.versions) ? res.versions : []);
+        setCurrentVersion(res?.current_version ?? null);
+      } catch (err) {
+        console.error("Failed to load entry history", err);
+        if (!cancelled) setError(err.message || "Failed to load history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [base, typeSlug, entryId, refreshKey]);
+
+  // Drop a stale comparison whenever the list is reloaded
+  useEffect(() => {
+    setSelectedId("");
+    setChanges(null);
+  }, [refreshKey, entryId]);
+
+  async function handleCompare(version) {
+    setSelectedId(version.id);
+    setChanges(null);
+    setDiffLoading(true);
+    setError("");
+    try {
+      const res = await api.get(
+        `${base}/diff?from=${encodeURIComponent(version.id)}&to=current`
+      );
+      setChanges(Array.isArray(res?.changes) ? res.changes : []);
+    } catch (err) {
+      console.error("Failed to diff versions", err);
+      setError(err.message || "Failed to compare versions");
+    } finally {
+      setDiffLoading(false);
+    }
+  }
+
+  async function handleRestore(version) {
+    const label = version.version_number ? `version ${version.version_number}` : "this version";
+    if (!window.confirm(`Restore ${label}? Unsaved changes in the editor will be lost.`)) return;
+
+    setRestoring(true);
+    setError("");
+    try {
+      // Refuse to restore over an edit saved since this list was loaded
+      const headers = currentVersion != null ? { "If-Match": `"${currentVersion}"` } : {};
+      const restored = await api.post(
+        `${base}/${encodeURIComponent(version.id)}/restore`,
+        {},
+        { headers }
+      );
+      if (typeof onRestored === "function") onRestored(restored);
+    } catch (err) {
+      console.error("Failed to restore version", err);
+      if (err.status === 409 && err.body?.code === "VERSION_CONFLICT") {
+        setError("This entry was changed by someone else. Reload it before restoring.");
+      } else {
+        setError(err.body?.error || err.message || "Failed to restore version");
+      }
+    } finally {
+      setRestoring(false);
+    }
+  }
+
+  return (
+    <div className="su-card" style={{ marginTop: 16 }}>
+      <h2 style={{ marginTop: 0, marginBottom: 12 }}>History</h2>
+
+      {error && (
+        <div style={{ marginBottom: 8, fontSize: 12, color: "#b91c1c" }}>{error}</div>
+      )}
+
+      {loading && <p style={{ fontSize: 12, opacity: 0.7 }}>Loading history…</p>}
+
+      {!loading && !versions.length && (
+        <p style={{ fontSize: 12, opacity: 0.7 }}>No saved versions yet.</p>
+      )}
+
+      <div style={{ display: "grid", gap: 6 }}>
+        {versions.map((v) => {
+          const isCurrent =
+            currentVersion != null && v.version_number === currentVersion;
+          const isSelected = v.id === selectedId;
+
+          return (
+            <div
+              key={v.id}
+              style={{
+                border: "1px solid var(--su-border)",
+                borderRadius: 10,
+                padding: "6px 10px",
+                background: isSelected ? "var(--su-surface)" : "transparent",
+                fontSize: 13,
+              }}
+            >
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: 8,
+                }}
+              >
+                <div>
+                  <strong>v{v.version_number ?? "?"}</strong>{" "}
+                  <span style={{ opacity: 0.8 }}>{ACTION_LABELS[v.action] || v.action}</span>
+                  {isCurrent && (
+                    <span style={{ marginLeft: 6, fontSize: 11, opacity: 0.7 }}>(current)</span>
+                  )}
+                  <div style={{ fontSize: 11, opacity: 0.7 }}>
+                    {formatWhen(v.created_at)} · {authorLabel(v.author, v.actor)}
+                  </div>
+                </div>
+
+                {!isCurrent && (
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button
+                      type="button"
+                      className="su-btn"
+                      onClick={() => handleCompare(v)}
+                      disabled={diffLoading || restoring}
+                    >
+                      Compare
+                    </button>
+                    <button
+                      type="button"
+                      className="su-btn"
+                      onClick={() => handleRestore(v)}
+                      disabled={restoring}
+                    >
+                      Restore
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {isSelected && (
+                <div style={{ marginTop: 8, borderTop: "1px solid var(--su-border)", paddingTop: 6 }}>
+                  {diffLoading && <p style={{ fontSize: 12, opacity: 0.7 }}>Comparing…</p>}
+                  {changes && !changes.length && (
+                    <p style={{ fontSize: 12, opacity: 0.7 }}>Identical to the current entry.</p>
+                  )}
+                  {changes &&
+                    changes.map((c) => (
+                      <div
+                        key={c.field}
+                        style={{
+                          display: "grid",
+                          gridTemplateColumns: "120px minmax(0,1fr)",
+                          gap: 8,
+                          padding: "3px 0",
+                          fontSize: 12,
+                        }}
+                      >
+                        <div style={{ opacity: 0.7 }}>{c.label}</div>
+                        <div style={{ wordBreak: "break-word" }}>
+                          <span style={{ color: "#b91c1c", textDecoration: "line-through" }}>
+                            {inlineValue(c.before)}
+                          </span>{" "}
+                          →{" "}
+                          <span style={{ color: "#166534" }}>{inlineValue(c.after)}</span>
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useMemo, useState } from 'react';
+import { api } from '../lib/api';
+
+// Import entries from a CSV or JSON file into one content type.
+// Every change to the file or mapping re-runs a dry run against
+// POST /api/content/:slug/import, so per-row errors show up before
+// anything is written; "Import" then repeats the same request for real.
+
+const BUILTINS = [
+  { value: 'title', label: 'Title' },
+  { value: 'slug', label: 'Slug' },
+  { value: 'status', label: 'Status' },
+];
+
+const MODES = [
+  { value: 'upsert', label: 'Create new and update matches' },
+  { value: 'create', label: 'Only create new entries' },
+  { value: 'update', label: 'Only update existing entries' },
+];
+
+// Sub-keys offered as separate targets for object fields
+const SUB_KEYS = {
+  name: ['title', 'first', 'middle', 'last', 'suffix'],
+  address: ['line1', 'line2', 'postal'],
+};
+
+const MAX_ERROR_ROWS = 50;
+
+export default function EntryImportDialog({ typeSlug, fields, onClose, onImported }) {
+  const [fileName, setFileName] = useState('');
+  const [source, setSource] = useState(null); // { csv } | { rows }
+  const [mapping, setMapping] = useState({});
+  const [matchOn, setMatchOn] = useState('slug');
+  const [mode, setMode] = useState('upsert');
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fieldList = useMemo(
+    () =>
+      (fields || [])
+        .map((f) => ({
+          key: f.field_key || f.key,
+          label: f.label || f.name || f.field_key || f.key,
+          type: String(f.type || '').toLowerCase(),
+        }))
+        .filter((f) => f.key),
+    [fields],
+  );
+
+  const targets = useMemo(() => {
+    const out = [...BUILTINS];
+    for (const f of fieldList) {
+      out.push({ value: f.key, label: f.label });
+      for (const sub of SUB_KEYS[f.type] || []) {
+        out.push({ value: `${f.key}.${sub}`, label: `${f.label} › ${sub}` });
+      }
+    }
+    return out;
+  }, [fieldList]);
+
+  async function run(next, { dryRun = true } = {}) {
+    const body = {
+      ...next.source,
+      mapping: next.mapping,
+      matchOn: next.matchOn,
+      mode: next.mode,
+      dryRun,
+    };
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post(`/api/content/${typeSlug}/import`, body);
+      if (dryRun) {
+        setReport(res);
+        setMapping(res.mapping || {});
+      } else if (typeof onImported === 'function') {
+        onImported(res);
+      }
+    } catch (err) {
+      console.error('[EntryImportDialog] import failed', err);
+      setError(err.body?.error || 'Import failed.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function current(patch = {}) {
+    return { source, mapping, matchOn, mode, ...patch };
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setReport(null);
+    setError('');
+
+    const text = await file.text();
+    let nextSource;
+    if (/\.json$/i.test(file.name)) {
+      try {
+        const parsed = JSON.parse(text);
+        const rows = Array.isArray(parsed) ? parsed : parsed?.entries;
+        if (!Array.isArray(rows)) throw new Error('not an array');
+        nextSource = { format: 'json', rows };
+      } catch {
+        setError('The JSON file must contain an array of row objects.');
+        return;
+      }
+    } else {
+      nextSource = { format: 'csv', csv: text };
+    }
+
+    setSource(nextSource);
+    setMapping({});
+    run(current({ source: nextSource, mapping: {} }));
+  }
+
+  function handleMap(column, target) {
+    const next = { ...mapping, [column]: target || null };
+    setMapping(next);
+    run(current({ mapping: next }));
+  }
+
+  function handleMatchOn(value) {
+    setMatchOn(value);
+    run(current({ matchOn: value }));
+  }
+
+  function handleMode(value) {
+    setMode(value);
+    run(current({ mode: value }));
+  }
+
+  const failedRows = (report?.results || []).filter((r) => !r.ok);
+  const mappedFieldKeys = Object.values(mapping).filter((t) => t && fieldList.some((f) => f.key === t));
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(15, 23, 42, 0.45)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50,
+        padding: 16,
+      }}
+    >
+      <div className="su-card" style={{ width: 'min(760px, 100%)', maxHeight: '90vh', overflow: 'auto' }}>
+        <div className="su-card-body">
+          <h2 style={{ marginTop: 0 }}>Import entries</h2>
+          <p className="su-text-sm su-text-muted">
+            Upload a CSV (first row = column names) or a JSON array of objects. Nothing is saved
+            until you click Import.
+          </p>
+
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} disabled={busy} />
+          {fileName && <span className="su-text-sm su-text-muted"> {fileName}</span>}
+
+          {error && <div className="su-alert su-alert-danger su-mb-md" style={{ marginTop: 12 }}>{error}</div>}
+
+          {report && (
+            <>
+              <h3 style={{ marginBottom: 6 }}>Columns</h3>
+              <table className="su-table">
+                <thead>
+                  <tr>
+                    <th>Column</th>
+                    <th>Import into</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.columns.map((col) => (
+                    <tr key={col}>
+                      <td>{col}</td>
+                      <td>
+                        <select
+                          className="su-select"
+                          value={mapping[col] || ''}
+                          onChange={(e) => handleMap(col, e.target.value)}
+                          disabled={busy}
+                        >
+                          <option value="">(skip)</option>
+                          {targets.map((t) => (
+                            <option key={t.value} value={t.value}>
+                              {t.label}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="su-flex su-flex-wrap su-gap-sm su-items-center" style={{ marginTop: 12 }}>
+                <label className="su-text-sm">
+                  Match existing entries on{' '}
+                  <select
+                    className="su-select"
+                    value={matchOn}
+                    onChange={(e) => handleMatchOn(e.target.value)}
+                    disabled={busy}
+                  >
+                    <option value="slug">Slug</option>
+                    {fieldList
+                      .filter((f) => mappedFieldKeys.includes(f.key))
+                      .map((f) => (
+                        <option key={f.key} value={f.key}>
+                          {f.label}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+                <select
+                  className="su-select"
+                  value={mode}
+                  onChange={(e) => handleMode(e.target.value)}
+                  disabled={busy}
+                >
+                  {MODES.map((m) => (
+                    <option key={m.value} value={m.value}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <p className="su-text-sm" style={{ marginTop: 12 }}>
+                {busy
+                  ? 'Checking…'
+                  : `${report.total} rows: ${report.created} to create, ${report.updated} to update, ${report.failed} with errors.`}
+              </p>
+
+              {!!failedRows.length && (
+                <table className="su-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {failedRows.slice(0, MAX_ERROR_ROWS).map((r) => (
+                      <tr key={r.row}>
+                        <td>{r.row}</td>
+                        <td>{(r.errors || []).map((e) => e.message).join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {failedRows.length > MAX_ERROR_ROWS && (
+                <p className="su-text-xs su-text-muted">
+                  …and {failedRows.length - MAX_ERROR_ROWS} more rows with errors.
+                </p>
+              )}
+            </>
+          )}
+
+          <div className="su-flex su-gap-sm" style={{ marginTop: 16 }}>
+            <button
+              type="button"
+              className="su-btn su-btn-primary"
+              disabled={busy || !report || report.created + report.updated === 0}
+              onClick={() => run(current(), { dryRun: false })}
+            >
+              {report?.failed
+                ? `Import ${report.created + report.updated} valid rows`
+                : 'Import'}
+            </button>
+            <button type="button" className="su-btn" onClick={onClose} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
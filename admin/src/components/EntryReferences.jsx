@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { api } from "../lib/api";
+
+// "Referenced by" panel for the entry editor: entries of any type whose
+// relation / relationship fields point at this one, grouped by type and field
+// (GET /api/content/:slug/:id/references).
+
+const PER_GROUP = 10;
+
+export default function EntryReferences({ typeSlug, entryId, refreshKey }) {
+  const [groups, setGroups] = useState([]);
+  const [targetId, setTargetId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!typeSlug || !entryId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    api
+      .get(`/api/content/${typeSlug}/${entryId}/references?limit=${PER_GROUP}`)
+      .then((res) => {
+        if (cancelled) return;
+        setGroups(res?.references || []);
+        setTargetId(res?.entry_id || "");
+      })
+      .catch((err) => {
+        console.error("[EntryReferences] failed to load references", err);
+        if (!cancelled) setError(err.message || "Failed to load references");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [typeSlug, entryId, refreshKey]);
+
+  // Open the referencing type's list filtered to this entry
+  function listUrl(group) {
+    const filter = { field: group.field.key, op: "contains", value: targetId };
+    return `/admin/content/${group.type.slug}?filter=${encodeURIComponent(JSON.stringify(filter))}`;
+  }
+
+  return (
+    <div className="su-card" style={{ marginTop: 16 }}>
+      <h2 style={{ marginTop: 0, marginBottom: 12 }}>Referenced by</h2>
+
+      {error && (
+        <div style={{ marginBottom: 8, fontSize: 12, color: "#b91c1c" }}>{error}</div>
+      )}
+
+      {loading && <p style={{ fontSize: 12, opacity: 0.7 }}>Loading references…</p>}
+
+      {!loading && !error && !groups.length && (
+        <p style={{ fontSize: 12, opacity: 0.7 }}>No other entries link to this one.</p>
+      )}
+
+      <div style={{ display: "grid", gap: 12 }}>
+        {groups.map((g) => (
+          <div key={g.field.id} style={{ fontSize: 13 }}>
+            <div style={{ marginBottom: 4 }}>
+              <strong>{g.type.name}</strong>
+              <span style={{ opacity: 0.7 }}> · {g.field.label} ({g.total})</span>
+            </div>
+            <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+              {g.entries.map((e) => (
+                <li key={e.id} style={{ marginBottom: 2 }}>
+                  <Link to={`/admin/content/${g.type.slug}/${e.slug || e.id}`}>
+                    {e.title || e.slug || e.id}
+                  </Link>
+                  {e.status && <span style={{ opacity: 0.6 }}> · {e.status}</span>}
+                </li>
+              ))}
+            </ul>
+            {g.total > g.entries.length && targetId && (
+              <Link to={listUrl(g)} style={{ fontSize: 12 }}>
+                View all {g.total} in {g.type.name}
+              </Link>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { DateTime } from "luxon";
+import { combineDateAndTimeToUTC, fmtDateTimeUTC } from "../utils/datetime";
+
+// Publish / unpublish schedule for one entry. Times are picked and shown in
+// the site timezone (Settings → timezone) and handed back as UTC ISO strings
+// (or null when cleared), which is what the API stores in publish_at /
+// unpublish_at. The API scheduler flips the status when each time arrives.
+
+function splitInZone(utcIso, tz) {
+  if (!utcIso) return { date: "", time: "" };
+  const dt = DateTime.fromISO(utcIso, { zone: "utc" }).setZone(tz);
+  if (!dt.isValid) return { date: "", time: "" };
+  return { date: dt.toFormat("yyyy-MM-dd"), time: dt.toFormat("HH:mm") };
+}
+
+function ScheduleRow({ label, value, timezone, onChange }) {
+  const { date, time } = splitInZone(value, timezone);
+
+  function update(nextDate, nextTime) {
+    if (!nextDate) return onChange(null);
+    onChange(combineDateAndTimeToUTC(nextDate, nextTime || "00:00", timezone));
+  }
+
+  return (
+    <div style={{ fontSize: 13 }}>
+      <div>{label}</div>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input
+          type="date"
+          className="su-input"
+          value={date}
+          onChange={(e) => update(e.target.value, time)}
+        />
+        <input
+          type="time"
+          className="su-input"
+          value={time}
+          disabled={!date}
+          onChange={(e) => update(date, e.target.value)}
+        />
+        {value && (
+          <button type="button" className="su-btn su-btn-sm" onClick={() => onChange(null)}>
+            Clear
+          </button>
+        )}
+      </div>
+      {value && (
+        <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>
+          {fmtDateTimeUTC(value, timezone)} ({timezone})
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function EntryScheduleControls({
+  publishAt,
+  unpublishAt,
+  timezone = "America/Los_Angeles",
+  onChange,
+}) {
+  const outOfOrder =
+    publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt);
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <h3 style={{ margin: "0 0 8px", fontSize: 14 }}>Schedule</h3>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fit, minmax(240px, 1fr))",
+          gap: 12,
+        }}
+      >
+        <ScheduleRow
+          label="Publish at"
+          value={publishAt}
+          timezone={timezone}
+          onChange={(v) => onChange({ publishAt: v, unpublishAt })}
+        />
+        <ScheduleRow
+          label="Unpublish at"
+          value={unpublishAt}
+          timezone={timezone}
+          onChange={(v) => onChange({ publishAt, unpublishAt: v })}
+        />
+      </div>
+      {outOfOrder && (
+        <div style={{ color: "#b91c1c", fontSize: 12, marginTop: 4 }}>
+          Unpublish time must be after the publish time.
+        </div>
+      )}
+    </div>
+  );
+}
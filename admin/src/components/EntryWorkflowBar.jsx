@@ -0,0 +1,140 @@
+import { useEffect, useMemo, useState } from "react";
+import { api } from "../lib/api";
+
+// Workflow state of an entry plus one button per transition the current
+// user's role may take from it. The workflow comes from the content type
+// (GET /api/content-types/:slug/workflow); the server re-checks every status
+// change on save, so this only decides which buttons to show.
+
+function formatWhen(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString();
+}
+
+export default function EntryWorkflowBar({
+  typeSlug,
+  entryId,
+  isNew,
+  status,
+  refreshKey,
+  disabled,
+  label = "Status",
+  onTransition,
+  onInitialState,
+}) {
+  const [workflow, setWorkflow] = useState(null);
+  const [allowed, setAllowed] = useState([]);
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    api
+      .get(`/api/content-types/${typeSlug}/workflow`)
+      .then((res) => {
+        if (cancelled) return;
+        setWorkflow(res?.workflow || null);
+        setAllowed(res?.allowedTransitions || []);
+        // New entries start in the workflow's initial state
+        if (isNew && res?.workflow?.initial && typeof onInitialState === "function") {
+          onInitialState(res.workflow.initial);
+        }
+      })
+      .catch((err) => console.error("[EntryWorkflowBar] failed to load workflow", err));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [typeSlug, isNew]);
+
+  useEffect(() => {
+    if (isNew || !entryId) {
+      setHistory([]);
+      return;
+    }
+    let cancelled = false;
+    api
+      .get(`/api/content/${typeSlug}/${entryId}/workflow`)
+      .then((res) => {
+        if (!cancelled) setHistory(res?.history || []);
+      })
+      .catch((err) => console.error("[EntryWorkflowBar] failed to load history", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [typeSlug, entryId, isNew, refreshKey]);
+
+  const stateLabels = useMemo(() => {
+    const map = {};
+    for (const s of workflow?.states || []) map[s.key] = s.label;
+    return map;
+  }, [workflow]);
+
+  // Same matching as the API (lib/entryWorkflow.js): an unknown state may
+  // take any transition
+  const transitions = useMemo(() => {
+    if (!workflow) return [];
+    const known = status in stateLabels;
+    return (workflow.transitions || []).filter(
+      (t) =>
+        t.to !== status &&
+        allowed.includes(t.key) &&
+        (t.from === "*" || !known || t.from.includes(status))
+    );
+  }, [workflow, allowed, status, stateLabels]);
+
+  const stateName = (key) => (key ? stateLabels[key] || key : "—");
+
+  return (
+    <div style={{ fontSize: 13 }}>
+      <div>{label}</div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center" }}>
+        <span
+          style={{
+            padding: "4px 10px",
+            borderRadius: 999,
+            background: "#eef2ff",
+            color: "#3730a3",
+            fontWeight: 500,
+          }}
+        >
+          {stateName(status)}
+        </span>
+        {transitions.map((t) => (
+          <button
+            key={t.key}
+            type="button"
+            className="su-btn su-btn-sm"
+            disabled={disabled}
+            onClick={() => onTransition(t.to)}
+            title={`Save and move to ${stateName(t.to)}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {history.length > 0 && (
+        <details style={{ marginTop: 6 }}>
+          <summary style={{ cursor: "pointer", fontSize: 12, opacity: 0.8 }}>
+            Workflow history ({history.length})
+          </summary>
+          <ul style={{ listStyle: "none", padding: 0, margin: "6px 0 0", fontSize: 12 }}>
+            {history.map((h) => (
+              <li key={h.id} style={{ marginBottom: 4 }}>
+                {h.from ? `${stateName(h.from)} → ${stateName(h.to)}` : `Created as ${stateName(h.to)}`}
+                <span style={{ opacity: 0.7 }}>
+                  {" "}
+                  · {formatWhen(h.created_at)} ·{" "}
+                  {h.transition === "scheduled"
+                    ? "Scheduled"
+                    : h.author?.name || h.author?.email || "System"}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -15,6 +15,7 @@ import {
   resolveBucketName,
 } from "../lib/storage";
 import { api } from "../lib/api";
+import { renderTemplate } from "@apiLib/titleTemplate.js";
 
 /** ---------- Helpers ---------- */
 
@@ -1472,17 +1473,11 @@ function computeSubfieldVisibility({ subfields, rules, row }) {
   return vis;
 }
 
+// {#} is the 1-based row number; other tokens read the row's subfields
 function applyRowLabelTemplate(tpl, row, index) {
   const s = String(tpl || "").trim();
   if (!s) return `Row ${index + 1}`;
-  return s
-    .replace(/\{#\}/g, String(index + 1))
-    .replace(/\{([^}]+)\}/g, (_, k) => {
-      const key = String(k || "").trim();
-      if (!key) return "";
-      const v = row?.[key];
-      return v == null ? "" : String(v);
-    });
+  return renderTemplate(s, { ...(row || {}), "#": index + 1 });
 }
 
 function RepeaterField({
@@ -1818,6 +1813,14 @@ export function formatFieldValueForList(fieldDef, rawValue, opts = {}) {
 
   if (empty(rawValue)) return "";
 
+  // --- Formulas: shown as their result type ---
+  if (type === "formula") {
+    const resultType = cfg.result_type || "number";
+    if (resultType === "boolean") return rawValue ? "Yes" : "No";
+    if (resultType === "date") return formatFieldValueForList({ ...fieldDef, type: "date" }, rawValue, opts);
+    return String(rawValue);
+  }
+
   // --- Repeaters ---
   if (type === "repeater") {
     const subfields = Array.isArray(cfg.subfields) ? cfg.subfields : [];
@@ -2553,7 +2556,16 @@ export default function FieldInput({
 
   // ---- Basic types ----
   if (fieldType === "text") {
-    return <input type="text" value={value ?? ""} onChange={(e) => onChange(e.target.value)} />;
+    // Sequence fields are numbered by the API when the entry is created
+    const numbered = cfg.default_mode === "sequence";
+    return (
+      <input
+        type="text"
+        value={value ?? ""}
+        placeholder={numbered ? `Assigned on save (${cfg.sequence_pattern || ""})` : undefined}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
   }
 
   if (fieldType === "email") {
@@ -2612,6 +2624,22 @@ export default function FieldInput({
     );
   }
 
+  // Computed by the API when the entry is saved; shows the last stored value
+  if (fieldType === "formula") {
+    const shown =
+      value === null || value === undefined || value === ""
+        ? ""
+        : typeof value === "boolean"
+          ? value ? "Yes" : "No"
+          : String(value);
+    return (
+      <div>
+        <input type="text" value={shown} readOnly placeholder="Calculated on save" />
+        <small>Calculated automatically when the entry is saved.</small>
+      </div>
+    );
+  }
+
   // ---- Radio / Dropdown / Multiselect / Checkbox ----
   if (fieldType === "radio") {
     const baseChoices = isDynamic ? dynamicChoices : getFieldChoices(field);
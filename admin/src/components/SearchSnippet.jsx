@@ -0,0 +1,16 @@
+// Renders a search snippet from the API. Matches come wrapped in
+// <mark>…</mark>; everything else is entry text, so it is rendered as text
+// rather than HTML.
+export default function SearchSnippet({ snippet }) {
+  if (!snippet) return null;
+  return String(snippet)
+    .split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map((part, i) =>
+      part.startsWith('<mark>') && part.endsWith('</mark>') ? (
+        <mark key={i}>{part.slice(6, -7)}</mark>
+      ) : (
+        <span key={i}>{part}</span>
+      )
+    );
+}
@@ -0,0 +1,324 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '../lib/api';
+
+// Redirect rules for a gadget's public pages (/api/site-redirects). Lists
+// the gadget's own rules and the global ones (which apply to every gadget),
+// in the order they run. Old page slugs redirect by themselves; these rules
+// are for everything else.
+
+const MATCH_TYPES = [
+  { value: 'exact', label: 'Exact', placeholder: 'old-services' },
+  { value: 'wildcard', label: 'Wildcard', placeholder: 'blog-*' },
+  { value: 'regex', label: 'Regex', placeholder: '^team-(\\w+)$' },
+];
+const STATUS_CODES = [301, 302, 307, 308];
+
+const EMPTY_RULE = {
+  match_type: 'exact',
+  source: '',
+  target: '',
+  status_code: 301,
+  priority: 0,
+  is_active: true,
+  global: false,
+};
+
+export default function SiteRedirectsEditor({ gadgetId }) {
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [testPath, setTestPath] = useState('');
+  const [testResult, setTestResult] = useState(null);
+
+  async function load() {
+    setLoading(true);
+    try {
+      const [own, global] = await Promise.all([
+        api.get(`/api/site-redirects?gadget_id=${gadgetId}`),
+        api.get('/api/site-redirects?gadget_id=global'),
+      ]);
+      const all = [...(Array.isArray(own) ? own : []), ...(Array.isArray(global) ? global : [])];
+      // Same order the public routes use
+      all.sort(
+        (a, b) =>
+          a.priority - b.priority ||
+          Number(a.gadget_id === null) - Number(b.gadget_id === null) ||
+          String(a.created_at).localeCompare(String(b.created_at)),
+      );
+      setRules(all);
+      setError('');
+    } catch (err) {
+      console.error('[SiteRedirectsEditor] load failed', err);
+      setError(err.body?.error || err.message || 'Failed to load redirects');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (gadgetId) load();
+  }, [gadgetId]);
+
+  function update(key, value) {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function startEdit(rule) {
+    setEditingId(rule.id);
+    setDraft({
+      match_type: rule.match_type,
+      source: rule.source,
+      target: rule.target,
+      status_code: rule.status_code,
+      priority: rule.priority,
+      is_active: rule.is_active,
+      global: rule.gadget_id === null,
+    });
+  }
+
+  function resetDraft() {
+    setEditingId(null);
+    setDraft(EMPTY_RULE);
+  }
+
+  async function save() {
+    setBusy(true);
+    setError('');
+    const { global, ...rest } = draft;
+    const payload = {
+      ...rest,
+      priority: Number(draft.priority) || 0,
+      gadget_id: global ? null : gadgetId,
+    };
+    try {
+      if (editingId) {
+        await api.put(`/api/site-redirects/${editingId}`, payload);
+      } else {
+        await api.post('/api/site-redirects', payload);
+      }
+      resetDraft();
+      await load();
+    } catch (err) {
+      console.error('[SiteRedirectsEditor] save failed', err);
+      setError(err.body?.error || err.message || 'Failed to save redirect');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleActive(rule) {
+    try {
+      await api.put(`/api/site-redirects/${rule.id}`, { is_active: !rule.is_active });
+      await load();
+    } catch (err) {
+      console.error('[SiteRedirectsEditor] toggle failed', err);
+      setError(err.body?.error || err.message || 'Failed to update redirect');
+    }
+  }
+
+  async function remove(rule) {
+    if (!window.confirm(`Delete the redirect for "${rule.source}"?`)) return;
+    try {
+      await api.del(`/api/site-redirects/${rule.id}`);
+      if (editingId === rule.id) resetDraft();
+      await load();
+    } catch (err) {
+      console.error('[SiteRedirectsEditor] delete failed', err);
+      setError(err.body?.error || err.message || 'Failed to delete redirect');
+    }
+  }
+
+  async function runTest() {
+    if (!testPath.trim()) return;
+    try {
+      const res = await api.post('/api/site-redirects/test', { gadget_id: gadgetId, path: testPath });
+      setTestResult(res?.match || false);
+    } catch (err) {
+      console.error('[SiteRedirectsEditor] test failed', err);
+      setError(err.body?.error || err.message || 'Failed to test redirects');
+    }
+  }
+
+  const placeholder = MATCH_TYPES.find((t) => t.value === draft.match_type)?.placeholder;
+
+  return (
+    <div>
+      <h2>Redirects</h2>
+      <p className="su-text-sm su-text-muted">
+        Used when a page slug does not exist. Renamed pages already redirect to their new slug.
+        Wildcard <code>*</code> and regex groups can be used in the target as <code>$1</code>,{' '}
+        <code>$2</code>…; a target starting with <code>/</code> or <code>http</code> is sent as
+        is, anything else is a page slug.
+      </p>
+
+      {error && <div className="su-alert su-alert-danger su-mb-md">{error}</div>}
+
+      {loading ? (
+        <p className="su-text-sm su-text-muted">Loading redirects…</p>
+      ) : rules.length === 0 ? (
+        <p className="su-text-sm su-text-muted">No redirects yet.</p>
+      ) : (
+        <table className="su-table">
+          <thead>
+            <tr>
+              <th>Priority</th>
+              <th>Match</th>
+              <th>Source</th>
+              <th>Target</th>
+              <th>Status</th>
+              <th>Scope</th>
+              <th>Active</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => (
+              <tr key={rule.id} style={{ opacity: rule.is_active ? 1 : 0.55 }}>
+                <td>{rule.priority}</td>
+                <td>{rule.match_type}</td>
+                <td><code>{rule.source}</code></td>
+                <td><code>{rule.target}</code></td>
+                <td>{rule.status_code}</td>
+                <td>{rule.gadget_id === null ? 'All gadgets' : 'This gadget'}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={!!rule.is_active}
+                    onChange={() => toggleActive(rule)}
+                    aria-label="Active"
+                  />
+                </td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <button type="button" className="su-btn su-btn-sm" onClick={() => startEdit(rule)}>
+                    Edit
+                  </button>{' '}
+                  <button type="button" className="su-btn su-btn-sm su-btn-danger" onClick={() => remove(rule)}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3>{editingId ? 'Edit redirect' : 'Add redirect'}</h3>
+      <div className="su-flex su-gap-sm" style={{ flexWrap: 'wrap', alignItems: 'flex-end' }}>
+        <label className="su-label">
+          Match
+          <select
+            className="su-input"
+            value={draft.match_type}
+            onChange={(e) => update('match_type', e.target.value)}
+            disabled={busy}
+          >
+            {MATCH_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="su-label">
+          Source
+          <input
+            className="su-input"
+            value={draft.source}
+            placeholder={placeholder}
+            onChange={(e) => update('source', e.target.value)}
+            disabled={busy}
+          />
+        </label>
+        <label className="su-label">
+          Target
+          <input
+            className="su-input"
+            value={draft.target}
+            placeholder="services"
+            onChange={(e) => update('target', e.target.value)}
+            disabled={busy}
+          />
+        </label>
+        <label className="su-label">
+          Status
+          <select
+            className="su-input"
+            value={draft.status_code}
+            onChange={(e) => update('status_code', Number(e.target.value))}
+            disabled={busy}
+          >
+            {STATUS_CODES.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="su-label" style={{ width: 90 }}>
+          Priority
+          <input
+            className="su-input"
+            type="number"
+            value={draft.priority}
+            onChange={(e) => update('priority', e.target.value)}
+            disabled={busy}
+          />
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={draft.global}
+            onChange={(e) => update('global', e.target.checked)}
+            disabled={busy}
+          />{' '}
+          All gadgets
+        </label>
+        <button
+          type="button"
+          className="su-btn su-btn-primary"
+          onClick={save}
+          disabled={busy || !draft.source.trim() || !draft.target.trim()}
+        >
+          {editingId ? 'Save' : 'Add'}
+        </button>
+        {editingId && (
+          <button type="button" className="su-btn" onClick={resetDraft} disabled={busy}>
+            Cancel
+          </button>
+        )}
+      </div>
+
+      <h3>Try a slug</h3>
+      <div className="su-flex su-gap-sm" style={{ alignItems: 'center' }}>
+        <input
+          className="su-input"
+          value={testPath}
+          placeholder="blog-2019-hello"
+          onChange={(e) => {
+            setTestPath(e.target.value);
+            setTestResult(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              runTest();
+            }
+          }}
+        />
+        <button type="button" className="su-btn" onClick={runTest} disabled={!testPath.trim()}>
+          Test
+        </button>
+      </div>
+      {testResult === false && <p className="su-text-sm su-text-muted">No rule matches.</p>}
+      {testResult && (
+        <p className="su-text-sm">
+          {testResult.status} → <code>{testResult.target}</code>{' '}
+          ({testResult.location_kind === 'url' ? 'path / URL' : 'page slug'}, rule “{testResult.rule.source}”)
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { NavLink } from 'react-router-dom';
 import { useSettings } from '../context/SettingsContext';
+import CommandPalette from './CommandPalette';
 
 // Utility to determine if a navigation item should be shown for the current role.
 const canSee = (itemRoles, role) => {
@@ -13,11 +14,29 @@ const canSee = (itemRoles, role) => {
  * Topbar renders the top navigation bar.  It accepts callbacks to toggle
  * the sidebar on mobile (`onToggleSidebar`) and a boolean `isSidebarOpen`
  * to set the appropriate aria-label.  It also accepts a `role` prop to
- * filter items based on allowed roles.
+ * filter items based on allowed roles.  Ctrl/Cmd-K (or the Search button)
+ * opens the command palette.
  */
 export default function Topbar({ onToggleSidebar, isSidebarOpen, role = 'ADMIN' }) {
   const { settings } = useSettings();
   const [openIndex, setOpenIndex] = useState(null);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+
+  useEffect(() => {
+    function onKey(e) {
+      if ((e.metaKey || e.ctrlKey) && String(e.key).toLowerCase() === 'k') {
+        e.preventDefault();
+        setPaletteOpen((v) => !v);
+      }
+    }
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const shortcut =
+    typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '')
+      ? '⌘K'
+      : 'Ctrl K';
 
   const items = Array.isArray(settings?.navTopbarButtons)
     ? settings.navTopbarButtons
@@ -47,6 +66,14 @@ export default function Topbar({ onToggleSidebar, isSidebarOpen, role = 'ADMIN'
         <div className="su-topbar-title">
           {settings?.appName || 'ServiceUp Admin'}
         </div>
+        <button
+          type="button"
+          className="su-btn"
+          onClick={() => setPaletteOpen(true)}
+          title={`Search (${shortcut})`}
+        >
+          Search <span style={{ opacity: 0.6, fontSize: 12 }}>{shortcut}</span>
+        </button>
       </div>
       <nav className="su-topbar-nav" aria-label="Top navigation">
         {items
@@ -125,6 +152,7 @@ export default function Topbar({ onToggleSidebar, isSidebarOpen, role = 'ADMIN'
             );
           })}
       </nav>
+      <CommandPalette open={paletteOpen} onClose={() => setPaletteOpen(false)} />
     </header>
   );
 }
\ No newline at end of file
@@ -0,0 +1,341 @@
+import React, { useEffect, useState } from "react";
+import { api } from "../lib/api";
+
+// Editorial workflow for one content type: its states, the transitions
+// between them and the roles allowed to perform each transition. Saved via
+// PUT /api/content-types/:id/workflow; "Use default" clears the custom
+// workflow so the type goes back to draft / published / archived. Every
+// workflow keeps a "published" state; "Unpublish to" is where scheduled
+// unpublishing sends a published entry.
+
+function toKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function selectedValues(e) {
+  return Array.from(e.target.selectedOptions).map((o) => o.value);
+}
+
+export default function WorkflowEditor({ typeId }) {
+  const [workflow, setWorkflow] = useState(null);
+  const [custom, setCustom] = useState(false);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    if (!typeId) return;
+    let cancelled = false;
+
+    async function load() {
+      setLoading(true);
+      setError("");
+      setMessage("");
+      try {
+        const [wf, roleList] = await Promise.all([
+          api.get(`/api/content-types/${typeId}/workflow`),
+          api.get("/api/roles").catch(() => []),
+        ]);
+        if (cancelled) return;
+        setWorkflow(wf?.workflow || null);
+        setCustom(!!wf?.custom);
+        setRoles(Array.isArray(roleList) ? roleList : []);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setError(err.message || "Failed to load workflow");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [typeId]);
+
+  function update(patch) {
+    setWorkflow((wf) => ({ ...wf, ...patch }));
+    setMessage("");
+  }
+
+  function updateState(index, patch) {
+    const states = workflow.states.map((s, i) => (i === index ? { ...s, ...patch } : s));
+    update({ states });
+  }
+
+  function removeState(index) {
+    const key = workflow.states[index].key;
+    const states = workflow.states.filter((_, i) => i !== index);
+    const transitions = workflow.transitions
+      .filter((t) => t.to !== key)
+      .map((t) => (t.from === "*" ? t : { ...t, from: t.from.filter((f) => f !== key) }));
+    update({
+      states,
+      transitions,
+      initial: workflow.initial === key ? states[0]?.key || "" : workflow.initial,
+      unpublished: workflow.unpublished === key ? "" : workflow.unpublished,
+    });
+  }
+
+  function updateTransition(index, patch) {
+    const transitions = workflow.transitions.map((t, i) => (i === index ? { ...t, ...patch } : t));
+    update({ transitions });
+  }
+
+  function addTransition() {
+    const first = workflow.states[0]?.key || "";
+    update({
+      transitions: [
+        ...workflow.transitions,
+        { key: "", label: "", from: [first], to: first, roles: [] },
+      ],
+    });
+  }
+
+  async function save(next) {
+    setSaving(true);
+    setError("");
+    setMessage("");
+    try {
+      const res = await api.put(`/api/content-types/${typeId}/workflow`, { workflow: next });
+      setWorkflow(res.workflow);
+      setCustom(!!res.custom);
+      setMessage(res.custom ? "Workflow saved." : "Using the default workflow.");
+    } catch (err) {
+      console.error(err);
+      setError(err.body?.error || err.message || "Failed to save workflow");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!typeId) return null;
+
+  return (
+    <div className="su-card col-span-2 space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <h2 className="m-0 text-base font-medium">Workflow</h2>
+        <div className="flex items-center gap-2">
+          {custom && (
+            <button
+              type="button"
+              className="su-btn su-btn-sm su-btn-ghost"
+              onClick={() => save(null)}
+              disabled={saving}
+            >
+              Use default
+            </button>
+          )}
+          <button
+            type="button"
+            className="su-btn su-btn-sm"
+            onClick={() => save(workflow)}
+            disabled={saving || loading || !workflow}
+          >
+            {saving ? "Saving..." : "Save workflow"}
+          </button>
+        </div>
+      </div>
+
+      <div className="text-[11px] text-gray-500">
+        Entries move between states only through these transitions. Leave roles
+        empty to let everyone perform a transition; admins can always perform
+        all of them. Keep a <strong>published</strong> state for entries the
+        public site should show; scheduled unpublishing moves them to the
+        state marked "Unpublish to" (the initial state when none is marked).
+      </div>
+
+      {error && <div className="su-alert su-alert-danger">{error}</div>}
+      {message && <div style={{ color: "#166534", fontSize: 13 }}>{message}</div>}
+
+      {loading || !workflow ? (
+        <div style={{ fontSize: 13 }}>Loading workflow...</div>
+      ) : (
+        <>
+          <div>
+            <div className="mb-2 flex items-center justify-between">
+              <h3 className="m-0 text-sm font-medium">States</h3>
+              <button
+                type="button"
+                className="su-btn su-btn-xs su-btn-ghost"
+                onClick={() => update({ states: [...workflow.states, { key: "", label: "" }] })}
+              >
+                + Add state
+              </button>
+            </div>
+            <table className="su-table">
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Label</th>
+                  <th>Initial</th>
+                  <th>Unpublish to</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {workflow.states.map((s, index) => (
+                  <tr key={index}>
+                    <td>
+                      <input
+                        className="su-input"
+                        value={s.key}
+                        onChange={(e) => updateState(index, { key: toKey(e.target.value) })}
+                        placeholder="in_review"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        className="su-input"
+                        value={s.label}
+                        onChange={(e) => updateState(index, { label: e.target.value })}
+                        placeholder="In review"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="radio"
+                        name={`workflow-initial-${typeId}`}
+                        checked={workflow.initial === s.key}
+                        onChange={() => update({ initial: s.key })}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="radio"
+                        name={`workflow-unpublished-${typeId}`}
+                        checked={workflow.unpublished === s.key}
+                        disabled={s.key === "published"}
+                        onChange={() => update({ unpublished: s.key })}
+                      />
+                    </td>
+                    <td className="text-right">
+                      <button
+                        type="button"
+                        className="su-btn su-btn-xs su-btn-danger"
+                        onClick={() => removeState(index)}
+                        disabled={workflow.states.length < 2 || s.key === "published"}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <div className="mb-2 flex items-center justify-between">
+              <h3 className="m-0 text-sm font-medium">Transitions</h3>
+              <button
+                type="button"
+                className="su-btn su-btn-xs su-btn-ghost"
+                onClick={addTransition}
+              >
+                + Add transition
+              </button>
+            </div>
+            <table className="su-table">
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Button label</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Roles</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {workflow.transitions.map((t, index) => (
+                  <tr key={index}>
+                    <td>
+                      <input
+                        className="su-input"
+                        value={t.key}
+                        onChange={(e) => updateTransition(index, { key: toKey(e.target.value) })}
+                        placeholder="submit"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        className="su-input"
+                        value={t.label}
+                        onChange={(e) => updateTransition(index, { label: e.target.value })}
+                        placeholder="Submit for review"
+                      />
+                    </td>
+                    <td>
+                      <select
+                        multiple
+                        className="su-select"
+                        value={t.from === "*" ? ["*"] : t.from}
+                        onChange={(e) => {
+                          const values = selectedValues(e);
+                          updateTransition(index, { from: values.includes("*") ? "*" : values });
+                        }}
+                      >
+                        <option value="*">Any state</option>
+                        {workflow.states.map((s) => (
+                          <option key={s.key} value={s.key}>
+                            {s.label || s.key}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        className="su-select"
+                        value={t.to}
+                        onChange={(e) => updateTransition(index, { to: e.target.value })}
+                      >
+                        {workflow.states.map((s) => (
+                          <option key={s.key} value={s.key}>
+                            {s.label || s.key}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <select
+                        multiple
+                        className="su-select"
+                        value={t.roles}
+                        onChange={(e) => updateTransition(index, { roles: selectedValues(e) })}
+                      >
+                        {roles.map((r) => (
+                          <option key={r.slug} value={String(r.slug).toUpperCase()}>
+                            {r.label || r.slug}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="text-right">
+                      <button
+                        type="button"
+                        className="su-btn su-btn-xs su-btn-danger"
+                        onClick={() =>
+                          update({ transitions: workflow.transitions.filter((_, i) => i !== index) })
+                        }
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -5,7 +5,15 @@ export const API_BASE = import.meta.env.VITE_API_BASE || '/api';
 async function handle(res) {
   if (!res.ok) {
     const msg = await res.text().catch(() => res.statusText);
-    throw new Error(msg || `HTTP ${res.status}`);
+    const err = new Error(msg || `HTTP ${res.status}`);
+    // Keep the status and parsed JSON body so callers can react to e.g. 409s
+    err.status = res.status;
+    try {
+      err.body = msg ? JSON.parse(msg) : null;
+    } catch {
+      err.body = null;
+    }
+    throw err;
   }
   const ct = res.headers.get('content-type') || '';
   return ct.includes('application/json') ? res.json() : res.text();
@@ -59,29 +67,29 @@ export const api = {
       credentials: 'include',
     }).then(handle);
   },
-  post: (url, body) => {
+  post: (url, body, options = {}) => {
     const finalUrl = normalizeSettingsUrl(url);
     return fetch(`${API_BASE}${finalUrl}`, {
       method: 'POST',
-      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      headers: authHeaders({ 'Content-Type': 'application/json', ...options.headers }),
       body: JSON.stringify(body || {}),
       credentials: 'include',
     }).then(handle);
   },
-  patch: (url, body) => {
+  patch: (url, body, options = {}) => {
     const finalUrl = normalizeSettingsUrl(url);
     return fetch(`${API_BASE}${finalUrl}`, {
       method: 'PATCH',
-      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      headers: authHeaders({ 'Content-Type': 'application/json', ...options.headers }),
       body: JSON.stringify(body || {}),
       credentials: 'include',
     }).then(handle);
   },
-  put: (url, body) => {
+  put: (url, body, options = {}) => {
     const finalUrl = normalizeSettingsUrl(url);
     return fetch(`${API_BASE}${finalUrl}`, {
       method: 'PUT',
-      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      headers: authHeaders({ 'Content-Type': 'application/json', ...options.headers }),
       body: JSON.stringify(body || {}),
       credentials: 'include',
     }).then(handle);
@@ -94,6 +102,19 @@ export const api = {
       credentials: 'include',
     }).then(handle);
   },
+  // Fetch a file response as { blob, filename } (filename from Content-Disposition)
+  download: async (url) => {
+    const finalUrl = normalizeSettingsUrl(url);
+    const res = await fetch(`${API_BASE}${finalUrl}`, {
+      method: 'GET',
+      headers: authHeaders(),
+      credentials: 'include',
+    });
+    if (!res.ok) return handle(res);
+    const disposition = res.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/i);
+    return { blob: await res.blob(), filename: match ? match[1] : 'download' };
+  },
 };
 
 /* ------------------------------------------------------------------ */
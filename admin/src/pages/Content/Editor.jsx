@@ -2,6 +2,15 @@ import { useEffect, useMemo, useState, useCallback } from "react";
 import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { api } from "../../lib/api";
 import FieldInput from "../../components/FieldInput";
+import EntryHistory from "../../components/EntryHistory";
+import EntryReferences from "../../components/EntryReferences";
+import EntryConflictDialog from "../../components/EntryConflictDialog";
+import DuplicateEntryDialog from "../../components/DuplicateEntryDialog";
+import EntryScheduleControls from "../../components/EntryScheduleControls";
+import EntryWorkflowBar from "../../components/EntryWorkflowBar";
+import { useSettings } from "../../context/SettingsContext";
+import useHasPermission from "../../hooks/useHasPermission";
+import { deriveTitleFromTemplate } from "@apiLib/titleTemplate.js";
 
 // Simple slug helper
 function slugify(value) {
@@ -13,6 +22,11 @@ function slugify(value) {
     .replace(/^-+|-+$/g, "");
 }
 
+// True when a validation error path ("items[0].qty") belongs to field `key`
+function pathBelongsTo(path, key) {
+  return path === key || path.startsWith(`${key}[`) || path.startsWith(`${key}.`);
+}
+
 function normalizeConfig(cfg) {
   if (!cfg) return {};
   if (typeof cfg === "object") return cfg;
@@ -198,89 +212,6 @@ function getDynamicChoiceSourceSlug(def) {
   return null;
 }
 
-// ----------------------------
-// ✅ Derived title helpers
-// ----------------------------
-function getByPath(obj, path) {
-  if (!path) return undefined;
-  const parts = String(path)
-    .split(".")
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  let cur = obj;
-  for (const p of parts) {
-    if (cur == null) return undefined;
-    cur = cur[p];
-  }
-  return cur;
-}
-
-function asPrettyInline(value) {
-  if (value == null) return "";
-  if (
-    typeof value === "string" ||
-    typeof value === "number" ||
-    typeof value === "boolean"
-  )
-    return String(value);
-
-  // name field object common shape
-  if (typeof value === "object" && !Array.isArray(value)) {
-    const first = value.first || "";
-    const last = value.last || "";
-    const middle = value.middle || "";
-    const title = value.title || "";
-    const suffix = value.suffix || "";
-
-    const looksLikeName =
-      "first" in value ||
-      "last" in value ||
-      "middle" in value ||
-      "title" in value ||
-      "suffix" in value;
-
-    if (looksLikeName) {
-      const bits = [];
-      if (title) bits.push(String(title));
-      if (first) bits.push(String(first));
-      if (middle) bits.push(String(middle));
-      if (last) bits.push(String(last));
-      let out = bits.join(" ").trim();
-      if (suffix) out = `${out} ${suffix}`.trim();
-      return out;
-    }
-
-    // fallback
-    try {
-      return JSON.stringify(value);
-    } catch {
-      return String(value);
-    }
-  }
-
-  if (Array.isArray(value)) {
-    return value.map(asPrettyInline).filter(Boolean).join(", ");
-  }
-
-  return String(value);
-}
-
-function deriveTitleFromTemplate(template, data) {
-  const tpl = String(template || "");
-  if (!tpl.trim()) return "";
-
-  // replace {path.to.field} tokens
-  const out = tpl.replace(/\{([^}]+)\}/g, (_, tokenRaw) => {
-    const token = String(tokenRaw || "").trim();
-    if (!token) return "";
-    const val = getByPath(data, token);
-    return asPrettyInline(val);
-  });
-
-  return out.replace(/\s+/g, " ").trim();
-}
-
 export default function Editor() {
   const { typeSlug, entryId } = useParams();
   const navigate = useNavigate();
@@ -306,17 +237,57 @@ export default function Editor() {
   }, []);
 
   const isNew = !entryId || entryId === "new";
+  const { settings } = useSettings();
+
+  // ?locale= edits the entry in another language; "" is the default locale,
+  // which is the entry itself. New entries are created in the default locale.
+  const defaultLocale = settings?.defaultLocale || "en";
+  const localeOptions = useMemo(() => {
+    const list = Array.isArray(settings?.locales) ? settings.locales : [];
+    return [...new Set([defaultLocale, ...list])];
+  }, [settings?.locales, defaultLocale]);
+  const localeParam = searchParams.get("locale") || "";
+  const locale = !isNew && localeParam !== defaultLocale ? localeParam : "";
+  const localeQuery = locale ? `?locale=${encodeURIComponent(locale)}` : "";
+  const setLocaleParamInUrl = useCallback(
+    (nextLocale) => {
+      const next = new URLSearchParams(searchParams);
+      if (nextLocale) next.set("locale", nextLocale);
+      else next.delete("locale");
+      setSearchParams(next, { replace: true });
+    },
+    [searchParams, setSearchParams]
+  );
+  // Server's _locale report: which localizable fields have no translation yet
+  const [localeInfo, setLocaleInfo] = useState(null);
 
   const [loadingEntry, setLoadingEntry] = useState(!isNew);
   const [loadingType, setLoadingType] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState("");
+  // 422 field errors from the API, keyed by path ("price", "items[0].qty")
+  const [fieldErrors, setFieldErrors] = useState({});
   const [saveMessage, setSaveMessage] = useState("");
 
+  // Bumped to refetch the entry (after a restore) or the history panel (after any write)
+  const [entryReloadKey, setEntryReloadKey] = useState(0);
+  const [historyKey, setHistoryKey] = useState(0);
+
+  // Version the editor last loaded (sent as If-Match) and any pending conflict
+  const [entryVersion, setEntryVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [duplicating, setDuplicating] = useState(false);
+
   // Core entry fields
   const [title, setTitle] = useState("");
   const [slug, setSlug] = useState("");
   const [status, setStatus] = useState("draft");
+  const [publishAt, setPublishAt] = useState(null);
+  const [unpublishAt, setUnpublishAt] = useState(null);
+  // Owner (users.id); created_by / updated_by are read-only and shown from the entry
+  const [ownerId, setOwnerId] = useState("");
+  const canReassign = useHasPermission("entries.reassign");
+  const [authorship, setAuthorship] = useState({ createdBy: null, updatedBy: null });
 
   // Structured custom data from entries.data
   const [data, setData] = useState({});
@@ -585,8 +556,14 @@ export default function Editor() {
       setTitle("");
       setSlug("");
       setStatus("draft");
+      setPublishAt(null);
+      setUnpublishAt(null);
+      setOwnerId("");
+      setAuthorship({ createdBy: null, updatedBy: null });
       setData({});
       setResolved(null);
+      setEntryVersion(null);
+      setLocaleInfo(null);
       setLoadingEntry(false);
       return;
     }
@@ -598,7 +575,7 @@ export default function Editor() {
       setError("");
       setSaveMessage("");
       try {
-        const res = await api.get(`/api/content/${typeSlug}/${entryId}`);
+        const res = await api.get(`/api/content/${typeSlug}/${entryId}${localeQuery}`);
         if (res && res.ok === false) {
           throw new Error(res.error || res.detail || "Failed to load entry");
         }
@@ -606,6 +583,8 @@ export default function Editor() {
         if (cancelled) return;
 
         setResolved(entry?._resolved || null);
+        setEntryVersion(entry?.version ?? null);
+        setLocaleInfo(entry?._locale || null);
 
         const rawData =
           entry && typeof entry.data === "object" && entry.data !== null ? entry.data : {};
@@ -626,7 +605,14 @@ export default function Editor() {
           "version",
           "version_of",
           "published_at",
+          "publish_at",
+          "unpublish_at",
+          "owner_id",
+          "created_by",
+          "updated_by",
           "_resolved",
+          "locale",
+          "_locale",
         ]);
 
         Object.entries(entry || {}).forEach(([k, v]) => {
@@ -651,6 +637,10 @@ export default function Editor() {
         setTitle(loadedTitle);
         setSlug(loadedSlug);
         setStatus(loadedStatus);
+        setPublishAt(entry.publish_at ?? null);
+        setUnpublishAt(entry.unpublish_at ?? null);
+        setOwnerId(entry.owner_id || "");
+        setAuthorship({ createdBy: entry.created_by || null, updatedBy: entry.updated_by || null });
         setData(entryData || {});
       } catch (err) {
         console.error("Failed to load entry", err);
@@ -664,7 +654,7 @@ export default function Editor() {
     return () => {
       cancelled = true;
     };
-  }, [isNew, typeSlug, entryId]);
+  }, [isNew, typeSlug, entryId, entryReloadKey, localeQuery]);
 
   // ---------------------------------------------------------------------------
   // ✅ Derive Title live from template (if enabled in view)
@@ -687,9 +677,58 @@ export default function Editor() {
   // ---------------------------------------------------------------------------
   // Save / Delete
   // ---------------------------------------------------------------------------
-  async function handleSave(e) {
-    e.preventDefault();
+  // Messages for one field, including its repeater rows
+  function errorsForField(key) {
+    return Object.entries(fieldErrors)
+      .filter(([path]) => pathBelongsTo(path, key))
+      .map(([, message]) => message);
+  }
+
+  function userName(id) {
+    const u = resolved?.usersById?.[id];
+    return u ? u.name || u.email : "unknown user";
+  }
+
+  // "untranslated" / "shared" next to a field label while editing a translation
+  function localeBadge(def) {
+    if (!locale || !def || def.type === "builtin") return null;
+    if (!def.localizable) {
+      return (
+        <span className="su-chip-badge" title="Same value in every language">
+          shared
+        </span>
+      );
+    }
+    if (!localeInfo?.untranslated?.includes(def.key)) return null;
+    const from = localeInfo.fields?.[def.key] || defaultLocale;
+    return (
+      <span className="su-chip-badge" title={`Showing the ${from} value`}>
+        untranslated
+      </span>
+    );
+  }
+
+  function showSaveError(err) {
+    if (err.status === 422 && err.body?.fieldErrors) {
+      setFieldErrors(err.body.fieldErrors);
+      setError("Some fields need attention — see the messages below each field.");
+      return;
+    }
+    // Another entry already uses a unique value; the message names it
+    if (err.status === 409 && err.body?.code === "UNIQUE_CONFLICT") {
+      setFieldErrors(err.body.fieldErrors || {});
+      setError(err.body.error);
+      return;
+    }
+    setError(err.message || "Failed to save entry");
+  }
+
+  // `nextStatus` is set when a workflow button saves and moves the entry on
+  async function handleSave(e, nextStatus) {
+    e?.preventDefault();
+    const targetStatus = typeof nextStatus === "string" ? nextStatus : status;
     setError("");
+    setFieldErrors({});
     setSaveMessage("");
 
     const computedTitle =
@@ -720,18 +759,22 @@ export default function Editor() {
         ...sanitized,
         title: computedTitle.trim(),
         slug: finalSlug,
-        status,
+        status: targetStatus,
         _title: computedTitle.trim(),
         _slug: finalSlug,
-        _status: status,
+        _status: targetStatus,
       };
 
       const payload = {
         title: computedTitle.trim(),
         slug: finalSlug,
-        status,
+        status: targetStatus,
+        publish_at: publishAt,
+        unpublish_at: unpublishAt,
         data: mergedData,
       };
+      // New entries belong to their creator unless someone else is picked
+      if (!isNew || ownerId) payload.owner_id = ownerId || null;
 
       if (isNew) {
         const res = await api.post(`/api/content/${typeSlug}`, payload);
@@ -753,56 +796,124 @@ export default function Editor() {
           setSaveMessage("Entry created (reload list to see it).");
         }
       } else {
-        const res = await api.put(`/api/content/${typeSlug}/${entryId}`, payload);
-        if (res && res.ok === false) {
-          throw new Error(res.error || res.detail || "Failed to save entry");
-        }
-
-        const updated = res.entry || res.data || res;
-        setResolved(updated?._resolved || null);
+        await saveExisting(payload, entryVersion);
+      }
+    } catch (err) {
+      console.error("Failed to save entry", err);
+      showSaveError(err);
+    } finally {
+      setSaving(false);
+    }
+  }
 
-        if (updated) {
-          const entryData = updated.data || mergedData;
+  // PUT with If-Match. A 409 that carries the server copy opens the conflict
+  // dialog instead of failing; returns true once the entry is saved.
+  async function saveExisting(payload, version, target = entryId) {
+    const headers = version != null ? { "If-Match": `"${version}"` } : {};
 
-          const loadedTitle =
-            updated.title ?? entryData.title ?? entryData._title ?? computedTitle;
-          const loadedSlug = updated.slug ?? entryData.slug ?? entryData._slug ?? finalSlug;
-          const loadedStatus =
-            updated.status ?? entryData.status ?? entryData._status ?? status;
+    let res;
+    try {
+      res = await api.put(`/api/content/${typeSlug}/${target}${localeQuery}`, payload, {
+        headers,
+      });
+    } catch (err) {
+      if (err.status === 409 && err.body?.current) {
+        setConflict({ mine: payload, theirs: err.body.current });
+        return false;
+      }
+      throw err;
+    }
+    if (res && res.ok === false) {
+      throw new Error(res.error || res.detail || "Failed to save entry");
+    }
 
-          setTitle(loadedTitle);
-          setSlug(loadedSlug);
-          setStatus(loadedStatus);
-          setData(entryData);
+    const updated = res.entry || res.data || res;
+    setResolved(updated?._resolved || null);
+    setLocaleInfo(updated?._locale || null);
+
+    if (updated) {
+      const entryData = updated.data || payload.data;
+
+      const loadedTitle =
+        updated.title ?? entryData.title ?? entryData._title ?? payload.title;
+      const loadedSlug = updated.slug ?? entryData.slug ?? entryData._slug ?? payload.slug;
+      const loadedStatus =
+        updated.status ?? entryData.status ?? entryData._status ?? payload.status;
+
+      setTitle(loadedTitle);
+      setSlug(loadedSlug);
+      setStatus(loadedStatus);
+      setPublishAt(updated.publish_at ?? null);
+      setUnpublishAt(updated.unpublish_at ?? null);
+      setOwnerId(updated.owner_id || "");
+      setAuthorship({ createdBy: updated.created_by || null, updatedBy: updated.updated_by || null });
+      setData(entryData);
+      setEntryVersion(updated.version ?? null);
+
+      // The URL keeps the default-locale slug while editing a translation
+      if (!locale && loadedSlug && loadedSlug !== entryId) {
+        navigate(`/admin/content/${typeSlug}/${loadedSlug}`, { replace: true });
+      }
+    }
 
-          if (loadedSlug && loadedSlug !== entryId) {
-            navigate(`/admin/content/${typeSlug}/${loadedSlug}`, { replace: true });
-          }
-        }
+    setSaveMessage("Entry saved.");
+    setHistoryKey((k) => k + 1);
+    return true;
+  }
 
-        setSaveMessage("Entry saved.");
-      }
+  // Save the merged result against the server version shown in the dialog
+  async function handleResolveConflict(merged) {
+    const theirs = conflict?.theirs;
+    setError("");
+    setSaving(true);
+    try {
+      const saved = await saveExisting(merged, theirs?.version ?? null, theirs?.id || entryId);
+      if (saved) setConflict(null);
     } catch (err) {
-      console.error("Failed to save entry", err);
-      setError(err.message || "Failed to save entry");
+      console.error("Failed to save merged entry", err);
+      if (err.status === 422 || err.body?.code === "UNIQUE_CONFLICT") setConflict(null);
+      showSaveError(err);
     } finally {
       setSaving(false);
     }
   }
 
+  function handleDiscardMine() {
+    const theirs = conflict?.theirs;
+    setConflict(null);
+    if (!locale && theirs?.slug && theirs.slug !== entryId) {
+      navigate(`/admin/content/${typeSlug}/${theirs.slug}`, { replace: true });
+    } else {
+      setEntryReloadKey((k) => k + 1);
+    }
+    setSaveMessage("Loaded the latest saved version.");
+  }
+
+  function handleRestored(restored) {
+    const restoredSlug = restored?.slug;
+    if (restoredSlug && restoredSlug !== entryId) {
+      navigate(`/admin/content/${typeSlug}/${restoredSlug}`, { replace: true });
+    } else {
+      setEntryReloadKey((k) => k + 1);
+    }
+    setHistoryKey((k) => k + 1);
+    setSaveMessage(
+      restored?.version ? `Restored as version ${restored.version}.` : "Version restored."
+    );
+  }
+
   async function handleDelete() {
     if (isNew) {
       navigate(`/admin/content/${typeSlug}`);
       return;
     }
 
-    if (!window.confirm("Delete this entry? This cannot be undone.")) return;
+    if (!window.confirm("Move this entry to the trash? It can be restored from the trash.")) return;
 
     try {
       setSaving(true);
       setSaveMessage("");
-      // NOTE: api wrappers typically use `.delete`, not `.del`
-      const res = await api.delete(`/api/content/${typeSlug}/${entryId}`);
+      const res = await api.del(`/api/content/${typeSlug}/${entryId}`);
       if (res && res.ok === false) {
         throw new Error(res.error || res.detail || "Failed to delete entry");
       }
@@ -936,6 +1047,40 @@ export default function Editor() {
           </div>
         )}
 
+        {!isNew && localeOptions.length > 1 && (
+          <div className="su-card su-mb-md">
+            <div className="su-card-body su-flex su-flex-wrap su-gap-sm su-items-center">
+              <span className="su-text-sm su-text-muted">Language:</span>
+              {localeOptions.map((code) => {
+                const active = code === (locale || defaultLocale);
+                return (
+                  <button
+                    key={code}
+                    type="button"
+                    className={"su-chip" + (active ? " su-chip--active" : "")}
+                    disabled={saving}
+                    onClick={() => {
+                      if (active) return;
+                      setLocaleParamInUrl(code === defaultLocale ? "" : code);
+                    }}
+                  >
+                    {code}
+                    {code === defaultLocale && <span className="su-chip-badge">default</span>}
+                  </button>
+                );
+              })}
+              {locale && localeInfo && (
+                <span className="su-text-xs su-text-muted">
+                  {localeInfo.untranslated?.length
+                    ? `${localeInfo.untranslated.length} field(s) not translated yet`
+                    : "All localizable fields translated"}
+                  {" · "}status, schedule and owner are edited in {defaultLocale}
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+
         {error && (
           <div
             style={{
@@ -999,22 +1144,64 @@ export default function Editor() {
               </label>
             )}
 
-            {!coreCfg.hideStatus && (
-              <label style={{ fontSize: 13 }}>
-                {coreCfg.statusLabel || "Status"}
-                <select
-                  className="su-select"
-                  value={status}
-                  onChange={(e) => setStatus(e.target.value)}
-                >
-                  <option value="draft">Draft</option>
-                  <option value="published">Published</option>
-                  <option value="archived">Archived</option>
-                </select>
-              </label>
+            {!coreCfg.hideStatus && !locale && (
+              <EntryWorkflowBar
+                typeSlug={typeSlug}
+                entryId={entryId}
+                isNew={isNew}
+                status={status}
+                refreshKey={historyKey}
+                disabled={saving}
+                label={coreCfg.statusLabel || "Status"}
+                onInitialState={setStatus}
+                onTransition={(to) => handleSave(null, to)}
+              />
             )}
+
+            <div style={{ fontSize: 13 }}>
+              <div>Owner</div>
+              {locale || !canReassign ? (
+                <div style={{ opacity: 0.8 }}>{ownerId ? userName(ownerId) : "—"}</div>
+              ) : (
+                <FieldInput
+                  field={{
+                    key: "owner_id",
+                    type: "relation_user",
+                    label: "Owner",
+                    config: { multiple: false, onlyActive: false },
+                  }}
+                  value={ownerId}
+                  onChange={(v) => setOwnerId(v || "")}
+                  resolved={resolved}
+                />
+              )}
+              {isNew && !ownerId && (
+                <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>
+                  Defaults to you.
+                </div>
+              )}
+              {!isNew && (authorship.createdBy || authorship.updatedBy) && (
+                <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>
+                  {authorship.createdBy && `Created by ${userName(authorship.createdBy)}`}
+                  {authorship.createdBy && authorship.updatedBy && " · "}
+                  {authorship.updatedBy && `Last edited by ${userName(authorship.updatedBy)}`}
+                </div>
+              )}
+            </div>
           </div>
 
+          {!coreCfg.hideStatus && !locale && (
+            <EntryScheduleControls
+              publishAt={publishAt}
+              unpublishAt={unpublishAt}
+              timezone={settings?.timezone || "America/Los_Angeles"}
+              onChange={(next) => {
+                setPublishAt(next.publishAt);
+                setUnpublishAt(next.unpublishAt);
+              }}
+            />
+          )}
+
           {/* Structured fields */}
           <div style={{ marginBottom: 16 }}>
             <div
@@ -1065,12 +1252,13 @@ export default function Editor() {
                     const key = def && def.key;
                     if (!key) return null;
                     const value = data ? data[key] : undefined;
+                    const messages = errorsForField(key);
 
                     return (
                       <div key={key} style={{ gridColumn: `span ${width || 1}` }}>
                         <div style={{ display: "grid", gap: 6 }}>
                           <label style={{ fontSize: 13, fontWeight: 600 }}>
-                            {def.label || def.name || def.key}
+                            {def.label || def.name || def.key} {localeBadge(def)}
                           </label>
 
                           <FieldInput
@@ -1079,6 +1267,13 @@ export default function Editor() {
                             onChange={(val) => {
                               if (!key) return;
                               setData((prev) => ({ ...(prev || {}), [key]: val }));
+                              if (messages.length) {
+                                setFieldErrors((prev) =>
+                                  Object.fromEntries(
+                                    Object.entries(prev).filter(([path]) => !pathBelongsTo(path, key))
+                                  )
+                                );
+                              }
                             }}
                             relatedCache={relatedCache}
                             choicesCache={choicesCache}
@@ -1086,6 +1281,12 @@ export default function Editor() {
                             entryContext={{ typeSlug, entryId }}
                           />
 
+                          {messages.map((m) => (
+                            <div key={m} role="alert" style={{ fontSize: 12, color: "#b91c1c" }}>
+                              {m}
+                            </div>
+                          ))}
+
                           {(def.help || def.description) && (
                             <div style={{ fontSize: 12, opacity: 0.7 }}>
                               {def.help || def.description}
@@ -1108,6 +1309,16 @@ export default function Editor() {
             <button className="su-btn" type="button" onClick={() => navigate(-1)} disabled={saving}>
               Back
             </button>
+            {!isNew && (
+              <button
+                className="su-btn"
+                type="button"
+                onClick={() => setDuplicating(true)}
+                disabled={saving}
+              >
+                Duplicate
+              </button>
+            )}
             <button
               className="su-btn"
               type="button"
@@ -1125,71 +1336,115 @@ export default function Editor() {
         </form>
       </div>
 
-      {/* RIGHT: Preview card (can be hidden by view config) */}
-      {!coreCfg.hidePreview && (
-        <div className="su-card">
-          <h2 style={{ marginTop: 0, marginBottom: 12 }}>Preview</h2>
+      {/* RIGHT: Preview card (can be hidden by view config) + history */}
+      <div>
+        {!coreCfg.hidePreview && (
+          <div className="su-card">
+            <h2 style={{ marginTop: 0, marginBottom: 12 }}>Preview</h2>
 
-          <div
-            style={{
-              borderRadius: 10,
-              border: "1px solid var(--su-border)",
-              padding: 12,
-              marginBottom: 16,
-            }}
-          >
-            <div style={{ marginBottom: 8 }}>
-              <div style={{ fontSize: 16, fontWeight: 600 }}>
-                {title || "(untitled entry)"}
-              </div>
-              <div style={{ fontSize: 12, opacity: 0.7 }}>
-                /{slug || slugify(title || "my-entry")} ·{" "}
-                <span style={{ textTransform: "uppercase" }}>{status}</span>
+            <div
+              style={{
+                borderRadius: 10,
+                border: "1px solid var(--su-border)",
+                padding: 12,
+                marginBottom: 16,
+              }}
+            >
+              <div style={{ marginBottom: 8 }}>
+                <div style={{ fontSize: 16, fontWeight: 600 }}>
+                  {title || "(untitled entry)"}
+                </div>
+                <div style={{ fontSize: 12, opacity: 0.7 }}>
+                  /{slug || slugify(title || "my-entry")} ·{" "}
+                  <span style={{ textTransform: "uppercase" }}>{status}</span>
+                </div>
               </div>
-            </div>
 
-            <div style={{ borderTop: "1px solid var(--su-border)", paddingTop: 8 }}>
-              {customFieldEntries.length === 0 && (
-                <p style={{ fontSize: 12, opacity: 0.7 }}>No fields yet.</p>
-              )}
+              <div style={{ borderTop: "1px solid var(--su-border)", paddingTop: 8 }}>
+                {customFieldEntries.length === 0 && (
+                  <p style={{ fontSize: 12, opacity: 0.7 }}>No fields yet.</p>
+                )}
 
-              {customFieldEntries.map(([k, v]) => (
-                <div
-                  key={k}
-                  style={{
-                    display: "grid",
-                    gridTemplateColumns: "120px minmax(0,1fr)",
-                    gap: 8,
-                    padding: "4px 0",
-                    fontSize: 13,
-                  }}
-                >
-                  <div style={{ opacity: 0.7 }}>{k}</div>
-                  <div>{prettyValueForField(k, v)}</div>
-                </div>
-              ))}
+                {customFieldEntries.map(([k, v]) => (
+                  <div
+                    key={k}
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: "120px minmax(0,1fr)",
+                      gap: 8,
+                      padding: "4px 0",
+                      fontSize: 13,
+                    }}
+                  >
+                    <div style={{ opacity: 0.7 }}>{k}</div>
+                    <div>{prettyValueForField(k, v)}</div>
+                  </div>
+                ))}
+              </div>
             </div>
+
+            <h3 style={{ marginTop: 0, marginBottom: 8, fontSize: 14 }}>
+              Raw JSON (<code>entries.data</code>)
+            </h3>
+            <pre
+              style={{
+                fontSize: 11,
+                background: "#0b1120",
+                color: "#d1fae5",
+                borderRadius: 10,
+                padding: 10,
+                maxHeight: 480,
+                overflow: "auto",
+                fontFamily:
+                  'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
+              }}
+            >
+              {JSON.stringify(previewData, null, 2)}
+            </pre>
           </div>
+        )}
 
-          <h3 style={{ marginTop: 0, marginBottom: 8, fontSize: 14 }}>
-            Raw JSON (<code>entries.data</code>)
-          </h3>
-          <pre
-            style={{
-              fontSize: 11,
-              background: "#0b1120",
-              color: "#d1fae5",
-              borderRadius: 10,
-              padding: 10,
-              maxHeight: 480,
-              overflow: "auto",
-              fontFamily:
-                'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace',
-            }}
-          >
-            {JSON.stringify(previewData, null, 2)}
-          </pre>
-        </div>
+        {!isNew && (
+          <EntryReferences typeSlug={typeSlug} entryId={entryId} refreshKey={historyKey} />
+        )}
+
+        {!isNew && (
+          <EntryHistory
+            typeSlug={typeSlug}
+            entryId={entryId}
+            refreshKey={historyKey}
+            onRestored={handleRestored}
+          />
+        )}
+      </div>
+
+      {conflict && (
+        <EntryConflictDialog
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          labelFor={(key) => {
+            const def = fieldDefByKey[key];
+            return def?.label || def?.name || key;
+          }}
+          formatValue={prettyValueForField}
+          busy={saving}
+          onResolve={handleResolveConflict}
+          onDiscardMine={handleDiscardMine}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
+      {duplicating && (
+        <DuplicateEntryDialog
+          typeSlug={typeSlug}
+          entry={{ id: entryId, title, slug }}
+          fields={contentType?.fields}
+          onClose={() => setDuplicating(false)}
+          onDuplicated={(copy) => {
+            setDuplicating(false);
+            navigate(`/admin/content/${typeSlug}/${copy.slug || copy.id}`);
+          }}
+        />
       )}
     </div>
   );
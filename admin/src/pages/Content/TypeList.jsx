@@ -2,66 +2,49 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { api } from '../../lib/api';
 import { useSettings } from '../../context/SettingsContext';
+import useHasPermission from '../../hooks/useHasPermission';
 
 // ✅ NEW: list/widget display helper (handles repeaters, nested repeaters, etc.)
 import { formatFieldValueForList } from '../../components/FieldInput';
+import BulkActionBar from '../../components/BulkActionBar';
+import EntryExportMenu from '../../components/EntryExportMenu';
+import EntryImportDialog from '../../components/EntryImportDialog';
+import DuplicateEntryDialog from '../../components/DuplicateEntryDialog';
+import SearchSnippet from '../../components/SearchSnippet';
+import { asPrettyInline, deriveTitleFromTemplate } from '@apiLib/titleTemplate.js';
 
 
-// ---------------------------------------------------------------------------
-// Title template helpers (mirrors Entry Editor view logic)
-// ---------------------------------------------------------------------------
-function getByPath(obj, path) {
-  if (!path) return undefined;
-  const parts = String(path)
-    .split('.')
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  let cur = obj;
-  for (const p of parts) {
-    if (cur == null) return undefined;
-    cur = cur[p];
-  }
-  return cur;
-}
+// Built-in columns that exist on every entry coming from the API
+const BUILTIN_KEYS = ['title', 'slug', 'status', 'created_at', 'updated_at'];
 
-function asPrettyInline(value) {
-  if (value == null) return '';
-  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
-    return String(value);
-  }
-  if (Array.isArray(value)) {
-    return value.map(asPrettyInline).filter(Boolean).join(', ');
-  }
-  if (typeof value === 'object') {
-    // common name-field shape
-    const first = value.first || '';
-    const last = value.last || '';
-    if (first || last) return `${first} ${last}`.trim();
-    try {
-      return JSON.stringify(value);
-    } catch {
-      return String(value);
-    }
+// Built-in columns holding a user id; the API resolves them into
+// row._resolved.usersById
+const USER_KEYS = ['owner_id', 'created_by', 'updated_by'];
+
+// ?mine=1 narrows the list to entries the signed-in user owns
+const MINE_FILTER = { field: 'owner_id', op: 'equals', value: 'me' };
+
+// Server-side paging
+const PAGE_SIZES = [25, 50, 100, 200];
+const DEFAULT_PAGE_SIZE = 50;
+
+// ?filter= in the admin URL uses the same JSON filter language as the API
+function parseFilterFromUrl(raw) {
+  if (!raw) return null;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    console.warn('[TypeList] Ignoring invalid ?filter= JSON');
+    return null;
   }
-  return String(value);
 }
 
-function deriveTitleFromTemplate(template, data) {
-  const tpl = String(template || '');
-  if (!tpl.trim()) return '';
-  const out = tpl.replace(/\{([^}]+)\}/g, (_, tokenRaw) => {
-    const token = String(tokenRaw || '').trim();
-    if (!token) return '';
-    const val = getByPath(data, token);
-    return asPrettyInline(val);
-  });
-  return out.replace(/\s+/g, ' ').trim();
+function readPositiveInt(value, fallback) {
+  const n = parseInt(String(value || ''), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
 }
 
-// Built-in columns that exist on every entry coming from the API
-const BUILTIN_KEYS = ['title', 'slug', 'status', 'created_at', 'updated_at'];
-
 // Local-storage helpers so each content type "remembers" the last columns used
 function loadListColumns(typeSlug) {
   try {
@@ -179,14 +162,26 @@ export default function TypeList() {
   // Depending on how the route is declared it might be :type or :typeSlug
   const typeSlug = typeSlugParam || typeSlugAlt;
 
+  // Paging / sorting / search live in the URL so they survive reloads
+  const page = readPositiveInt(searchParams.get('page'), 1);
+  const pageSize = readPositiveInt(searchParams.get('limit'), DEFAULT_PAGE_SIZE);
+  const sortParam = searchParams.get('sort') || '';
+  const qParam = searchParams.get('q') || '';
+  const filterParam = searchParams.get('filter') || '';
+  const trashMode = searchParams.get('trash') === '1';
+  const canViewTrash = useHasPermission('entries.trash');
+  const mineOnly = searchParams.get('mine') === '1';
+
   // TODO: wire this to real auth role. For now we assume ADMIN.
   const role = 'ADMIN';
   const roleUpper = role.toUpperCase();
 
   // 🔔 listen for global “list views changed” bumps
-  const { listViewsVersion } = useSettings();
+  const { listViewsVersion, settings } = useSettings();
 
   const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searchInput, setSearchInput] = useState(qParam);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [availableKeys, setAvailableKeys] = useState([]);
@@ -201,6 +196,16 @@ export default function TypeList() {
 
   const [columns, setColumns] = useState([]);
 
+  // Bumped after trash actions to refetch the current page
+  const [reloadKey, setReloadKey] = useState(0);
+  const [trashBusy, setTrashBusy] = useState(false);
+
+  // Row selection for bulk actions (ids on the current page)
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkNotice, setBulkNotice] = useState('');
+  const [showImport, setShowImport] = useState(false);
+  const [duplicateRow, setDuplicateRow] = useState(null);
+
   // ---------------------------------------------------------------------------
   // Load entries, content-type metadata, and list views
   // ---------------------------------------------------------------------------
@@ -212,22 +217,7 @@ export default function TypeList() {
       setLoading(true);
       setError('');
       try {
-        // 1) Load entries for this content type (by slug)
-        const entriesRes = await api.get(`/api/content/${typeSlug}`);
-        const list = Array.isArray(entriesRes)
-          ? entriesRes
-          : entriesRes?.data || [];
-        if (cancelled) return;
-        setRows(list);
-
-        const keys = collectKeysFromRows(list);
-        if (cancelled) return;
-        setAvailableKeys(keys);
-
-        const idKey = getIdentifierKeyForType();
-        setTitleKey(idKey);
-
-        // 2) Try to resolve the content type
+        // 1) Try to resolve the content type
         let ct = null;
 
         try {
@@ -255,7 +245,7 @@ export default function TypeList() {
           setContentType(ct || null);
         }
 
-        // 3) Load list views for this content type + role
+        // 2) Load list views for this content type + role
         let views = [];
         if (ct && ct.id) {
           try {
@@ -287,7 +277,6 @@ export default function TypeList() {
         setListViews(views || []);
 
         const viewFromUrl = searchParams.get('view') || '';
-        const keysFromRows = keys;
 
         let effectiveCols = [];
         let chosenView = null;
@@ -329,6 +318,45 @@ export default function TypeList() {
           }
         }
 
+        // 3) Load one page of entries for this content type (by slug).
+        //    The chosen list view may carry a saved filter; an explicit
+        //    ?filter= in the URL is ANDed on top of it. The trash ignores
+        //    view filters so nothing deleted is hidden from it.
+        const qs = new URLSearchParams();
+        qs.set('limit', String(pageSize));
+        qs.set('offset', String((page - 1) * pageSize));
+        if (sortParam) qs.set('sort', sortParam);
+        if (qParam) qs.set('q', qParam);
+
+        const viewFilter = trashMode ? null : chosenView?.config?.filter || null;
+        const urlFilter = parseFilterFromUrl(filterParam);
+        const filters = [viewFilter, urlFilter, mineOnly ? MINE_FILTER : null].filter(Boolean);
+        if (filters.length) {
+          qs.set(
+            'filter',
+            JSON.stringify(filters.length === 1 ? filters[0] : { and: filters }),
+          );
+        }
+
+        const listUrl = `/api/content/${typeSlug}${trashMode ? '/trash' : ''}`;
+        const entriesRes = await api.get(`${listUrl}?${qs.toString()}`);
+        const list = Array.isArray(entriesRes)
+          ? entriesRes
+          : entriesRes?.entries || entriesRes?.data || [];
+        if (cancelled) return;
+        setRows(list);
+        setTotal(
+          typeof entriesRes?.total === 'number' ? entriesRes.total : list.length,
+        );
+
+        const keys = collectKeysFromRows(list);
+        if (cancelled) return;
+        setAvailableKeys(keys);
+        const keysFromRows = keys;
+
+        const idKey = getIdentifierKeyForType();
+        setTitleKey(idKey);
+
         // If no view-based configuration, fall back to localStorage or generic defaults
         if (!effectiveCols.length) {
           const storedCols = loadListColumns(typeSlug);
@@ -371,7 +399,7 @@ export default function TypeList() {
     return () => {
       cancelled = true;
     };
-  }, [typeSlug, roleUpper, listViewsVersion, viewParam]); // ✅ correct deps
+  }, [typeSlug, roleUpper, listViewsVersion, viewParam, reloadKey]); // ✅ correct deps
 
   // ---------------------------------------------------------------------------
   // Derived state
@@ -405,7 +433,7 @@ export default function TypeList() {
   }
 
   function handleClickRow(row) {
-    if (!typeSlug) return;
+    if (!typeSlug || trashMode) return;
     const slugOrId =
       row.slug ||
       (row.data && (row.data.slug || row.data._slug)) ||
@@ -434,13 +462,181 @@ export default function TypeList() {
 
     const next = new URLSearchParams(searchParams);
     next.set('view', slug);
+    next.delete('page');
     setSearchParams(next);
   }
 
+  // ---------------------------------------------------------------------------
+  // Paging, sorting and search (all round-trip through the URL)
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    setSearchInput(qParam);
+  }, [qParam]);
+
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+
+  function updateListParams(patch) {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(patch).forEach(([k, v]) => {
+      if (v === '' || v == null) next.delete(k);
+      else next.set(k, String(v));
+    });
+    setSearchParams(next);
+  }
+
+  function handleSearchSubmit(e) {
+    e.preventDefault();
+    updateListParams({ q: searchInput.trim(), page: '' });
+  }
+
+  function handleClearSearch() {
+    setSearchInput('');
+    updateListParams({ q: '', page: '' });
+  }
+
+  function handleGoToPage(nextPage) {
+    const p = Math.min(Math.max(nextPage, 1), pageCount);
+    updateListParams({ page: p > 1 ? p : '' });
+  }
+
+  function handleChangePageSize(size) {
+    updateListParams({
+      limit: size === DEFAULT_PAGE_SIZE ? '' : size,
+      page: '',
+    });
+  }
+
+  // Click a header: ascending → descending → default order
+  function handleSortBy(key) {
+    let nextSort = key;
+    if (sortParam === key) nextSort = `-${key}`;
+    else if (sortParam === `-${key}`) nextSort = '';
+    updateListParams({ sort: nextSort, page: '' });
+  }
+
+  function sortIndicator(key) {
+    if (sortParam === key) return ' ▲';
+    if (sortParam === `-${key}`) return ' ▼';
+    return '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Selection + bulk actions
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    setSelectedIds([]);
+    setBulkNotice('');
+  }, [typeSlug, viewParam]);
+
+  const pageIds = useMemo(() => rows.map((r) => r.id).filter(Boolean), [rows]);
+  const allOnPageSelected =
+    pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+  function toggleSelected(id) {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id],
+    );
+  }
+
+  function toggleSelectAllOnPage() {
+    setSelectedIds(allOnPageSelected ? [] : pageIds);
+  }
+
+  // Keep failed rows selected so they can be retried or inspected
+  function handleBulkDone(res, summary) {
+    const failedIds = (res?.results || []).filter((r) => !r.ok).map((r) => r.id);
+    setSelectedIds(failedIds);
+    setBulkNotice(summary || '');
+    setReloadKey((k) => k + 1);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Trash
+  // ---------------------------------------------------------------------------
+  const trashRetentionDays = Number.isFinite(Number(settings?.trashRetentionDays))
+    ? Number(settings.trashRetentionDays)
+    : 30;
+
+  // Export applies the view's filter itself; pass along what the URL adds
+  const exportFilter = useMemo(() => {
+    const urlFilter = parseFilterFromUrl(filterParam);
+    const filters = [urlFilter, mineOnly ? MINE_FILTER : null].filter(Boolean);
+    if (!filters.length) return '';
+    return JSON.stringify(filters.length === 1 ? filters[0] : { and: filters });
+  }, [filterParam, mineOnly]);
+
+  function handleToggleTrash() {
+    updateListParams({ trash: trashMode ? '' : '1', page: '', sort: '' });
+  }
+
+  async function runTrashAction(fn, failMessage) {
+    setTrashBusy(true);
+    setError('');
+    try {
+      await fn();
+      setReloadKey((k) => k + 1);
+    } catch (e) {
+      console.error('[TypeList] trash action failed', e);
+      setError(failMessage);
+    } finally {
+      setTrashBusy(false);
+    }
+  }
+
+  function handleRestoreFromTrash(row) {
+    runTrashAction(
+      () => api.post(`/api/content/${typeSlug}/${row.id}/restore`, {}),
+      'Failed to restore entry.',
+    );
+  }
+
+  function handleDeleteForever(row) {
+    const label = row.title || row.slug || row.id;
+    if (!window.confirm(`Permanently delete “${label}”? This cannot be undone.`)) return;
+    runTrashAction(
+      () => api.del(`/api/content/${typeSlug}/${row.id}?permanent=true`),
+      'Failed to delete entry.',
+    );
+  }
+
+  function handleEmptyTrash() {
+    if (!window.confirm('Permanently delete every entry in the trash? This cannot be undone.')) {
+      return;
+    }
+    runTrashAction(
+      () => api.post(`/api/content/${typeSlug}/trash/purge`, {}),
+      'Failed to empty the trash.',
+    );
+  }
+
+  function handleImported(res) {
+    setShowImport(false);
+    setBulkNotice(
+      `Imported ${res.created} new and ${res.updated} updated ${
+        res.created + res.updated === 1 ? 'entry' : 'entries'
+      }${res.failed ? `; ${res.failed} rows skipped with errors` : ''}.`,
+    );
+    setReloadKey((k) => k + 1);
+  }
+
+  function deletedByLabel(row) {
+    const u = row._resolved?.deletedBy;
+    return u ? u.name || u.email : '';
+  }
+
+  function userColumnLabel(row, key) {
+    const id = row[key];
+    if (!id) return '';
+    const u = row._resolved?.usersById?.[id];
+    return u ? u.name || u.email : id;
+  }
+
   // ---------------------------------------------------------------------------
   // Render one cell with heuristics for images, text, dates, etc.
   // ---------------------------------------------------------------------------
   function renderCell(row, key) {
+    if (USER_KEYS.includes(key)) return userColumnLabel(row, key);
+
     let value;
     if (key === 'title') {
       const tCfg = activeView?.config?.title && typeof activeView.config.title === 'object' ? activeView.config.title : {};
@@ -568,6 +764,9 @@ export default function TypeList() {
     map.status = 'Status';
     map.created_at = 'Created';
     map.updated_at = 'Updated';
+    map.owner_id = 'Owner';
+    map.created_by = 'Created by';
+    map.updated_by = 'Updated by';
 
     const tCfg = activeView?.config?.title;
     if (tCfg && typeof tCfg === 'object' && tCfg.label) {
@@ -605,12 +804,19 @@ export default function TypeList() {
           <h1 className="su-page-title">
             {contentType?.name || contentType?.label || 'Entries'}
           </h1>
-          <p className="su-page-subtitle">Manage entries for this content type.</p>
+          <p className="su-page-subtitle">
+            {trashMode
+              ? trashRetentionDays > 0
+                ? `Trash · entries are deleted permanently ${trashRetentionDays} days after they were trashed.`
+                : 'Trash · entries stay here until deleted permanently.'
+              : 'Manage entries for this content type.'}
+          </p>
 
           {activeViewLabel && (
             <p className="su-text-xs su-text-muted">
               Using view: <strong>{activeViewLabel}</strong>{' '}
               {activeViewIsDefaultForRole && '(default for this role)'}
+              {activeView?.config?.filter && ' · filtered'}
             </p>
           )}
 
@@ -624,16 +830,59 @@ export default function TypeList() {
         </div>
 
         <div className="su-flex su-gap-sm">
-          <button
-            type="button"
-            className="su-btn su-btn-primary"
-            onClick={handleClickNew}
-          >
-            + New entry
-          </button>
+          {(trashMode || canViewTrash) && (
+            <button type="button" className="su-btn" onClick={handleToggleTrash}>
+              {trashMode ? '← Back to entries' : 'Trash'}
+            </button>
+          )}
+          {trashMode ? (
+            <button
+              type="button"
+              className="su-btn"
+              onClick={handleEmptyTrash}
+              disabled={trashBusy || !total}
+            >
+              Empty trash
+            </button>
+          ) : (
+            <>
+              <button type="button" className="su-btn" onClick={() => setShowImport(true)}>
+                Import
+              </button>
+              <button
+                type="button"
+                className="su-btn su-btn-primary"
+                onClick={handleClickNew}
+              >
+                + New entry
+              </button>
+            </>
+          )}
         </div>
       </div>
 
+      {showImport && (
+        <EntryImportDialog
+          typeSlug={typeSlug}
+          fields={contentType?.fields}
+          onClose={() => setShowImport(false)}
+          onImported={handleImported}
+        />
+      )}
+
+      {duplicateRow && (
+        <DuplicateEntryDialog
+          typeSlug={typeSlug}
+          entry={duplicateRow}
+          fields={contentType?.fields}
+          onClose={() => setDuplicateRow(null)}
+          onDuplicated={(copy) => {
+            setDuplicateRow(null);
+            navigate(`/admin/content/${typeSlug}/${copy.slug || copy.id}`);
+          }}
+        />
+      )}
+
       {listViews.length > 0 && (
         <div className="su-card su-mb-md">
           <div className="su-card-body su-flex su-flex-wrap su-gap-sm su-items-center">
@@ -665,15 +914,81 @@ export default function TypeList() {
         </div>
       )}
 
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          key={trashMode ? 'trash' : 'live'}
+          typeSlug={typeSlug}
+          selectedIds={selectedIds}
+          fields={contentType?.fields}
+          trashMode={trashMode}
+          onDone={handleBulkDone}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
       <div className="su-card">
         <div className="su-card-body">
+          <form
+            className="su-flex su-flex-wrap su-gap-sm su-items-center su-mb-md"
+            onSubmit={handleSearchSubmit}
+          >
+            <input
+              className="su-input"
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search entries…"
+              style={{ maxWidth: 320 }}
+            />
+            <button type="submit" className="su-btn">
+              Search
+            </button>
+            {qParam && (
+              <button type="button" className="su-btn" onClick={handleClearSearch}>
+                Clear
+              </button>
+            )}
+            {!trashMode && (
+              <label className="su-text-sm su-flex su-items-center su-gap-xs">
+                <input
+                  type="checkbox"
+                  checked={mineOnly}
+                  onChange={(e) => updateListParams({ mine: e.target.checked ? '1' : '', page: '' })}
+                />
+                My entries
+              </label>
+            )}
+            <span className="su-text-sm su-text-muted">
+              {total} {total === 1 ? 'entry' : 'entries'}
+              {qParam ? ` matching “${qParam}”` : ''}
+            </span>
+            {!!total && (
+              <EntryExportMenu
+                typeSlug={typeSlug}
+                viewSlug={trashMode ? '' : activeViewSlug}
+                sort={sortParam}
+                q={qParam}
+                filter={trashMode ? filterParam : exportFilter}
+                trash={trashMode}
+              />
+            )}
+          </form>
+
+          {bulkNotice && !selectedIds.length && (
+            <p className="su-text-sm su-text-muted">{bulkNotice}</p>
+          )}
+
           {loading && <p>Loading entries…</p>}
 
           {error && <div className="su-alert su-alert-danger su-mb-md">{error}</div>}
 
           {!loading && !rows.length && !error && (
             <p className="su-text-muted">
-              No entries yet. Click “New entry” to create the first one.
+              {qParam
+                ? 'No entries match this search.'
+                : trashMode
+                  ? 'The trash is empty.'
+                  : 'No entries yet. Click “New entry” to create the first one.'}
             </p>
           )}
 
@@ -682,9 +997,39 @@ export default function TypeList() {
               <table className="su-table">
                 <thead>
                   <tr>
+                    <th style={{ width: 32 }}>
+                      <input
+                        type="checkbox"
+                        aria-label="Select all on this page"
+                        checked={allOnPageSelected}
+                        onChange={toggleSelectAllOnPage}
+                      />
+                    </th>
                     {displayColumns.map((key) => (
-                      <th key={key}>{labelByKey[key] || key}</th>
+                      <th
+                        key={key}
+                        onClick={() => handleSortBy(key)}
+                        style={{ cursor: 'pointer', userSelect: 'none' }}
+                        title="Sort by this column"
+                      >
+                        {labelByKey[key] || key}
+                        {sortIndicator(key)}
+                      </th>
                     ))}
+                    {trashMode && (
+                      <>
+                        <th
+                          onClick={() => handleSortBy('deleted_at')}
+                          style={{ cursor: 'pointer', userSelect: 'none' }}
+                          title="Sort by this column"
+                        >
+                          Deleted
+                          {sortIndicator('deleted_at')}
+                        </th>
+                        <th />
+                      </>
+                    )}
+                    {!trashMode && <th />}
                   </tr>
                 </thead>
                 <tbody>
@@ -693,12 +1038,73 @@ export default function TypeList() {
                     return (
                       <tr
                         key={id}
-                        className="su-table-row su-table-row--clickable"
+                        className={
+                          'su-table-row' + (trashMode ? '' : ' su-table-row--clickable')
+                        }
                         onClick={() => handleClickRow(row)}
                       >
-                        {displayColumns.map((key) => (
-                          <td key={key}>{renderCell(row, key)}</td>
+                        <td onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            aria-label="Select entry"
+                            checked={selectedIds.includes(id)}
+                            onChange={() => toggleSelected(id)}
+                          />
+                        </td>
+                        {displayColumns.map((key, i) => (
+                          <td key={key}>
+                            {renderCell(row, key)}
+                            {i === 0 && row._search?.snippet && (
+                              <div className="su-text-xs su-text-muted">
+                                <SearchSnippet snippet={row._search.snippet} />
+                              </div>
+                            )}
+                          </td>
                         ))}
+                        {trashMode && (
+                          <>
+                            <td>
+                              {formatDate(row.deleted_at)}
+                              {deletedByLabel(row) && (
+                                <span className="su-text-xs su-text-muted">
+                                  {' '}
+                                  by {deletedByLabel(row)}
+                                </span>
+                              )}
+                            </td>
+                            <td>
+                              <div className="su-flex su-gap-sm">
+                                <button
+                                  type="button"
+                                  className="su-btn"
+                                  disabled={trashBusy}
+                                  onClick={() => handleRestoreFromTrash(row)}
+                                >
+                                  Restore
+                                </button>
+                                <button
+                                  type="button"
+                                  className="su-btn"
+                                  disabled={trashBusy}
+                                  onClick={() => handleDeleteForever(row)}
+                                >
+                                  Delete forever
+                                </button>
+                              </div>
+                            </td>
+                          </>
+                        )}
+                        {!trashMode && (
+                          <td onClick={(e) => e.stopPropagation()}>
+                            <button
+                              type="button"
+                              className="su-btn"
+                              onClick={() => setDuplicateRow(row)}
+                            >
+                              Duplicate
+                            </button>
+                          </td>
+                        )}
                       </tr>
                     );
                   })}
@@ -706,6 +1112,48 @@ export default function TypeList() {
               </table>
             </div>
           )}
+
+          {total > 0 && (
+            <div className="su-flex su-flex-wrap su-gap-sm su-items-center su-justify-between su-mt-md">
+              <span className="su-text-sm su-text-muted">
+                Showing {(page - 1) * pageSize + 1}–
+                {Math.min(page * pageSize, total)} of {total}
+              </span>
+
+              <div className="su-flex su-gap-sm su-items-center">
+                <select
+                  className="su-select"
+                  value={pageSize}
+                  onChange={(e) => handleChangePageSize(Number(e.target.value))}
+                >
+                  {PAGE_SIZES.map((n) => (
+                    <option key={n} value={n}>
+                      {n} / page
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="su-btn"
+                  disabled={page <= 1 || loading}
+                  onClick={() => handleGoToPage(page - 1)}
+                >
+                  ‹ Prev
+                </button>
+                <span className="su-text-sm">
+                  Page {page} of {pageCount}
+                </span>
+                <button
+                  type="button"
+                  className="su-btn"
+                  disabled={page >= pageCount || loading}
+                  onClick={() => handleGoToPage(page + 1)}
+                >
+                  Next ›
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
@@ -726,6 +1174,13 @@ export default function TypeList() {
                 activeViewIsDefaultForRole,
                 columns: displayColumns,
                 entriesCount: rows.length,
+                total,
+                page,
+                pageSize,
+                sort: sortParam,
+                q: qParam,
+                trash: trashMode,
+                selected: selectedIds.length,
                 availableKeys,
                 titleKey,
                 listViewsVersion,
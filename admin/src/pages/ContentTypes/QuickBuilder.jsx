@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { api } from "../../lib/api";
+import WorkflowEditor from "../../components/WorkflowEditor";
 
 // === FIELD TYPES (from old QuickBuilder shim) ===
 const RAW_FIELD_TYPES = [
@@ -36,6 +37,7 @@ const RAW_FIELD_TYPES = [
   "relation_user",
   "taxonomy",
   "repeater",
+  "formula",
 ];
 
 function labelFromFieldType(type) {
@@ -63,6 +65,54 @@ function labelFromFieldType(type) {
   }
 }
 
+// Searched by default unless config.searchable is false (matches the API's
+// entry_searchable_fields())
+const DEFAULT_SEARCHABLE_TYPES = [
+  "text",
+  "textarea",
+  "rich_text",
+  "email",
+  "phone",
+  "url",
+  "name",
+  "address",
+  "tags",
+];
+
+// Default value modes per field type (api/lib/entryDefaults.js)
+const DEFAULT_MODE_LABELS = {
+  static: "Fixed value",
+  now: "Now (creation date)",
+  current_user: "Current user",
+  sequence: "Auto number (sequence)",
+};
+const STATIC_DEFAULT_TYPES = [
+  "text",
+  "textarea",
+  "number",
+  "boolean",
+  "date",
+  "email",
+  "url",
+  "phone",
+  "radio",
+  "dropdown",
+  "select",
+  "color",
+];
+
+function defaultModesFor(type) {
+  const modes = [];
+  if (STATIC_DEFAULT_TYPES.includes(type)) modes.push("static");
+  if (type === "date" || type === "datetime") modes.push("now");
+  if (type === "relation_user") modes.push("current_user");
+  if (type === "text") modes.push("sequence");
+  return modes;
+}
+
+// Types whose values can be checked for uniqueness (api/lib/entryUnique.js)
+const UNIQUE_FIELD_TYPES = ["text", "email", "phone", "url", "number", "date", "dropdown", "select"];
+
 const FIELD_TYPES = RAW_FIELD_TYPES.map((t) => ({
   value: t,
   label: labelFromFieldType(t),
@@ -322,6 +372,7 @@ export default function QuickBuilderPage() {
               label: f.label,
               type: normalizedType,
               required: !!f.required,
+              localizable: !!f.localizable,
               help_text: f.help_text || "",
               order_index:
                 typeof f.order_index === "number" ? f.order_index : 0,
@@ -461,6 +512,7 @@ export default function QuickBuilderPage() {
         label: "",
         type: "text",
         required: false,
+        localizable: false,
         help_text: "",
         order_index: prev.length,
         config: {},
@@ -498,6 +550,7 @@ export default function QuickBuilderPage() {
         label: f.label,
         type: f.type || "text",
         required: !!f.required,
+        localizable: !!f.localizable,
         help_text: f.help_text || "",
         order_index:
           typeof f.order_index === "number" ? f.order_index : index,
@@ -1191,7 +1244,9 @@ export default function QuickBuilderPage() {
                   placeholder='Example: "Item {#}: {name}"'
                 />
                 <div className="text-[11px] text-gray-500">
-                  Supports <code>{"{#}"}</code> and <code>{"{field_key}"}</code>.
+                  Supports <code>{"{#}"}</code> and <code>{"{field_key}"}</code>, plus the
+                  title template formatters (<code>{"{qty|number}"}</code>) and{" "}
+                  <code>{"[[ ]]"}</code> optional parts.
                 </div>
               </label>
             </div>
@@ -1522,30 +1577,256 @@ export default function QuickBuilderPage() {
           </div>
         )}
 
-        {![
-          "radio",
-          "dropdown",
-          "checkbox",
-          "tags",
-          "relationship",
-          "relation",
-          "relation_user",
-          "image",
-          "file",
-          "video",
-          "name",
-          "address",
-          "repeater",
-          "date",
-          "datetime",
-          "time",
-        ].includes(type) &&
-          !supportsSubfields(type) && (
-            <div className="text-xs text-gray-500">
-              This field type has no extra config yet. (We can always add more
-              later.)
+        {/* Formula fields are computed by the API on save (api/lib/entryFormulas.js) */}
+        {type === "formula" && (
+          <div className="mb-4 grid gap-3 md:grid-cols-2">
+            <label className="space-y-1 md:col-span-2">
+              <span className="font-medium">Formula</span>
+              <textarea
+                className="su-input font-mono"
+                rows={3}
+                value={cfg.formula || ""}
+                onChange={(e) => updateCfg({ formula: e.target.value })}
+                placeholder="SUM(line_items, price * qty) * (1 + tax_rate)"
+              />
+              <div className="text-[11px] text-gray-500">
+                Use field keys by name (<code>customer.name</code> for nested values),{" "}
+                <code>+ - * / %</code>, comparisons, <code>&amp;&amp; || !</code> and{" "}
+                <code>cond ? a : b</code>. Functions: SUM / AVG / MIN / MAX / COUNT(list,
+                per-row expression), ROUND, FLOOR, CEIL, ABS, IF, COALESCE, CONCAT, JOIN,
+                TEXT, UPPER, LOWER, TRIM, LEN, DAYS_BETWEEN, DATE_ADD, YEAR, MONTH, DAY.
+                Results are stored and recomputed when the entry is saved, so functions
+                that depend on today's date (TODAY, DAYS_UNTIL) aren't available.
+              </div>
+            </label>
+            <label className="space-y-1">
+              <span className="font-medium">Result type</span>
+              <select
+                className="su-input"
+                value={cfg.result_type || "number"}
+                onChange={(e) => updateCfg({ result_type: e.target.value })}
+              >
+                <option value="number">Number</option>
+                <option value="text">Text</option>
+                <option value="date">Date</option>
+                <option value="boolean">Yes / no</option>
+              </select>
+            </label>
+            {(cfg.result_type || "number") === "number" && (
+              <label className="space-y-1">
+                <span className="font-medium">Decimal places</span>
+                <input
+                  className="su-input"
+                  type="number"
+                  min={0}
+                  max={10}
+                  value={cfg.decimals ?? ""}
+                  onChange={(e) =>
+                    updateCfg({ decimals: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                  placeholder="Unrounded"
+                />
+              </label>
+            )}
+          </div>
+        )}
+
+        {/* Filled in by the API when an entry is created with this field empty */}
+        {defaultModesFor(type).length > 0 && (
+          <div className="mb-4 grid gap-3 md:grid-cols-2">
+            <label className="space-y-1">
+              <span className="font-medium">Default value</span>
+              <select
+                className="su-input"
+                value={cfg.default_mode || ""}
+                onChange={(e) =>
+                  updateCfg({
+                    default_mode: e.target.value || undefined,
+                    default_value: undefined,
+                    sequence_pattern:
+                      e.target.value === "sequence" ? cfg.sequence_pattern || "{0000}" : undefined,
+                  })
+                }
+              >
+                <option value="">None</option>
+                {defaultModesFor(type).map((m) => (
+                  <option key={m} value={m}>
+                    {DEFAULT_MODE_LABELS[m]}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {cfg.default_mode === "static" && (
+              <label className="space-y-1">
+                <span className="font-medium">Value</span>
+                {type === "boolean" ? (
+                  <input
+                    type="checkbox"
+                    checked={cfg.default_value === true}
+                    onChange={(e) => updateCfg({ default_value: e.target.checked })}
+                  />
+                ) : (
+                  <input
+                    className="su-input"
+                    type={type === "number" ? "number" : type === "date" ? "date" : "text"}
+                    value={cfg.default_value ?? ""}
+                    onChange={(e) => {
+                      const raw = e.target.value;
+                      updateCfg({
+                        default_value:
+                          raw === "" ? undefined : type === "number" ? Number(raw) : raw,
+                      });
+                    }}
+                  />
+                )}
+              </label>
+            )}
+            {cfg.default_mode === "sequence" && (
+              <label className="space-y-1">
+                <span className="font-medium">Pattern</span>
+                <input
+                  className="su-input"
+                  value={cfg.sequence_pattern || ""}
+                  onChange={(e) => updateCfg({ sequence_pattern: e.target.value })}
+                  placeholder="INV-{YYYY}-{0000}"
+                />
+                <div className="text-[11px] text-gray-500">
+                  <code>{"{0000}"}</code> is the counter (zeros set the width);{" "}
+                  <code>{"{YYYY}"}</code>, <code>{"{YY}"}</code>, <code>{"{MM}"}</code>,{" "}
+                  <code>{"{DD}"}</code> are the creation date. The counter restarts when the
+                  date part changes.
+                </div>
+              </label>
+            )}
+          </div>
+        )}
+
+        {/* Validation constraints enforced by the API on save (422 per field) */}
+        {["number", "price", "date"].includes(type) && (
+          <div className="mb-4 grid gap-3 md:grid-cols-2">
+            {["min", "max"].map((k) => (
+              <label key={k} className="space-y-1">
+                <span className="font-medium">{k === "min" ? "Minimum" : "Maximum"}</span>
+                <input
+                  className="su-input"
+                  type={type === "date" ? "date" : "number"}
+                  value={cfg[k] ?? ""}
+                  onChange={(e) => {
+                    const raw = e.target.value;
+                    updateCfg({
+                      [k]: raw === "" ? null : type === "date" ? raw : Number(raw),
+                    });
+                  }}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        {["text", "textarea", "email", "url"].includes(type) && (
+          <div className="mb-4 grid gap-3 md:grid-cols-2">
+            {[
+              ["minLength", "Min length"],
+              ["maxLength", "Max length"],
+            ].map(([k, label]) => (
+              <label key={k} className="space-y-1">
+                <span className="font-medium">{label}</span>
+                <input
+                  className="su-input"
+                  type="number"
+                  min={0}
+                  value={cfg[k] ?? ""}
+                  onChange={(e) =>
+                    updateCfg({ [k]: e.target.value === "" ? null : Number(e.target.value) })
+                  }
+                />
+              </label>
+            ))}
+            <label className="space-y-1">
+              <span className="font-medium">Pattern</span>
+              <input
+                className="su-input"
+                value={cfg.pattern || ""}
+                onChange={(e) => updateCfg({ pattern: e.target.value || null })}
+                placeholder="^[A-Z]{3}-\d+$"
+              />
+              <div className="text-[11px] text-gray-500">
+                Regular expression the value must match (anchor with ^ and $ to match all of it).
+              </div>
+            </label>
+            <label className="space-y-1">
+              <span className="font-medium">Pattern message</span>
+              <input
+                className="su-input"
+                value={cfg.patternMessage || ""}
+                onChange={(e) => updateCfg({ patternMessage: e.target.value || null })}
+                placeholder="must look like ABC-123"
+              />
+            </label>
+          </div>
+        )}
+
+        {/* Enforced by the API: a repeated value is rejected with a 409 */}
+        {UNIQUE_FIELD_TYPES.includes(type) && (
+          <div className="mb-4 grid gap-3 md:grid-cols-2">
+            <label className="flex items-center gap-2 text-xs">
+              <input
+                type="checkbox"
+                checked={cfg.unique === true}
+                onChange={(e) =>
+                  updateCfg(
+                    e.target.checked
+                      ? { unique: true }
+                      : { unique: undefined, unique_ignore_case: undefined }
+                  )
+                }
+              />
+              <span>Unique within this content type</span>
+            </label>
+            {cfg.unique === true && (
+              <label className="flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={cfg.unique_ignore_case === true}
+                  onChange={(e) => updateCfg({ unique_ignore_case: e.target.checked || undefined })}
+                />
+                <span>Ignore case</span>
+              </label>
+            )}
+          </div>
+        )}
+
+        <div className="mb-4 grid gap-3 md:grid-cols-2">
+          <label className="flex items-center gap-2 text-xs md:col-span-2">
+            <input
+              type="checkbox"
+              checked={
+                cfg.searchable === undefined
+                  ? DEFAULT_SEARCHABLE_TYPES.includes(type)
+                  : !!cfg.searchable
+              }
+              onChange={(e) => updateCfg({ searchable: e.target.checked })}
+            />
+            <span>Include in search</span>
+          </label>
+          <label className="space-y-1">
+            <span className="font-medium">Search weight</span>
+            <select
+              className="su-input"
+              value={cfg.search_weight || "C"}
+              onChange={(e) => updateCfg({ search_weight: e.target.value })}
+            >
+              <option value="A">A – as strong as the title</option>
+              <option value="B">B – high</option>
+              <option value="C">C – normal</option>
+              <option value="D">D – low</option>
+            </select>
+            <div className="text-[11px] text-gray-500">
+              Matches in higher-weighted fields rank entries higher. Text-like
+              fields are searched unless unchecked.
             </div>
-          )}
+          </label>
+        </div>
       </div>
     );
   }
@@ -1761,6 +2042,7 @@ export default function QuickBuilderPage() {
                         <th className="py-2 pr-2">Label</th>
                         <th className="py-2 pr-2">Type</th>
                         <th className="py-2 pr-2">Required</th>
+                        <th className="py-2 pr-2" title="One value per language">Localizable</th>
                         <th className="py-2 pr-2">Order</th>
                         <th className="py-2 pr-2">Help text</th>
                         <th className="py-2 pr-2 text-right">Config</th>
@@ -1825,6 +2107,18 @@ export default function QuickBuilderPage() {
                               }
                             />
                           </td>
+                          <td className="py-1 pr-2">
+                            <input
+                              type="checkbox"
+                              checked={!!field.localizable}
+                              disabled={field.type === "formula"}
+                              onChange={(e) =>
+                                updateFieldRow(index, {
+                                  localizable: e.target.checked,
+                                })
+                              }
+                            />
+                          </td>
                           <td className="py-1 pr-2" style={{ width: 70 }}>
                             <input
                               type="number"
@@ -1907,6 +2201,11 @@ export default function QuickBuilderPage() {
             </div>
           )}
         </div>
+
+        {/* FULL WIDTH: workflow (saved types only) */}
+        {!isNewType && editingType.id && editingType.type !== "taxonomy" && (
+          <WorkflowEditor typeId={editingType.id} />
+        )}
       </div>
     </div>
   );
@@ -3,6 +3,8 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 // Import the named api client.  The api module exports a named object,
 // not a default export, so use a named import to satisfy Vite/rollup.
 import { api } from '../../lib/api';
+import useHasPermission from '../../hooks/useHasPermission';
+import SiteRedirectsEditor from '../../components/SiteRedirectsEditor';
 
 // Utility to convert a string into a URL friendly slug.  This will strip
 // leading/trailing spaces, convert to lowercase, replace any groups of
@@ -26,6 +28,7 @@ export default function GadgetForm() {
   const { id } = useParams();
   const isEditing = !!id;
   const navigate = useNavigate();
+  const canManageRedirects = useHasPermission('redirects.manage');
 
   const [form, setForm] = useState({
     name: '',
@@ -504,6 +507,14 @@ export default function GadgetForm() {
           </button>
         </div>
       </form>
+
+      {/* Redirect rules have their own API, so they save on their own */}
+      {isEditing && canManageRedirects && (
+        <>
+          <hr />
+          <SiteRedirectsEditor gadgetId={id} />
+        </>
+      )}
     </div>
   );
 }
@@ -1129,7 +1129,10 @@ if (newly) loadViewForEdit(newly);
                       />
                       <div className="su-text-xs su-text-muted">
                         Tokens support nested paths: <code>{"{name.first}"}</code>,{" "}
-                        <code>{"{parent_one.first}"}</code>, etc.
+                        <code>{"{parent_one.first}"}</code>, etc. Formatters:{" "}
+                        <code>{'{due_date|date:"MMM d"}'}</code>, <code>{"{price|currency}"}</code>,{" "}
+                        <code>{"{name.last|upper}"}</code>. <code>{"[[ ]]"}</code> drops its text when a
+                        value inside is empty.
                       </div>
                     </div>
 
@@ -13,6 +13,15 @@ function slugify(str) {
     .replace(/^-+|-+$/g, "");
 }
 
+function filterToText(filter) {
+  if (!filter) return "";
+  try {
+    return JSON.stringify(filter, null, 2);
+  } catch {
+    return "";
+  }
+}
+
 // Built-in columns that exist on every entry
 const BUILTIN_COLUMNS = [
   { key: "title", label: "Title" },
@@ -20,6 +29,9 @@ const BUILTIN_COLUMNS = [
   { key: "status", label: "Status" },
   { key: "created_at", label: "Created" },
   { key: "updated_at", label: "Updated" },
+  { key: "owner_id", label: "Owner" },
+  { key: "created_by", label: "Created by" },
+  { key: "updated_by", label: "Updated by" },
 ];
 
 export default function ListViewsSettings() {
@@ -66,6 +78,9 @@ export default function ListViewsSettings() {
   const [titleFieldKey, setTitleFieldKey] = useState('');
   const [titleTemplate, setTitleTemplate] = useState('');
 
+  // Optional saved filter (JSON filter language understood by GET /api/content/:slug)
+  const [filterText, setFilterText] = useState('');
+
   const [availableFields, setAvailableFields] = useState([]);
 
   const [loading, setLoading] = useState(false);
@@ -265,6 +280,7 @@ export default function ListViewsSettings() {
       setTitleMode('manual');
       setTitleFieldKey('');
       setTitleTemplate('');
+      setFilterText('');
           setDirty(false);
         } else {
           // Pick default or first view
@@ -309,6 +325,8 @@ export default function ListViewsSettings() {
           setTitleMode(String(tCfg.mode || "manual"));
           setTitleFieldKey(String(tCfg.fieldKey || ""));
           setTitleTemplate(String(tCfg.template || ""));
+
+          setFilterText(filterToText(def.config && def.config.filter));
         }
       } catch (err) {
         console.error("[ListViews] load views error", err);
@@ -382,6 +400,7 @@ export default function ListViewsSettings() {
       ];
       setColumns(defaultCols);
     }
+    setFilterText(filterToText(v.config && v.config.filter));
     setDirty(false);
     setSaveMessage("");
     setError("");
@@ -583,6 +602,16 @@ export default function ListViewsSettings() {
       return;
     }
 
+    let filter = null;
+    if (filterText.trim()) {
+      try {
+        filter = JSON.parse(filterText);
+      } catch {
+        setError('Filter must be valid JSON.');
+        return;
+      }
+    }
+
     try {
       setLoading(true);
       // Always include ADMIN so admins can edit views. Build roles set with ADMIN + assignedRoles
@@ -597,7 +626,11 @@ export default function ListViewsSettings() {
         label,
         roles: rolesArray,
         default_roles: effectiveDefaultRoles,
-        config: { columns, title: { label: titleLabel, mode: titleMode, fieldKey: titleFieldKey, template: titleTemplate } },
+        config: {
+          columns,
+          title: { label: titleLabel, mode: titleMode, fieldKey: titleFieldKey, template: titleTemplate },
+          filter,
+        },
       };
       // Send a single PUT request with all roles and default roles
       await api.put(
@@ -1092,6 +1125,10 @@ export default function ListViewsSettings() {
                     />
                     <div className="su-help">
                       Use &#123;field_key&#125; tokens, e.g. &#123;first_name&#125; &#123;last_name&#125;.
+                      Add formatters with <code>|</code>: <code>{'{due_date|date:"MMM d"}'}</code>,{' '}
+                      <code>{'{price|currency}'}</code>, <code>{'{client.name|default:"Unknown"}'}</code>.
+                      Wrap text in <code>[[ ]]</code> to drop it when a value inside is empty:{' '}
+                      <code>{'{last}[[, {first}]]'}</code>.
                     </div>
                   </label>
                 )}
@@ -1099,6 +1136,39 @@ export default function ListViewsSettings() {
             </div>
           </div>
 
+          <div className="su-card">
+            <div className="su-card-header">
+              <h2 className="su-card-title">Filter</h2>
+              <div className="su-card-subtitle">
+                Optional: only list entries matching these conditions.
+              </div>
+            </div>
+
+            <div className="su-card-body">
+              <label className="su-label">
+                Filter (JSON)
+                <textarea
+                  className="su-textarea"
+                  rows={6}
+                  value={filterText}
+                  onChange={(e) => {
+                    setFilterText(e.target.value);
+                    setDirty(true);
+                  }}
+                  placeholder={'{"and": [\n  {"field": "status", "op": "equals", "value": "open"},\n  {"field": "due_date", "op": "lt", "value": "today"}\n]}'}
+                />
+                <div className="su-help">
+                  Operators: equals, not_equals, contains, not_contains, gt, gte, lt, lte,
+                  between, in, not_in, is_empty, is_not_empty. Combine with
+                  &#123;"and": [...]&#125; or &#123;"or": [...]&#125;. Dates accept
+                  "today", "now" or "today+7d". Owner, Created by and Updated by
+                  accept "me" for the signed-in user, e.g. a "My entries" view with
+                  &#123;"field": "owner_id", "op": "equals", "value": "me"&#125;.
+                </div>
+              </label>
+            </div>
+          </div>
+
           {/* Right: chosen columns */}
           <div className="su-card">
             <div className="su-card-header">
@@ -0,0 +1,534 @@
+// admin/src/pages/Settings/Webhooks.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { api } from '../../lib/api';
+
+const EMPTY_FORM = {
+  name: '',
+  url: '',
+  events: [],
+  content_type_ids: [],
+  is_active: true,
+};
+
+const STATUS_COLORS = {
+  succeeded: '#166534',
+  pending: '#92400e',
+  failed: '#b91c1c',
+};
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : '—';
+}
+
+function prettyJson(text) {
+  if (text == null || text === '') return '';
+  try {
+    return JSON.stringify(typeof text === 'string' ? JSON.parse(text) : text, null, 2);
+  } catch {
+    return String(text);
+  }
+}
+
+/**
+ * Outgoing webhooks: subscriptions to entry / user / content type events,
+ * their signing secrets, and the delivery log with manual redelivery.
+ */
+export default function WebhooksPage() {
+  const [hooks, setHooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // null = creating a new webhook
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryTotal, setDeliveryTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [openDelivery, setOpenDelivery] = useState(null);
+  const [redelivering, setRedelivering] = useState('');
+
+  const selected = hooks.find((h) => h.id === selectedId) || null;
+
+  const loadHooks = useCallback(async () => {
+    const rows = await api.get('/api/webhooks');
+    setHooks(Array.isArray(rows) ? rows : []);
+  }, []);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        const [eventsRes, typesRes] = await Promise.all([
+          api.get('/api/webhooks/events'),
+          api.get('/api/content-types'),
+          loadHooks(),
+        ]);
+        setEvents(eventsRes?.events || []);
+        setTypes(Array.isArray(typesRes) ? typesRes : typesRes?.data || []);
+      } catch (err) {
+        console.error(err);
+        setError(err.message || 'Failed to load webhooks');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [loadHooks]);
+
+  const loadDeliveries = useCallback(async () => {
+    if (!selectedId) {
+      setDeliveries([]);
+      setDeliveryTotal(0);
+      return;
+    }
+    try {
+      const qs = statusFilter ? `?status=${statusFilter}` : '';
+      const res = await api.get(`/api/webhooks/${selectedId}/deliveries${qs}`);
+      setDeliveries(res?.deliveries || []);
+      setDeliveryTotal(res?.total || 0);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to load deliveries');
+    }
+  }, [selectedId, statusFilter]);
+
+  useEffect(() => {
+    setOpenDelivery(null);
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  function selectHook(hook) {
+    setError('');
+    setSelectedId(hook ? hook.id : null);
+    setForm(
+      hook
+        ? {
+            name: hook.name,
+            url: hook.url,
+            events: hook.events || [],
+            content_type_ids: hook.content_type_ids || [],
+            is_active: hook.is_active,
+          }
+        : EMPTY_FORM
+    );
+  }
+
+  function toggleIn(key, value) {
+    setForm((f) => ({
+      ...f,
+      [key]: f[key].includes(value) ? f[key].filter((v) => v !== value) : [...f[key], value],
+    }));
+  }
+
+  async function save(e) {
+    e.preventDefault();
+    setError('');
+    try {
+      setSaving(true);
+      if (selectedId) {
+        await api.put(`/api/webhooks/${selectedId}`, form);
+      } else {
+        const created = await api.post('/api/webhooks', form);
+        setSelectedId(created.id);
+      }
+      await loadHooks();
+    } catch (err) {
+      console.error(err);
+      setError(err.body?.error || err.message || 'Failed to save webhook');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function rotateSecret() {
+    if (!selected) return;
+    if (!window.confirm('Replace the signing secret? The receiver must be updated to the new one.')) {
+      return;
+    }
+    try {
+      await api.put(`/api/webhooks/${selected.id}`, { rotate_secret: true });
+      await loadHooks();
+    } catch (err) {
+      console.error(err);
+      setError(err.body?.error || err.message || 'Failed to rotate secret');
+    }
+  }
+
+  async function deleteHook() {
+    if (!selected) return;
+    if (!window.confirm(`Delete webhook "${selected.name}" and its delivery log?`)) return;
+    try {
+      await api.del(`/api/webhooks/${selected.id}`);
+      selectHook(null);
+      await loadHooks();
+    } catch (err) {
+      console.error(err);
+      setError(err.body?.error || err.message || 'Failed to delete webhook');
+    }
+  }
+
+  async function showDelivery(delivery) {
+    if (openDelivery?.id === delivery.id) {
+      setOpenDelivery(null);
+      return;
+    }
+    try {
+      setOpenDelivery(await api.get(`/api/webhooks/${selectedId}/deliveries/${delivery.id}`));
+    } catch (err) {
+      console.error(err);
+      setError(err.message || 'Failed to load delivery');
+    }
+  }
+
+  async function redeliver(delivery) {
+    setError('');
+    setRedelivering(delivery.id);
+    try {
+      const copy = await api.post(
+        `/api/webhooks/${selectedId}/deliveries/${delivery.id}/redeliver`
+      );
+      setOpenDelivery(copy);
+      await Promise.all([loadDeliveries(), loadHooks()]);
+    } catch (err) {
+      console.error(err);
+      setError(err.body?.error || err.message || 'Failed to redeliver');
+    } finally {
+      setRedelivering('');
+    }
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold mb-1">Webhooks</h1>
+        <p className="text-sm text-gray-600">
+          POST a signed JSON payload to another system when entries, users or content types
+          change. Each request carries <code>X-ServiceUp-Signature: sha256=…</code>, an HMAC
+          of <code>&lt;X-ServiceUp-Timestamp&gt;.&lt;body&gt;</code> with the secret; failed
+          deliveries are retried with backoff.
+        </p>
+      </div>
+
+      {error && (
+        <div className="su-card" style={{ borderColor: '#fecaca', background: '#fef2f2' }}>
+          <div style={{ color: '#991b1b', fontSize: 13 }}>{error}</div>
+        </div>
+      )}
+
+      <div className="su-grid cols-2">
+        {/* Left: create / edit */}
+        <div className="su-card">
+          <h2 style={{ marginTop: 0, marginBottom: 8 }}>
+            {selected ? `Edit “${selected.name}”` : 'New webhook'}
+          </h2>
+          <form onSubmit={save}>
+            <div style={{ display: 'grid', gap: 10, marginBottom: 16 }}>
+              <label style={{ fontSize: 13 }}>
+                Name
+                <input
+                  className="su-input"
+                  placeholder="Dispatch system"
+                  value={form.name}
+                  onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))}
+                />
+              </label>
+              <label style={{ fontSize: 13 }}>
+                URL
+                <input
+                  className="su-input"
+                  placeholder="https://dispatch.example.com/hooks/serviceup"
+                  value={form.url}
+                  onChange={(e) => setForm((f) => ({ ...f, url: e.target.value }))}
+                />
+              </label>
+
+              <div style={{ fontSize: 13 }}>
+                Events
+                <div style={{ display: 'grid', gap: 4, marginTop: 4 }}>
+                  {events.map((ev) => (
+                    <label key={ev} style={{ fontSize: 12 }}>
+                      <input
+                        type="checkbox"
+                        checked={form.events.includes(ev)}
+                        onChange={() => toggleIn('events', ev)}
+                      />{' '}
+                      <code>{ev}</code>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{ fontSize: 13 }}>
+                Content types
+                <div style={{ fontSize: 11, opacity: 0.7 }}>
+                  Entry and content type events only for these; none ticked means all.
+                </div>
+                <div
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(2, minmax(0, 1fr))',
+                    gap: 4,
+                    marginTop: 4,
+                  }}
+                >
+                  {types.map((t) => (
+                    <label key={t.id} style={{ fontSize: 12 }}>
+                      <input
+                        type="checkbox"
+                        checked={form.content_type_ids.includes(t.id)}
+                        onChange={() => toggleIn('content_type_ids', t.id)}
+                      />{' '}
+                      {t.label_plural || t.name || t.slug}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <label style={{ fontSize: 13 }}>
+                <input
+                  type="checkbox"
+                  checked={form.is_active}
+                  onChange={(e) => setForm((f) => ({ ...f, is_active: e.target.checked }))}
+                />{' '}
+                Active
+              </label>
+
+              {selected && (
+                <div style={{ fontSize: 13 }}>
+                  Signing secret
+                  <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 4 }}>
+                    <code style={{ fontSize: 12, wordBreak: 'break-all' }}>{selected.secret}</code>
+                    <button type="button" className="su-btn" onClick={rotateSecret}>
+                      Rotate
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button className="su-btn primary" type="submit" disabled={saving}>
+                {saving ? 'Saving…' : selected ? 'Save webhook' : 'Create webhook'}
+              </button>
+              {selected && (
+                <>
+                  <button type="button" className="su-btn" onClick={() => selectHook(null)}>
+                    New webhook
+                  </button>
+                  <button
+                    type="button"
+                    className="su-btn"
+                    style={{ borderColor: '#fecaca', background: '#fef2f2', color: '#b91c1c' }}
+                    onClick={deleteHook}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          </form>
+        </div>
+
+        {/* Right: webhooks list */}
+        <div className="su-card">
+          <h2 style={{ marginTop: 0, marginBottom: 8 }}>Webhooks</h2>
+          {loading ? (
+            <p style={{ fontSize: 13, opacity: 0.75 }}>Loading webhooks…</p>
+          ) : hooks.length === 0 ? (
+            <p style={{ fontSize: 13, opacity: 0.75 }}>No webhooks yet.</p>
+          ) : (
+            <table className="su-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Events</th>
+                  <th>Pending</th>
+                  <th>Failed</th>
+                  <th>Last delivery</th>
+                </tr>
+              </thead>
+              <tbody>
+                {hooks.map((h) => (
+                  <tr
+                    key={h.id}
+                    onClick={() => selectHook(h)}
+                    style={{
+                      cursor: 'pointer',
+                      background: h.id === selectedId ? 'var(--su-surface)' : undefined,
+                      opacity: h.is_active ? 1 : 0.6,
+                    }}
+                  >
+                    <td style={{ fontSize: 12 }}>
+                      <div style={{ fontWeight: 600 }}>{h.name}</div>
+                      <div style={{ opacity: 0.7, wordBreak: 'break-all' }}>{h.url}</div>
+                    </td>
+                    <td style={{ fontSize: 12 }}>{(h.events || []).join(', ')}</td>
+                    <td style={{ fontSize: 12, textAlign: 'center' }}>{h.pending_count}</td>
+                    <td
+                      style={{
+                        fontSize: 12,
+                        textAlign: 'center',
+                        color: h.failed_count ? STATUS_COLORS.failed : undefined,
+                      }}
+                    >
+                      {h.failed_count}
+                    </td>
+                    <td style={{ fontSize: 12 }}>{formatTime(h.last_delivery_at)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {selected && (
+        <div className="su-card">
+          <div
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: 8,
+            }}
+          >
+            <h2 style={{ margin: 0 }}>
+              Deliveries <span style={{ fontSize: 13, opacity: 0.6 }}>({deliveryTotal})</span>
+            </h2>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <select
+                className="su-select"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <option value="">All</option>
+                <option value="pending">Pending</option>
+                <option value="succeeded">Succeeded</option>
+                <option value="failed">Failed</option>
+              </select>
+              <button type="button" className="su-btn" onClick={loadDeliveries}>
+                Refresh
+              </button>
+            </div>
+          </div>
+
+          {deliveries.length === 0 ? (
+            <p style={{ fontSize: 13, opacity: 0.75 }}>No deliveries yet.</p>
+          ) : (
+            <table className="su-table">
+              <thead>
+                <tr>
+                  <th>Queued</th>
+                  <th>Event</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Response</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map((d) => (
+                  <React.Fragment key={d.id}>
+                    <tr>
+                      <td style={{ fontSize: 12 }}>
+                        {formatTime(d.created_at)}
+                        {d.redelivery_of && (
+                          <span className="su-chip-badge" style={{ marginLeft: 4 }}>
+                            redelivery
+                          </span>
+                        )}
+                      </td>
+                      <td style={{ fontSize: 12 }}>
+                        <code>{d.event}</code>
+                      </td>
+                      <td style={{ fontSize: 12, color: STATUS_COLORS[d.status] }}>
+                        {d.status}
+                        {d.status === 'pending' && d.attempts > 0 && (
+                          <div style={{ opacity: 0.7 }}>retry {formatTime(d.next_attempt_at)}</div>
+                        )}
+                      </td>
+                      <td style={{ fontSize: 12, textAlign: 'center' }}>{d.attempts}</td>
+                      <td style={{ fontSize: 12 }}>
+                        {d.response_status ?? '—'}
+                        {d.error && d.error !== `HTTP ${d.response_status}` && (
+                          <div style={{ color: STATUS_COLORS.failed }}>{d.error}</div>
+                        )}
+                        {d.duration_ms != null && (
+                          <div style={{ opacity: 0.6 }}>{d.duration_ms} ms</div>
+                        )}
+                      </td>
+                      <td style={{ whiteSpace: 'nowrap' }}>
+                        <button type="button" className="su-btn" onClick={() => showDelivery(d)}>
+                          {openDelivery?.id === d.id ? 'Hide' : 'View'}
+                        </button>{' '}
+                        <button
+                          type="button"
+                          className="su-btn"
+                          disabled={redelivering === d.id}
+                          onClick={() => redeliver(d)}
+                        >
+                          {redelivering === d.id ? 'Sending…' : 'Redeliver'}
+                        </button>
+                      </td>
+                    </tr>
+                    {openDelivery?.id === d.id && (
+                      <tr>
+                        <td colSpan={6}>
+                          <DeliveryDetail delivery={openDelivery} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {openDelivery && !deliveries.some((d) => d.id === openDelivery.id) && (
+            <DeliveryDetail delivery={openDelivery} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DeliveryDetail({ delivery }) {
+  const pre = {
+    fontSize: 11,
+    background: 'var(--su-surface)',
+    border: '1px solid var(--su-border)',
+    borderRadius: 8,
+    padding: 8,
+    maxHeight: 280,
+    overflow: 'auto',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-all',
+  };
+  return (
+    <div style={{ display: 'grid', gap: 8, gridTemplateColumns: 'repeat(2, minmax(0, 1fr))' }}>
+      <div>
+        <div style={{ fontSize: 12, fontWeight: 600 }}>Request</div>
+        <pre style={pre}>
+          {Object.entries(delivery.request_headers || {})
+            .map(([k, v]) => `${k}: ${v}`)
+            .join('\n')}
+          {'\n\n'}
+          {prettyJson(delivery.request_body ?? delivery.payload)}
+        </pre>
+      </div>
+      <div>
+        <div style={{ fontSize: 12, fontWeight: 600 }}>
+          Response {delivery.response_status ?? ''}{' '}
+          <span style={{ fontWeight: 400, opacity: 0.7 }}>
+            {formatTime(delivery.last_attempt_at)}
+          </span>
+        </div>
+        <pre style={pre}>{delivery.error ? `${delivery.error}\n\n` : ''}{prettyJson(delivery.response_body)}</pre>
+      </div>
+    </div>
+  );
+}
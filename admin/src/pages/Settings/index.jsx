@@ -39,6 +39,7 @@ const PAGE_OPTIONS = [
   { value: '/admin/settings/permissions', label: 'Permissions (Settings)' },
   { value: '/admin/settings/entry-views', label: 'Entry Views (Settings)' },
   { value: '/admin/settings/list-views', label: 'List Views (Settings)' },
+  { value: '/admin/settings/webhooks', label: 'Webhooks (Settings)' },
 ];
 
 // Target options for links.  These control whether a link opens in the same
@@ -49,6 +50,18 @@ const TARGET_OPTIONS = [
   { value: '_top', label: 'New window (top)' },
 ];
 
+// Locale lists are edited as comma-separated text ("fr, fr-CA").
+function listText(list) {
+  return Array.isArray(list) ? list.join(', ') : String(list || '');
+}
+
+function parseList(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
 /**
  * SettingsPage allows administrators to configure the app branding,
  * navigation structure and other high-level settings.  It loads the
@@ -87,6 +100,14 @@ export default function SettingsPage() {
           : settings.dashboardWidgets || [],
         // copy over any additional keys from the server response
         ...settings,
+        defaultLocale: settings.defaultLocale || 'en',
+        locales: listText(settings.locales),
+        localeFallbacks: Object.fromEntries(
+          Object.entries(settings.localeFallbacks || {}).map(([code, list]) => [
+            code,
+            listText(list),
+          ])
+        ),
       });
     }
   }, [settings, form]);
@@ -298,11 +319,22 @@ export default function SettingsPage() {
     setSaving(true);
     setSavedMsg('');
     try {
+      const locales = parseList(form.locales);
+      const defaultLocale = String(form.defaultLocale || '').trim() || 'en';
+      if (!locales.includes(defaultLocale)) locales.unshift(defaultLocale);
+      const localeFallbacks = {};
+      for (const code of locales) {
+        const list = parseList(form.localeFallbacks?.[code]);
+        if (code !== defaultLocale && list.length) localeFallbacks[code] = list;
+      }
       const payload = {
         ...form,
         theme: {
           mode: form.theme?.mode || 'light',
         },
+        defaultLocale,
+        locales,
+        localeFallbacks,
       };
       const saved = await saveSettings(payload);
       const nextSettings = saved || payload;
@@ -374,6 +406,67 @@ export default function SettingsPage() {
                   ))}
                 </select>
               </div>
+              <div>
+                <label className="su-label">Trash retention (days)</label>
+                <input
+                  className="su-input"
+                  type="number"
+                  min="0"
+                  placeholder="30"
+                  value={form.trashRetentionDays ?? ''}
+                  onChange={bind('trashRetentionDays')}
+                />
+                <p className="su-text-xs su-text-muted">
+                  Deleted entries are purged after this many days. Use 0 to keep them
+                  until they are deleted by hand.
+                </p>
+              </div>
+            </div>
+          </section>
+          <section className="su-card">
+            <h2 className="su-card-title">Languages</h2>
+            <div className="space-y-3">
+              <div>
+                <label className="su-label">Default language</label>
+                <input
+                  className="su-input"
+                  placeholder="en"
+                  value={form.defaultLocale || ''}
+                  onChange={bind('defaultLocale')}
+                />
+              </div>
+              <div>
+                <label className="su-label">Languages</label>
+                <input
+                  className="su-input"
+                  placeholder="en, fr, fr-CA"
+                  value={form.locales || ''}
+                  onChange={bind('locales')}
+                />
+                <p className="su-text-xs su-text-muted">
+                  Comma-separated locale codes; the default language is always included.
+                  Fields marked localizable in the Quick Builder get one value per language.
+                </p>
+              </div>
+              {parseList(form.locales)
+                .filter((code) => code !== (form.defaultLocale || 'en'))
+                .map((code) => (
+                  <div key={code}>
+                    <label className="su-label">{code} falls back to</label>
+                    <input
+                      className="su-input"
+                      placeholder={
+                        code.includes('-') ? `${code.split('-')[0]} (if listed)` : 'default language'
+                      }
+                      value={form.localeFallbacks?.[code] || ''}
+                      onChange={bind(`localeFallbacks.${code}`)}
+                    />
+                  </div>
+                ))}
+              <p className="su-text-xs su-text-muted">
+                An untranslated field shows the first fallback that has a value, then the
+                default language.
+              </p>
             </div>
           </section>
           <section className="su-card">
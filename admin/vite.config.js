@@ -8,6 +8,13 @@ export default defineConfig({
     alias: {
       '@': path.resolve(__dirname, 'src'),
       '@utils': path.resolve(__dirname, 'src/utils'),
+      // Modules shared with the API (no Node-only imports)
+      '@apiLib': path.resolve(__dirname, '../api/lib'),
+    },
+  },
+  server: {
+    fs: {
+      allow: [path.resolve(__dirname, '..')],
     },
   },
 });
@@ -13,6 +13,12 @@ import dashboardRouter from './routes/dashboard.js';
 import contentTypesRouter from './routes/contentTypes.js';
 import entryViewsRouter from './routes/entryViews.js';
 import listViewsRouter from './routes/listViews.js';
+import entryVersionsRouter from './routes/entryVersions.js';
+import entryWorkflowRouter from './routes/entryWorkflow.js';
+import entryRelationsRouter from './routes/entryRelations.js';
+import searchRouter from './routes/search.js';
+import siteRedirectsRouter from './routes/siteRedirects.js';
+import webhooksRouter from './routes/webhooks.js';
 
 import gizmosRouter from './routes/gizmos.js';
 import gadgetsRouter from './routes/gadgets.js';
@@ -23,6 +29,7 @@ import publicSiteRouter from './routes/publicSite.js';
 
 import mountExtraRoutes from './extra-routes.js';
 import { mountGizmoPacks } from './gizmos-loader.js';
+import { checkPermission, requireRole, roleHasPermission } from './middleware/checkPermission.js';
 
 import {
   normalizeEmail,
@@ -30,6 +37,74 @@ import {
   normalizeUrl,
   normalizeAddress,
 } from './lib/fieldUtils.js';
+import {
+  hasListParams,
+  parseListParams,
+  buildEntryListQuery,
+  ENTRY_USER_COLUMNS,
+} from './lib/entryQuery.js';
+import { recordEntryVersion, entryEtag, parseIfMatch } from './lib/entryVersions.js';
+import { applyMergePatch } from './lib/mergePatch.js';
+import { parseBulkRequest, applyBulkAction, duplicateEntry } from './lib/entryBulk.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  resolveExportColumns,
+  buildExportRow,
+  csvLine,
+} from './lib/entryExport.js';
+import {
+  parseImportRequest,
+  mapImportRecord,
+  collectImportUserEmails,
+} from './lib/entryImport.js';
+import {
+  validateEntryData,
+  entryValidationError,
+  validationErrorBody,
+  isEmptyValue,
+} from './lib/entryValidation.js';
+import {
+  assertUnique,
+  findUniqueConflicts,
+  uniqueConflictBody,
+  uniqueConflictMessage,
+} from './lib/entryUnique.js';
+import { applyFieldDefaults, allocateSequences } from './lib/entryDefaults.js';
+import {
+  loadLocaleSettings,
+  resolveRequestLocale,
+  localeChain,
+  localizableKeys,
+  splitLocalizedData,
+  loadLocalizations,
+  localizeEntry,
+  localizeEntries,
+  findEntryIdByLocaleSlug,
+  saveLocalization,
+} from './lib/entryLocales.js';
+import {
+  parseScheduleFields,
+  checkSchedulePermission,
+  startEntryScheduler,
+} from './lib/entrySchedule.js';
+import { startWebhookDispatcher } from './lib/webhooks.js';
+import { loadWorkflowGuard, recordWorkflowTransition } from './lib/entryWorkflow.js';
+import { assertCanReassignOwner, parseOwnerField, resolveOwnerId } from './lib/entryOwner.js';
+import { syncEntryRelations } from './lib/entryRelations.js';
+import { parseExpandParam, expandEntries } from './lib/entryExpand.js';
+import { attachSearchResults } from './lib/entrySearch.js';
+import { recordSlugChange } from './lib/entrySlugHistory.js';
+import { applyFormulas } from './lib/entryFormulas.js';
+import { deriveTitleFromTemplate } from './lib/titleTemplate.js';
+import {
+  trashEntry,
+  restoreEntry,
+  purgeTrashedEntries,
+  startTrashPurgeSchedule,
+} from './lib/entryTrash.js';
+import { isUuid, slugify } from './lib/requestUtils.js';
+import { ENTRY_MIRROR_KEYS, syncEntryMirrors } from './lib/entryMirrors.js';
 
 dotenv.config();
 
@@ -56,7 +131,7 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match');
     res.setHeader(
       'Access-Control-Allow-Methods',
       'GET,POST,PATCH,PUT,DELETE,OPTIONS'
@@ -99,7 +174,7 @@ process.on('uncaughtException', (err) => {
 });
 
 /* ----------------------- Parsers & logging ------------------------- */
-app.use(express.json({ limit: '2mb' }));
+app.use(express.json({ limit: '2mb', type: ['application/json', 'application/merge-patch+json'] }));
 
 app.use((req, res, next) => {
   const start = Date.now();
@@ -128,89 +203,6 @@ pool.on('error', (err) => {
 
 const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
 
-// ---------------------------------------------------------------------------
-// Title template helpers (server-side)
-// ---------------------------------------------------------------------------
-
-function getByPath(obj, path) {
-  if (!path) return undefined;
-  const parts = String(path)
-    .split('.')
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  let cur = obj;
-  for (const p of parts) {
-    if (cur == null) return undefined;
-    cur = cur[p];
-  }
-  return cur;
-}
-
-function asPrettyInline(value) {
-  if (value == null) return '';
-  if (
-    typeof value === 'string' ||
-    typeof value === 'number' ||
-    typeof value === 'boolean'
-  ) {
-    return String(value);
-  }
-
-  if (Array.isArray(value)) {
-    return value.map(asPrettyInline).filter(Boolean).join(', ');
-  }
-
-  if (typeof value === 'object') {
-    // common name-field shapes
-    const first = value.first || '';
-    const last = value.last || '';
-    const middle = value.middle || '';
-    const title = value.title || '';
-    const suffix = value.suffix || '';
-
-    const looksLikeName =
-      Object.prototype.hasOwnProperty.call(value, 'first') ||
-      Object.prototype.hasOwnProperty.call(value, 'last') ||
-      Object.prototype.hasOwnProperty.call(value, 'middle') ||
-      Object.prototype.hasOwnProperty.call(value, 'title') ||
-      Object.prototype.hasOwnProperty.call(value, 'suffix');
-
-    if (looksLikeName) {
-      const bits = [];
-      if (title) bits.push(String(title));
-      if (first) bits.push(String(first));
-      if (middle) bits.push(String(middle));
-      if (last) bits.push(String(last));
-      let out = bits.join(' ').trim();
-      if (suffix) out = `${out} ${suffix}`.trim();
-      return out;
-    }
-
-    try {
-      return JSON.stringify(value);
-    } catch {
-      return String(value);
-    }
-  }
-
-  return String(value);
-}
-
-function deriveTitleFromTemplate(template, data) {
-  const tpl = String(template || '');
-  if (!tpl.trim()) return '';
-
-  const out = tpl.replace(/\{([^}]+)\}/g, (_, tokenRaw) => {
-    const token = String(tokenRaw || '').trim();
-    if (!token) return '';
-    const val = getByPath(data, token);
-    return asPrettyInline(val);
-  });
-
-  return out.replace(/\s+/g, ' ').trim();
-}
-
 async function getEffectiveEditorCoreForType(contentTypeId, roleUpper) {
   const role = String(roleUpper || '').toUpperCase();
   try {
@@ -241,6 +233,23 @@ async function getEffectiveEditorCoreForType(contentTypeId, roleUpper) {
 }
 
 /* ----------------------- Helpers ----------------------------------- */
+
+// Run fn(client) inside BEGIN/COMMIT, rolling back on any error
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 function listRoutes(appRef) {
   const table = [];
   const stack = appRef._router?.stack || [];
@@ -264,30 +273,31 @@ function listRoutes(appRef) {
   return table;
 }
 
-function isUuid(value) {
-  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
-    String(value || '').trim()
-  );
+// Clients may send camelCase keys; store them under the snake_case field
+// keys. Validation runs on this, before normalizeEntryData.
+function mapEntryDataKeys(fieldDefs, dataIn) {
+  const out = { ...(dataIn || {}) };
+  for (const f of fieldDefs || []) {
+    const snake = f.key;
+    const camel = snake.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    if (out[camel] !== undefined && out[snake] === undefined) {
+      out[snake] = out[camel];
+      delete out[camel];
+    }
+  }
+  return out;
 }
 
+// A normalizer that throws keeps the field as sent (and logs it) rather than
+// dropping the rest of the normalization. Formula errors reach the route.
 function normalizeEntryData(fieldDefs, dataIn) {
-  try {
-    const out = { ...(dataIn || {}) };
+  const out = mapEntryDataKeys(fieldDefs, dataIn);
 
-    for (const f of fieldDefs || []) {
-      const snake = f.key;
-      const camel = snake.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
-      if (out[camel] !== undefined && out[snake] === undefined) {
-        out[snake] = out[camel];
-        delete out[camel];
-      }
-    }
-
-    for (const f of fieldDefs || []) {
-      const k = f.key;
-      const t = f.type;
-      const v = out[k];
-      switch (t) {
+  for (const f of fieldDefs || []) {
+    const k = f.key;
+    const v = out[k];
+    try {
+      switch (f.type) {
         case 'email':
           out[k] = normalizeEmail(v);
           break;
@@ -303,15 +313,17 @@ function normalizeEntryData(fieldDefs, dataIn) {
         default:
           break;
       }
+    } catch (err) {
+      console.warn(`[normalizeEntryData] ${k} (${f.type}):`, err.message || err);
     }
-    return out;
-  } catch {
-    return dataIn;
   }
+  // Formula fields last, so they see the normalized values
+  return applyFormulas(fieldDefs, out);
 }
 
 /**
- * Option B: auto-expand relation_user fields.
+ * Option B: auto-expand relation_user fields, plus the owner_id /
+ * created_by / updated_by columns, into entry._resolved.usersById.
  */
 async function attachResolvedUsersToEntries(typeId, entries) {
   const list = Array.isArray(entries) ? entries : [entries];
@@ -327,8 +339,6 @@ async function attachResolvedUsersToEntries(typeId, entries) {
     [typeId]
   );
 
-  if (!userFieldRows.length) return entries;
-
   const userFields = {};
   for (const f of userFieldRows) {
     const cfg = f.config && typeof f.config === 'object' ? f.config : {};
@@ -342,6 +352,9 @@ async function attachResolvedUsersToEntries(typeId, entries) {
 
   const idsSet = new Set();
   for (const entry of list) {
+    for (const column of ENTRY_USER_COLUMNS) {
+      if (isUuid(entry?.[column])) idsSet.add(String(entry[column]));
+    }
     const data = entry?.data && typeof entry.data === 'object' ? entry.data : {};
     for (const fieldKey of Object.keys(userFields)) {
       const v = data[fieldKey];
@@ -386,6 +399,27 @@ async function attachResolvedUsersToEntries(typeId, entries) {
   return entries;
 }
 
+// Resolve deleted_by on trashed rows to { id, name, email } for the Trash view
+async function attachDeletedByUsers(entries) {
+  const list = Array.isArray(entries) ? entries : [entries];
+  const ids = Array.from(new Set(list.map((e) => e?.deleted_by).filter(Boolean)));
+  if (!ids.length) return entries;
+
+  const { rows: users } = await pool.query(
+    'SELECT id, name, email FROM public.users WHERE id = ANY($1::uuid[])',
+    [ids]
+  );
+  const byId = {};
+  for (const u of users) byId[u.id] = u;
+
+  for (const entry of list) {
+    if (!entry?.deleted_by) continue;
+    entry._resolved = entry._resolved || {};
+    entry._resolved.deletedBy = byId[entry.deleted_by] || null;
+  }
+  return entries;
+}
+
 /* ----------------------- Debug endpoints --------------------------- */
 app.get('/__ping', (_req, res) => res.json({ ok: true, build: Date.now() }));
 app.get('/__routes', (_req, res) => res.json({ routes: listRoutes(app) }));
@@ -443,12 +477,77 @@ function authMiddleware(req, res, next) {
   }
 }
 
+// Signed-in user's id on routes that are also public, or null. A missing or
+// bad token is not an error there.
+function optionalUserId(req) {
+  const token = String(req.headers.authorization || '').split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET)?.id || null;
+  } catch {
+    return null;
+  }
+}
+
 /* ----------------------- Entries ----------------------------------- */
 
+// ?locale= on entry routes (see lib/entryLocales.js). `locale` is null for
+// the default locale, which reads and writes the entries row as before.
+async function requestLocale(req) {
+  if (req.query.locale == null || req.query.locale === '') {
+    return { locale: null, settings: null };
+  }
+  const settings = await loadLocaleSettings(pool);
+  return { locale: resolveRequestLocale(req.query.locale, settings), settings };
+}
+
+// Localize entries in place for the request's locale; formula fields are
+// recomputed so they see the localized values.
+async function localizeForRequest(typeId, entries, { locale, settings }) {
+  if (!locale) return entries;
+  const { rows: fieldDefs } = await pool.query(
+    'SELECT field_key AS key, type, config, localizable FROM content_fields WHERE content_type_id = $1',
+    [typeId]
+  );
+  await localizeEntries(pool, entries, { locale, settings, fieldDefs });
+  for (const entry of Array.isArray(entries) ? entries : [entries]) {
+    entry.data = applyFormulas(fieldDefs, entry.data || {});
+  }
+  return entries;
+}
+
 // List entries for a content type
-app.get('/api/content/:slug', async (req, res) => {
+//
+// Without query params this returns every entry as a plain array (legacy).
+// With any of ?limit, ?offset, ?page, ?sort, ?q or ?filter it returns a page:
+//   { entries, total, limit, offset, hasMore }
+// ?sort accepts a comma list of built-in columns or data keys, "-" for DESC,
+// e.g. ?sort=-updated_at or ?sort=data.due_date,title
+// ?filter takes the JSON filter language from lib/entryFilters.js, e.g.
+//   {"and":[{"field":"status","op":"equals","value":"open"},
+//           {"field":"due_date","op":"lt","value":"today"}]}
+// owner_id / created_by / updated_by filters accept "me" when a token is sent.
+// ?q= is a full-text search (lib/entrySearch.js): results come best match
+// first unless ?sort is given, each with _search: { rank, snippet } where the
+// snippet marks matched words with <mark>.
+// ?expand= (see lib/entryExpand.js) works in both modes.
+// ?locale= returns titles, slugs and localizable fields in that locale, with
+// fallbacks; filters and sorting still see the default locale's values.
+//
+// This route needs no token, so it only ever lists live entries (?trash is
+// ignored). The trash is GET /api/content/:slug/trash below.
+async function listEntries(req, res, { trashed = false } = {}) {
   const { slug } = req.params;
 
+  let expand;
+  let localeCtx;
+  try {
+    expand = parseExpandParam(req.query.expand, req.query.depth);
+    localeCtx = await requestLocale(req);
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
   try {
     const { rows: typeRows } = await pool.query(
       'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
@@ -460,33 +559,82 @@ app.get('/api/content/:slug', async (req, res) => {
     }
 
     const typeId = typeRows[0].id;
-    const { rows: entries } = await pool.query(
-      'SELECT * FROM entries WHERE content_type_id = $1 ORDER BY created_at DESC',
+
+    if (!trashed && !hasListParams(req.query)) {
+      const { rows: entries } = await pool.query(
+        'SELECT * FROM entries WHERE content_type_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+        [typeId]
+      );
+
+      await localizeForRequest(typeId, entries, localeCtx);
+      await attachResolvedUsersToEntries(typeId, entries);
+      await expandEntries(pool, entries, expand);
+      return res.json(entries);
+    }
+
+    let listParams;
+    try {
+      listParams = { ...parseListParams(req.query), trashed };
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
+    }
+
+    const { rows: fieldsRows } = await pool.query(
+      'SELECT field_key AS key, type, config FROM content_fields WHERE content_type_id = $1',
       [typeId]
     );
 
+    let listQuery;
+    try {
+      listQuery = buildEntryListQuery(
+        typeId,
+        { ...listParams, userId: optionalUserId(req), highlight: true },
+        fieldsRows
+      );
+    } catch (e) {
+      if (!e.statusCode) throw e;
+      return res.status(e.statusCode).json({ error: e.message });
+    }
+    const { sql, values, countSql, countValues } = listQuery;
+
+    const [{ rows: entries }, { rows: countRows }] = await Promise.all([
+      pool.query(sql, values),
+      pool.query(countSql, countValues),
+    ]);
+
+    const total = countRows[0]?.total ?? 0;
+
+    attachSearchResults(entries);
+    await localizeForRequest(typeId, entries, localeCtx);
     await attachResolvedUsersToEntries(typeId, entries);
-    res.json(entries);
+    await expandEntries(pool, entries, expand);
+    if (listParams.trashed) await attachDeletedByUsers(entries);
+    res.json({
+      entries,
+      total,
+      limit: listParams.limit,
+      offset: listParams.offset,
+      hasMore: listParams.offset + entries.length < total,
+    });
   } catch (err) {
-    console.error('[GET /api/content/:slug] error', err);
+    console.error(`[GET /api/content/:slug${trashed ? '/trash' : ''}] error`, err);
     res.status(500).json({ error: 'Server error listing entries', detail: err.message });
   }
-});
+}
+
+app.get('/api/content/:slug', (req, res) => listEntries(req, res));
+
+// The type's trash: the same list params, newest deletion first, with who
+// deleted each entry. Needs the entries.trash permission.
+app.get('/api/content/:slug/trash', authMiddleware, checkPermission('entries.trash'), (req, res) =>
+  listEntries(req, res, { trashed: true })
+);
 
 // Create entry
-app.post('/api/content/:slug', authMiddleware, async (req, res) => {
+app.post('/api/content/:slug', authMiddleware, requireRole, async (req, res) => {
   const typeSlug = req.params.slug;
   let { title, slug: entrySlug, status, data } = req.body || {};
 
-  function slugify(str) {
-    return (str || '')
-      .toString()
-      .trim()
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
-  }
-
   try {
     const { rows: ctRows } = await pool.query(
       'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
@@ -496,43 +644,116 @@ app.post('/api/content/:slug', authMiddleware, async (req, res) => {
 
     const typeId = ctRows[0].id;
 
-    const roleUpper = String(req.user?.role || 'ADMIN').toUpperCase();
+    const roleUpper = String(req.user?.role || '').toUpperCase();
     const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
 
-    if (core && String(core.titleMode || '').toLowerCase() === 'template') {
-      const derived = deriveTitleFromTemplate(core.titleTemplate || '', data || {});
-      if (derived) title = derived;
+    // New entries start in the workflow's initial state; asking for another
+    // state needs a transition the user's role may perform from there
+    const workflow = await loadWorkflowGuard(pool, typeId, roleUpper);
+    const finalStatus =
+      typeof status === 'string' && status.trim() ? status.trim() : workflow.initial;
+
+    let schedule;
+    let transition;
+    try {
+      schedule = parseScheduleFields(req.body);
+      transition = workflow.check(null, finalStatus);
+      checkSchedulePermission(workflow, finalStatus, schedule);
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
     }
 
-    const safeTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
-    if (!safeTitle) return res.status(400).json({ error: 'Title is required' });
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
 
-    if ((!entrySlug || !String(entrySlug).trim()) && core?.autoSlugFromTitleIfEmpty !== false) {
-      entrySlug = slugify(safeTitle);
+    // The creator owns a new entry unless the body names another owner
+    const userId = req.user?.id || null;
+    let owner;
+    try {
+      owner = await parseOwnerField(pool, req.body);
+      if ('owner_id' in owner && owner.owner_id !== userId) await assertCanReassignOwner(roleUpper);
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
     }
+    const ownerId = 'owner_id' in owner ? owner.owner_id : userId;
 
-    const finalSlug =
-      typeof entrySlug === 'string' && entrySlug.trim() ? entrySlug.trim() : slugify(safeTitle);
+    // Field defaults (lib/entryDefaults.js) fill what the client left empty
+    const now = new Date();
+    const withDefaults = applyFieldDefaults(fieldsRows, mapEntryDataKeys(fieldsRows, data), {
+      userId,
+      now,
+    });
 
-    const finalStatus = typeof status === 'string' && status.trim() ? status.trim() : 'draft';
+    const created = await withTransaction(async (client) => {
+      // Sequence numbers are taken here so a failed create gives them back,
+      // and before the title so a template can use them
+      const entryData = await allocateSequences(client, typeId, fieldsRows, withDefaults, { now });
 
-    const { rows: fieldsRows } = await pool.query(
-      'SELECT field_key AS key, type FROM content_fields WHERE content_type_id = $1',
-      [typeId]
-    );
+      if (core && String(core.titleMode || '').toLowerCase() === 'template') {
+        const derived = deriveTitleFromTemplate(core.titleTemplate || '', entryData);
+        if (derived) title = derived;
+      }
 
-    const normalizedData = normalizeEntryData(fieldsRows, data || {});
+      const safeTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
+      if (!safeTitle) {
+        const err = new Error('Title is required');
+        err.statusCode = 400;
+        throw err;
+      }
 
-    const { rows } = await pool.query(
-      `INSERT INTO entries (content_type_id, title, slug, status, data)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [typeId, safeTitle, finalSlug, finalStatus, normalizedData]
-    );
+      if ((!entrySlug || !String(entrySlug).trim()) && core?.autoSlugFromTitleIfEmpty !== false) {
+        entrySlug = slugify(safeTitle);
+      }
 
-    await attachResolvedUsersToEntries(typeId, rows[0]);
-    res.status(201).json(rows[0]);
+      const finalSlug =
+        typeof entrySlug === 'string' && entrySlug.trim() ? entrySlug.trim() : slugify(safeTitle);
+
+      const validationErrors = validateEntryData(fieldsRows, entryData);
+      if (validationErrors.length) throw entryValidationError(validationErrors);
+
+      const normalizedData = normalizeEntryData(fieldsRows, entryData);
+      await assertUnique(client, typeId, fieldsRows, normalizedData);
+
+      const { rows } = await client.query(
+        `INSERT INTO entries
+           (content_type_id, title, slug, status, data, publish_at, unpublish_at,
+            owner_id, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+         RETURNING *`,
+        [
+          typeId,
+          safeTitle,
+          finalSlug,
+          finalStatus,
+          normalizedData,
+          schedule.publish_at ?? null,
+          schedule.unpublish_at ?? null,
+          ownerId,
+          userId,
+        ]
+      );
+      await recordEntryVersion(client, rows[0], { userId: req.user?.id, action: 'create' });
+      await syncEntryRelations(client, rows[0], fieldsRows);
+      await recordWorkflowTransition(client, {
+        entryId: rows[0].id,
+        from: null,
+        to: finalStatus,
+        transition: transition?.key,
+        userId: req.user?.id,
+      });
+      return rows[0];
+    });
+
+    await attachResolvedUsersToEntries(typeId, created);
+    res.set('ETag', entryEtag(created));
+    res.status(201).json(created);
   } catch (err) {
+    if (err.errors) return res.status(422).json(validationErrorBody(err.errors));
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('[POST /api/content/:slug] error', err);
     if (err.code === '23505') {
       return res.status(409).json({
@@ -549,10 +770,178 @@ app.post('/api/content/:slug', authMiddleware, async (req, res) => {
   }
 });
 
-// Get single entry (accepts ID or slug)
+/* ----------------------- Export ------------------------------------ */
+// GET /api/content/:slug/export?format=csv|json|ndjson
+//   &view=<list view slug>   columns, title mode and saved filter of that view
+//   &columns=title,price     explicit column keys (overrides the view's)
+//   &raw=1                   stored values instead of display formatting
+// plus the usual ?sort, ?q, ?filter and ?trash list params. Rows are read
+// in batches and streamed, so large types never sit in memory at once.
+// Registered before /api/content/:slug/:id, which would otherwise match it.
+const EXPORT_BATCH_SIZE = 500;
+
+app.get('/api/content/:slug/export', authMiddleware, async (req, res) => {
+  const typeSlug = req.params.slug;
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const raw = isTruthyParam(req.query.raw);
+
+  let listParams;
+  try {
+    listParams = parseListParams(req.query);
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
+  try {
+    // Exporting the trash needs the same permission as listing it
+    if (listParams.trashed && !(await roleHasPermission(req.user?.role, 'entries.trash'))) {
+      return res.status(403).json({ error: 'Forbidden: missing permission entries.trash' });
+    }
+
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [typeSlug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+    const typeId = ctRows[0].id;
+
+    let view = null;
+    if (req.query.view) {
+      const { rows } = await pool.query(
+        `SELECT slug, label, config FROM entry_list_views
+         WHERE content_type_id = $1 AND slug = $2
+         LIMIT 1`,
+        [typeId, String(req.query.view)]
+      );
+      if (!rows.length) return res.status(404).json({ error: 'List view not found' });
+      view = rows[0];
+    }
+
+    const { rows: fieldDefs } = await pool.query(
+      `SELECT field_key AS key, label, type, config
+       FROM content_fields
+       WHERE content_type_id = $1
+       ORDER BY order_index ASC, created_at ASC`,
+      [typeId]
+    );
+    const fieldsByKey = {};
+    for (const f of fieldDefs) fieldsByKey[f.key] = f;
+
+    // A view's saved filter still applies; ?filter narrows it further
+    const viewFilter = !listParams.trashed && view?.config?.filter ? view.config.filter : null;
+    const filters = [viewFilter, listParams.filter].filter(Boolean);
+    const filter = filters.length > 1 ? { and: filters } : filters[0] || null;
+
+    const requested = String(req.query.columns || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const columns = resolveExportColumns({ requested, view, fieldDefs });
+    const userKeys = columns
+      .map((c) => c.key)
+      .filter((k) => fieldsByKey[k]?.type === 'relation_user' || ENTRY_USER_COLUMNS.includes(k));
+
+    // Build the first batch query up front so a bad filter is still a 400
+    const batchQuery = (offset) =>
+      buildEntryListQuery(
+        typeId,
+        { ...listParams, filter, limit: EXPORT_BATCH_SIZE, offset, userId: req.user?.id },
+        fieldDefs
+      );
+    let query;
+    try {
+      query = batchQuery(0);
+    } catch (e) {
+      if (!e.statusCode) throw e;
+      return res.status(e.statusCode).json({ error: e.message });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${typeSlug}-${stamp}.${format}"`);
+    res.set('Cache-Control', 'no-store');
+
+    let aborted = false;
+    req.on('close', () => {
+      aborted = true;
+    });
+    const write = (chunk) =>
+      res.write(chunk) ? Promise.resolve() : new Promise((resolve) => res.once('drain', resolve));
+
+    if (format === 'csv') {
+      // BOM so Excel opens UTF-8 correctly
+      await write(`\uFEFF${csvLine(columns.map((c) => c.label))}`);
+    } else if (format === 'json') {
+      await write('[');
+    }
+
+    let offset = 0;
+    let first = true;
+    while (!aborted) {
+      const { rows: entries } = await pool.query(query.sql, query.values);
+      if (!entries.length) break;
+
+      let usersById = {};
+      if (userKeys.length && !raw) {
+        const ids = new Set();
+        for (const e of entries) {
+          for (const k of userKeys) {
+            const v = fieldsByKey[k] ? e.data?.[k] : e[k];
+            for (const id of Array.isArray(v) ? v : [v]) if (isUuid(id)) ids.add(String(id));
+          }
+        }
+        if (ids.size) {
+          const { rows: users } = await pool.query(
+            'SELECT id, name, email FROM public.users WHERE id = ANY($1::uuid[])',
+            [Array.from(ids)]
+          );
+          usersById = Object.fromEntries(users.map((u) => [u.id, u]));
+        }
+      }
+
+      let chunk = '';
+      for (const entry of entries) {
+        const row = buildExportRow(entry, columns, { fieldsByKey, view, raw, usersById });
+        if (format === 'csv') chunk += csvLine(columns.map((c) => row[c.key]));
+        else if (format === 'ndjson') chunk += `${JSON.stringify(row)}\n`;
+        else {
+          chunk += `${first ? '' : ','}\n${JSON.stringify(row)}`;
+          first = false;
+        }
+      }
+      await write(chunk);
+
+      if (entries.length < EXPORT_BATCH_SIZE) break;
+      offset += EXPORT_BATCH_SIZE;
+      query = batchQuery(offset);
+    }
+
+    if (format === 'json') await write(first ? ']' : '\n]');
+    res.end();
+  } catch (err) {
+    console.error('[GET /api/content/:slug/export] error', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export entries', detail: err.message });
+  }
+});
+
+// Get single entry (accepts ID or slug). Takes ?expand= like the list, and
+// ?locale=, where the slug may also be the entry's slug in that locale.
 app.get('/api/content/:slug/:id', authMiddleware, async (req, res) => {
   const { slug: typeSlug, id } = req.params;
 
+  let expand;
+  let localeCtx;
+  try {
+    expand = parseExpandParam(req.query.expand, req.query.depth);
+    localeCtx = await requestLocale(req);
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
   try {
     const { rows: ctRows } = await pool.query(
       'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
@@ -562,15 +951,24 @@ app.get('/api/content/:slug/:id', authMiddleware, async (req, res) => {
 
     const typeId = ctRows[0].id;
 
-    const entryQuery = isUuid(id)
-      ? `SELECT * FROM entries WHERE id = $1 AND content_type_id = $2 LIMIT 1`
-      : `SELECT * FROM entries WHERE slug = $1 AND content_type_id = $2 LIMIT 1`;
-    const entryParams = isUuid(id) ? [id, typeId] : [id, typeId];
+    let entryId = id;
+    if (localeCtx.locale && !isUuid(id)) {
+      const chain = localeChain(localeCtx.locale, localeCtx.settings);
+      entryId = (await findEntryIdByLocaleSlug(pool, typeId, chain, id)) || id;
+    }
+
+    const entryQuery = isUuid(entryId)
+      ? `SELECT * FROM entries WHERE id = $1 AND content_type_id = $2 AND deleted_at IS NULL LIMIT 1`
+      : `SELECT * FROM entries WHERE slug = $1 AND content_type_id = $2 AND deleted_at IS NULL LIMIT 1`;
+    const entryParams = [entryId, typeId];
 
     const { rows } = await pool.query(entryQuery, entryParams);
     if (!rows.length) return res.status(404).json({ error: 'Entry not found' });
 
+    await localizeForRequest(typeId, rows[0], localeCtx);
     await attachResolvedUsersToEntries(typeId, rows[0]);
+    await expandEntries(pool, rows[0], expand);
+    res.set('ETag', entryEtag(rows[0]));
     res.json(rows[0]);
   } catch (err) {
     console.error('[GET /api/content/:slug/:id] error', err);
@@ -578,18 +976,26 @@ app.get('/api/content/:slug/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// Update entry (accepts ID or slug)
-app.put('/api/content/:slug/:id', authMiddleware, async (req, res) => {
+// PUT / PATCH with ?locale= for a locale other than the default. The body
+// is the entry as seen in that locale: title, slug and localizable fields go
+// to the locale's entry_localizations row, everything else is shared and
+// updates the entry itself. Values sent back unchanged from a fallback are
+// not stored, so the field keeps following its fallback. Status, schedule
+// and owner only change through the default locale.
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+async function saveLocalizedEntry(req, res, { locale, settings, patch }) {
   const { slug: typeSlug, id } = req.params;
-  let { title, slug: entrySlug, status, data } = req.body || {};
+  const body = req.body;
 
-  function slugify(str) {
-    return (str || '')
-      .toString()
-      .trim()
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ error: 'Body must be a JSON object' });
+  }
+  const dataIsObject = body.data && typeof body.data === 'object' && !Array.isArray(body.data);
+  if (body.data !== undefined && !dataIsObject) {
+    return res.status(400).json({ error: 'data must be a JSON object' });
   }
 
   try {
@@ -601,58 +1007,144 @@ app.put('/api/content/:slug/:id', authMiddleware, async (req, res) => {
 
     const typeId = ctRows[0].id;
 
-    const roleUpper = String(req.user?.role || 'ADMIN').toUpperCase();
+    const roleUpper = String(req.user?.role || '').toUpperCase();
     const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
 
-    if (core && String(core.titleMode || '').toLowerCase() === 'template') {
-      const derived = deriveTitleFromTemplate(core.titleTemplate || '', data || {});
-      if (derived) title = derived;
-    }
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config, localizable
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+    const localKeys = new Set(localizableKeys(fieldsRows));
+    const localFields = fieldsRows.filter((f) => localKeys.has(f.key));
 
-    const safeTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
-    if (!safeTitle) return res.status(400).json({ error: 'Title is required' });
+    const chain = localeChain(locale, settings);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
 
-    if ((!entrySlug || !String(entrySlug).trim()) && core?.autoSlugFromTitleIfEmpty !== false) {
-      entrySlug = slugify(safeTitle);
-    }
+    const result = await withTransaction(async (client) => {
+      let entryId = id;
+      if (!isUuid(id)) entryId = (await findEntryIdByLocaleSlug(client, typeId, chain, id)) || id;
 
-    const finalSlug =
-      typeof entrySlug === 'string' && entrySlug.trim() ? entrySlug.trim() : slugify(safeTitle);
+      const { rows: currentRows } = await client.query(
+        `SELECT * FROM entries
+         WHERE ${isUuid(entryId) ? 'id' : 'slug'} = $1 AND content_type_id = $2 AND deleted_at IS NULL
+         LIMIT 1
+         FOR UPDATE`,
+        [entryId, typeId]
+      );
+      if (!currentRows.length) return null;
+      const current = currentRows[0];
 
-    const finalStatus = typeof status === 'string' && status.trim() ? status.trim() : 'draft';
+      if (ifMatch && !ifMatch.any && !ifMatch.versions.includes(current.version)) {
+        return { conflict: current };
+      }
 
-    const { rows: fieldsRows } = await pool.query(
-      'SELECT field_key AS key, type FROM content_fields WHERE content_type_id = $1',
-      [typeId]
-    );
+      const byLocale = (await loadLocalizations(client, [current.id], chain)).get(current.id);
+      const own = byLocale?.get(locale) || null;
+      const viewOpts = { locale, defaultLocale: settings.defaultLocale, fieldDefs: fieldsRows };
+      const view = localizeEntry(current, byLocale, { ...viewOpts, chain });
+      // What the locale shows where it has no value of its own
+      const fallback = localizeEntry(current, byLocale, {
+        ...viewOpts,
+        chain: chain.filter((c) => c !== locale),
+      });
 
-    const normalizedData = normalizeEntryData(fieldsRows, data || {});
-
-    const updated = isUuid(id)
-      ? await pool.query(
-          `UPDATE entries
-           SET title = $1, slug = $2, status = $3, data = $4, updated_at = now()
-           WHERE id = $5 AND content_type_id = $6
-           RETURNING *`,
-          [safeTitle, finalSlug, finalStatus, normalizedData, id, typeId]
-        )
-      : await pool.query(
-          `UPDATE entries
-           SET title = $1, slug = $2, status = $3, data = $4, updated_at = now()
-           WHERE slug = $5 AND content_type_id = $6
-           RETURNING *`,
-          [safeTitle, finalSlug, finalStatus, normalizedData, id, typeId]
-        );
+      let incoming = mapEntryDataKeys(fieldsRows, body.data);
+      if (patch) {
+        incoming =
+          body.data !== undefined ? applyMergePatch(view.data || {}, incoming) : { ...view.data };
+      }
+      const { shared, localized } = splitLocalizedData(fieldsRows, incoming);
+      for (const key of Object.keys(localized)) {
+        if (isEmptyValue(own?.data?.[key]) && sameValue(localized[key], fallback.data[key])) {
+          delete localized[key];
+        }
+      }
+
+      // Shared values update the entry; its default-locale values of the
+      // localizable fields and the mirrored columns stay as they are
+      const base = { ...shared };
+      for (const key of [...localKeys, ...ENTRY_MIRROR_KEYS]) {
+        if (current.data && key in current.data) base[key] = current.data[key];
+        else delete base[key];
+      }
+
+      // The entry as the locale will show it, for validation and the title
+      const shown = { ...base };
+      for (const key of localKeys) {
+        shown[key] = isEmptyValue(localized[key]) ? fallback.data[key] : localized[key];
+      }
+
+      let title = body.title !== undefined ? body.title : (own?.title ?? null);
+      if (core && String(core.titleMode || '').toLowerCase() === 'template') {
+        const derived = deriveTitleFromTemplate(core.titleTemplate || '', shown);
+        if (derived) title = derived;
+      }
+      let localTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
+      if (!own?.title && localTitle === fallback.title) localTitle = null;
+
+      let localSlug = body.slug !== undefined ? body.slug : (own?.slug ?? null);
+      localSlug = typeof localSlug === 'string' && localSlug.trim() ? localSlug.trim() : null;
+      if (!own?.slug && localSlug === fallback.slug) localSlug = null;
+      if (!localSlug && localTitle && core?.autoSlugFromTitleIfEmpty !== false) {
+        localSlug = slugify(localTitle);
+      }
+
+      const validationErrors = validateEntryData(fieldsRows, shown);
+      if (validationErrors.length) throw entryValidationError(validationErrors);
+
+      const normalizedData = normalizeEntryData(fieldsRows, base);
+      await assertUnique(client, typeId, fieldsRows, normalizedData, {
+        excludeId: current.id,
+        previous: current.data,
+      });
+
+      const { rows } = await client.query(
+        `UPDATE entries
+         SET data = $1, updated_by = $2, version = version + 1, updated_at = now()
+         WHERE id = $3
+         RETURNING *`,
+        [normalizedData, req.user?.id || null, current.id]
+      );
+
+      await recordEntryVersion(client, rows[0], { userId: req.user?.id });
+      await syncEntryRelations(client, rows[0], fieldsRows);
+      await saveLocalization(
+        client,
+        rows[0],
+        locale,
+        { title: localTitle, slug: localSlug, data: normalizeEntryData(localFields, localized) },
+        { fieldDefs: fieldsRows, userId: req.user?.id || null }
+      );
+      return { entry: rows[0] };
+    });
 
-    if (!updated.rows.length) return res.status(404).json({ error: 'Entry not found' });
+    if (!result) return res.status(404).json({ error: 'Entry not found' });
+
+    if (result.conflict) {
+      await localizeForRequest(typeId, result.conflict, { locale, settings });
+      await attachResolvedUsersToEntries(typeId, result.conflict);
+      res.set('ETag', entryEtag(result.conflict));
+      return res.status(409).json({
+        error: 'This entry was changed by someone else since you loaded it',
+        code: 'VERSION_CONFLICT',
+        current: result.conflict,
+      });
+    }
 
-    await attachResolvedUsersToEntries(typeId, updated.rows[0]);
-    res.json(updated.rows[0]);
+    const updatedEntry = result.entry;
+    await localizeForRequest(typeId, updatedEntry, { locale, settings });
+    await attachResolvedUsersToEntries(typeId, updatedEntry);
+    res.set('ETag', entryEtag(updatedEntry));
+    res.json(updatedEntry);
   } catch (err) {
-    console.error('[PUT /api/content/:slug/:id] error', err);
+    if (err.errors) return res.status(422).json(validationErrorBody(err.errors));
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`[${req.method} /api/content/:slug/:id?locale] error`, err);
     if (err.code === '23505') {
       return res.status(409).json({
-        error: 'Slug already exists for this content type',
+        error: `Slug already exists for this content type in locale "${locale}"`,
         code: err.code,
         detail: err.detail || err.message,
       });
@@ -663,64 +1155,1010 @@ app.put('/api/content/:slug/:id', authMiddleware, async (req, res) => {
       detail: err.message,
     });
   }
-});
+}
 
-/* ----------------------- Deletes ----------------------------------- */
+// Update entry (accepts ID or slug)
+app.put('/api/content/:slug/:id', authMiddleware, requireRole, async (req, res) => {
+  const { slug: typeSlug, id } = req.params;
+  let { title, slug: entrySlug, status, data } = req.body || {};
 
-app.delete('/api/content/:slug/:id', authMiddleware, async (req, res) => {
-  const { slug, id } = req.params;
   try {
-    const typeRes = await pool.query(
+    const { locale, settings } = await requestLocale(req);
+    if (locale) return saveLocalizedEntry(req, res, { locale, settings, patch: false });
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
+  try {
+    const { rows: ctRows } = await pool.query(
       'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
-      [slug]
+      [typeSlug]
     );
-    if (!typeRes.rows.length) return res.status(404).json({ error: 'Not found' });
-    const typeId = typeRes.rows[0].id;
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
 
-    if (isUuid(id)) {
-      await pool.query('DELETE FROM entry_versions WHERE entry_id = $1', [id]);
-      const del = await pool.query(
-        'DELETE FROM entries WHERE id = $1 AND content_type_id = $2 RETURNING id',
-        [id, typeId]
-      );
-      if (!del.rows.length) return res.status(404).json({ error: 'Not found' });
-    } else {
-      const { rows: entryRows } = await pool.query(
-        'SELECT id FROM entries WHERE slug = $1 AND content_type_id = $2 LIMIT 1',
-        [id, typeId]
-      );
-      if (!entryRows.length) return res.status(404).json({ error: 'Not found' });
-      const entryId = entryRows[0].id;
+    const typeId = ctRows[0].id;
 
-      await pool.query('DELETE FROM entry_versions WHERE entry_id = $1', [entryId]);
+    const roleUpper = String(req.user?.role || '').toUpperCase();
+    const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
 
-      const del = await pool.query(
-        'DELETE FROM entries WHERE id = $1 AND content_type_id = $2 RETURNING id',
-        [entryId, typeId]
-      );
-      if (!del.rows.length) return res.status(404).json({ error: 'Not found' });
+    if (core && String(core.titleMode || '').toLowerCase() === 'template') {
+      const derived = deriveTitleFromTemplate(core.titleTemplate || '', data || {});
+      if (derived) title = derived;
     }
 
-    res.json({ ok: true });
-  } catch (err) {
-    console.error('[DELETE /api/content/:slug/:id]', err);
-    res.status(500).json({ error: 'Server error' });
+    const safeTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
+    if (!safeTitle) return res.status(400).json({ error: 'Title is required' });
+
+    if ((!entrySlug || !String(entrySlug).trim()) && core?.autoSlugFromTitleIfEmpty !== false) {
+      entrySlug = slugify(safeTitle);
+    }
+
+    const finalSlug =
+      typeof entrySlug === 'string' && entrySlug.trim() ? entrySlug.trim() : slugify(safeTitle);
+
+    // Omitting status keeps the current one; changing it must follow the workflow
+    const requestedStatus = typeof status === 'string' && status.trim() ? status.trim() : null;
+    const workflow = await loadWorkflowGuard(pool, typeId, roleUpper);
+
+    // Schedule keys and owner_id are optional on PUT; omitted ones keep their
+    // stored value
+    let schedule;
+    let owner;
+    try {
+      schedule = parseScheduleFields(req.body);
+      owner = await parseOwnerField(pool, req.body);
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
+    }
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+
+    const keyedData = mapEntryDataKeys(fieldsRows, data);
+    const validationErrors = validateEntryData(fieldsRows, keyedData);
+    if (validationErrors.length) return res.status(422).json(validationErrorBody(validationErrors));
+
+    const normalizedData = normalizeEntryData(fieldsRows, keyedData);
+
+    // If-Match carries the version the client last loaded; a stale one is a
+    // conflict and the caller gets the current server copy back to merge with.
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const idColumn = isUuid(id) ? 'id' : 'slug';
+
+    const result = await withTransaction(async (client) => {
+      const { rows: currentRows } = await client.query(
+        `SELECT * FROM entries
+         WHERE ${idColumn} = $1 AND content_type_id = $2 AND deleted_at IS NULL
+         LIMIT 1
+         FOR UPDATE`,
+        [id, typeId]
+      );
+      if (!currentRows.length) return null;
+      const current = currentRows[0];
+
+      if (ifMatch && !ifMatch.any && !ifMatch.versions.includes(current.version)) {
+        return { conflict: current };
+      }
+      if ('owner_id' in owner && owner.owner_id !== current.owner_id) {
+        await assertCanReassignOwner(roleUpper);
+      }
+
+      const finalStatus = requestedStatus ?? current.status ?? workflow.initial;
+      const transition = workflow.check(current.status, finalStatus);
+      checkSchedulePermission(workflow, finalStatus, schedule, current);
+
+      // Only one of the two times may be in the body; check it against the other stored one
+      const publishAt = 'publish_at' in schedule ? schedule.publish_at : current.publish_at;
+      const unpublishAt = 'unpublish_at' in schedule ? schedule.unpublish_at : current.unpublish_at;
+      if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+        const err = new Error('unpublish_at must be later than publish_at');
+        err.statusCode = 400;
+        throw err;
+      }
+
+      const entryData = syncEntryMirrors(normalizedData, { status: finalStatus });
+
+      await assertUnique(client, typeId, fieldsRows, entryData, {
+        excludeId: current.id,
+        previous: current.data,
+      });
+
+      const updated = await client.query(
+        `UPDATE entries
+         SET title = $1, slug = $2, status = $3, data = $4,
+             publish_at = CASE WHEN $6::boolean THEN $7::timestamptz ELSE publish_at END,
+             unpublish_at = CASE WHEN $8::boolean THEN $9::timestamptz ELSE unpublish_at END,
+             owner_id = CASE WHEN $10::boolean THEN $11::uuid ELSE owner_id END,
+             updated_by = $12,
+             version = version + 1, updated_at = now()
+         WHERE id = $5
+         RETURNING *`,
+        [
+          safeTitle,
+          finalSlug,
+          finalStatus,
+          entryData,
+          current.id,
+          'publish_at' in schedule,
+          schedule.publish_at ?? null,
+          'unpublish_at' in schedule,
+          schedule.unpublish_at ?? null,
+          'owner_id' in owner,
+          owner.owner_id ?? null,
+          req.user?.id || null,
+        ]
+      );
+
+      await recordEntryVersion(client, updated.rows[0], { userId: req.user?.id });
+      await syncEntryRelations(client, updated.rows[0], fieldsRows);
+      await recordSlugChange(client, current, updated.rows[0]);
+      if (transition) {
+        await recordWorkflowTransition(client, {
+          entryId: current.id,
+          from: current.status,
+          to: finalStatus,
+          transition: transition.key,
+          userId: req.user?.id,
+        });
+      }
+      return { entry: updated.rows[0] };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Entry not found' });
+
+    if (result.conflict) {
+      await attachResolvedUsersToEntries(typeId, result.conflict);
+      res.set('ETag', entryEtag(result.conflict));
+      return res.status(409).json({
+        error: 'This entry was changed by someone else since you loaded it',
+        code: 'VERSION_CONFLICT',
+        current: result.conflict,
+      });
+    }
+
+    const updatedEntry = result.entry;
+    await attachResolvedUsersToEntries(typeId, updatedEntry);
+    res.set('ETag', entryEtag(updatedEntry));
+    res.json(updatedEntry);
+  } catch (err) {
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[PUT /api/content/:slug/:id] error', err);
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Slug already exists for this content type',
+        code: err.code,
+        detail: err.detail || err.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to update entry',
+      code: err.code || null,
+      detail: err.message,
+    });
+  }
+});
+
+// Partially update entry (accepts ID or slug). `data` is a JSON Merge Patch
+// (RFC 7396); title, slug and status are optional and keep their value when
+// omitted. Honors If-Match the same way PUT does. Both take ?locale= to
+// write one locale's values (see saveLocalizedEntry).
+app.patch('/api/content/:slug/:id', authMiddleware, requireRole, async (req, res) => {
+  const { slug: typeSlug, id } = req.params;
+  const body = req.body;
+
+  try {
+    const { locale, settings } = await requestLocale(req);
+    if (locale) return saveLocalizedEntry(req, res, { locale, settings, patch: true });
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ error: 'Patch body must be a JSON object' });
+  }
+  const dataIsObject = body.data && typeof body.data === 'object' && !Array.isArray(body.data);
+  if (body.data !== undefined && !dataIsObject) {
+    return res.status(400).json({ error: 'data must be a JSON object' });
+  }
+
+  let schedule;
+  let owner;
+  try {
+    schedule = parseScheduleFields(body);
+    owner = await parseOwnerField(pool, body);
+  } catch (e) {
+    return res.status(e.statusCode || 400).json({ error: e.message });
+  }
+
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [typeSlug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+
+    const typeId = ctRows[0].id;
+
+    const roleUpper = String(req.user?.role || '').toUpperCase();
+    const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+
+    const workflow = await loadWorkflowGuard(pool, typeId, roleUpper);
+
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const idColumn = isUuid(id) ? 'id' : 'slug';
+
+    const result = await withTransaction(async (client) => {
+      // Lock the row so concurrent patches apply one after another
+      const { rows: currentRows } = await client.query(
+        `SELECT * FROM entries
+         WHERE ${idColumn} = $1 AND content_type_id = $2 AND deleted_at IS NULL
+         LIMIT 1
+         FOR UPDATE`,
+        [id, typeId]
+      );
+      if (!currentRows.length) return null;
+      const current = currentRows[0];
+
+      if (ifMatch && !ifMatch.any && !ifMatch.versions.includes(current.version)) {
+        return { conflict: current };
+      }
+      if ('owner_id' in owner && owner.owner_id !== current.owner_id) {
+        await assertCanReassignOwner(roleUpper);
+      }
+
+      let patchedData =
+        body.data !== undefined
+          ? applyMergePatch(current.data || {}, mapEntryDataKeys(fieldsRows, body.data))
+          : { ...(current.data || {}) };
+
+      let title = body.title !== undefined ? body.title : current.title;
+      if (core && String(core.titleMode || '').toLowerCase() === 'template') {
+        const derived = deriveTitleFromTemplate(core.titleTemplate || '', patchedData);
+        if (derived) title = derived;
+      }
+
+      const safeTitle = typeof title === 'string' && title.trim() ? title.trim() : null;
+      if (!safeTitle) {
+        const err = new Error('Title is required');
+        err.statusCode = 400;
+        throw err;
+      }
+
+      let finalSlug = current.slug;
+      if (body.slug !== undefined) {
+        finalSlug =
+          typeof body.slug === 'string' && body.slug.trim() ? body.slug.trim() : slugify(safeTitle);
+      }
+
+      const finalStatus =
+        typeof body.status === 'string' && body.status.trim() ? body.status.trim() : current.status;
+      const transition = workflow.check(current.status, finalStatus);
+      checkSchedulePermission(workflow, finalStatus, schedule, current);
+
+      const publishAt = 'publish_at' in schedule ? schedule.publish_at : current.publish_at;
+      const unpublishAt = 'unpublish_at' in schedule ? schedule.unpublish_at : current.unpublish_at;
+      if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+        const err = new Error('unpublish_at must be later than publish_at');
+        err.statusCode = 400;
+        throw err;
+      }
+
+      patchedData = syncEntryMirrors(patchedData, {
+        title: safeTitle,
+        slug: finalSlug,
+        status: finalStatus,
+      });
+
+      const validationErrors = validateEntryData(fieldsRows, patchedData);
+      if (validationErrors.length) throw entryValidationError(validationErrors);
+
+      const normalizedData = normalizeEntryData(fieldsRows, patchedData);
+      await assertUnique(client, typeId, fieldsRows, normalizedData, {
+        excludeId: current.id,
+        previous: current.data,
+      });
+
+      const ownerId = 'owner_id' in owner ? owner.owner_id : current.owner_id;
+
+      const { rows } = await client.query(
+        `UPDATE entries
+         SET title = $1, slug = $2, status = $3, data = $4,
+             publish_at = $6, unpublish_at = $7, owner_id = $8, updated_by = $9,
+             version = version + 1, updated_at = now()
+         WHERE id = $5
+         RETURNING *`,
+        [
+          safeTitle,
+          finalSlug,
+          finalStatus,
+          normalizedData,
+          current.id,
+          publishAt,
+          unpublishAt,
+          ownerId,
+          req.user?.id || null,
+        ]
+      );
+
+      await recordEntryVersion(client, rows[0], { userId: req.user?.id });
+      await syncEntryRelations(client, rows[0], fieldsRows);
+      await recordSlugChange(client, current, rows[0]);
+      if (transition) {
+        await recordWorkflowTransition(client, {
+          entryId: current.id,
+          from: current.status,
+          to: finalStatus,
+          transition: transition.key,
+          userId: req.user?.id,
+        });
+      }
+      return { entry: rows[0] };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Entry not found' });
+
+    if (result.conflict) {
+      await attachResolvedUsersToEntries(typeId, result.conflict);
+      res.set('ETag', entryEtag(result.conflict));
+      return res.status(409).json({
+        error: 'This entry was changed by someone else since you loaded it',
+        code: 'VERSION_CONFLICT',
+        current: result.conflict,
+      });
+    }
+
+    const updatedEntry = result.entry;
+    await attachResolvedUsersToEntries(typeId, updatedEntry);
+    res.set('ETag', entryEtag(updatedEntry));
+    res.json(updatedEntry);
+  } catch (err) {
+    if (err.errors) return res.status(422).json(validationErrorBody(err.errors));
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[PATCH /api/content/:slug/:id] error', err);
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Slug already exists for this content type',
+        code: err.code,
+        detail: err.detail || err.message,
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to update entry',
+      code: err.code || null,
+      detail: err.message,
+    });
+  }
+});
+
+/* ----------------------- Deletes & trash ---------------------------- */
+// DELETE moves an entry to the trash. ?permanent=true purges an entry that is
+// already in the trash; anything left there is purged after the retention
+// period (see lib/entryTrash.js).
+
+function isTruthyParam(value) {
+  return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+async function findEntryIncludingTrash(idOrSlug, typeId) {
+  const params = [idOrSlug];
+  let sql = `SELECT id, deleted_at FROM entries WHERE ${isUuid(idOrSlug) ? 'id' : 'slug'} = $1`;
+  if (typeId) {
+    params.push(typeId);
+    sql += ` AND content_type_id = $${params.length}`;
+  }
+  // A slug may belong to one live entry and any number of trashed ones
+  const { rows } = await pool.query(
+    `${sql} ORDER BY deleted_at IS NOT NULL, deleted_at DESC LIMIT 1`,
+    params
+  );
+  return rows[0] || null;
+}
+
+async function deleteEntry(req, res, entry, typeId) {
+  if (isTruthyParam(req.query.permanent)) {
+    if (!entry.deleted_at) {
+      return res.status(409).json({
+        error: 'Move the entry to the trash before deleting it permanently',
+      });
+    }
+    await purgeTrashedEntries(pool, { ids: [entry.id] });
+    return res.json({ ok: true, purged: true, id: entry.id });
+  }
+
+  if (entry.deleted_at) {
+    return res.json({ ok: true, trashed: true, id: entry.id, deleted_at: entry.deleted_at });
+  }
+
+  const trashed = await withTransaction((client) =>
+    trashEntry(client, entry.id, { userId: req.user?.id, contentTypeId: typeId })
+  );
+  if (!trashed) return res.status(404).json({ error: 'Not found' });
+
+  res.json({ ok: true, trashed: true, id: trashed.id, deleted_at: trashed.deleted_at });
+}
+
+app.delete('/api/content/:slug/:id', authMiddleware, async (req, res) => {
+  const { slug, id } = req.params;
+  try {
+    const typeRes = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [slug]
+    );
+    if (!typeRes.rows.length) return res.status(404).json({ error: 'Not found' });
+    const typeId = typeRes.rows[0].id;
+
+    const entry = await findEntryIncludingTrash(id, typeId);
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+
+    await deleteEntry(req, res, entry, typeId);
+  } catch (err) {
+    console.error('[DELETE /api/content/:slug/:id]', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
 app.delete('/api/content/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Not found' });
   try {
-    await pool.query('DELETE FROM entry_versions WHERE entry_id = $1', [id]);
-    const del = await pool.query('DELETE FROM entries WHERE id = $1 RETURNING id', [id]);
-    if (!del.rows.length) return res.status(404).json({ error: 'Not found' });
-    res.json({ ok: true });
+    const entry = await findEntryIncludingTrash(id, null);
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+
+    await deleteEntry(req, res, entry, null);
   } catch (err) {
     console.error('[DELETE /api/content/:id]', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Restore a trashed entry
+app.post('/api/content/:slug/:id/restore', authMiddleware, async (req, res) => {
+  const { slug, id } = req.params;
+  try {
+    const typeRes = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [slug]
+    );
+    if (!typeRes.rows.length) return res.status(404).json({ error: 'Not found' });
+    const typeId = typeRes.rows[0].id;
+
+    const entry = await findEntryIncludingTrash(id, typeId);
+    if (!entry) return res.status(404).json({ error: 'Not found' });
+    if (!entry.deleted_at) {
+      return res.status(409).json({ error: 'Entry is not in the trash' });
+    }
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+
+    const restored = await withTransaction(async (client) => {
+      // A live entry may have taken one of its unique values in the meantime
+      const { rows } = await client.query('SELECT data FROM entries WHERE id = $1', [entry.id]);
+      await assertUnique(client, typeId, fieldsRows, rows[0]?.data || {}, { excludeId: entry.id });
+      return restoreEntry(client, entry.id, { userId: req.user?.id });
+    });
+    if (!restored) return res.status(409).json({ error: 'Entry is not in the trash' });
+
+    await attachResolvedUsersToEntries(typeId, restored);
+    res.set('ETag', entryEtag(restored));
+    res.json(restored);
+  } catch (err) {
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Slug already exists for this content type',
+        code: err.code,
+        detail: err.detail || err.message,
+      });
+    }
+    console.error('[POST /api/content/:slug/:id/restore]', err);
+    res.status(500).json({ error: 'Failed to restore entry', detail: err.message });
+  }
+});
+
+// Data checks shared by writes that build entry data server-side (bulk
+// actions, duplicates): validate + normalize, the title template, and the
+// unique check. Same steps as POST / PUT.
+function entryWriteHooks(typeId, fieldsRows, core) {
+  const usesTemplate = core && String(core.titleMode || '').toLowerCase() === 'template';
+  return {
+    prepareData: (data) => {
+      const keyed = mapEntryDataKeys(fieldsRows, data);
+      const errors = validateEntryData(fieldsRows, keyed);
+      if (errors.length) throw entryValidationError(errors);
+      return normalizeEntryData(fieldsRows, keyed);
+    },
+    deriveTitle: (data) =>
+      usesTemplate ? deriveTitleFromTemplate(core.titleTemplate || '', data) : '',
+    checkUnique: (db, data, opts) => assertUnique(db, typeId, fieldsRows, data, opts),
+  };
+}
+
+// Duplicate an entry (accepts ID or slug)
+// Body (all optional): { title, copy_terms: true, copy_relations: true,
+//   clear_fields: ["reference_no", …] }
+// The copy starts in the workflow's initial state with a fresh slug derived
+// from its title: the type's title template, else `title`, else
+// "<title> (copy)". copy_terms / copy_relations false leave taxonomy /
+// relation fields empty; clear_fields leaves those keys out, e.g.
+// identifiers that must not repeat. Unique fields are always left empty on
+// the copy and sequence fields get the next number; the copy is then
+// validated like a new entry (422 when e.g. a required field is now empty).
+app.post('/api/content/:slug/:id/duplicate', authMiddleware, requireRole, async (req, res) => {
+  const { slug: typeSlug, id } = req.params;
+  const body = req.body || {};
+
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [typeSlug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+    const typeId = ctRows[0].id;
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+
+    const clearFields = body.clear_fields == null ? [] : body.clear_fields;
+    if (!Array.isArray(clearFields)) {
+      return res.status(400).json({ error: 'clear_fields must be an array of field keys' });
+    }
+    const fieldKeys = new Set(fieldsRows.map((f) => f.key));
+    const unknown = clearFields.filter((k) => !fieldKeys.has(k));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown field(s) in clear_fields: ${unknown.join(', ')}` });
+    }
+    if (body.title != null && typeof body.title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+
+    const roleUpper = String(req.user?.role || '').toUpperCase();
+    const workflow = await loadWorkflowGuard(pool, typeId, roleUpper);
+    const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
+
+    const copy = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT * FROM entries
+         WHERE ${isUuid(id) ? 'id' : 'slug'} = $1 AND content_type_id = $2 AND deleted_at IS NULL
+         LIMIT 1`,
+        [id, typeId]
+      );
+      if (!rows.length) return null;
+
+      return duplicateEntry(client, rows[0], {
+        userId: req.user?.id || null,
+        status: workflow.initial,
+        title: body.title,
+        fieldDefs: fieldsRows,
+        copyTerms: body.copy_terms !== false,
+        copyRelations: body.copy_relations !== false,
+        clearFields,
+        ...entryWriteHooks(typeId, fieldsRows, core),
+      });
+    });
+    if (!copy) return res.status(404).json({ error: 'Entry not found' });
+
+    await attachResolvedUsersToEntries(typeId, copy);
+    res.set('ETag', entryEtag(copy));
+    res.status(201).json(copy);
+  } catch (err) {
+    if (err.errors) return res.status(422).json(validationErrorBody(err.errors));
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[POST /api/content/:slug/:id/duplicate]', err);
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Slug already exists for this content type',
+        code: err.code,
+        detail: err.detail || err.message,
+      });
+    }
+    res.status(500).json({ error: 'Failed to duplicate entry', detail: err.message });
+  }
+});
+
+// Empty the trash for one content type
+app.post('/api/content/:slug/trash/purge', authMiddleware, async (req, res) => {
+  const { slug } = req.params;
+  try {
+    const typeRes = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [slug]
+    );
+    if (!typeRes.rows.length) return res.status(404).json({ error: 'Not found' });
+
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(isUuid) : undefined;
+    const purged = await purgeTrashedEntries(pool, {
+      contentTypeId: typeRes.rows[0].id,
+      ids,
+    });
+
+    res.json({ ok: true, purged: purged.length, ids: purged });
+  } catch (err) {
+    console.error('[POST /api/content/:slug/trash/purge]', err);
+    res.status(500).json({ error: 'Failed to purge trash', detail: err.message });
+  }
+});
+
+/* ----------------------- Bulk operations --------------------------- */
+// POST /api/content/:slug/bulk  { action, ids, ...params, atomic? }
+// Runs in one transaction; each entry gets a savepoint so one failure is
+// reported per entry instead of aborting the batch. With atomic: true any
+// failure rolls the whole batch back.
+app.post('/api/content/:slug/bulk', authMiddleware, requireRole, async (req, res) => {
+  const { slug: typeSlug } = req.params;
+
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [typeSlug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+
+    const typeId = ctRows[0].id;
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields WHERE content_type_id = $1`,
+      [typeId]
+    );
+
+    let request;
+    try {
+      request = parseBulkRequest(req.body, fieldsRows);
+      if (request.action === 'set_owner') {
+        await assertCanReassignOwner(req.user?.role);
+        request.owner_id = await resolveOwnerId(pool, request.owner_id);
+      }
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
+    }
+
+    const roleUpper = String(req.user?.role || '').toUpperCase();
+    const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
+
+    const ctx = {
+      userId: req.user?.id,
+      workflow: await loadWorkflowGuard(pool, typeId, roleUpper),
+      fieldDefs: fieldsRows,
+      ...entryWriteHooks(typeId, fieldsRows, core),
+      syncRelations: (db, row) => syncEntryRelations(db, row, fieldsRows),
+    };
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows: entries } = await client.query(
+        `SELECT * FROM entries
+         WHERE id = ANY($1::uuid[]) AND content_type_id = $2
+         FOR UPDATE`,
+        [request.ids, typeId]
+      );
+      const byId = new Map(entries.map((e) => [e.id, e]));
+
+      const results = [];
+      for (const id of request.ids) {
+        const entry = byId.get(id);
+        if (!entry) {
+          results.push({ id, ok: false, error: 'Entry not found' });
+          continue;
+        }
+
+        await client.query('SAVEPOINT bulk_entry');
+        try {
+          const out = await applyBulkAction(client, entry, request, ctx);
+          await client.query('RELEASE SAVEPOINT bulk_entry');
+          results.push({ id, ok: true, ...out });
+        } catch (err) {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_entry');
+          if (!err.statusCode) console.error('[POST /api/content/:slug/bulk] entry', id, err);
+          let message = err.message;
+          if (err.code === '23505') message = 'Slug already exists for this content type';
+          if (err.errors) message = err.errors.map((e) => e.message).join('; ');
+          results.push({ id, ok: false, error: message, ...(err.errors ? { errors: err.errors } : {}) });
+        }
+      }
+
+      const failed = results.filter((r) => !r.ok).length;
+      const summary = {
+        action: request.action,
+        succeeded: results.length - failed,
+        failed,
+        results,
+      };
+
+      if (request.atomic && failed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ ok: false, rolledBack: true, ...summary });
+      }
+
+      await client.query('COMMIT');
+      res.json({ ok: failed === 0, ...summary });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('[POST /api/content/:slug/bulk] error', err);
+    res.status(500).json({ error: 'Bulk operation failed', detail: err.message });
+  }
+});
+
+/* ----------------------- Import ------------------------------------ */
+// POST /api/content/:slug/import
+//   { csv: "<text>" | rows: [{...}], mapping: { "<column>": "<target>" | null },
+//     matchOn: "slug" | "<field key>", mode: "upsert" | "create" | "update",
+//     defaultStatus, dryRun, atomic }
+// Targets are title, slug, status, a field key, or "<field>.<sub key>" for
+// object fields (address.postal, name.first). Unmapped columns are guessed
+// from field keys/labels. Rows are validated and normalized like the
+// editor's saves; a row with validation errors is reported and not written.
+// Created rows get field defaults and sequence numbers like POST does.
+// dryRun runs everything inside a transaction and rolls it back, so the
+// report includes slug clashes and create/update decisions.
+function isBlankValue(v) {
+  return v == null || (typeof v === 'string' && v.trim() === '') || (Array.isArray(v) && !v.length);
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+app.post('/api/content/:slug/import', authMiddleware, requireRole, async (req, res) => {
+  const { slug: typeSlug } = req.params;
+
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [typeSlug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+
+    const typeId = ctRows[0].id;
+
+    const { rows: fieldsRows } = await pool.query(
+      `SELECT id, field_key AS key, label, type, required, config
+       FROM content_fields
+       WHERE content_type_id = $1
+       ORDER BY order_index ASC, created_at ASC`,
+      [typeId]
+    );
+    const fieldsByKey = {};
+    for (const f of fieldsRows) fieldsByKey[f.key] = f;
+
+    let request;
+    try {
+      request = parseImportRequest(req.body, fieldsRows);
+    } catch (e) {
+      return res.status(e.statusCode || 400).json({ error: e.message });
+    }
+
+    const emails = collectImportUserEmails(request.records, request.mapping, fieldsByKey);
+    const usersByEmail = {};
+    if (emails.length) {
+      const { rows: users } = await pool.query(
+        'SELECT id, lower(email) AS email FROM public.users WHERE lower(email) = ANY($1::text[])',
+        [emails]
+      );
+      for (const u of users) usersByEmail[u.email] = u;
+    }
+
+    const roleUpper = String(req.user?.role || '').toUpperCase();
+    const core = await getEffectiveEditorCoreForType(typeId, roleUpper);
+    const usesTemplate = core && String(core.titleMode || '').toLowerCase() === 'template';
+    const workflow = await loadWorkflowGuard(pool, typeId, roleUpper);
+    const { matchOn, mode } = request;
+    const userId = req.user?.id;
+    const now = new Date();
+
+    async function findExisting(client, mapped) {
+      if (matchOn === 'slug') {
+        const slug = mapped.slug || slugify(mapped.title);
+        if (!slug) return { rows: [] };
+        return client.query(
+          `SELECT * FROM entries
+           WHERE content_type_id = $1 AND slug = $2 AND deleted_at IS NULL
+           FOR UPDATE`,
+          [typeId, slug]
+        );
+      }
+      const raw = mapped.data[matchOn];
+      if (isBlankValue(raw)) return { rows: [] };
+      const key = normalizeEntryData([fieldsByKey[matchOn]], { [matchOn]: raw })[matchOn];
+      return client.query(
+        `SELECT * FROM entries
+         WHERE content_type_id = $1 AND data ->> $2 = $3 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [typeId, matchOn, typeof key === 'object' ? JSON.stringify(key) : String(key)]
+      );
+    }
+
+    async function importRecord(client, record) {
+      const mapped = mapImportRecord(record, request.mapping, fieldsByKey, { usersByEmail });
+      const errors = [...mapped.errors];
+      const fail = () => ({ row: record.row, ok: false, errors });
+
+      const { rows: matches } = await findExisting(client, mapped);
+      if (matches.length > 1) {
+        errors.push({ field: matchOn, message: `Matches ${matches.length} existing entries` });
+        return fail();
+      }
+      const existing = matches[0] || null;
+      if (existing && mode === 'create') {
+        errors.push({ field: matchOn, message: 'An entry with this value already exists' });
+      }
+      if (!existing && mode === 'update') {
+        errors.push({ field: matchOn, message: 'No existing entry matches this row' });
+      }
+
+      // Imported values win; object fields merge so address.postal alone
+      // does not wipe the rest of the address
+      let data = { ...(existing?.data || {}) };
+      for (const [k, v] of Object.entries(mapped.data)) {
+        data[k] = isPlainObject(v) && isPlainObject(data[k]) ? { ...data[k], ...v } : v;
+      }
+      // New rows get field defaults and sequence numbers, as on create
+      if (!existing) {
+        data = applyFieldDefaults(fieldsRows, data, { userId, now });
+        data = await allocateSequences(client, typeId, fieldsRows, data, { now });
+      }
+
+      let title = mapped.title ?? existing?.title;
+      if (usesTemplate) title = deriveTitleFromTemplate(core.titleTemplate || '', data) || title;
+      title = typeof title === 'string' ? title.trim() : '';
+      if (!title) errors.push({ field: 'title', message: 'Title is required' });
+
+      const slug = mapped.slug || existing?.slug || slugify(title);
+      const status = mapped.status || existing?.status || request.defaultStatus || workflow.initial;
+      let transition = null;
+      try {
+        transition = workflow.check(existing ? existing.status : null, status);
+      } catch (e) {
+        errors.push({ field: 'status', message: e.message });
+      }
+
+      // Cells that failed coercion are already reported; skip their echoes
+      const coerced = new Set(errors.map((e) => e.field));
+      errors.push(...validateEntryData(fieldsRows, data).filter((e) => !coerced.has(e.field)));
+      if (errors.length) return fail();
+
+      const normalized = normalizeEntryData(fieldsRows, data);
+
+      // Earlier rows of the file are already written, so repeats within it count too
+      const conflicts = await findUniqueConflicts(
+        client,
+        typeId,
+        fieldsRows,
+        normalized,
+        existing ? { excludeId: existing.id, previous: existing.data } : {}
+      );
+      if (conflicts.length) {
+        for (const c of conflicts) {
+          errors.push({ field: c.field, message: uniqueConflictMessage(c), entry: c.entry });
+        }
+        return fail();
+      }
+
+      await client.query('SAVEPOINT import_row');
+      try {
+        let row;
+        if (existing) {
+          ({ rows: [row] } = await client.query(
+            `UPDATE entries
+             SET title = $1, slug = $2, status = $3, data = $4, updated_by = $6,
+                 version = version + 1, updated_at = now()
+             WHERE id = $5
+             RETURNING *`,
+            [title, slug, status, normalized, existing.id, userId || null]
+          ));
+          // The old slug keeps redirecting, as it does after an edit
+          await recordSlugChange(client, existing, row);
+        } else {
+          ({ rows: [row] } = await client.query(
+            `INSERT INTO entries
+               (content_type_id, title, slug, status, data, owner_id, created_by, updated_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $6, $6)
+             RETURNING *`,
+            [typeId, title, slug, status, normalized, userId || null]
+          ));
+        }
+        await recordEntryVersion(client, row, { userId, action: existing ? 'update' : 'create' });
+        await syncEntryRelations(client, row, fieldsRows);
+        if (transition || !existing) {
+          await recordWorkflowTransition(client, {
+            entryId: row.id,
+            from: existing ? existing.status : null,
+            to: status,
+            transition: transition?.key,
+            userId,
+          });
+        }
+        await client.query('RELEASE SAVEPOINT import_row');
+        return {
+          row: record.row,
+          ok: true,
+          action: existing ? 'update' : 'create',
+          ...(request.dryRun && !existing ? {} : { id: row.id }),
+          slug: row.slug,
+        };
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        if (err.code !== '23505') throw err;
+        errors.push({ field: 'slug', message: 'Slug already exists for this content type' });
+        return fail();
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const results = [];
+      for (const record of request.records) {
+        // A failed row gives back what it took, e.g. sequence numbers
+        await client.query('SAVEPOINT import_record');
+        const result = await importRecord(client, record);
+        await client.query(
+          result.ok ? 'RELEASE SAVEPOINT import_record' : 'ROLLBACK TO SAVEPOINT import_record'
+        );
+        results.push(result);
+      }
+
+      const failed = results.filter((r) => !r.ok).length;
+      const summary = {
+        dryRun: request.dryRun,
+        columns: request.columns,
+        mapping: request.mapping,
+        total: results.length,
+        created: results.filter((r) => r.action === 'create').length,
+        updated: results.filter((r) => r.action === 'update').length,
+        failed,
+        results,
+      };
+
+      if (request.dryRun) {
+        await client.query('ROLLBACK');
+        return res.json({ ok: failed === 0, ...summary });
+      }
+      if (request.atomic && failed) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ ok: false, rolledBack: true, ...summary });
+      }
+
+      await client.query('COMMIT');
+      res.json({ ok: failed === 0, ...summary });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error('[POST /api/content/:slug/import] error', err);
+    res.status(500).json({ error: 'Import failed', detail: err.message });
+  }
+});
+
 /* ----------------------- Extra routes & settings ------------------- */
 mountExtraRoutes(app);
 
@@ -744,6 +2182,12 @@ app.use('/api/settings', settingsRouter);
 app.use('/api/dashboard', authMiddleware, dashboardRouter);
 app.use('/api', entryViewsRouter);
 app.use('/api', listViewsRouter);
+app.use('/api', authMiddleware, entryVersionsRouter);
+app.use('/api', authMiddleware, entryWorkflowRouter);
+app.use('/api', authMiddleware, entryRelationsRouter);
+app.use('/api', authMiddleware, searchRouter);
+app.use('/api', authMiddleware, siteRedirectsRouter);
+app.use('/api', authMiddleware, webhooksRouter);
 
 // Gizmos/Gadgets/Widgets admin routes (not gizmo packs)
 app.use('/api', authMiddleware, gizmosRouter);
@@ -774,6 +2218,15 @@ async function start() {
   // Mount gizmo packs BEFORE listening
   await mountGizmoPacks(app);
 
+  // Sweep entries that have outlived the trash retention period
+  startTrashPurgeSchedule(pool);
+
+  // Flip status for entries whose publish_at / unpublish_at has arrived
+  startEntryScheduler(pool);
+
+  // Send queued webhook deliveries and retry failed ones
+  startWebhookDispatcher(pool);
+
   // Optional: show only base mount points (Express won’t show nested routes reliably)
   console.log('[BOOT] Gizmo packs mounted (see [GIZMOS] logs above).');
 
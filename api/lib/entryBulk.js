@@ -0,0 +1,329 @@
+// api/lib/entryBulk.js
+// One operation applied to many entries of a type (POST /api/content/:slug/bulk).
+//
+// The route runs every entry inside one transaction with a savepoint each, so
+// a failure on one entry is reported without undoing the others (unless the
+// caller asks for `atomic`).
+
+import { recordEntryVersion } from './entryVersions.js';
+import { trashEntry, restoreEntry, purgeTrashedEntries } from './entryTrash.js';
+import { recordWorkflowTransition } from './entryWorkflow.js';
+import { copyEntryRelations, RELATION_FIELD_TYPES } from './entryRelations.js';
+import { applyFormulas } from './entryFormulas.js';
+import { uniqueFields } from './entryUnique.js';
+import { applyFieldDefaults, allocateSequences, sequenceFieldKeys } from './entryDefaults.js';
+import { isUuid, badRequest, slugify } from './requestUtils.js';
+import { syncEntryMirrors } from './entryMirrors.js';
+
+export const BULK_ACTIONS = [
+  'set_status',
+  'set_field',
+  'set_owner',
+  'add_terms',
+  'remove_terms',
+  'trash',
+  'restore',
+  'delete',
+  'duplicate',
+];
+
+export const MAX_BULK_IDS = 500;
+
+// Actions that work on trashed entries; everything else needs a live one
+const TRASH_ACTIONS = new Set(['restore', 'delete']);
+
+function entryError(message, statusCode = 409) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Validate the request body. Returns { action, ids, atomic, ...params }.
+ * Throws (statusCode 400) on anything malformed.
+ *
+ * @param {object} body
+ * @param {Array<{key: string}>} fieldDefs
+ */
+export function parseBulkRequest(body, fieldDefs = []) {
+  const { action } = body || {};
+  if (!BULK_ACTIONS.includes(action)) {
+    throw badRequest(`Unknown bulk action. Use one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  const ids = Array.from(new Set(Array.isArray(body.ids) ? body.ids.map(String) : []));
+  if (!ids.length) throw badRequest('ids must be a non-empty array');
+  if (ids.length > MAX_BULK_IDS) throw badRequest(`At most ${MAX_BULK_IDS} ids per request`);
+  if (!ids.every(isUuid)) throw badRequest('ids must be entry UUIDs');
+
+  const out = { action, ids, atomic: body.atomic === true };
+  const fieldKeys = new Set((fieldDefs || []).map((f) => f.key));
+
+  if (action === 'set_status') {
+    if (typeof body.status !== 'string' || !body.status.trim()) {
+      throw badRequest('status is required');
+    }
+    out.status = body.status.trim();
+  }
+
+  // The route checks that the user exists
+  if (action === 'set_owner') {
+    if (!('owner_id' in body)) throw badRequest('owner_id is required (use null to clear)');
+    if (body.owner_id !== null && !isUuid(body.owner_id)) {
+      throw badRequest('owner_id must be a user id or null');
+    }
+    out.owner_id = body.owner_id;
+  }
+
+  if (action === 'set_field' || action === 'add_terms' || action === 'remove_terms') {
+    if (!fieldKeys.has(body.field)) throw badRequest(`Unknown field "${body.field}"`);
+    out.field = body.field;
+  }
+
+  if (action === 'set_field') {
+    const def = fieldDefs.find((f) => f.key === body.field);
+    if (String(def?.type || '').toLowerCase() === 'formula') {
+      throw badRequest(`"${body.field}" is a formula field; its value is computed`);
+    }
+    if (body.value === undefined) throw badRequest('value is required (use null to clear)');
+    out.value = body.value;
+  }
+
+  if (action === 'add_terms' || action === 'remove_terms') {
+    const terms = Array.isArray(body.terms) ? body.terms : [body.terms];
+    out.terms = terms.filter((t) => t !== undefined && t !== null && t !== '');
+    if (!out.terms.length) throw badRequest('terms must be a non-empty array');
+  }
+
+  return out;
+}
+
+// Terms may be stored as plain values or as { id | value | slug, label } objects
+function termKey(term) {
+  if (term && typeof term === 'object') {
+    return String(term.id ?? term.value ?? term.slug ?? JSON.stringify(term));
+  }
+  return String(term);
+}
+
+function asTermList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return [value];
+}
+
+async function writeEntry(db, entry, { title, status, data }, userId) {
+  const { rows } = await db.query(
+    `UPDATE entries
+     SET title = $1, status = $2, data = $3, updated_by = $5,
+         version = version + 1, updated_at = now()
+     WHERE id = $4
+     RETURNING *`,
+    [title, status, data, entry.id, userId]
+  );
+  await recordEntryVersion(db, rows[0], { userId });
+  return rows[0];
+}
+
+/** `base`, or the first free "<base>-2", "<base>-3", … in the type. */
+async function nextFreeSlug(db, typeId, base) {
+  const { rows } = await db.query(
+    `SELECT slug FROM entries
+     WHERE content_type_id = $1 AND (slug = $2 OR slug LIKE $2 || '-%')`,
+    [typeId, base]
+  );
+  const taken = new Set(rows.map((r) => r.slug));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n += 1;
+  return `${base}-${n}`;
+}
+
+/**
+ * Copy an entry as a new entry in `status` (the workflow's initial state),
+ * titled from the type's title template, else `title`, else
+ * "<title> (copy)", with a free slug derived from that title. The copy goes
+ * through the same steps as a create: defaults, sequences, validation and
+ * the unique check. Returns the inserted row.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {object} entry  the source row
+ * @param {{ userId?: string|null, status?: string, title?: string, fieldDefs?: Array<{key: string, type: string}>, copyTerms?: boolean, copyRelations?: boolean, clearFields?: string[], prepareData?: (data: object) => object, deriveTitle?: (data: object) => string, checkUnique?: (db: object, data: object) => Promise<void> }} [opts]
+ *   `copyTerms` / `copyRelations` false leave taxonomy / relation fields empty
+ *   (they need `fieldDefs`); `clearFields` are data keys left out of the copy,
+ *   e.g. reference numbers that must not repeat. Unique fields (see
+ *   entryUnique.js) are always left out, so a required one fails validation
+ *   unless a default fills it; sequence fields get the next number.
+ *   `prepareData` / `deriveTitle` / `checkUnique` are the route's hooks, as
+ *   in applyBulkAction's ctx.
+ */
+export async function duplicateEntry(
+  db,
+  entry,
+  {
+    userId = null,
+    status = 'draft',
+    title: titleOverride,
+    fieldDefs = [],
+    copyTerms = true,
+    copyRelations = true,
+    clearFields = [],
+    prepareData = (data) => applyFormulas(fieldDefs, data),
+    deriveTitle = () => '',
+    checkUnique = async () => {},
+  } = {}
+) {
+  // Unique values would collide with the source entry; sequences get a new number
+  const dropped = new Set([
+    ...clearFields,
+    ...uniqueFields(fieldDefs).map((f) => f.key),
+    ...sequenceFieldKeys(fieldDefs),
+  ]);
+  for (const f of fieldDefs || []) {
+    const type = String(f.type || '').toLowerCase();
+    if (!copyTerms && type === 'taxonomy') dropped.add(f.key);
+    if (!copyRelations && RELATION_FIELD_TYPES.includes(type)) dropped.add(f.key);
+  }
+  const source = { ...(entry.data || {}) };
+  for (const key of dropped) delete source[key];
+  const now = new Date();
+  const withDefaults = applyFieldDefaults(fieldDefs, source, { userId, now });
+  const numbered = await allocateSequences(db, entry.content_type_id, fieldDefs, withDefaults, {
+    now,
+  });
+
+  const title =
+    deriveTitle(numbered) ||
+    (typeof titleOverride === 'string' && titleOverride.trim()
+      ? titleOverride.trim()
+      : `${entry.title || 'Untitled'} (copy)`);
+  const slug = await nextFreeSlug(
+    db,
+    entry.content_type_id,
+    slugify(title) || `${entry.slug || 'entry'}-copy`
+  );
+
+  // Totals and the like follow the fields that were left behind
+  const data = syncEntryMirrors(prepareData(numbered), { title, slug, status });
+  await checkUnique(db, data);
+
+  const { rows } = await db.query(
+    `INSERT INTO entries (content_type_id, title, slug, status, data, owner_id, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $6, $6)
+     RETURNING *`,
+    [entry.content_type_id, title, slug, status, data, userId]
+  );
+  await recordEntryVersion(db, rows[0], { userId, action: 'create' });
+  await recordWorkflowTransition(db, { entryId: rows[0].id, from: null, to: status, userId });
+  if (copyRelations) {
+    await copyEntryRelations(db, entry.id, rows[0].id, { skipFieldKeys: Array.from(dropped) });
+  }
+  return rows[0];
+}
+
+/**
+ * Apply one parsed bulk request to one (locked) entry row.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {object} entry
+ * @param {object} request  result of parseBulkRequest
+ * @param {{ userId?: string|null, workflow: object, fieldDefs: object[], prepareData: (data: object) => object, deriveTitle: (data: object) => string, checkUnique: (db: object, data: object, opts: object) => Promise<void>, syncRelations: (db: object, row: object) => Promise<void> }} ctx
+ *   `workflow` is the guard from loadWorkflowGuard; `checkUnique` throws 409
+ *   when data repeats a unique field value (lib/entryUnique.js);
+ *   `syncRelations` refreshes entry_relations after a data change
+ * @returns {Promise<object>} per-entry result fields
+ */
+export async function applyBulkAction(db, entry, request, ctx) {
+  const { action } = request;
+  const userId = ctx.userId || null;
+
+  if (entry.deleted_at && !TRASH_ACTIONS.has(action)) {
+    throw entryError('Entry is in the trash');
+  }
+
+  switch (action) {
+    case 'trash': {
+      const row = await trashEntry(db, entry.id, { userId });
+      return { version: row.version, deleted_at: row.deleted_at };
+    }
+
+    case 'restore': {
+      if (!entry.deleted_at) throw entryError('Entry is not in the trash');
+      await ctx.checkUnique(db, entry.data || {}, { excludeId: entry.id });
+      const row = await restoreEntry(db, entry.id, { userId });
+      return { version: row.version };
+    }
+
+    case 'delete': {
+      if (!entry.deleted_at) {
+        throw entryError('Move the entry to the trash before deleting it permanently');
+      }
+      await purgeTrashedEntries(db, { ids: [entry.id] });
+      return { purged: true };
+    }
+
+    case 'duplicate': {
+      const copy = await duplicateEntry(db, entry, {
+        userId,
+        status: ctx.workflow.initial,
+        fieldDefs: ctx.fieldDefs,
+        prepareData: ctx.prepareData,
+        deriveTitle: ctx.deriveTitle,
+        checkUnique: ctx.checkUnique,
+      });
+      return { newId: copy.id, slug: copy.slug };
+    }
+
+    case 'set_owner': {
+      const { rows } = await db.query(
+        `UPDATE entries
+         SET owner_id = $1, updated_by = $2,
+             version = version + 1, updated_at = now()
+         WHERE id = $3
+         RETURNING *`,
+        [request.owner_id, userId, entry.id]
+      );
+      await recordEntryVersion(db, rows[0], { userId });
+      return { version: rows[0].version, owner_id: rows[0].owner_id };
+    }
+
+    default:
+      break;
+  }
+
+  // Field-level edits: build the next data, then re-run the usual pipeline
+  let data = { ...(entry.data || {}) };
+  let status = entry.status;
+  let transition = null;
+
+  if (action === 'set_status') {
+    status = request.status;
+    transition = ctx.workflow.check(entry.status, status);
+  } else if (action === 'set_field') {
+    data[request.field] = request.value;
+  } else if (action === 'add_terms') {
+    const list = asTermList(data[request.field]);
+    const have = new Set(list.map(termKey));
+    data[request.field] = [...list, ...request.terms.filter((t) => !have.has(termKey(t)))];
+  } else if (action === 'remove_terms') {
+    const drop = new Set(request.terms.map(termKey));
+    data[request.field] = asTermList(data[request.field]).filter((t) => !drop.has(termKey(t)));
+  }
+
+  const title = ctx.deriveTitle(data) || entry.title;
+  data = syncEntryMirrors(ctx.prepareData(data), { title, slug: entry.slug, status });
+  await ctx.checkUnique(db, data, { excludeId: entry.id, previous: entry.data });
+
+  const row = await writeEntry(db, entry, { title, status, data }, userId);
+  await ctx.syncRelations(db, row);
+  if (transition) {
+    await recordWorkflowTransition(db, {
+      entryId: entry.id,
+      from: entry.status,
+      to: status,
+      transition: transition.key,
+      userId,
+    });
+  }
+  return { version: row.version };
+}
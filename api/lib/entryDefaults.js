@@ -0,0 +1,213 @@
+// api/lib/entryDefaults.js
+// Default values for new entries, declared in content_fields config:
+//
+//   { "default_mode": "static", "default_value": "Open" }
+//   { "default_mode": "now" }                         date / datetime fields
+//   { "default_mode": "current_user" }                relation_user fields
+//   { "default_mode": "sequence", "sequence_pattern": "INV-{YYYY}-{0000}" }
+//
+// Defaults fill fields that arrive empty when an entry is created; a value
+// sent by the client always wins. Sequence patterns take {YYYY} {YY} {MM}
+// {DD} (the creation date, in the field's defaultTZ or UTC) and one counter
+// token, {0000}, whose zeros give the minimum width. The counter runs per
+// rendered prefix, so "INV-{YYYY}-{0000}" starts again at 0001 each year.
+// Numbers come from entry_sequences inside the creating transaction, so
+// concurrent creates never share one and a rolled-back create gives its
+// number back.
+
+import { badRequest } from './requestUtils.js';
+
+export const DEFAULT_MODES = ['static', 'now', 'current_user', 'sequence'];
+
+const NOW_TYPES = new Set(['date', 'datetime']);
+const SEQUENCE_TYPES = new Set(['text']);
+const SEQUENCE_TOKEN_RE = /\{(YYYY|YY|MM|DD|0+)\}/g;
+const DEFAULT_DATETIME_TZ = 'America/Los_Angeles'; // same fallback as the editor
+
+function fieldConfig(field) {
+  return field?.config && typeof field.config === 'object' ? field.config : {};
+}
+
+function fieldKeyOf(field) {
+  return String(field?.key || field?.field_key || '').trim();
+}
+
+function fieldType(field) {
+  return String(field?.type || '').toLowerCase();
+}
+
+function defaultMode(field) {
+  const mode = fieldConfig(field).default_mode;
+  return mode ? String(mode).toLowerCase() : null;
+}
+
+function isEmpty(v) {
+  if (v == null) return true;
+  if (typeof v === 'string') return v.trim() === '';
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+// Calendar date of `now` in `tz`, falling back to UTC for an unknown zone
+function calendarParts(now, tz) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).formatToParts(now);
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+    return { year: get('year'), month: get('month'), day: get('day') };
+  } catch {
+    return calendarParts(now, 'UTC');
+  }
+}
+
+/**
+ * Check a sequence pattern: exactly one counter token ({0000}). Throws
+ * (statusCode 400).
+ */
+export function checkSequencePattern(pattern) {
+  const p = String(pattern || '');
+  if (!p.trim()) throw badRequest('sequence_pattern is required');
+  const counters = p.match(/\{0+\}/g) || [];
+  if (counters.length !== 1) {
+    throw badRequest('sequence_pattern needs exactly one counter such as {0000}');
+  }
+  const unknown = (p.match(/\{[^}]*\}/g) || []).filter((t) => !/^\{(YYYY|YY|MM|DD|0+)\}$/.test(t));
+  if (unknown.length) {
+    throw badRequest(`sequence_pattern has unknown token(s): ${unknown.join(', ')}`);
+  }
+}
+
+/**
+ * Check the defaults in a type's field list: known modes, used on a field
+ * type they fit, and a valid pattern for sequences. Throws (statusCode 400).
+ *
+ * @param {Array<{key?: string, field_key?: string, type: string, config?: object}>} fieldDefs
+ */
+export function checkDefaultFields(fieldDefs) {
+  for (const f of fieldDefs || []) {
+    const mode = defaultMode(f);
+    if (!mode) continue;
+    const key = fieldKeyOf(f);
+    const type = fieldType(f);
+    if (!DEFAULT_MODES.includes(mode)) {
+      throw badRequest(`Field "${key}": default_mode must be one of: ${DEFAULT_MODES.join(', ')}`);
+    }
+    if (mode === 'now' && !NOW_TYPES.has(type)) {
+      throw badRequest(`Field "${key}": a "now" default needs a date or datetime field`);
+    }
+    if (mode === 'current_user' && type !== 'relation_user') {
+      throw badRequest(`Field "${key}": a "current_user" default needs a relation_user field`);
+    }
+    if (mode === 'sequence') {
+      if (!SEQUENCE_TYPES.has(type)) {
+        throw badRequest(`Field "${key}": sequences need a text field`);
+      }
+      try {
+        checkSequencePattern(fieldConfig(f).sequence_pattern);
+      } catch (e) {
+        throw badRequest(`Field "${key}": ${e.message}`);
+      }
+    }
+  }
+}
+
+/** Keys of the fields numbered by a sequence. */
+export function sequenceFieldKeys(fieldDefs) {
+  return (fieldDefs || []).filter((f) => defaultMode(f) === 'sequence').map(fieldKeyOf);
+}
+
+/**
+ * `data` with static, "now" and "current_user" defaults filled in where the
+ * value is empty. Sequences are left to allocateSequences.
+ *
+ * @param {Array<{key: string, type: string, config?: object}>} fieldDefs
+ * @param {object} data
+ * @param {{ userId?: string|null, now?: Date }} [opts]
+ */
+export function applyFieldDefaults(fieldDefs, data, { userId = null, now = new Date() } = {}) {
+  const out = { ...(data || {}) };
+  for (const f of fieldDefs || []) {
+    const key = fieldKeyOf(f);
+    const mode = defaultMode(f);
+    if (!key || !mode || !isEmpty(out[key])) continue;
+    const cfg = fieldConfig(f);
+
+    if (mode === 'static') {
+      if (cfg.default_value === undefined || cfg.default_value === null) continue;
+      // Copy objects so entries never share one
+      out[key] =
+        typeof cfg.default_value === 'object'
+          ? JSON.parse(JSON.stringify(cfg.default_value))
+          : cfg.default_value;
+    } else if (mode === 'now') {
+      if (fieldType(f) === 'datetime') {
+        out[key] = { utc: now.toISOString(), sourceTZ: cfg.defaultTZ || DEFAULT_DATETIME_TZ };
+      } else {
+        const { year, month, day } = calendarParts(now, cfg.defaultTZ);
+        out[key] = `${year}-${month}-${day}`;
+      }
+    } else if (mode === 'current_user') {
+      if (!userId) continue;
+      out[key] = cfg.multiple ? [userId] : userId;
+    }
+  }
+  return out;
+}
+
+/**
+ * Next value of one sequence field. Must run inside the transaction that
+ * inserts the entry: the counter row stays locked until it commits.
+ *
+ * @param {import('pg').PoolClient} db
+ */
+export async function nextSequenceValue(db, typeId, field, { now = new Date() } = {}) {
+  const cfg = fieldConfig(field);
+  const pattern = String(cfg.sequence_pattern || '');
+  checkSequencePattern(pattern);
+
+  const { year, month, day } = calendarParts(now, cfg.defaultTZ);
+  const dated = pattern.replace(SEQUENCE_TOKEN_RE, (tok, name) => {
+    switch (name) {
+      case 'YYYY': return year;
+      case 'YY': return year.slice(-2);
+      case 'MM': return month;
+      case 'DD': return day;
+      default: return tok;
+    }
+  });
+
+  const { rows } = await db.query(
+    `INSERT INTO entry_sequences (content_type_id, field_key, scope, last_value)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (content_type_id, field_key, scope)
+     DO UPDATE SET last_value = entry_sequences.last_value + 1, updated_at = now()
+     RETURNING last_value`,
+    [typeId, fieldKeyOf(field), dated]
+  );
+  const n = String(rows[0].last_value);
+  return dated.replace(/\{(0+)\}/, (_, zeros) => n.padStart(zeros.length, '0'));
+}
+
+/**
+ * `data` with a fresh number in every empty sequence field.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string} typeId
+ * @param {Array<{key: string, type: string, config?: object}>} fieldDefs
+ * @param {object} data
+ * @param {{ now?: Date }} [opts]
+ */
+export async function allocateSequences(db, typeId, fieldDefs, data, opts = {}) {
+  const out = { ...(data || {}) };
+  for (const f of fieldDefs || []) {
+    const key = fieldKeyOf(f);
+    if (defaultMode(f) !== 'sequence' || !isEmpty(out[key])) continue;
+    out[key] = await nextSequenceValue(db, typeId, f, opts);
+  }
+  return out;
+}
@@ -0,0 +1,258 @@
+// api/lib/entryExpand.js
+// ?expand= for entry list and detail routes: swap the ids stored in
+// relation / taxonomy / user fields for the records they point at, so a
+// client can render related records without one request per id.
+//
+//   ?expand=customer,tags        those fields
+//   ?expand=customer.owner_id    customer, and owner_id inside each customer
+//   ?expand=*                    every expandable field
+//   ?expand=*&depth=2            ... and every expandable field of what that loads
+//
+// Results go in entry._expanded[fieldKey] (an object, or an array when the
+// stored value is a list); entry.data keeps the raw ids. Related entries are
+// loaded with one query per level, as are terms and users. The built-in
+// owner_id / created_by / updated_by columns expand to users too.
+
+import { relationIdsFromValue, RELATION_FIELD_TYPES } from './entryRelations.js';
+import { ENTRY_USER_COLUMNS } from './entryQuery.js';
+import { isUuid, badRequest } from './requestUtils.js';
+
+export const MAX_EXPAND_DEPTH = 3;
+
+function expandKind(field) {
+  const type = String(field?.type || '').toLowerCase();
+  if (RELATION_FIELD_TYPES.includes(type)) return 'entry';
+  if (type === 'taxonomy') return 'term';
+  if (type === 'relation_user') return 'user';
+  return null;
+}
+
+function getFieldConfig(field) {
+  return (
+    (field?.config && typeof field.config === 'object' ? field.config : null) ||
+    (field?.options && typeof field.options === 'object' ? field.options : null) ||
+    {}
+  );
+}
+
+/**
+ * Parse ?expand= (and ?depth=) into a tree of field keys, e.g.
+ * "customer.owner_id,tags" → { customer: { owner_id: {} }, tags: {} }.
+ * A trailing "*" repeats down to `depth` levels. Returns null when nothing
+ * is asked for; throws (statusCode 400) past MAX_EXPAND_DEPTH.
+ */
+export function parseExpandParam(raw, depthRaw) {
+  const parts = (Array.isArray(raw) ? raw : [raw])
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+
+  let depth = 1;
+  if (depthRaw !== undefined && depthRaw !== '') {
+    depth = parseInt(String(depthRaw), 10);
+    if (!Number.isInteger(depth) || depth < 1 || depth > MAX_EXPAND_DEPTH) {
+      throw badRequest(`depth must be between 1 and ${MAX_EXPAND_DEPTH}`);
+    }
+  }
+
+  const tree = {};
+  for (const part of parts) {
+    const path = part.split('.').map((s) => s.trim()).filter(Boolean);
+    if (path.length > MAX_EXPAND_DEPTH) {
+      throw badRequest(`expand "${part}" is nested deeper than ${MAX_EXPAND_DEPTH} levels`);
+    }
+    while (path[path.length - 1] === '*' && path.length < depth) path.push('*');
+
+    let node = tree;
+    for (const key of path) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+  }
+  return tree;
+}
+
+// What to expand below `key`: its own branch plus anything under "*"
+function childSpec(spec, key) {
+  const merge = (a, b) => {
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b || {})) out[k] = merge(out[k] || {}, v);
+    return out;
+  };
+  return merge(spec[key] || {}, key === '*' ? {} : spec['*']);
+}
+
+async function loadFieldDefs(db, typeIds, cache) {
+  const missing = typeIds.filter((id) => !cache.has(id));
+  if (!missing.length) return;
+  const { rows } = await db.query(
+    `SELECT content_type_id, field_key AS key, type, config
+       FROM content_fields WHERE content_type_id = ANY($1::uuid[])`,
+    [missing]
+  );
+  for (const id of missing) cache.set(id, new Map());
+  for (const f of rows) cache.get(f.content_type_id).set(f.key, f);
+}
+
+// Term references may be ids, slugs or { id | slug } objects
+function termRefsFromValue(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const refs = [];
+  for (const item of list) {
+    const ref = item && typeof item === 'object' ? item.id ?? item.slug : item;
+    const s = String(ref ?? '').trim();
+    if (s) refs.push(s);
+  }
+  return refs;
+}
+
+function userIdsFromValue(value) {
+  return (Array.isArray(value) ? value : [value])
+    .map((v) => String(v ?? '').trim())
+    .filter(isUuid);
+}
+
+/**
+ * Fill entry._expanded on each entry (and, following `tree`, on the entries
+ * that get expanded in turn). Mutates and returns `entries`.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object|object[]} entries  rows from `entries`
+ * @param {object|null} tree  from parseExpandParam
+ */
+export async function expandEntries(db, entries, tree) {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+  if (!tree || !list.length) return entries;
+
+  const fieldCache = new Map();
+  let level = list.map((entry) => ({ entry, spec: tree }));
+
+  for (let depth = 0; depth < MAX_EXPAND_DEPTH && level.length; depth += 1) {
+    await loadFieldDefs(
+      db,
+      Array.from(new Set(level.map((x) => x.entry.content_type_id).filter(Boolean))),
+      fieldCache
+    );
+
+    // Work out what each entry needs, then fetch it all in one go per kind
+    const jobs = [];
+    const entryIds = new Set();
+    const userIds = new Set();
+    const termRefs = new Set();
+
+    for (const { entry, spec } of level) {
+      const fields = fieldCache.get(entry.content_type_id) || new Map();
+      const keys = new Set(Object.keys(spec).filter((k) => k !== '*'));
+      if (spec['*']) {
+        for (const [key, f] of fields) if (expandKind(f)) keys.add(key);
+        for (const key of ENTRY_USER_COLUMNS) keys.add(key);
+      }
+
+      for (const key of keys) {
+        const field = fields.get(key);
+        const builtin = !field && ENTRY_USER_COLUMNS.includes(key);
+        const kind = builtin ? 'user' : expandKind(field);
+        if (!kind) continue;
+
+        const value = builtin ? entry[key] : entry.data?.[key];
+        if (value === undefined || value === null || value === '') continue;
+
+        let refs;
+        if (kind === 'entry') refs = relationIdsFromValue(value);
+        else if (kind === 'user') refs = userIdsFromValue(value);
+        else refs = termRefsFromValue(value);
+
+        const bag = kind === 'entry' ? entryIds : kind === 'user' ? userIds : termRefs;
+        for (const ref of refs) bag.add(ref);
+        jobs.push({ entry, spec, key, kind, refs, many: Array.isArray(value), field });
+      }
+    }
+
+    const [entriesById, usersById, termsByRef] = await Promise.all([
+      loadEntries(db, entryIds),
+      loadUsers(db, userIds),
+      loadTerms(db, termRefs),
+    ]);
+
+    const next = [];
+    for (const job of jobs) {
+      let found;
+      if (job.kind === 'entry') {
+        const sub = childSpec(job.spec, job.key);
+        const hasSub = Object.keys(sub).length > 0;
+        found = job.refs
+          .map((id) => entriesById.get(id))
+          .filter(Boolean)
+          .map((row) => {
+            // A copy per placement, since nested specs can differ
+            const copy = { ...row };
+            if (hasSub) next.push({ entry: copy, spec: sub });
+            return copy;
+          });
+      } else if (job.kind === 'user') {
+        found = job.refs.map((id) => usersById.get(id)).filter(Boolean);
+      } else {
+        const taxonomy = getFieldConfig(job.field).taxonomy || null;
+        found = job.refs
+          .map((ref) => termsByRef.get(`${taxonomy}:${ref}`) || termsByRef.get(ref))
+          .filter(Boolean);
+      }
+
+      job.entry._expanded = job.entry._expanded || {};
+      job.entry._expanded[job.key] = job.many ? found : found[0] || null;
+    }
+
+    level = next;
+  }
+
+  return entries;
+}
+
+async function loadEntries(db, ids) {
+  const map = new Map();
+  if (!ids.size) return map;
+  const { rows } = await db.query(
+    `SELECT id, content_type_id, title, slug, status, data, created_at, updated_at,
+            owner_id, created_by, updated_by
+       FROM entries
+      WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL`,
+    [Array.from(ids)]
+  );
+  for (const row of rows) map.set(row.id, row);
+  return map;
+}
+
+async function loadUsers(db, ids) {
+  const map = new Map();
+  if (!ids.size) return map;
+  const { rows } = await db.query(
+    'SELECT id, name, email FROM public.users WHERE id = ANY($1::uuid[])',
+    [Array.from(ids)]
+  );
+  for (const row of rows) map.set(row.id, row);
+  return map;
+}
+
+// Keyed by id, slug and "<taxonomy slug>:<slug>" so fields configured with a
+// taxonomy pick the right term when slugs repeat across taxonomies
+async function loadTerms(db, refs) {
+  const map = new Map();
+  if (!refs.size) return map;
+  const all = Array.from(refs);
+  const { rows } = await db.query(
+    `SELECT t.id, t.name, t.slug, t.parent_id, t.description, t.image,
+            x.slug AS taxonomy
+       FROM terms t
+       JOIN taxonomies x ON x.id = t.taxonomy_id
+      WHERE t.id = ANY($1::uuid[]) OR t.slug = ANY($2::text[])`,
+    [all.filter(isUuid), all]
+  );
+  for (const row of rows) {
+    map.set(row.id, row);
+    map.set(`${row.taxonomy}:${row.slug}`, row);
+    map.set(`${row.taxonomy}:${row.id}`, row);
+    if (!map.has(row.slug)) map.set(row.slug, row);
+  }
+  return map;
+}
@@ -0,0 +1,309 @@
+// api/lib/entryExport.js
+// Column selection, value formatting and CSV/JSON/NDJSON encoding for
+// GET /api/content/:slug/export.
+//
+// formatExportValue mirrors formatFieldValueForList in
+// admin/src/components/FieldInput.jsx so an export reads like the list
+// screen; keep the two in step when display rules change.
+
+import { ENTRY_USER_COLUMNS } from './entryQuery.js';
+import { getByPath, deriveTitleFromTemplate } from './titleTemplate.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+const BUILTIN_LABELS = {
+  id: 'ID',
+  title: 'Title',
+  slug: 'Slug',
+  status: 'Status',
+  created_at: 'Created',
+  updated_at: 'Updated',
+  owner_id: 'Owner',
+  created_by: 'Created by',
+  updated_by: 'Updated by',
+};
+
+function getFieldConfig(field) {
+  return (
+    (field?.config && typeof field.config === 'object' ? field.config : null) ||
+    (field?.options && typeof field.options === 'object' ? field.options : null) ||
+    {}
+  );
+}
+
+function isEmpty(v) {
+  return (
+    v == null ||
+    (typeof v === 'string' && v.trim() === '') ||
+    (Array.isArray(v) && v.length === 0) ||
+    (typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Date helpers (same output as admin/src/utils/datetime.js)
+// ---------------------------------------------------------------------------
+
+function fmtDateLong(d, locale, timeZone) {
+  return new Intl.DateTimeFormat(locale, {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    ...(timeZone ? { timeZone } : {}),
+  }).format(d);
+}
+
+function fmtTimeShortLower(d, locale, timeZone) {
+  const s = new Intl.DateTimeFormat(locale, {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    ...(timeZone ? { timeZone } : {}),
+  }).format(d);
+  return s.replace(/\s?([AP]M)$/i, (_, ampm) => ampm.toLowerCase());
+}
+
+function fmtDateISO(iso, locale, style) {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  if (!y || !m || !d) return '';
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (style === 'long') return fmtDateLong(dt, locale, 'UTC');
+  const styles = { short: 'short', medium: 'medium', long: 'long' };
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: styles[style] || 'long',
+    timeZone: 'UTC',
+  }).format(dt);
+}
+
+function fmtDateTimeUTC(utcIso, tz, locale) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${fmtDateLong(d, locale, tz)} ${fmtTimeShortLower(d, locale, tz)}`.trim();
+}
+
+function userLabel(user) {
+  if (!user) return '';
+  return user.name && user.email ? `${user.name} <${user.email}>` : user.name || user.email || '';
+}
+
+/**
+ * Human-readable value for one field, following formatFieldValueForList.
+ * Adds the two things the list screen resolves elsewhere: user names
+ * (ctx.usersById) and currency formatting for price fields.
+ *
+ * @param {object} fieldDef   content_fields row ({ key, type, config })
+ * @param {any} rawValue
+ * @param {{ usersById?: object, depth?: number }} [ctx]
+ */
+export function formatExportValue(fieldDef, rawValue, ctx = {}) {
+  const type = String(fieldDef?.type || 'text').trim().toLowerCase();
+  const cfg = getFieldConfig(fieldDef);
+  const depth = ctx.depth || 1;
+
+  if (isEmpty(rawValue)) return '';
+
+  if (type === 'formula') {
+    const resultType = cfg.result_type || 'number';
+    if (resultType === 'boolean') return rawValue ? 'Yes' : 'No';
+    if (resultType === 'date') return formatExportValue({ ...fieldDef, type: 'date' }, rawValue, ctx);
+    return String(rawValue);
+  }
+
+  if (type === 'repeater') {
+    const subfields = Array.isArray(cfg.subfields) ? cfg.subfields : [];
+    const rows = Array.isArray(rawValue) ? rawValue : [];
+    if (!rows.length) return '';
+    if (depth > 2) return `(${rows.length} rows)`;
+
+    const keys = subfields.map((sf) => String(sf?.field_key || sf?.key || '').trim()).filter(Boolean);
+
+    // Exports keep every row; the list screen stops at three
+    return rows
+      .map((row, idx) => {
+        const r = row && typeof row === 'object' ? row : {};
+        const parts = [];
+        for (const k of keys) {
+          if (isEmpty(r[k])) continue;
+          const sf = subfields.find((x) => String(x?.field_key || x?.key || '').trim() === k);
+          const piece = formatExportValue({ ...(sf || {}), key: k }, r[k], { ...ctx, depth: depth + 1 });
+          if (piece) parts.push(piece);
+          if (parts.length >= 2) break;
+        }
+        return parts.length ? parts.join(' · ') : `Row ${idx + 1}`;
+      })
+      .join(' | ');
+  }
+
+  if (type === 'checkbox' || type === 'multiselect') {
+    const arr = Array.isArray(rawValue)
+      ? rawValue
+      : typeof rawValue === 'string'
+        ? rawValue.split(',').map((s) => s.trim()).filter(Boolean)
+        : [];
+    return arr.join(', ');
+  }
+
+  if (type === 'dropdown' || type === 'select' || type === 'radio') {
+    return String(rawValue);
+  }
+
+  if (type === 'relation_user') {
+    const ids = Array.isArray(rawValue) ? rawValue : [rawValue];
+    const usersById = ctx.usersById || {};
+    return ids.map((id) => userLabel(usersById[id]) || String(id)).join(', ');
+  }
+
+  if (type === 'relation' || type === 'relationship') {
+    if (Array.isArray(rawValue)) return rawValue.map(String).join(', ');
+    return String(rawValue);
+  }
+
+  if (type === 'date') {
+    return fmtDateISO(String(rawValue), cfg.locale || 'en-US', cfg.dateStyle || 'long');
+  }
+
+  if (type === 'datetime') {
+    const utc = typeof rawValue === 'object' ? rawValue.utc : String(rawValue);
+    return utc ? fmtDateTimeUTC(utc, cfg.defaultTZ || 'America/Los_Angeles', cfg.locale || 'en-US') : '';
+  }
+
+  if (type === 'time') {
+    const t = typeof rawValue === 'object' ? rawValue.time : typeof rawValue === 'string' ? rawValue : '';
+    if (!t) return '';
+    const d = new Date(`1970-01-01T${t}:00Z`);
+    return Number.isNaN(d.getTime()) ? String(t) : fmtTimeShortLower(d, cfg.locale || 'en-US', 'UTC');
+  }
+
+  if (type === 'price') {
+    const amount = typeof rawValue === 'object' ? rawValue.amount : rawValue;
+    const currency = (typeof rawValue === 'object' && rawValue.currency) || cfg.currency || 'USD';
+    const n = Number(amount);
+    if (amount === '' || amount == null || !Number.isFinite(n)) return String(amount ?? '');
+    try {
+      return new Intl.NumberFormat(cfg.locale || 'en-US', { style: 'currency', currency }).format(n);
+    } catch {
+      return String(n);
+    }
+  }
+
+  if (type === 'name' && typeof rawValue === 'object') {
+    return [rawValue.title, rawValue.first, rawValue.middle, rawValue.last, rawValue.suffix]
+      .map((x) => (x == null ? '' : String(x).trim()))
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  if (type === 'address' && typeof rawValue === 'object') {
+    return [rawValue.line1, rawValue.line2, rawValue.city, rawValue.state, rawValue.postal, rawValue.country]
+      .map((x) => (x == null ? '' : String(x).trim()))
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  if (['file', 'document', 'image', 'video'].includes(type)) {
+    if (typeof rawValue === 'object') return rawValue.name || rawValue.title || rawValue.path || '';
+    return '';
+  }
+
+  if (type === 'color' && typeof rawValue === 'object') {
+    return rawValue.hex || '';
+  }
+
+  if (type === 'json') {
+    return typeof rawValue === 'string' ? rawValue : JSON.stringify(rawValue);
+  }
+
+  if (typeof rawValue === 'boolean') return rawValue ? 'Yes' : 'No';
+  if (typeof rawValue === 'object') return JSON.stringify(rawValue);
+
+  return String(rawValue);
+}
+
+/**
+ * Columns for an export: ?columns= wins, then the list view's configured
+ * columns, then every field (framed by title/slug/status and timestamps).
+ *
+ * @returns {Array<{ key: string, label: string }>}
+ */
+export function resolveExportColumns({ requested, view, fieldDefs }) {
+  const labels = { ...BUILTIN_LABELS };
+  for (const f of fieldDefs || []) labels[f.key] = f.label || f.key;
+
+  const viewCols = (Array.isArray(view?.config?.columns) ? view.config.columns : [])
+    .filter(Boolean)
+    .map((c) => ({ key: c.key || c.field_key || c.field, label: c.label || c.name || c.title }))
+    .filter((c) => c.key);
+  for (const c of viewCols) {
+    if (c.label) labels[c.key] = c.label;
+  }
+  if (view?.config?.title?.label) labels.title = String(view.config.title.label);
+
+  let keys;
+  if (requested && requested.length) keys = requested;
+  else if (viewCols.length) keys = viewCols.map((c) => c.key);
+  else {
+    keys = [
+      'title',
+      'slug',
+      'status',
+      ...(fieldDefs || []).map((f) => f.key).filter((k) => !(k in BUILTIN_LABELS)),
+      'created_at',
+      'updated_at',
+    ];
+  }
+
+  return Array.from(new Set(keys)).map((key) => ({ key, label: labels[key] || key }));
+}
+
+/**
+ * One export row as an object keyed by column key.
+ *
+ * @param {object} entry
+ * @param {Array<{key: string}>} columns
+ * @param {{ fieldsByKey: object, view?: object, raw?: boolean, usersById?: object }} ctx
+ */
+export function buildExportRow(entry, columns, ctx) {
+  const data = entry.data && typeof entry.data === 'object' ? entry.data : {};
+  const titleCfg = ctx.view?.config?.title && typeof ctx.view.config.title === 'object'
+    ? ctx.view.config.title
+    : {};
+
+  const row = {};
+  for (const { key } of columns) {
+    let value;
+    if (key === 'title' && !ctx.raw && titleCfg.mode === 'template' && titleCfg.template) {
+      value = deriveTitleFromTemplate(titleCfg.template, data) || entry.title;
+    } else if (key === 'title' && !ctx.raw && titleCfg.mode === 'field' && titleCfg.fieldKey) {
+      value = getByPath(data, titleCfg.fieldKey) ?? entry.title;
+    } else if (key in BUILTIN_LABELS) {
+      value = entry[key];
+    } else {
+      value = getByPath(data, key);
+    }
+
+    if (value instanceof Date) value = value.toISOString();
+
+    const def = ctx.fieldsByKey[key];
+    if (ctx.raw) row[key] = value === undefined ? null : value;
+    else if (def) row[key] = formatExportValue(def, value, ctx);
+    else if (ENTRY_USER_COLUMNS.includes(key)) row[key] = userLabel(ctx.usersById?.[value]) || value || '';
+    else row[key] = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
@@ -0,0 +1,378 @@
+// api/lib/entryFilters.js
+// Field-aware filter language for entry listings.
+//
+// A filter is a condition or an AND/OR group of conditions:
+//
+//   { "field": "status", "op": "equals", "value": "open" }
+//   { "and": [ cond, { "or": [ cond, cond ] } ] }
+//
+// A top-level array is treated as an AND group. The query-string shorthand
+// ?filter[status]=open&filter[due_date][lt]=today is accepted as well.
+//
+// Conditions are checked against content_fields so numbers compare as
+// numbers and dates as dates. The user columns (owner_id, created_by,
+// updated_by) accept "me" for the signed-in user, e.g.
+//   { "field": "owner_id", "op": "equals", "value": "me" }
+// Bad filters throw an Error with statusCode 400.
+
+import { storedFieldType } from './entryFormulas.js';
+
+// Same operators QuickBuilder offers for repeater conditions, plus a few more
+export const FILTER_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'between',
+  'in',
+  'not_in',
+  'is_empty',
+  'is_not_empty',
+];
+
+const OP_ALIASES = {
+  eq: 'equals',
+  ne: 'not_equals',
+  neq: 'not_equals',
+  truthy: 'is_not_empty',
+  falsy: 'is_empty',
+  empty: 'is_empty',
+  not_empty: 'is_not_empty',
+};
+
+const MAX_CONDITIONS = 50;
+const MAX_DEPTH = 5;
+
+const FIELD_PATH_RE = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+// Built-in entry columns and how they compare
+const BUILTIN_KINDS = {
+  id: 'text',
+  title: 'text',
+  slug: 'text',
+  status: 'text',
+  created_at: 'datetime',
+  updated_at: 'datetime',
+  deleted_at: 'datetime',
+  publish_at: 'datetime',
+  unpublish_at: 'datetime',
+  owner_id: 'user',
+  created_by: 'user',
+  updated_by: 'user',
+};
+
+function kindForFieldType(type) {
+  switch (String(type || '').toLowerCase()) {
+    case 'number':
+    case 'price':
+      return 'number';
+    case 'date':
+      return 'date';
+    case 'datetime':
+      return 'datetime';
+    case 'boolean':
+      return 'boolean';
+    case 'checkbox':
+    case 'multiselect':
+    case 'tags':
+      return 'array';
+    case 'relation':
+    case 'relationship':
+    case 'relation_user':
+      return 'ref';
+    default:
+      return 'text';
+  }
+}
+
+function filterError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+/**
+ * Resolve relative date tokens: "today", "now", "today+7d", "today-1w".
+ * Dates resolve in UTC.
+ */
+export function resolveDateToken(raw, kind) {
+  const s = String(raw ?? '').trim().toLowerCase();
+  const m = s.match(/^(today|now)\s*(?:([+-])\s*(\d+)\s*([dwmy]))?$/);
+  if (!m) return raw;
+
+  const d = new Date();
+  if (m[2]) {
+    const n = Number(m[3]) * (m[2] === '-' ? -1 : 1);
+    if (m[4] === 'd') d.setUTCDate(d.getUTCDate() + n);
+    if (m[4] === 'w') d.setUTCDate(d.getUTCDate() + n * 7);
+    if (m[4] === 'm') d.setUTCMonth(d.getUTCMonth() + n);
+    if (m[4] === 'y') d.setUTCFullYear(d.getUTCFullYear() + n);
+  }
+
+  if (m[1] === 'today' || kind === 'date') return d.toISOString().slice(0, 10);
+  return d.toISOString();
+}
+
+function coerceValue(kind, value, field) {
+  if (kind === 'number') {
+    const n = typeof value === 'number' ? value : Number(String(value ?? '').trim());
+    if (value === '' || value == null || !Number.isFinite(n)) {
+      throw filterError(`Filter on "${field}" expects a number`);
+    }
+    return n;
+  }
+  if (kind === 'date' || kind === 'datetime') {
+    const v = resolveDateToken(value, kind);
+    const s = String(v ?? '').trim();
+    if (!ISO_DATE_RE.test(s) || Number.isNaN(new Date(s).getTime())) {
+      throw filterError(`Filter on "${field}" expects an ISO date, "today" or "now"`);
+    }
+    return kind === 'date' ? s.slice(0, 10) : s;
+  }
+  if (kind === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    const s = String(value ?? '').trim().toLowerCase();
+    if (['1', 'true', 'yes', 'y', 'on'].includes(s)) return true;
+    if (['0', 'false', 'no', 'n', 'off'].includes(s)) return false;
+    throw filterError(`Filter on "${field}" expects true or false`);
+  }
+  if (value == null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+const SQL_TYPE_BY_KIND = {
+  number: 'numeric',
+  date: 'date',
+  datetime: 'timestamptz',
+  text: 'text',
+};
+
+/**
+ * Turn the raw ?filter value (JSON string, array or qs object) into a
+ * normalized tree of { and|or: [...] } groups and { field, op, value } leaves.
+ */
+export function parseFilterParam(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  let input = raw;
+  if (typeof raw === 'string') {
+    try {
+      input = JSON.parse(raw);
+    } catch {
+      throw filterError('filter must be valid JSON');
+    }
+  }
+
+  return normalizeNode(input, 0);
+}
+
+function isCondition(node) {
+  return node && typeof node === 'object' && !Array.isArray(node) && ('field' in node || 'key' in node);
+}
+
+function normalizeNode(node, depth) {
+  if (depth > MAX_DEPTH) throw filterError(`filter groups nest deeper than ${MAX_DEPTH}`);
+
+  if (Array.isArray(node)) {
+    return { and: node.map((n) => normalizeNode(n, depth + 1)) };
+  }
+  if (!node || typeof node !== 'object') {
+    throw filterError('filter must be an object or array');
+  }
+
+  if (Array.isArray(node.and) || Array.isArray(node.or)) {
+    const logic = Array.isArray(node.and) ? 'and' : 'or';
+    return { [logic]: node[logic].map((n) => normalizeNode(n, depth + 1)) };
+  }
+
+  if (isCondition(node)) {
+    return {
+      field: String(node.field ?? node.key ?? '').trim(),
+      op: String(node.op || 'equals').trim().toLowerCase(),
+      value: node.value,
+    };
+  }
+
+  // qs shorthand: { status: 'open', due_date: { lt: 'today' } }
+  const leaves = [];
+  for (const [field, spec] of Object.entries(node)) {
+    if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+      for (const [op, value] of Object.entries(spec)) {
+        leaves.push({ field, op: op.toLowerCase(), value });
+      }
+    } else {
+      leaves.push({ field, op: Array.isArray(spec) ? 'in' : 'equals', value: spec });
+    }
+  }
+  return { and: leaves };
+}
+
+/**
+ * Compile a normalized filter into a SQL boolean expression over `entries`.
+ * Bind values are appended to `values`.
+ *
+ * @param {object} filter  output of parseFilterParam
+ * @param {Array<{key: string, type: string}>} fieldDefs
+ * @param {any[]} values
+ * @param {{ userId?: string|null }} [ctx]  who "me" refers to
+ * @returns {string}
+ */
+export function buildFilterSql(filter, fieldDefs, values, ctx = {}) {
+  const kindsByKey = {};
+  for (const f of fieldDefs || []) {
+    if (f?.key) kindsByKey[f.key] = kindForFieldType(storedFieldType(f));
+  }
+
+  let count = 0;
+
+  function param(v, cast) {
+    values.push(v);
+    return cast ? `$${values.length}::${cast}` : `$${values.length}`;
+  }
+
+  function compileGroup(node) {
+    const logic = node.and ? 'and' : 'or';
+    const parts = node[logic].map(compile).filter(Boolean);
+    if (!parts.length) return null;
+    if (parts.length === 1) return parts[0];
+    return `(${parts.join(logic === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  function compile(node) {
+    if (node.and || node.or) return compileGroup(node);
+
+    count += 1;
+    if (count > MAX_CONDITIONS) {
+      throw filterError(`filter has more than ${MAX_CONDITIONS} conditions`);
+    }
+
+    const field = node.field.startsWith('data.') ? node.field.slice(5) : node.field;
+    const op = OP_ALIASES[node.op] || node.op;
+
+    if (!FIELD_PATH_RE.test(field)) throw filterError(`Invalid filter field "${node.field}"`);
+    if (!FILTER_OPERATORS.includes(op)) throw filterError(`Unknown filter operator "${node.op}"`);
+
+    const path = field.split('.');
+    const topKey = path[0];
+    const isBuiltin = path.length === 1 && topKey in BUILTIN_KINDS;
+
+    if (!isBuiltin && !(topKey in kindsByKey)) {
+      throw filterError(`Unknown filter field "${field}"`);
+    }
+
+    // Nested paths (e.g. address.locality) compare as text
+    const kind = isBuiltin ? BUILTIN_KINDS[topKey] : path.length > 1 ? 'text' : kindsByKey[topKey];
+
+    return compileCondition({ field, path, isBuiltin, kind, op, value: node.value });
+  }
+
+  function compileCondition({ field, path, isBuiltin, kind, op, value }) {
+    const ref = isBuiltin ? null : param(path, 'text[]');
+    const json = isBuiltin ? null : `(data #> ${ref})`;
+    const text = isBuiltin ? `${field}::text` : `(data #>> ${ref})`;
+
+    if (op === 'is_empty' || op === 'is_not_empty') {
+      const empty = isBuiltin
+        ? `(${field} IS NULL OR ${field}::text = '')`
+        : `(${json} IS NULL OR ${json} IN ('null'::jsonb, '""'::jsonb, '[]'::jsonb, '{}'::jsonb))`;
+      return op === 'is_empty' ? empty : `NOT ${empty}`;
+    }
+
+    // Multi-value and reference fields: match on elements
+    if (kind === 'array' || kind === 'ref') {
+      if (op === 'in' || op === 'not_in') {
+        const list = (Array.isArray(value) ? value : [value]).map((v) => coerceValue('text', v, field));
+        const sql = `COALESCE(${json} ?| ${param(list, 'text[]')}, false)`;
+        return op === 'in' ? sql : `NOT ${sql}`;
+      }
+      if (['equals', 'contains', 'not_equals', 'not_contains'].includes(op)) {
+        const sql = `COALESCE(${json} ? ${param(coerceValue('text', value, field))}, false)`;
+        return op === 'equals' || op === 'contains' ? sql : `NOT ${sql}`;
+      }
+      throw filterError(`Operator "${op}" is not supported for field "${field}"`);
+    }
+
+    if (kind === 'user') {
+      const userValue = (v) => {
+        if (String(v ?? '').trim().toLowerCase() !== 'me') return coerceValue('text', v, field);
+        if (!ctx.userId) throw filterError(`Filter on "${field}" uses "me" but nobody is signed in`);
+        return String(ctx.userId);
+      };
+      if (op === 'equals') return `${text} = ${param(userValue(value))}`;
+      if (op === 'not_equals') return `${text} IS DISTINCT FROM ${param(userValue(value))}`;
+      if (op === 'in' || op === 'not_in') {
+        const list = (Array.isArray(value) ? value : [value]).map(userValue);
+        const sql = `COALESCE(${text} = ANY(${param(list, 'text[]')}), false)`;
+        return op === 'in' ? sql : `NOT ${sql}`;
+      }
+      throw filterError(`Operator "${op}" is not supported for field "${field}"`);
+    }
+
+    if (kind === 'boolean') {
+      const truthy = `COALESCE(lower(${text}) IN ('true', '1', 'yes', 'on'), false)`;
+      if (op !== 'equals' && op !== 'not_equals') {
+        throw filterError(`Operator "${op}" is not supported for field "${field}"`);
+      }
+      const want = coerceValue('boolean', value, field);
+      return (op === 'equals') === want ? truthy : `NOT ${truthy}`;
+    }
+
+    let expr = text;
+    if (!isBuiltin) {
+      if (kind === 'number') {
+        expr = `(CASE WHEN ${text} ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN ${text}::numeric END)`;
+      } else if (kind === 'date') {
+        expr = `(CASE WHEN ${text} ~ '^\\d{4}-\\d{2}-\\d{2}' THEN left(${text}, 10)::date END)`;
+      } else if (kind === 'datetime') {
+        const raw = `COALESCE(${json} ->> 'utc', ${text})`;
+        expr = `(CASE WHEN ${raw} ~ '^\\d{4}-\\d{2}-\\d{2}' THEN (${raw})::timestamptz END)`;
+      }
+    } else if (kind === 'datetime') {
+      expr = field;
+    }
+
+    const cast = SQL_TYPE_BY_KIND[kind];
+
+    switch (op) {
+      case 'equals':
+        return `${expr} = ${param(coerceValue(kind, value, field), cast)}`;
+      case 'not_equals':
+        return `${expr} IS DISTINCT FROM ${param(coerceValue(kind, value, field), cast)}`;
+      case 'contains':
+        return `${text} ILIKE ${param(`%${coerceValue('text', value, field)}%`)}`;
+      case 'not_contains':
+        return `COALESCE(${text}, '') NOT ILIKE ${param(`%${coerceValue('text', value, field)}%`)}`;
+      case 'gt':
+        return `${expr} > ${param(coerceValue(kind, value, field), cast)}`;
+      case 'gte':
+        return `${expr} >= ${param(coerceValue(kind, value, field), cast)}`;
+      case 'lt':
+        return `${expr} < ${param(coerceValue(kind, value, field), cast)}`;
+      case 'lte':
+        return `${expr} <= ${param(coerceValue(kind, value, field), cast)}`;
+      case 'between': {
+        if (!Array.isArray(value) || value.length !== 2) {
+          throw filterError(`"between" on "${field}" expects [from, to]`);
+        }
+        const from = param(coerceValue(kind, value[0], field), cast);
+        const to = param(coerceValue(kind, value[1], field), cast);
+        return `(${expr} >= ${from} AND ${expr} <= ${to})`;
+      }
+      case 'in':
+      case 'not_in': {
+        const list = (Array.isArray(value) ? value : [value]).map((v) => coerceValue(kind, v, field));
+        const sql = `COALESCE(${expr} = ANY(${param(list, `${cast}[]`)}), false)`;
+        return op === 'in' ? sql : `NOT ${sql}`;
+      }
+      default:
+        throw filterError(`Unknown filter operator "${op}"`);
+    }
+  }
+
+  return compile(filter) || 'TRUE';
+}
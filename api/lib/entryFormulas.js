@@ -0,0 +1,701 @@
+// api/lib/entryFormulas.js
+// Formula fields (type "formula"): values computed on the server from the
+// entry's other fields every time it is saved, then stored in entries.data
+// like any other value so lists can sort and filter on them.
+//
+//   config.formula      the expression, e.g. "SUM(line_items, price * qty)"
+//   config.result_type  number (default) | text | date | boolean
+//   config.decimals     numbers are rounded to this many places
+//
+// Expressions are parsed here, never eval'd. They support numbers, 'strings',
+// true / false / null, field references with dotted paths (customer.name,
+// line_items.price plucks from every row), + - * / %, comparisons, && || !,
+// cond ? a : b, and the functions in FUNCTIONS below. Blank values count as
+// 0 in arithmetic; + joins text when either side is not a number. A formula
+// that fails at run time (bad date, division by zero) stores null.
+//
+// Formulas run in dependency order, so one may use another. Results are
+// stored and only change when the entry (or the formula) does, so functions
+// that read the clock (TODAY, NOW, DAYS_UNTIL) are rejected: their stored
+// value would quietly go stale. DAYS_BETWEEN between two date fields works.
+
+import { getByPath, asPrettyInline } from './titleTemplate.js';
+import { recordEntryVersion } from './entryVersions.js';
+
+export const FORMULA_RESULT_TYPES = ['number', 'text', 'date', 'boolean'];
+
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_NESTING = 64;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})/;
+const NUMERIC_RE = /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/;
+// Rejected by the parser; see the note at the top
+const CLOCK_FUNCTIONS = ['TODAY', 'NOW', 'DAYS_UNTIL'];
+
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 400;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+function isBlank(v) {
+  return v == null || (typeof v === 'string' && v.trim() === '') || (Array.isArray(v) && !v.length);
+}
+
+// Price fields store { amount, currency }
+function unwrap(v) {
+  if (v && typeof v === 'object' && !Array.isArray(v) && 'amount' in v) return v.amount;
+  return v;
+}
+
+function isNumberish(v) {
+  const u = unwrap(v);
+  return (
+    u == null ||
+    typeof u === 'number' ||
+    typeof u === 'boolean' ||
+    (typeof u === 'string' && (u.trim() === '' || NUMERIC_RE.test(u)))
+  );
+}
+
+function toNum(v) {
+  const u = unwrap(v);
+  if (u == null || u === '') return 0;
+  if (typeof u === 'number') return u;
+  if (typeof u === 'boolean') return u ? 1 : 0;
+  if (typeof u === 'string' && NUMERIC_RE.test(u)) return Number(u);
+  return NaN;
+}
+
+function toText(v) {
+  return asPrettyInline(unwrap(v));
+}
+
+function truthy(v) {
+  if (isBlank(v)) return false;
+  if (typeof v === 'number') return v !== 0 && !Number.isNaN(v);
+  return v !== false;
+}
+
+function toList(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Dates are handled as UTC midnight; datetime fields store { utc }, date
+// ranges { start, end }
+function toDate(v) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+  if (v && typeof v === 'object') return toDate(v.utc ?? v.start ?? null);
+  if (typeof v !== 'string') return null;
+  const m = DATE_RE.exec(v.trim());
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function dateString(d) {
+  return d ? d.toISOString().slice(0, 10) : null;
+}
+
+function roundTo(n, places) {
+  const p = Math.max(0, Math.min(10, Math.trunc(places) || 0));
+  return Number(`${Math.round(Number(`${n}e${p}`))}e-${p}`);
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+const TOKEN_RE =
+  /\s*(?:(\d+(?:\.\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*(?:\.(?:[A-Za-z_][A-Za-z0-9_]*|\d+))*)|(==|!=|<=|>=|&&|\|\||[-+*/%<>!?:(),]))/y;
+
+function tokenize(src) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < src.length) {
+    if (/^\s*$/.test(src.slice(pos))) break;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(src);
+    if (!m) {
+      const ch = src.slice(pos).trim()[0];
+      throw new FormulaError(ch === '=' ? 'Use "==" to compare values' : `Unexpected "${ch}"`);
+    }
+    if (m[1] !== undefined) tokens.push({ t: 'num', v: Number(m[1]) });
+    else if (m[2] !== undefined) {
+      tokens.push({ t: 'str', v: m[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (m[3] !== undefined) tokens.push({ t: 'name', v: m[3] });
+    else tokens.push({ t: 'op', v: m[4] });
+    pos = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+}
+
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+function parse(src) {
+  const tokens = tokenize(src);
+  let i = 0;
+  let depth = 0;
+
+  const peek = () => tokens[i];
+  const isOp = (v) => tokens[i]?.t === 'op' && tokens[i].v === v;
+  function expect(v) {
+    if (!isOp(v)) throw new FormulaError(`Expected "${v}"${tokens[i] ? ` before "${tokens[i].v}"` : ' at the end'}`);
+    i += 1;
+  }
+
+  function nested(fn) {
+    depth += 1;
+    if (depth > MAX_NESTING) throw new FormulaError('Formula is nested too deeply');
+    try {
+      return fn();
+    } finally {
+      depth -= 1;
+    }
+  }
+
+  function ternary() {
+    return nested(() => {
+      const c = binary(0);
+      if (!isOp('?')) return c;
+      i += 1;
+      const a = ternary();
+      expect(':');
+      return { t: 'cond', c, a, b: ternary() };
+    });
+  }
+
+  function binary(level) {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (peek()?.t === 'op' && BINARY_LEVELS[level].includes(peek().v)) {
+      const op = tokens[i++].v;
+      left = { t: 'bin', op, a: left, b: binary(level + 1) };
+    }
+    return left;
+  }
+
+  function unary() {
+    if (isOp('!') || isOp('-')) {
+      const op = tokens[i++].v;
+      return nested(() => ({ t: 'un', op, a: unary() }));
+    }
+    return primary();
+  }
+
+  function primary() {
+    const tok = tokens[i++];
+    if (!tok) throw new FormulaError('Formula ends too early');
+    if (tok.t === 'num' || tok.t === 'str') return { t: 'lit', v: tok.v };
+    if (tok.t === 'op') {
+      if (tok.v !== '(') throw new FormulaError(`Unexpected "${tok.v}"`);
+      const inner = ternary();
+      expect(')');
+      return inner;
+    }
+
+    const lower = tok.v.toLowerCase();
+    if (lower === 'true' || lower === 'false') return { t: 'lit', v: lower === 'true' };
+    if (lower === 'null') return { t: 'lit', v: null };
+
+    if (!isOp('(')) return { t: 'ref', path: tok.v.split('.') };
+
+    const name = tok.v.toUpperCase();
+    if (CLOCK_FUNCTIONS.includes(name)) {
+      throw new FormulaError(
+        `${name}() depends on the current date, which a stored formula cannot follow`
+      );
+    }
+    const fn = FUNCTIONS[name];
+    if (!fn) throw new FormulaError(`Unknown function ${tok.v}()`);
+    i += 1;
+    const args = [];
+    while (!isOp(')')) {
+      if (args.length) expect(',');
+      args.push(ternary());
+    }
+    expect(')');
+    if (args.length < fn.min || args.length > fn.max) {
+      const count = fn.min === fn.max ? fn.min : `${fn.min}–${fn.max === Infinity ? 'any' : fn.max}`;
+      throw new FormulaError(`${name}() takes ${count} argument${fn.max === 1 ? '' : 's'}`);
+    }
+    return { t: 'call', name, args };
+  }
+
+  if (!tokens.length) throw new FormulaError('Formula is empty');
+  const ast = ternary();
+  if (i < tokens.length) throw new FormulaError(`Unexpected "${tokens[i].v}"`);
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+// A scope is { data, parent }: inside SUM(rows, expr) names resolve on the
+// row first, then on the entry
+function resolve(path, scope) {
+  for (let s = scope; s; s = s.parent) {
+    if (s.data && typeof s.data === 'object' && Object.prototype.hasOwnProperty.call(s.data, path[0])) {
+      return getByPath(s.data, path);
+    }
+  }
+  return undefined;
+}
+
+// Values of a list, or of `expr` evaluated against each item
+function listValues(args, scope) {
+  const list = toList(evaluate(args[0], scope));
+  if (!args[1]) return list;
+  return list.map((item) =>
+    evaluate(args[1], { data: item && typeof item === 'object' ? item : {}, parent: scope })
+  );
+}
+
+const numbersOf = (values) => values.filter((v) => !isBlank(v)).map(toNum);
+
+function aggregate(reduce) {
+  return { min: 1, max: 2, lazy: true, fn: (args, scope) => reduce(listValues(args, scope)) };
+}
+
+const FUNCTIONS = {
+  // Lists: FN(list) or FN(list, expression per item)
+  SUM: aggregate((vals) => numbersOf(vals).reduce((a, b) => a + b, 0)),
+  AVG: aggregate((vals) => {
+    const nums = numbersOf(vals);
+    return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+  }),
+  MIN: aggregate((vals) => {
+    const nums = numbersOf(vals);
+    return nums.length ? Math.min(...nums) : null;
+  }),
+  MAX: aggregate((vals) => {
+    const nums = numbersOf(vals);
+    return nums.length ? Math.max(...nums) : null;
+  }),
+  COUNT: aggregate((vals) => vals.filter(truthy).length),
+  JOIN: { min: 1, max: 2, fn: ([list, sep]) => toList(list).map(toText).filter(Boolean).join(sep == null ? ', ' : toText(sep)) },
+
+  // Numbers
+  ROUND: { min: 1, max: 2, fn: ([n, places]) => roundTo(toNum(n), places == null ? 0 : toNum(places)) },
+  FLOOR: { min: 1, max: 1, fn: ([n]) => Math.floor(toNum(n)) },
+  CEIL: { min: 1, max: 1, fn: ([n]) => Math.ceil(toNum(n)) },
+  ABS: { min: 1, max: 1, fn: ([n]) => Math.abs(toNum(n)) },
+  NUMBER: { min: 1, max: 1, fn: ([v]) => (isBlank(v) ? null : toNum(v)) },
+
+  // Logic
+  IF: {
+    min: 2,
+    max: 3,
+    lazy: true,
+    fn: (args, scope) =>
+      truthy(evaluate(args[0], scope))
+        ? evaluate(args[1], scope)
+        : args[2]
+          ? evaluate(args[2], scope)
+          : null,
+  },
+  COALESCE: { min: 1, max: Infinity, fn: (vals) => vals.find((v) => !isBlank(v)) ?? null },
+
+  // Text
+  CONCAT: { min: 1, max: Infinity, fn: (vals) => vals.map(toText).join('') },
+  TEXT: { min: 1, max: 1, fn: ([v]) => toText(v) },
+  UPPER: { min: 1, max: 1, fn: ([v]) => toText(v).toUpperCase() },
+  LOWER: { min: 1, max: 1, fn: ([v]) => toText(v).toLowerCase() },
+  TRIM: { min: 1, max: 1, fn: ([v]) => toText(v).replace(/\s+/g, ' ').trim() },
+  LEN: { min: 1, max: 1, fn: ([v]) => (Array.isArray(v) ? v.length : toText(v).length) },
+
+  // Dates (YYYY-MM-DD, UTC)
+  DAYS_BETWEEN: {
+    min: 2,
+    max: 2,
+    fn: ([a, b]) => {
+      const from = toDate(a);
+      const to = toDate(b);
+      return from && to ? Math.round((to - from) / DAY_MS) : null;
+    },
+  },
+  DATE_ADD: {
+    min: 2,
+    max: 2,
+    fn: ([d, days]) => {
+      const from = toDate(d);
+      const n = toNum(days);
+      return from && Number.isFinite(n) ? dateString(new Date(from.getTime() + Math.round(n) * DAY_MS)) : null;
+    },
+  },
+  YEAR: { min: 1, max: 1, fn: ([d]) => toDate(d)?.getUTCFullYear() ?? null },
+  MONTH: { min: 1, max: 1, fn: ([d]) => (toDate(d) ? toDate(d).getUTCMonth() + 1 : null) },
+  DAY: { min: 1, max: 1, fn: ([d]) => toDate(d)?.getUTCDate() ?? null },
+};
+
+function compare(op, a, b) {
+  if (op === '==' || op === '!=') {
+    let same;
+    if (isBlank(a) || isBlank(b)) same = isBlank(a) && isBlank(b);
+    else if (isNumberish(a) && isNumberish(b)) same = toNum(a) === toNum(b);
+    else same = toText(a) === toText(b);
+    return op === '==' ? same : !same;
+  }
+
+  const numeric = isNumberish(a) && isNumberish(b);
+  const x = numeric ? toNum(a) : toText(a);
+  const y = numeric ? toNum(b) : toText(b);
+  if (op === '<') return x < y;
+  if (op === '<=') return x <= y;
+  if (op === '>') return x > y;
+  return x >= y;
+}
+
+function evaluate(node, scope) {
+  switch (node.t) {
+    case 'lit':
+      return node.v;
+    case 'ref':
+      return resolve(node.path, scope);
+    case 'cond':
+      return truthy(evaluate(node.c, scope)) ? evaluate(node.a, scope) : evaluate(node.b, scope);
+    case 'un': {
+      const v = evaluate(node.a, scope);
+      return node.op === '!' ? !truthy(v) : -toNum(v);
+    }
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      if (fn.lazy) return fn.fn(node.args, scope);
+      return fn.fn(node.args.map((a) => evaluate(a, scope)));
+    }
+    case 'bin': {
+      if (node.op === '&&') return truthy(evaluate(node.a, scope)) && truthy(evaluate(node.b, scope));
+      if (node.op === '||') return truthy(evaluate(node.a, scope)) || truthy(evaluate(node.b, scope));
+
+      const a = evaluate(node.a, scope);
+      const b = evaluate(node.b, scope);
+      switch (node.op) {
+        case '+':
+          return isNumberish(a) && isNumberish(b) ? toNum(a) + toNum(b) : toText(a) + toText(b);
+        case '-':
+          return toNum(a) - toNum(b);
+        case '*':
+          return toNum(a) * toNum(b);
+        case '/':
+          return toNum(b) === 0 ? NaN : toNum(a) / toNum(b);
+        case '%':
+          return toNum(b) === 0 ? NaN : toNum(a) % toNum(b);
+        default:
+          return compare(node.op, a, b);
+      }
+    }
+    default:
+      throw new FormulaError(`Unknown node ${node.t}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Formula fields
+// ---------------------------------------------------------------------------
+
+const astCache = new Map();
+const AST_CACHE_SIZE = 500;
+
+/** Parse a formula (cached). Throws FormulaError (statusCode 400). */
+export function compileFormula(src) {
+  const text = String(src ?? '');
+  if (text.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(`Formula must be at most ${MAX_FORMULA_LENGTH} characters`);
+  }
+  if (astCache.has(text)) return astCache.get(text);
+  const ast = parse(text);
+  if (astCache.size >= AST_CACHE_SIZE) astCache.delete(astCache.keys().next().value);
+  astCache.set(text, ast);
+  return ast;
+}
+
+// Top-level keys a formula reads (inside SUM(rows, …) this over-counts row
+// keys, which only matters if one matches another formula)
+function referencedKeys(ast, out = new Set()) {
+  if (ast.t === 'ref') out.add(ast.path[0]);
+  for (const child of [ast.a, ast.b, ast.c, ...(ast.args || [])]) {
+    if (child) referencedKeys(child, out);
+  }
+  return out;
+}
+
+function fieldKeyOf(field) {
+  return String(field?.key || field?.field_key || '').trim();
+}
+
+function fieldConfig(field) {
+  return field?.config && typeof field.config === 'object' ? field.config : {};
+}
+
+function isFormulaField(field) {
+  return String(field?.type || '').toLowerCase() === 'formula';
+}
+
+/** Result type of a formula field (what sorting and filtering treat it as). */
+export function formulaResultType(field) {
+  const type = String(fieldConfig(field).result_type || 'number').toLowerCase();
+  return FORMULA_RESULT_TYPES.includes(type) ? type : 'number';
+}
+
+/**
+ * The type a field's stored value has: a formula field's result type,
+ * otherwise its own type.
+ */
+export function storedFieldType(field) {
+  return isFormulaField(field) ? formulaResultType(field) : String(field?.type || '').toLowerCase();
+}
+
+function coerceResult(field, value) {
+  const cfg = fieldConfig(field);
+  switch (formulaResultType(field)) {
+    case 'text':
+      return toText(value);
+    case 'date':
+      return dateString(toDate(value));
+    case 'boolean':
+      return truthy(value);
+    default: {
+      if (isBlank(value)) return null;
+      const n = toNum(value);
+      if (!Number.isFinite(n)) return null;
+      return cfg.decimals == null || cfg.decimals === '' ? n : roundTo(n, Number(cfg.decimals));
+    }
+  }
+}
+
+// Formula fields in an order where each comes after the formulas it reads.
+// Fields caught in a cycle are returned separately.
+function orderFormulaFields(formulaFields) {
+  const byKey = new Map(formulaFields.map((f) => [fieldKeyOf(f), f]));
+  const deps = new Map();
+  for (const [key, f] of byKey) {
+    let refs = [];
+    try {
+      refs = [...referencedKeys(compileFormula(fieldConfig(f).formula))];
+    } catch {
+      // Broken formulas still get a (null) value
+    }
+    deps.set(key, refs.filter((k) => byKey.has(k) && k !== key));
+  }
+
+  const ordered = [];
+  const cyclic = [];
+  const state = new Map(); // key → 'visiting' | 'done'
+  function visit(key) {
+    if (state.get(key) === 'done') return true;
+    if (state.get(key) === 'visiting') return false;
+    state.set(key, 'visiting');
+    const ok = deps.get(key).every(visit);
+    state.set(key, 'done');
+    if (ok) ordered.push(byKey.get(key));
+    else cyclic.push(byKey.get(key));
+    return ok;
+  }
+  for (const key of byKey.keys()) visit(key);
+  return { ordered, cyclic };
+}
+
+/**
+ * Check the formula fields in a type's field list: each formula parses and
+ * has a known result type, and none depend on each other in a circle.
+ * Throws FormulaError (statusCode 400).
+ *
+ * @param {Array<{key?: string, field_key?: string, type: string, config?: object}>} fieldDefs
+ */
+export function checkFormulaFields(fieldDefs) {
+  const formulaFields = (fieldDefs || []).filter(isFormulaField);
+  for (const f of formulaFields) {
+    const key = fieldKeyOf(f);
+    const cfg = fieldConfig(f);
+    if (!String(cfg.formula || '').trim()) {
+      throw new FormulaError(`Formula field "${key}" needs a formula`);
+    }
+    try {
+      compileFormula(cfg.formula);
+    } catch (e) {
+      throw new FormulaError(`Formula for "${key}": ${e.message}`);
+    }
+    const type = String(cfg.result_type || 'number').toLowerCase();
+    if (!FORMULA_RESULT_TYPES.includes(type)) {
+      throw new FormulaError(
+        `Formula field "${key}": result_type must be one of: ${FORMULA_RESULT_TYPES.join(', ')}`
+      );
+    }
+  }
+
+  const { cyclic } = orderFormulaFields(formulaFields);
+  if (cyclic.length) {
+    throw new FormulaError(
+      `Formula fields refer to each other in a circle: ${cyclic.map(fieldKeyOf).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Entry data with every formula field (re)computed. Never throws: a formula
+ * that cannot be parsed or evaluated stores null.
+ *
+ * @param {Array<{key?: string, field_key?: string, type: string, config?: object}>} fieldDefs
+ * @param {object} data
+ */
+export function applyFormulas(fieldDefs, data) {
+  const formulaFields = (fieldDefs || []).filter(isFormulaField);
+  if (!formulaFields.length) return data;
+
+  const out = { ...(data || {}) };
+  const { ordered, cyclic } = orderFormulaFields(formulaFields);
+  for (const f of cyclic) out[fieldKeyOf(f)] = null;
+
+  for (const f of ordered) {
+    const key = fieldKeyOf(f);
+    try {
+      out[key] = coerceResult(f, evaluate(compileFormula(fieldConfig(f).formula), { data: out }));
+    } catch {
+      out[key] = null;
+    }
+  }
+  return out;
+}
+
+/**
+ * What a type's stored formula values depend on in its field list: each
+ * formula field's key, formula and result settings. Compare it before and
+ * after a field save; other field changes never change a stored result, so
+ * the entries only need recomputing when this differs.
+ *
+ * @param {Array<{key?: string, field_key?: string, type: string, config?: object}>} fieldDefs
+ * @returns {string}
+ */
+export function formulaFieldsKey(fieldDefs) {
+  return JSON.stringify(
+    (fieldDefs || [])
+      .filter(isFormulaField)
+      .map((f) => {
+        const cfg = fieldConfig(f);
+        return [fieldKeyOf(f), String(cfg.formula ?? ''), formulaResultType(f), cfg.decimals ?? null];
+      })
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+  );
+}
+
+// Entries read, locked and rewritten at a time by recomputeTypeFormulas
+const RECOMPUTE_BATCH_SIZE = 500;
+
+async function loadFormulaFieldDefs(db, typeId) {
+  const { rows } = await db.query(
+    `SELECT field_key AS key, type, config
+       FROM content_fields
+      WHERE content_type_id = $1`,
+    [typeId]
+  );
+  return rows;
+}
+
+// One batch of recomputeTypeFormulas: entries after `afterId`, locked,
+// recomputed and the changed ones written
+async function recomputeBatch(db, typeId, fieldDefs, afterId) {
+  const formulaKeys = fieldDefs.filter(isFormulaField).map(fieldKeyOf);
+  const { rows: entries } = await db.query(
+    `SELECT id, data FROM entries
+      WHERE content_type_id = $1 AND ($2::uuid IS NULL OR id > $2::uuid)
+      ORDER BY id
+      LIMIT ${RECOMPUTE_BATCH_SIZE}
+      FOR UPDATE`,
+    [typeId, afterId]
+  );
+
+  let updated = 0;
+  for (const entry of entries) {
+    const data = entry.data || {};
+    const next = applyFormulas(fieldDefs, data);
+    const changed = formulaKeys.some((k) => JSON.stringify(next[k]) !== JSON.stringify(data[k]));
+    if (!changed) continue;
+    const { rows } = await db.query(
+      `UPDATE entries
+          SET data = $2, version = version + 1, updated_at = now()
+        WHERE id = $1
+        RETURNING *`,
+      [entry.id, next]
+    );
+    await recordEntryVersion(db, rows[0], { action: 'recompute' });
+    updated += 1;
+  }
+  return {
+    updated,
+    lastId: entries.length ? entries[entries.length - 1].id : null,
+    done: entries.length < RECOMPUTE_BATCH_SIZE,
+  };
+}
+
+/**
+ * Recompute formula fields on every entry of a type (after its formulas
+ * change), a batch at a time, inside the caller's transaction. Only rows
+ * whose values actually change are written; those get a new version (so
+ * editors holding the old one see a conflict) and a "recompute" entry in
+ * their history.
+ *
+ * @param {import('pg').PoolClient} db
+ * @returns {Promise<number>} entries updated
+ */
+export async function recomputeTypeFormulas(db, typeId) {
+  const fieldDefs = await loadFormulaFieldDefs(db, typeId);
+  if (!fieldDefs.some(isFormulaField)) return 0;
+
+  let updated = 0;
+  let afterId = null;
+  for (;;) {
+    const batch = await recomputeBatch(db, typeId, fieldDefs, afterId);
+    updated += batch.updated;
+    if (batch.done) break;
+    afterId = batch.lastId;
+  }
+  return updated;
+}
+
+/**
+ * recomputeTypeFormulas for after a field save has committed: each batch is
+ * its own short transaction on `pool`, so rows are only locked while their
+ * batch is rewritten.
+ *
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<number>} entries updated
+ */
+export async function recomputeTypeFormulasBatched(pool, typeId) {
+  const fieldDefs = await loadFormulaFieldDefs(pool, typeId);
+  if (!fieldDefs.some(isFormulaField)) return 0;
+
+  let updated = 0;
+  let afterId = null;
+  for (;;) {
+    const client = await pool.connect();
+    let batch;
+    try {
+      await client.query('BEGIN');
+      batch = await recomputeBatch(client, typeId, fieldDefs, afterId);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+    updated += batch.updated;
+    if (batch.done) break;
+    afterId = batch.lastId;
+  }
+  return updated;
+}
@@ -0,0 +1,360 @@
+// api/lib/entryImport.js
+// Parsing, column mapping and value coercion for
+// POST /api/content/:slug/import.
+//
+// A request carries either CSV text or an array of JSON row objects. Each
+// source column is mapped onto a built-in (title, slug, status) or a
+// content_fields key; dotted targets such as "address.postal" write into an
+// object field. The route runs the mapped rows through normalizeEntryData
+// and upserts them one savepoint at a time.
+
+import { isUuid, badRequest } from './requestUtils.js';
+
+export const IMPORT_FORMATS = ['csv', 'json'];
+export const IMPORT_MODES = ['upsert', 'create', 'update'];
+export const MAX_IMPORT_ROWS = 5000;
+
+const BUILTIN_TARGETS = ['title', 'slug', 'status'];
+const LIST_TYPES = new Set(['checkbox', 'multiselect', 'tags']);
+const TRUE_WORDS = new Set(['true', 'yes', 'y', '1', 'on', 'x']);
+const FALSE_WORDS = new Set(['false', 'no', 'n', '0', 'off']);
+const EMAIL_IN_TEXT_RE = /<([^<>\s]+@[^<>\s]+)>|^([^\s<>]+@[^\s<>]+)$/;
+
+function fieldConfig(field) {
+  return field?.config && typeof field.config === 'object' ? field.config : {};
+}
+
+/**
+ * Parse RFC 4180 CSV into an array of rows (arrays of strings). Handles
+ * quoted fields, doubled quotes, CRLF/LF line endings and a leading BOM.
+ * Blank lines are dropped.
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw badRequest('CSV has an unterminated quoted field');
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+function normalizeHeader(s) {
+  return String(s || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Guess a mapping for columns nobody mapped explicitly: a column maps to a
+ * built-in or field whose key or label matches it (case and punctuation
+ * ignored). Unmatched columns map to null (skipped).
+ */
+export function suggestMapping(columns, fieldDefs) {
+  const byName = {};
+  for (const key of BUILTIN_TARGETS) byName[key] = key;
+  for (const f of fieldDefs || []) {
+    byName[normalizeHeader(f.label)] = byName[normalizeHeader(f.label)] || f.key;
+    byName[normalizeHeader(f.key)] = f.key;
+  }
+
+  const mapping = {};
+  for (const col of columns) mapping[col] = byName[normalizeHeader(col)] || null;
+  return mapping;
+}
+
+/**
+ * Validate the request body and turn it into { columns, records, mapping,
+ * matchOn, mode, dryRun, atomic, defaultStatus }. Each record is
+ * { row, values } where row is the 1-based data row (the CSV header is not
+ * counted) and values is keyed by column name.
+ *
+ * Throws (statusCode 400) on anything malformed.
+ */
+export function parseImportRequest(body, fieldDefs = []) {
+  const b = body || {};
+  const format = String(b.format || (typeof b.csv === 'string' ? 'csv' : 'json')).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw badRequest(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let columns;
+  let records;
+  if (format === 'csv') {
+    if (typeof b.csv !== 'string' || !b.csv.trim()) throw badRequest('csv must be a non-empty string');
+    const [header, ...lines] = parseCsv(b.csv);
+    columns = header.map((h) => h.trim());
+    if (!columns.some(Boolean)) throw badRequest('CSV header row is empty');
+    if (new Set(columns).size !== columns.length) throw badRequest('CSV header has duplicate column names');
+    records = lines.map((cells, i) => ({
+      row: i + 1,
+      values: Object.fromEntries(columns.map((c, idx) => [c, cells[idx] ?? ''])),
+    }));
+  } else {
+    if (!Array.isArray(b.rows)) throw badRequest('rows must be an array of objects');
+    if (!b.rows.every((r) => r && typeof r === 'object' && !Array.isArray(r))) {
+      throw badRequest('rows must be an array of objects');
+    }
+    const seen = new Set();
+    for (const r of b.rows) for (const k of Object.keys(r)) seen.add(k);
+    columns = Array.from(seen);
+    records = b.rows.map((values, i) => ({ row: i + 1, values }));
+  }
+
+  if (!records.length) throw badRequest('No rows to import');
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`At most ${MAX_IMPORT_ROWS} rows per import (got ${records.length})`);
+  }
+
+  const fieldKeys = new Set((fieldDefs || []).map((f) => f.key));
+  const isTarget = (t) => BUILTIN_TARGETS.includes(t) || fieldKeys.has(String(t).split('.')[0]);
+
+  const explicit = b.mapping && typeof b.mapping === 'object' ? b.mapping : {};
+  const mapping = { ...suggestMapping(columns, fieldDefs) };
+  for (const [col, target] of Object.entries(explicit)) {
+    if (!columns.includes(col)) throw badRequest(`mapping refers to unknown column "${col}"`);
+    if (target == null || target === '') {
+      mapping[col] = null;
+      continue;
+    }
+    if (!isTarget(target)) throw badRequest(`Column "${col}" is mapped to unknown field "${target}"`);
+    mapping[col] = String(target);
+  }
+
+  const targets = Object.values(mapping).filter(Boolean);
+  const dupe = targets.find((t, i) => targets.indexOf(t) !== i);
+  if (dupe) throw badRequest(`More than one column is mapped to "${dupe}"`);
+
+  const matchOn = String(b.matchOn || 'slug');
+  if (matchOn !== 'slug' && !fieldKeys.has(matchOn)) {
+    throw badRequest(`matchOn must be "slug" or a field key (got "${matchOn}")`);
+  }
+  if (!targets.includes(matchOn) && matchOn !== 'slug') {
+    throw badRequest(`No column is mapped to the match field "${matchOn}"`);
+  }
+
+  const mode = String(b.mode || 'upsert');
+  if (!IMPORT_MODES.includes(mode)) throw badRequest(`mode must be one of: ${IMPORT_MODES.join(', ')}`);
+
+  return {
+    columns,
+    records,
+    mapping,
+    matchOn,
+    mode,
+    dryRun: b.dryRun === true,
+    atomic: b.atomic === true,
+    defaultStatus: typeof b.defaultStatus === 'string' && b.defaultStatus.trim() ? b.defaultStatus.trim() : null,
+  };
+}
+
+function splitList(text) {
+  return String(text)
+    .split(/[,;]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseTime(text) {
+  const m = String(text).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2]);
+  const ampm = m[3] ? m[3][0].toLowerCase() : '';
+  if (ampm === 'p' && h < 12) h += 12;
+  if (ampm === 'a' && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
+}
+
+function parseNameText(text) {
+  const s = String(text).trim();
+  if (s.includes(',')) {
+    const [last, first] = s.split(',').map((x) => x.trim());
+    return { first: first || '', last: last || '' };
+  }
+  const parts = s.split(/\s+/);
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
+/**
+ * Coerce one cell onto a field's stored shape. Non-string values (JSON
+ * imports) are trusted as already shaped. Returns { value } or { error }.
+ *
+ * @param {object} field   content_fields row ({ key, type, config })
+ * @param {any} raw
+ * @param {{ usersByEmail?: object }} [ctx]
+ */
+export function coerceImportValue(field, raw, ctx = {}) {
+  if (raw === undefined || raw === null) return { value: null };
+  if (typeof raw !== 'string') return { value: raw };
+
+  const text = raw.trim();
+  if (text === '') return { value: null };
+
+  const type = String(field?.type || 'text').toLowerCase();
+  const cfg = fieldConfig(field);
+
+  switch (type) {
+    case 'number':
+    case 'price': {
+      const n = Number(type === 'price' ? text.replace(/[^0-9.-]/g, '') : text.replace(/,/g, ''));
+      return Number.isFinite(n) ? { value: n } : { error: 'must be a number' };
+    }
+    case 'boolean': {
+      const w = text.toLowerCase();
+      if (TRUE_WORDS.has(w)) return { value: true };
+      if (FALSE_WORDS.has(w)) return { value: false };
+      return { error: 'must be yes/no or true/false' };
+    }
+    case 'checkbox':
+    case 'multiselect':
+    case 'tags':
+      return { value: splitList(text) };
+    case 'relation':
+    case 'relationship':
+      return { value: cfg.multiple || LIST_TYPES.has(type) ? splitList(text) : text };
+    case 'relation_user': {
+      const ids = [];
+      for (const part of cfg.multiple ? splitList(text) : [text]) {
+        if (isUuid(part)) {
+          ids.push(part);
+          continue;
+        }
+        const m = part.match(EMAIL_IN_TEXT_RE);
+        const user = m ? ctx.usersByEmail?.[(m[1] || m[2]).toLowerCase()] : null;
+        if (!user) return { error: `has no matching user "${part}"` };
+        ids.push(user.id);
+      }
+      return { value: cfg.multiple ? ids : ids[0] };
+    }
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { value: text };
+      const d = new Date(text);
+      if (Number.isNaN(d.getTime())) return { error: 'must be a date (YYYY-MM-DD)' };
+      const pad = (n) => String(n).padStart(2, '0');
+      return { value: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` };
+    }
+    case 'datetime': {
+      const d = new Date(text);
+      if (Number.isNaN(d.getTime())) return { error: 'must be a date and time' };
+      return { value: { utc: d.toISOString(), sourceTZ: cfg.defaultTZ || 'America/Los_Angeles' } };
+    }
+    case 'time': {
+      const t = parseTime(text);
+      return t ? { value: { time: t, tz: cfg.defaultTZ || 'America/Los_Angeles' } } : { error: 'must be a time (HH:MM)' };
+    }
+    case 'name':
+      return { value: parseNameText(text) };
+    case 'address':
+      return { value: { line1: text } };
+    case 'color':
+      return /^#?[0-9a-f]{3}([0-9a-f]{3})?$/i.test(text)
+        ? { value: { hex: text.startsWith('#') ? text.toLowerCase() : `#${text.toLowerCase()}` } }
+        : { error: 'must be a hex colour' };
+    case 'json':
+    case 'repeater':
+      try {
+        return { value: JSON.parse(text) };
+      } catch {
+        return { error: 'must be valid JSON' };
+      }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Apply the mapping to one record. Returns { title, slug, status, data,
+ * errors } where the built-ins are undefined when no column supplied them
+ * and errors is [{ field, column, message }].
+ */
+export function mapImportRecord(record, mapping, fieldsByKey, ctx = {}) {
+  const out = { title: undefined, slug: undefined, status: undefined, data: {}, errors: [] };
+
+  for (const [column, target] of Object.entries(mapping)) {
+    if (!target || !(column in record.values)) continue;
+    const raw = record.values[column];
+
+    if (BUILTIN_TARGETS.includes(target)) {
+      const s = raw == null ? '' : String(raw).trim();
+      if (s) out[target] = s;
+      continue;
+    }
+
+    const [key, ...rest] = target.split('.');
+    const field = fieldsByKey[key];
+
+    if (rest.length) {
+      // Sub-key of an object field, e.g. address.postal or name.first
+      const s = raw == null ? '' : String(raw).trim();
+      if (!s) continue;
+      const obj = out.data[key] && typeof out.data[key] === 'object' ? out.data[key] : {};
+      let cur = obj;
+      for (const p of rest.slice(0, -1)) cur = cur[p] = cur[p] && typeof cur[p] === 'object' ? cur[p] : {};
+      cur[rest[rest.length - 1]] = s;
+      out.data[key] = obj;
+      continue;
+    }
+
+    const { value, error } = coerceImportValue(field, raw, ctx);
+    if (error) out.errors.push({ field: key, column, message: `${field?.label || key} ${error}` });
+    else if (value !== null) out.data[key] = value;
+  }
+
+  return out;
+}
+
+/**
+ * Email addresses referenced by relation_user columns, so the route can
+ * resolve them to user ids in one query.
+ */
+export function collectImportUserEmails(records, mapping, fieldsByKey) {
+  const emails = new Set();
+  for (const [column, target] of Object.entries(mapping)) {
+    if (!target || fieldsByKey[target]?.type !== 'relation_user') continue;
+    for (const r of records) {
+      const v = r.values[column];
+      if (typeof v !== 'string') continue;
+      for (const part of splitList(v)) {
+        const m = part.match(EMAIL_IN_TEXT_RE);
+        if (m) emails.add((m[1] || m[2]).toLowerCase());
+      }
+    }
+  }
+  return Array.from(emails);
+}
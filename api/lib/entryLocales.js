@@ -0,0 +1,271 @@
+// api/lib/entryLocales.js
+// Localized entries. The locales live in app_settings "global":
+//
+//   defaultLocale: "en"
+//   locales: ["en", "fr", "fr-CA"]
+//   localeFallbacks: { "fr-CA": ["fr"] }
+//
+// entries.title / slug / data are the default locale. Every other locale an
+// entry is translated into has a row in entry_localizations with its own
+// title, slug, and values for the type's localizable fields
+// (content_fields.localizable). Read with ?locale=fr-CA, a localizable field
+// comes from fr-CA, then its fallbacks (fr), then the default locale; it is
+// "untranslated" when fr-CA itself has no value. Without localeFallbacks a
+// regional locale falls back to its language ("fr-CA" → "fr") when that is
+// configured. Fields that are not localizable are shared by all locales.
+//
+// Filters, sorting and search run on the default locale's values.
+
+import { isEmptyValue } from './entryValidation.js';
+import { badRequest } from './requestUtils.js';
+
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// "fr_ca" / "FR-ca" → "fr-CA"
+export function normalizeLocaleCode(code) {
+  const parts = String(code || '').trim().replace(/_/g, '-').split('-').filter(Boolean);
+  if (!parts.length) return '';
+  const [language, ...rest] = parts;
+  return [language.toLowerCase(), ...rest.map((p) => (p.length === 2 ? p.toUpperCase() : p))].join('-');
+}
+
+/**
+ * { defaultLocale, locales, fallbacks } from app_settings. With nothing
+ * configured there is a single locale, "en".
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function loadLocaleSettings(db) {
+  let value = {};
+  try {
+    const { rows } = await db.query(
+      'SELECT value FROM app_settings WHERE key = $1 LIMIT 1',
+      ['global']
+    );
+    value = rows[0]?.value || {};
+  } catch (err) {
+    console.warn('[locales] could not read locales from settings:', err.message);
+  }
+
+  const locales = (Array.isArray(value.locales) ? value.locales : [])
+    .map(normalizeLocaleCode)
+    .filter((c) => LOCALE_RE.test(c));
+  const defaultLocale = normalizeLocaleCode(value.defaultLocale) || locales[0] || 'en';
+  if (!locales.includes(defaultLocale)) locales.unshift(defaultLocale);
+
+  const fallbacks = {};
+  const rawFallbacks =
+    value.localeFallbacks && typeof value.localeFallbacks === 'object' ? value.localeFallbacks : {};
+  for (const [code, list] of Object.entries(rawFallbacks)) {
+    const key = normalizeLocaleCode(code);
+    if (!locales.includes(key)) continue;
+    fallbacks[key] = (Array.isArray(list) ? list : [list])
+      .map(normalizeLocaleCode)
+      .filter((c) => c !== key && locales.includes(c));
+  }
+
+  return { defaultLocale, locales: [...new Set(locales)], fallbacks };
+}
+
+/**
+ * The locale a request asks for (?locale=), or null for the default locale.
+ * Throws 400 for a locale that is not configured.
+ */
+export function resolveRequestLocale(raw, settings) {
+  if (raw == null || raw === '') return null;
+  const code = normalizeLocaleCode(raw);
+  if (!settings.locales.includes(code)) {
+    throw badRequest(`Unknown locale "${raw}"; configured locales: ${settings.locales.join(', ')}`);
+  }
+  return code === settings.defaultLocale ? null : code;
+}
+
+/**
+ * Locales to read from, in order, before the default locale's own values.
+ * Never includes the default locale.
+ */
+export function localeChain(locale, settings) {
+  if (!locale || locale === settings.defaultLocale) return [];
+  let rest = settings.fallbacks[locale];
+  if (!rest) {
+    const language = locale.split('-')[0];
+    rest = language !== locale && settings.locales.includes(language) ? [language] : [];
+  }
+  return [...new Set([locale, ...rest])].filter((c) => c !== settings.defaultLocale);
+}
+
+/**
+ * Keys of the type's localizable fields. Formula fields never are: they are
+ * recomputed from whatever values the locale shows.
+ */
+export function localizableKeys(fieldDefs) {
+  return (fieldDefs || [])
+    .filter((f) => f.localizable === true && String(f.type || '').toLowerCase() !== 'formula')
+    .map((f) => String(f.key || f.field_key || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Split entry data into the shared values (stored on the entry) and the
+ * localizable ones (stored per locale).
+ */
+export function splitLocalizedData(fieldDefs, data) {
+  const keys = new Set(localizableKeys(fieldDefs));
+  const shared = {};
+  const localized = {};
+  for (const [k, v] of Object.entries(data || {})) {
+    if (keys.has(k)) localized[k] = v;
+    else shared[k] = v;
+  }
+  return { shared, localized };
+}
+
+/**
+ * entry_localizations rows for the entries, as Map(entryId → Map(locale → row)).
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function loadLocalizations(db, entryIds, locales) {
+  const out = new Map();
+  if (!entryIds.length || !locales.length) return out;
+  const { rows } = await db.query(
+    `SELECT * FROM entry_localizations
+      WHERE entry_id = ANY($1::uuid[]) AND locale = ANY($2::text[])`,
+    [entryIds, locales]
+  );
+  for (const row of rows) {
+    if (!out.has(row.entry_id)) out.set(row.entry_id, new Map());
+    out.get(row.entry_id).set(row.locale, row);
+  }
+  return out;
+}
+
+/**
+ * The entry as seen in `locale`: title, slug and localizable fields taken
+ * along the fallback chain. `_locale` reports where each localizable field
+ * came from and which ones the locale itself has no value for.
+ *
+ * @param {object} entry  entries row
+ * @param {Map<string, object>} byLocale  its entry_localizations rows
+ * @param {{ locale: string, chain: string[], defaultLocale: string, fieldDefs: object[] }} opts
+ */
+export function localizeEntry(entry, byLocale, { locale, chain, defaultLocale, fieldDefs }) {
+  const rows = chain.map((code) => byLocale?.get(code)).filter(Boolean);
+  const pick = (read) => {
+    for (const row of rows) {
+      const v = read(row);
+      if (!isEmptyValue(v)) return { value: v, from: row.locale };
+    }
+    return null;
+  };
+
+  const data = { ...(entry.data || {}) };
+  const fields = {};
+  const untranslated = [];
+  for (const key of localizableKeys(fieldDefs)) {
+    const hit = pick((row) => row.data?.[key]);
+    if (hit) data[key] = hit.value;
+    fields[key] = hit ? hit.from : defaultLocale;
+    if (hit?.from !== locale) untranslated.push(key);
+  }
+
+  const title = pick((row) => row.title);
+  const slug = pick((row) => row.slug);
+  return {
+    ...entry,
+    title: title ? title.value : entry.title,
+    slug: slug ? slug.value : entry.slug,
+    data,
+    locale,
+    _locale: {
+      locale,
+      defaultLocale,
+      chain: [...chain, defaultLocale],
+      translated: byLocale?.has(locale) || false,
+      title: title ? title.from : defaultLocale,
+      slug: slug ? slug.from : defaultLocale,
+      fields,
+      untranslated,
+    },
+  };
+}
+
+/**
+ * Localize one entry or a list in place (same shape as the input). Entries
+ * read in the default locale are left as they are.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object|object[]} entries
+ * @param {{ locale: string|null, settings: object, fieldDefs: object[] }} opts
+ */
+export async function localizeEntries(db, entries, { locale, settings, fieldDefs }) {
+  const list = Array.isArray(entries) ? entries : entries ? [entries] : [];
+  if (!locale || !list.length) return entries;
+
+  const chain = localeChain(locale, settings);
+  const byEntry = await loadLocalizations(db, list.map((e) => e.id), chain);
+  for (let i = 0; i < list.length; i += 1) {
+    const localized = localizeEntry(list[i], byEntry.get(list[i].id), {
+      locale,
+      chain,
+      defaultLocale: settings.defaultLocale,
+      fieldDefs,
+    });
+    // Keep the caller's object (it may carry _resolved and the like)
+    Object.assign(list[i], localized);
+  }
+  return entries;
+}
+
+/**
+ * Id of the live entry of the type whose slug in one of `locales` is `slug`,
+ * or null. The first locale wins.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function findEntryIdByLocaleSlug(db, typeId, locales, slug) {
+  if (!locales.length || !slug) return null;
+  const { rows } = await db.query(
+    `SELECT l.entry_id, l.locale
+       FROM entry_localizations l
+       JOIN entries e ON e.id = l.entry_id
+      WHERE l.content_type_id = $1 AND l.slug = $2 AND l.locale = ANY($3::text[])
+        AND e.deleted_at IS NULL`,
+    [typeId, slug, locales]
+  );
+  if (!rows.length) return null;
+  rows.sort((a, b) => locales.indexOf(a.locale) - locales.indexOf(b.locale));
+  return rows[0].entry_id;
+}
+
+/**
+ * Write an entry's values for one (non-default) locale. `data` keeps only
+ * the localizable fields; empty values are dropped so they fall back. An
+ * empty title or slug also falls back.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {{ id: string, content_type_id: string }} entry
+ * @param {string} locale
+ * @param {{ title?: string|null, slug?: string|null, data?: object }} values
+ * @param {{ fieldDefs: object[], userId?: string|null }} opts
+ */
+export async function saveLocalization(db, entry, locale, values, { fieldDefs, userId = null }) {
+  const { localized } = splitLocalizedData(fieldDefs, values.data);
+  const data = {};
+  for (const [k, v] of Object.entries(localized)) {
+    if (!isEmptyValue(v)) data[k] = v;
+  }
+  const clean = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+
+  const { rows } = await db.query(
+    `INSERT INTO entry_localizations
+       (entry_id, content_type_id, locale, title, slug, data, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (entry_id, locale) DO UPDATE
+       SET title = EXCLUDED.title, slug = EXCLUDED.slug, data = EXCLUDED.data,
+           updated_by = EXCLUDED.updated_by, updated_at = now()
+     RETURNING *`,
+    [entry.id, entry.content_type_id, locale, clean(values.title), clean(values.slug), data, userId]
+  );
+  return rows[0];
+}
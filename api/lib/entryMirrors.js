@@ -0,0 +1,18 @@
+// api/lib/entryMirrors.js
+// The admin editor mirrors the title, slug and status columns into data, as
+// both `key` and `_key`. Writes that change a column keep those copies in step.
+
+export const ENTRY_MIRROR_KEYS = ['title', 'slug', 'status', '_title', '_slug', '_status'];
+
+/**
+ * A copy of `data` with whichever mirrors it already has set to the given
+ * column values; columns not passed are left alone.
+ */
+export function syncEntryMirrors(data, columns) {
+  const next = { ...(data || {}) };
+  for (const [key, value] of Object.entries(columns)) {
+    if (key in next) next[key] = value;
+    if (`_${key}` in next) next[`_${key}`] = value;
+  }
+  return next;
+}
@@ -0,0 +1,50 @@
+// api/lib/entryOwner.js
+// Authorship columns on entries.
+//
+// created_by and updated_by are set by the API from the signed-in user on
+// every write; owner_id starts as the creator and can be reassigned by
+// sending `owner_id` (a users.id, or null to clear it) by roles with the
+// entries.reassign permission. All three resolve to user objects in
+// entry._resolved.usersById.
+
+import { roleHasPermission } from '../middleware/checkPermission.js';
+import { isUuid, badRequest, httpError } from './requestUtils.js';
+
+export const OWNER_REASSIGN_PERMISSION = 'entries.reassign';
+
+/**
+ * Check an owner id against public.users. null / '' clear the owner.
+ * Throws (statusCode 400) when it is not an existing user.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @returns {Promise<string|null>}
+ */
+export async function resolveOwnerId(db, raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (!isUuid(raw)) throw badRequest('owner_id must be a user id or null');
+  const id = String(raw).trim();
+  const { rows } = await db.query('SELECT id FROM public.users WHERE id = $1', [id]);
+  if (!rows.length) throw badRequest('owner_id does not match any user');
+  return id;
+}
+
+/**
+ * Read owner_id from a request body. Absent → {} (keep the stored owner),
+ * otherwise { owner_id } checked with resolveOwnerId.
+ *
+ * @returns {Promise<{ owner_id?: string|null }>}
+ */
+export async function parseOwnerField(db, body) {
+  if (!body || !('owner_id' in body)) return {};
+  return { owner_id: await resolveOwnerId(db, body.owner_id) };
+}
+
+/**
+ * Throws (statusCode 403) unless `role` may give entries a different owner.
+ * Callers only ask when the owner actually changes, so saves that send the
+ * current owner back keep working for every role.
+ */
+export async function assertCanReassignOwner(role) {
+  if (await roleHasPermission(role, OWNER_REASSIGN_PERMISSION)) return;
+  throw httpError(`Forbidden: missing permission ${OWNER_REASSIGN_PERMISSION}`, 403);
+}
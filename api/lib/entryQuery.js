@@ -0,0 +1,189 @@
+// api/lib/entryQuery.js
+// SQL builders for listing entries: paging, sorting, text search and filters.
+// ?q= is full-text search over entry_search_index (see lib/entrySearch.js).
+//
+// Everything here returns parameterized SQL fragments; field keys coming from
+// the query string are validated and always passed as bind parameters.
+
+import { parseFilterParam, buildFilterSql } from './entryFilters.js';
+import { buildSearchSql } from './entrySearch.js';
+import { storedFieldType } from './entryFormulas.js';
+
+// Built-in columns that exist on every row in `entries`
+export const ENTRY_BUILTIN_COLUMNS = [
+  'id',
+  'title',
+  'slug',
+  'status',
+  'created_at',
+  'updated_at',
+  'deleted_at',
+  'publish_at',
+  'unpublish_at',
+  'owner_id',
+  'created_by',
+  'updated_by',
+];
+
+// Built-in columns holding a users.id
+export const ENTRY_USER_COLUMNS = ['owner_id', 'created_by', 'updated_by'];
+
+const NUMERIC_FIELD_TYPES = new Set(['number', 'price']);
+
+export const DEFAULT_LIST_LIMIT = 50;
+export const MAX_LIST_LIMIT = 500;
+
+const LIST_PARAM_KEYS = ['limit', 'offset', 'page', 'sort', 'q', 'filter', 'trash'];
+
+const FIELD_PATH_RE = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+function toInt(v, fallback) {
+  const n = parseInt(String(v ?? ''), 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * True when the caller asked for any list feature. Callers that pass none of
+ * these still get the legacy "every entry as a plain array" response.
+ */
+export function hasListParams(query = {}) {
+  return LIST_PARAM_KEYS.some((k) => query[k] !== undefined && query[k] !== '');
+}
+
+/**
+ * Parse a sort spec such as "-created_at,title,data.due_date" into
+ * [{ key, dir }]. A leading "-" means descending. Unknown shapes are dropped.
+ */
+export function parseSort(raw) {
+  const out = [];
+  const parts = String(raw || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const desc = part.startsWith('-');
+    let key = desc ? part.slice(1) : part.replace(/^\+/, '');
+    if (key.startsWith('data.')) key = key.slice(5);
+    if (!FIELD_PATH_RE.test(key)) continue;
+    out.push({ key, dir: desc ? 'DESC' : 'ASC' });
+  }
+  return out;
+}
+
+/**
+ * Normalize ?limit, ?offset (or ?page), ?sort, ?q, ?filter and ?trash.
+ * Throws (statusCode 400) when ?filter cannot be parsed.
+ */
+export function parseListParams(query = {}) {
+  const limitRaw = toInt(query.limit, DEFAULT_LIST_LIMIT);
+  const limit = Math.min(Math.max(limitRaw, 1), MAX_LIST_LIMIT);
+
+  let offset = Math.max(toInt(query.offset, 0), 0);
+  const page = toInt(query.page, 0);
+  if (query.offset === undefined && page > 1) offset = (page - 1) * limit;
+
+  const sort = parseSort(query.sort);
+  const q = String(query.q || '').trim();
+  const filter = parseFilterParam(query.filter);
+  const trashed = ['1', 'true', 'yes'].includes(String(query.trash || '').toLowerCase());
+
+  return { limit, offset, sort, q, filter, trashed };
+}
+
+/**
+ * SQL expression used to sort by a built-in column or a `data` key.
+ * `values` is the shared bind array; the key is pushed onto it.
+ */
+export function sortExpression(key, fieldTypes, values) {
+  if (ENTRY_BUILTIN_COLUMNS.includes(key)) return key;
+
+  const path = key.split('.');
+  values.push(path);
+  const ref = `$${values.length}::text[]`;
+  const text = `(data #>> ${ref})`;
+
+  // Only top-level keys carry a content_fields type
+  const type = path.length === 1 ? fieldTypes[key] : null;
+
+  if (NUMERIC_FIELD_TYPES.has(type)) {
+    return `CASE WHEN ${text} ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN ${text}::numeric END`;
+  }
+  if (type === 'datetime') {
+    // Stored as { utc, sourceTZ } by the admin editor; tolerate plain strings
+    return `COALESCE(data #> ${ref} ->> 'utc', ${text})`;
+  }
+  if (type === 'name') {
+    return `lower(concat_ws(' ', data #> ${ref} ->> 'last', data #> ${ref} ->> 'first'))`;
+  }
+  return `lower(${text})`;
+}
+
+/**
+ * Build the list + count queries for one content type.
+ *
+ * @param {string} typeId
+ * @param {{limit?: number|null, offset?: number, sort?: Array, q?: string, filter?: object, trashed?: boolean, userId?: string|null, highlight?: boolean}} opts
+ *   `userId` is who "me" means in filters; with `q`, results are ordered by
+ *   relevance unless `sort` is given, and `highlight` adds search_rank /
+ *   search_snippet columns
+ * @param {Array<{key: string, type: string, config?: object}>} fieldDefs
+ *   formula fields sort and filter by their result type (needs `config`)
+ * @returns {{ sql: string, values: any[], countSql: string, countValues: any[] }}
+ */
+export function buildEntryListQuery(typeId, opts = {}, fieldDefs = []) {
+  const fieldTypes = {};
+  for (const f of fieldDefs || []) {
+    if (f?.key) fieldTypes[f.key] = storedFieldType(f);
+  }
+
+  const values = [typeId];
+  // Trashed entries only show up when the trash itself is listed
+  const where = [
+    'content_type_id = $1',
+    opts.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL',
+  ];
+
+  const search = opts.q ? buildSearchSql(opts.q, values) : null;
+  if (search) where.push(search.where);
+
+  if (opts.filter) {
+    where.push(buildFilterSql(opts.filter, fieldDefs, values, { userId: opts.userId }));
+  }
+
+  const fromSql = search
+    ? 'entries LEFT JOIN entry_search_index s ON s.entry_id = entries.id'
+    : 'entries';
+  const whereSql = where.join(' AND ');
+  const countValues = values.slice();
+  const countSql = `SELECT count(*)::int AS total FROM ${fromSql} WHERE ${whereSql}`;
+
+  const explicitSort = Array.isArray(opts.sort) && opts.sort.length;
+  const sort = explicitSort
+    ? opts.sort
+    : [{ key: opts.trashed ? 'deleted_at' : 'created_at', dir: 'DESC' }];
+
+  const order = sort.map(
+    (s) => `${sortExpression(s.key, fieldTypes, values)} ${s.dir === 'DESC' ? 'DESC' : 'ASC'} NULLS LAST`
+  );
+  // Best matches first when searching without an explicit sort
+  if (search?.rank && !explicitSort) order.unshift(`${search.rank} DESC`);
+  // Stable tie-breaker so offset paging never repeats or skips rows
+  order.push('id ASC');
+
+  const select = ['entries.*'];
+  if (search?.rank && opts.highlight) {
+    select.push(`${search.rank} AS search_rank`, `${search.snippet} AS search_snippet`);
+  }
+
+  let sql = `SELECT ${select.join(', ')} FROM ${fromSql} WHERE ${whereSql} ORDER BY ${order.join(', ')}`;
+
+  if (opts.limit != null) {
+    values.push(opts.limit);
+    sql += ` LIMIT $${values.length}`;
+    values.push(opts.offset || 0);
+    sql += ` OFFSET $${values.length}`;
+  }
+
+  return { sql, values, countSql, countValues };
+}
@@ -0,0 +1,191 @@
+// api/lib/entryRelations.js
+// entry_relations mirrors the values of `relation` / `relationship` fields so
+// backlinks ("every job whose customer is this entry") are an indexed lookup
+// instead of a scan over every entry's JSON.
+//
+// entries.data stays the source of truth: each save rewrites the entry's rows
+// from its data. A value may be an entry id, an { id } object, or an array of
+// either; anything that is not the id of an existing entry is skipped.
+
+import { isUuid } from './requestUtils.js';
+
+export const RELATION_FIELD_TYPES = ['relation', 'relationship'];
+
+function isRelationField(field) {
+  return RELATION_FIELD_TYPES.includes(String(field?.type || '').toLowerCase());
+}
+
+/** Entry ids referenced by one stored field value, in order, without duplicates. */
+export function relationIdsFromValue(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const ids = [];
+  for (const item of list) {
+    const id = item && typeof item === 'object' ? item.id : item;
+    const s = String(id ?? '').trim();
+    if (isUuid(s) && !ids.includes(s)) ids.push(s);
+  }
+  return ids;
+}
+
+/**
+ * Rewrite one entry's entry_relations rows from its data.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {{ id: string, data?: object }} entry
+ * @param {Array<{ id: string, key: string, type: string }>} fieldDefs  the type's content_fields
+ */
+export async function syncEntryRelations(db, entry, fieldDefs) {
+  const relationFields = (fieldDefs || []).filter((f) => f.id && isRelationField(f));
+  await db.query('DELETE FROM entry_relations WHERE from_id = $1', [entry.id]);
+  if (!relationFields.length) return;
+
+  const data = entry.data && typeof entry.data === 'object' ? entry.data : {};
+  for (const field of relationFields) {
+    const ids = relationIdsFromValue(data[field.key]);
+    if (!ids.length) continue;
+    await db.query(
+      `INSERT INTO entry_relations (field_id, from_id, to_id, position)
+       SELECT $1, $2, e.id, t.ord - 1
+         FROM unnest($3::uuid[]) WITH ORDINALITY AS t(id, ord)
+         JOIN entries e ON e.id = t.id
+       ON CONFLICT DO NOTHING`,
+      [field.id, entry.id, ids]
+    );
+  }
+}
+
+/**
+ * Give a newly copied entry the same relation rows as its source, except for
+ * fields in `skipFieldKeys` (left empty on the copy).
+ */
+export async function copyEntryRelations(db, fromEntryId, toEntryId, { skipFieldKeys = [] } = {}) {
+  await db.query(
+    `INSERT INTO entry_relations (field_id, from_id, to_id, position)
+     SELECT r.field_id, $2, r.to_id, r.position
+       FROM entry_relations r
+       JOIN content_fields f ON f.id = r.field_id
+      WHERE r.from_id = $1 AND NOT (f.field_key = ANY($3::text[]))
+     ON CONFLICT DO NOTHING`,
+    [fromEntryId, toEntryId, skipFieldKeys]
+  );
+}
+
+/**
+ * Rebuild the rows of every entry of a type, e.g. for data saved before
+ * relations were tracked. Returns the number of entries processed.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string} typeId
+ */
+export async function rebuildTypeRelations(db, typeId) {
+  const { rows: fieldDefs } = await db.query(
+    'SELECT id, field_key AS key, type FROM content_fields WHERE content_type_id = $1',
+    [typeId]
+  );
+  const { rows: entries } = await db.query(
+    'SELECT id, data FROM entries WHERE content_type_id = $1',
+    [typeId]
+  );
+  for (const entry of entries) await syncEntryRelations(db, entry, fieldDefs);
+  return entries.length;
+}
+
+/**
+ * Rewrite the rows of the given fields for every entry of their types in one
+ * statement, e.g. after a field became a relation field (its stored values
+ * start counting) or stopped being one (its rows go). Rows of other fields
+ * are left alone.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string[]} fieldIds  content_fields ids
+ */
+export async function rebuildFieldRelations(db, fieldIds) {
+  if (!fieldIds.length) return;
+  await db.query('DELETE FROM entry_relations WHERE field_id = ANY($1::uuid[])', [fieldIds]);
+  // Same value shapes as relationIdsFromValue: an id, an { id } object, or an array of either
+  await db.query(
+    `INSERT INTO entry_relations (field_id, from_id, to_id, position)
+     SELECT DISTINCT ON (v.field_id, v.from_id, t.id) v.field_id, v.from_id, t.id, v.ord - 1
+       FROM (
+         SELECT f.id AS field_id, e.id AS from_id, i.ord,
+                btrim(CASE WHEN jsonb_typeof(i.item) = 'object' THEN i.item ->> 'id'
+                           ELSE i.item #>> '{}' END) AS ref
+           FROM content_fields f
+           JOIN entries e ON e.content_type_id = f.content_type_id
+           CROSS JOIN LATERAL jsonb_array_elements(
+             CASE WHEN jsonb_typeof(e.data -> f.field_key) = 'array' THEN e.data -> f.field_key
+                  ELSE jsonb_build_array(e.data -> f.field_key) END
+           ) WITH ORDINALITY AS i(item, ord)
+          WHERE f.id = ANY($1::uuid[])
+            AND lower(f.type) = ANY($2::text[])
+            AND e.data ? f.field_key
+       ) v
+       JOIN entries t ON t.id::text = lower(v.ref)
+      ORDER BY v.field_id, v.from_id, t.id, v.ord
+     ON CONFLICT DO NOTHING`,
+    [fieldIds, RELATION_FIELD_TYPES]
+  );
+}
+
+/**
+ * Live entries whose relation fields point at `toId`, grouped by the type and
+ * field doing the pointing.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} toId
+ * @param {{ typeSlug?: string, fieldKey?: string, limit?: number }} [opts]
+ *   narrow to one referencing type (and one of its fields); `limit` caps the
+ *   entries returned per group
+ * @returns {Promise<Array<{ type: object, field: object, total: number, entries: object[] }>>}
+ */
+export async function listEntryReferences(db, toId, opts = {}) {
+  const values = [toId];
+  const where = ['r.to_id = $1', 'e.deleted_at IS NULL'];
+  if (opts.typeSlug) {
+    values.push(opts.typeSlug);
+    where.push(`ct.slug = $${values.length}`);
+  }
+  if (opts.fieldKey) {
+    values.push(opts.fieldKey);
+    where.push(`f.field_key = $${values.length}`);
+  }
+
+  const { rows } = await db.query(
+    `SELECT ct.id AS type_id, ct.slug AS type_slug, ct.name AS type_name,
+            f.id AS field_id, f.field_key, f.label AS field_label,
+            e.id, e.title, e.slug, e.status, e.updated_at
+       FROM entry_relations r
+       JOIN entries e ON e.id = r.from_id
+       JOIN content_fields f ON f.id = r.field_id
+       JOIN content_types ct ON ct.id = e.content_type_id
+      WHERE ${where.join(' AND ')}
+      ORDER BY ct.name, f.label, e.updated_at DESC`,
+    values
+  );
+
+  const limit = Number.isInteger(opts.limit) && opts.limit > 0 ? opts.limit : null;
+  const groups = new Map();
+  for (const row of rows) {
+    let group = groups.get(row.field_id);
+    if (!group) {
+      group = {
+        type: { id: row.type_id, slug: row.type_slug, name: row.type_name },
+        field: { id: row.field_id, key: row.field_key, label: row.field_label },
+        total: 0,
+        entries: [],
+      };
+      groups.set(row.field_id, group);
+    }
+    group.total += 1;
+    if (!limit || group.entries.length < limit) {
+      group.entries.push({
+        id: row.id,
+        title: row.title,
+        slug: row.slug,
+        status: row.status,
+        updated_at: row.updated_at,
+      });
+    }
+  }
+  return Array.from(groups.values());
+}
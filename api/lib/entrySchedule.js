@@ -0,0 +1,194 @@
+// api/lib/entrySchedule.js
+// Scheduled publish / unpublish for entries.
+//
+// entries.publish_at and entries.unpublish_at hold the next planned
+// transition. A scheduler in the API process checks every minute, flips the
+// status of anything that is due, clears the timestamp it acted on, and
+// records the change in entry_versions (action "publish" / "unpublish") so
+// every transition shows up in the entry's history. Publishing moves an entry
+// to the live state (LIVE_STATE); unpublishing moves a live entry to its
+// type's `unpublished` workflow state, and a due unpublish_at on an entry
+// that is not live is cleared.
+
+import { recordEntryVersion } from './entryVersions.js';
+import { LIVE_STATE, loadWorkflow, recordWorkflowTransition } from './entryWorkflow.js';
+import { badRequest } from './requestUtils.js';
+import { syncEntryMirrors } from './entryMirrors.js';
+
+export const SCHEDULE_FIELDS = ['publish_at', 'unpublish_at'];
+
+const SCHEDULE_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+
+/**
+ * Read publish_at / unpublish_at from a request body. Keys that are absent
+ * are left out of the result (callers keep the stored value); null or ''
+ * clears a schedule. Throws (statusCode 400) on unparseable times or an
+ * unpublish time that is not after the publish time.
+ *
+ * @returns {{ publish_at?: string|null, unpublish_at?: string|null }}
+ */
+export function parseScheduleFields(body) {
+  const out = {};
+  for (const key of SCHEDULE_FIELDS) {
+    if (!body || !(key in body)) continue;
+    const raw = body[key];
+    if (raw === null || raw === '') {
+      out[key] = null;
+      continue;
+    }
+    const d = new Date(raw);
+    if (typeof raw !== 'string' || Number.isNaN(d.getTime())) {
+      throw badRequest(`${key} must be an ISO 8601 date-time or null`);
+    }
+    out[key] = d.toISOString();
+  }
+
+  if (out.publish_at && out.unpublish_at && out.unpublish_at <= out.publish_at) {
+    throw badRequest('unpublish_at must be later than publish_at');
+  }
+  return out;
+}
+
+/**
+ * Check that the user may schedule what `schedule` sets, since the scheduler
+ * itself runs without a user: a new or changed publish_at needs a transition
+ * they may perform from `status` to the live state, and unpublish_at one
+ * from the live state to the type's unpublished state. Clearing a time is
+ * always allowed. Throws (statusCode 403).
+ *
+ * @param {object} guard  from loadWorkflowGuard
+ * @param {string} status  the entry's status once the save is applied
+ * @param {{ publish_at?: string|null, unpublish_at?: string|null }} schedule  from parseScheduleFields
+ * @param {{ publish_at?: Date|string|null, unpublish_at?: Date|string|null }} [stored]  the entry's current times
+ */
+export function checkSchedulePermission(guard, status, schedule, stored = {}) {
+  const changed = (key) =>
+    !!schedule[key] && (!stored[key] || new Date(stored[key]).toISOString() !== schedule[key]);
+  const checks = [
+    ['publish_at', status, LIVE_STATE],
+    ['unpublish_at', LIVE_STATE, guard.unpublished],
+  ];
+  for (const [key, from, to] of checks) {
+    if (!changed(key)) continue;
+    try {
+      guard.check(from, to);
+    } catch (e) {
+      const err = new Error(`${key}: ${e.message}`);
+      err.statusCode = 403;
+      throw err;
+    }
+  }
+}
+
+async function runTransition(client, kind) {
+  const column = kind === 'publish' ? 'publish_at' : 'unpublish_at';
+  const workflows = new Map();
+  async function unpublishedState(typeId) {
+    if (!workflows.has(typeId)) workflows.set(typeId, (await loadWorkflow(client, typeId)).workflow);
+    return workflows.get(typeId).unpublished;
+  }
+
+  const { rows: due } = await client.query(
+    `SELECT * FROM entries
+     WHERE ${column} <= now() AND deleted_at IS NULL
+     ORDER BY ${column} ASC
+     LIMIT ${BATCH_SIZE}
+     FOR UPDATE SKIP LOCKED`
+  );
+
+  const changed = [];
+  for (const entry of due) {
+    // Only a live entry can be unpublished. For one that left that state some
+    // other way (archived, sent back for review) the schedule is stale: drop it
+    if (kind === 'unpublish' && entry.status !== LIVE_STATE) {
+      const { rows } = await client.query(
+        `UPDATE entries
+         SET unpublish_at = NULL, version = version + 1, updated_at = now()
+         WHERE id = $1
+         RETURNING *`,
+        [entry.id]
+      );
+      await recordEntryVersion(client, rows[0], { actor: 'scheduler', action: 'unschedule' });
+      continue;
+    }
+
+    const status =
+      kind === 'publish' ? LIVE_STATE : await unpublishedState(entry.content_type_id);
+    const { rows } = await client.query(
+      `UPDATE entries
+       SET status = $1, data = $2, ${column} = NULL,
+           version = version + 1, updated_at = now()
+       WHERE id = $3
+       RETURNING *`,
+      [status, syncEntryMirrors(entry.data, { status }), entry.id]
+    );
+    await recordEntryVersion(client, rows[0], { actor: 'scheduler', action: kind });
+    if (entry.status !== status) {
+      await recordWorkflowTransition(client, {
+        entryId: entry.id,
+        from: entry.status,
+        to: status,
+        transition: 'scheduled',
+      });
+    }
+    changed.push({ id: entry.id, from: entry.status, to: status, scheduledFor: entry[column] });
+  }
+  return changed;
+}
+
+/**
+ * Apply every publish and unpublish that is due. Publishes run first so an
+ * entry whose whole window has already passed ends up unpublished.
+ *
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<Array<{ id: string, action: string, from: string, to: string }>>}
+ */
+export async function runScheduledTransitions(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const published = await runTransition(client, 'publish');
+    const unpublished = await runTransition(client, 'unpublish');
+    await client.query('COMMIT');
+    return [
+      ...published.map((t) => ({ ...t, action: 'publish' })),
+      ...unpublished.map((t) => ({ ...t, action: 'unpublish' })),
+    ];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Run runScheduledTransitions now and then every minute. The timer is
+ * unref'd so it never keeps the process alive on its own.
+ */
+export function startEntryScheduler(pool, intervalMs = SCHEDULE_INTERVAL_MS) {
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const changes = await runScheduledTransitions(pool);
+      for (const c of changes) {
+        console.log(
+          `[schedule] ${c.action} entry ${c.id} (${c.from} -> ${c.to}, due ${new Date(c.scheduledFor).toISOString()})`
+        );
+      }
+    } catch (err) {
+      console.error('[schedule] run failed', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
@@ -0,0 +1,136 @@
+// api/lib/entrySearch.js
+// Full-text search for ?q= on entry lists.
+//
+// entry_search_index holds one weighted tsvector per entry, kept current by a
+// trigger on entries (db/serviceup_schema.sql). The title weighs A; fields in
+// data count when their config has "searchable": true, or by default when
+// they are a text-like type, at config.search_weight (A-D, default C).
+// Because weights live on content_fields, a field save that changes which
+// fields are searchable (or their weights) has to re-index the type's
+// entries: see searchableFieldsKey and refreshTypeSearchIndex.
+
+// Field types that are searchable unless their config says otherwise
+// (kept in step with entry_searchable_fields() in the schema)
+export const DEFAULT_SEARCHABLE_TYPES = [
+  'text',
+  'textarea',
+  'rich_text',
+  'email',
+  'phone',
+  'url',
+  'name',
+  'address',
+  'tags',
+];
+
+// ts_headline options for snippets: matches wrapped in <mark>, a couple of
+// short fragments. Everything outside <mark> is plain text from the entry.
+const HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "';
+
+/**
+ * Turn free text into a prefix tsquery ("oak deck" → "oak:* & deck:*") so
+ * partial words match while typing. Returns '' when no words are left.
+ */
+export function toPrefixTsQuery(q) {
+  const words = String(q || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .slice(0, 16)
+    .map((w) => `${w.toLowerCase()}:*`)
+    .join(' & ');
+}
+
+/**
+ * SQL pieces for a search on `q`, pushing its bind parameters onto `values`.
+ * `where` matches the index or, for partial words inside a title or slug,
+ * a plain ILIKE; `rank` / `snippet` are select expressions. The caller joins
+ * `entry_search_index s ON s.entry_id = entries.id`.
+ *
+ * @returns {{ where: string, rank: string|null, snippet: string|null }}
+ */
+export function buildSearchSql(q, values) {
+  values.push(`%${q}%`);
+  const like = `$${values.length}`;
+  const ilike = `entries.title ILIKE ${like} OR entries.slug ILIKE ${like}`;
+
+  const tsText = toPrefixTsQuery(q);
+  if (!tsText) return { where: `(${ilike})`, rank: null, snippet: null };
+
+  values.push(tsText);
+  const tsq = `to_tsquery('english', $${values.length})`;
+  return {
+    where: `(s.search_vector @@ ${tsq} OR ${ilike})`,
+    rank: `COALESCE(ts_rank_cd(s.search_vector, ${tsq}), 0)`,
+    snippet:
+      `ts_headline('english', ` +
+      `entry_search_document(entries.content_type_id, entries.title, entries.data), ` +
+      `${tsq}, '${HEADLINE_OPTIONS}')`,
+  };
+}
+
+/**
+ * Move the search_rank / search_snippet columns of list rows into
+ * entry._search = { rank, snippet }. Mutates and returns `entries`.
+ */
+export function attachSearchResults(entries) {
+  for (const entry of entries || []) {
+    if (!('search_rank' in entry) && !('search_snippet' in entry)) continue;
+    entry._search = {
+      rank: entry.search_rank != null ? Number(entry.search_rank) : 0,
+      snippet: entry.search_snippet ?? null,
+    };
+    delete entry.search_rank;
+    delete entry.search_snippet;
+  }
+  return entries;
+}
+
+// Entries re-indexed per statement by refreshTypeSearchIndex
+const REFRESH_BATCH_SIZE = 500;
+
+/**
+ * The type's searchable fields and their weights, in document order, as one
+ * comparable string. Compare it before and after a field save: the index
+ * only needs a refresh when it changed.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} typeId
+ * @returns {Promise<string>}
+ */
+export async function searchableFieldsKey(db, typeId) {
+  const { rows } = await db.query(
+    'SELECT field_key, weight FROM entry_searchable_fields($1)',
+    [typeId]
+  );
+  return JSON.stringify(rows.map((r) => [r.field_key, r.weight]));
+}
+
+/**
+ * Re-index every entry of a type, after its fields (and so its weights)
+ * changed, a batch per statement. Given a pool, each batch commits on its
+ * own. Returns the number of entries indexed.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} typeId
+ */
+export async function refreshTypeSearchIndex(db, typeId) {
+  let indexed = 0;
+  let afterId = null;
+  for (;;) {
+    const { rows } = await db.query(
+      `INSERT INTO entry_search_index (entry_id, search_vector)
+       SELECT id, entry_search_vector(content_type_id, title, data)
+         FROM entries
+        WHERE content_type_id = $1 AND ($2::uuid IS NULL OR id > $2::uuid)
+        ORDER BY id
+        LIMIT ${REFRESH_BATCH_SIZE}
+       ON CONFLICT (entry_id) DO UPDATE SET search_vector = EXCLUDED.search_vector
+       RETURNING entry_id`,
+      [typeId, afterId]
+    );
+    indexed += rows.length;
+    if (rows.length < REFRESH_BATCH_SIZE) break;
+    afterId = rows.reduce((max, r) => (r.entry_id > max ? r.entry_id : max), rows[0].entry_id);
+  }
+  return indexed;
+}
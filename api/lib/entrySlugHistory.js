@@ -0,0 +1,49 @@
+// api/lib/entrySlugHistory.js
+// Old slugs of entries, so links to a renamed page keep working: the public
+// page routes look a missing slug up here and redirect to the entry's
+// current slug.
+
+/**
+ * Call after an update that may have changed the slug. Records `before`'s
+ * slug for the entry, and drops any history row for the slug it now uses
+ * (a live slug always wins over an old one).
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {{ id: string, content_type_id: string, slug: string|null }} before
+ * @param {{ slug: string|null }} after
+ */
+export async function recordSlugChange(db, before, after) {
+  if (!before?.slug || before.slug === after?.slug) return;
+
+  if (after?.slug) {
+    await db.query(
+      'DELETE FROM entry_slug_history WHERE content_type_id = $1 AND slug = $2',
+      [before.content_type_id, after.slug]
+    );
+  }
+  await db.query(
+    `INSERT INTO entry_slug_history (content_type_id, entry_id, slug)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (content_type_id, slug)
+     DO UPDATE SET entry_id = EXCLUDED.entry_id, created_at = now()`,
+    [before.content_type_id, before.id, before.slug]
+  );
+}
+
+/**
+ * The live entry that used to have `slug` in the type, or null.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function findEntryByOldSlug(db, typeId, slug) {
+  const { rows } = await db.query(
+    `SELECT e.*
+       FROM entry_slug_history h
+       JOIN entries e ON e.id = h.entry_id
+      WHERE h.content_type_id = $1 AND h.slug = $2
+        AND e.deleted_at IS NULL AND e.slug IS NOT NULL
+      LIMIT 1`,
+    [typeId, slug]
+  );
+  return rows[0] || null;
+}
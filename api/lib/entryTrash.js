@@ -0,0 +1,173 @@
+// api/lib/entryTrash.js
+// Soft delete for entries: move to trash, restore, and purge.
+//
+// A trashed entry keeps its row (and history) with deleted_at/deleted_by set.
+// It is removed for good only by an explicit purge or once it has sat in the
+// trash longer than the retention period. Only live entries hold their slug
+// (the unique index skips trashed rows), so a new entry may take the slug of
+// one in the trash; restoring that one then gives it a free "<slug>-2".
+
+import { recordEntryVersion } from './entryVersions.js';
+import { syncEntryMirrors } from './entryMirrors.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How often the API sweeps expired trash (hourly)
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Retention in days: app_settings "global".trashRetentionDays, then the
+ * TRASH_RETENTION_DAYS env var, then the default. 0 keeps trash forever.
+ */
+export async function getTrashRetentionDays(db) {
+  try {
+    const { rows } = await db.query(
+      'SELECT value FROM app_settings WHERE key = $1 LIMIT 1',
+      ['global']
+    );
+    const raw = rows[0]?.value?.trashRetentionDays;
+    if (raw !== undefined && raw !== null && raw !== '' && Number.isFinite(Number(raw))) {
+      return Math.max(0, Math.floor(Number(raw)));
+    }
+  } catch (err) {
+    console.warn('[trash] could not read retention from settings:', err.message);
+  }
+
+  const fromEnv = Number(process.env.TRASH_RETENTION_DAYS);
+  if (process.env.TRASH_RETENTION_DAYS && Number.isFinite(fromEnv)) {
+    return Math.max(0, Math.floor(fromEnv));
+  }
+  return DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Move one live entry to the trash. Returns the updated row, or null when
+ * there is no live entry with that id.
+ */
+export async function trashEntry(db, entryId, { userId = null, contentTypeId = null } = {}) {
+  const params = [entryId, userId || null];
+  let typeClause = '';
+  if (contentTypeId) {
+    params.push(contentTypeId);
+    typeClause = ` AND content_type_id = $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `UPDATE entries
+        SET deleted_at = now(), deleted_by = $2,
+            version = version + 1, updated_at = now()
+      WHERE id = $1 AND deleted_at IS NULL${typeClause}
+      RETURNING *`,
+    params
+  );
+  if (!rows.length) return null;
+
+  await recordEntryVersion(db, rows[0], { userId, action: 'trash' });
+  return rows[0];
+}
+
+// `entry.slug`, or the first "<slug>-2", "<slug>-3", … no live entry of the
+// type uses
+async function freeSlugForRestore(db, entry) {
+  if (!entry.slug) return entry.slug;
+  const { rows } = await db.query(
+    `SELECT slug FROM entries
+      WHERE content_type_id = $1 AND id <> $2 AND deleted_at IS NULL
+        AND (slug = $3 OR slug LIKE $3 || '-%')`,
+    [entry.content_type_id, entry.id, entry.slug]
+  );
+  const taken = new Set(rows.map((r) => r.slug));
+  if (!taken.has(entry.slug)) return entry.slug;
+  let n = 2;
+  while (taken.has(`${entry.slug}-${n}`)) n += 1;
+  return `${entry.slug}-${n}`;
+}
+
+/**
+ * Bring a trashed entry back. Returns the updated row, or null when the
+ * entry is not in the trash. When a live entry took its slug meanwhile it
+ * comes back under a free "<slug>-N".
+ */
+export async function restoreEntry(db, entryId, { userId = null } = {}) {
+  const { rows: trashed } = await db.query(
+    'SELECT * FROM entries WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE',
+    [entryId]
+  );
+  if (!trashed.length) return null;
+  const entry = trashed[0];
+
+  const slug = await freeSlugForRestore(db, entry);
+  const data = slug !== entry.slug ? syncEntryMirrors(entry.data, { slug }) : entry.data;
+
+  const { rows } = await db.query(
+    `UPDATE entries
+        SET deleted_at = NULL, deleted_by = NULL, slug = $2, data = $3,
+            version = version + 1, updated_at = now()
+      WHERE id = $1
+      RETURNING *`,
+    [entryId, slug, data]
+  );
+
+  await recordEntryVersion(db, rows[0], { userId, action: 'untrash' });
+  return rows[0];
+}
+
+/**
+ * Permanently delete trashed entries (and their history).
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ ids?: string[], contentTypeId?: string, olderThanDays?: number }} [opts]
+ * @returns {Promise<string[]>} ids that were purged
+ */
+export async function purgeTrashedEntries(db, opts = {}) {
+  const params = [];
+  const where = ['deleted_at IS NOT NULL'];
+
+  if (Array.isArray(opts.ids)) {
+    params.push(opts.ids);
+    where.push(`id = ANY($${params.length}::uuid[])`);
+  }
+  if (opts.contentTypeId) {
+    params.push(opts.contentTypeId);
+    where.push(`content_type_id = $${params.length}`);
+  }
+  if (opts.olderThanDays != null) {
+    params.push(opts.olderThanDays);
+    where.push(`deleted_at < now() - make_interval(days => $${params.length}::int)`);
+  }
+
+  const { rows } = await db.query(
+    `WITH doomed AS (SELECT id FROM entries WHERE ${where.join(' AND ')}),
+          versions AS (DELETE FROM entry_versions WHERE entry_id IN (SELECT id FROM doomed))
+     DELETE FROM entries WHERE id IN (SELECT id FROM doomed) RETURNING id`,
+    params
+  );
+  return rows.map((r) => r.id);
+}
+
+/** Purge everything that has outlived the retention period. */
+export async function purgeExpiredTrash(db) {
+  const days = await getTrashRetentionDays(db);
+  if (!days) return [];
+  return purgeTrashedEntries(db, { olderThanDays: days });
+}
+
+/**
+ * Run purgeExpiredTrash now and then hourly. The timer is unref'd so it
+ * never keeps the process alive on its own.
+ */
+export function startTrashPurgeSchedule(db, intervalMs = PURGE_INTERVAL_MS) {
+  async function sweep() {
+    try {
+      const purged = await purgeExpiredTrash(db);
+      if (purged.length) console.log(`[trash] purged ${purged.length} expired entr${purged.length === 1 ? 'y' : 'ies'}`);
+    } catch (err) {
+      console.error('[trash] purge failed', err);
+    }
+  }
+
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
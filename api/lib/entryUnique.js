@@ -0,0 +1,123 @@
+// api/lib/entryUnique.js
+// Per-field uniqueness within a content type. A field opts in through its
+// config:
+//
+//   { "unique": true }                               "INV-1" and "inv-1" differ
+//   { "unique": true, "unique_ignore_case": true }   they collide
+//
+// Values are compared trimmed, against the live (not trashed) entries of the
+// same type; empty values are never checked (use `required` for that). Only
+// text-like and number values take part: object values (names, addresses)
+// are skipped. Existing duplicates are not rejected retroactively; an entry
+// only fails when a unique value it sets is already used elsewhere.
+
+function fieldConfig(field) {
+  return field?.config && typeof field.config === 'object' ? field.config : {};
+}
+
+function fieldKeyOf(field) {
+  return String(field?.key || field?.field_key || '').trim();
+}
+
+/** The type's unique fields → [{ key, label, ignoreCase }]. */
+export function uniqueFields(fieldDefs) {
+  const out = [];
+  for (const f of fieldDefs || []) {
+    const cfg = fieldConfig(f);
+    const key = fieldKeyOf(f);
+    if (!key || cfg.unique !== true) continue;
+    out.push({ key, label: f.label || key, ignoreCase: cfg.unique_ignore_case === true });
+  }
+  return out;
+}
+
+// Comparable text for a value, or null when it is empty / not comparable
+function uniqueText(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : null;
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+  return s || null;
+}
+
+/**
+ * Unique values in `data` already used by another entry of the type.
+ * Run inside the transaction that writes the entry: it takes a per-type
+ * advisory lock so two saves of the same value cannot both pass.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string} typeId
+ * @param {Array<{key: string, label?: string, config?: object}>} fieldDefs
+ * @param {object} data  normalized entry data about to be written
+ * @param {{ excludeId?: string|null, previous?: object|null }} [opts]
+ *   `excludeId` is the entry being saved; fields whose value is unchanged
+ *   from `previous` (its stored data) are not checked again
+ * @returns {Promise<Array<{ field: string, label: string, value: string, entry: { id: string, title: string, slug: string } }>>}
+ */
+export async function findUniqueConflicts(db, typeId, fieldDefs, data, { excludeId = null, previous = null } = {}) {
+  const checks = [];
+  for (const f of uniqueFields(fieldDefs)) {
+    const value = uniqueText(data?.[f.key]);
+    if (value == null) continue;
+    if (previous) {
+      const before = uniqueText(previous[f.key]);
+      const same = f.ignoreCase
+        ? before?.toLowerCase() === value.toLowerCase()
+        : before === value;
+      if (same) continue;
+    }
+    checks.push({ ...f, value });
+  }
+  if (!checks.length) return [];
+
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`entry_unique:${typeId}`]);
+
+  const conflicts = [];
+  for (const c of checks) {
+    const column = c.ignoreCase ? 'lower(btrim(data ->> $2))' : 'btrim(data ->> $2)';
+    const { rows } = await db.query(
+      `SELECT id, title, slug FROM entries
+        WHERE content_type_id = $1 AND deleted_at IS NULL
+          AND ${column} = $3
+          AND ($4::uuid IS NULL OR id <> $4::uuid)
+        ORDER BY created_at ASC
+        LIMIT 1`,
+      [typeId, c.key, c.ignoreCase ? c.value.toLowerCase() : c.value, excludeId]
+    );
+    if (rows.length) {
+      conflicts.push({ field: c.key, label: c.label, value: c.value, entry: rows[0] });
+    }
+  }
+  return conflicts;
+}
+
+/** "Email "a@b.co" is already used by "Acme Ltd"" */
+export function uniqueConflictMessage(conflict) {
+  const name = conflict.entry.title || conflict.entry.slug || conflict.entry.id;
+  return `${conflict.label} "${conflict.value}" is already used by "${name}"`;
+}
+
+/** The 409 handlers send back; thrown by assertUnique. */
+export function uniqueConflictError(conflicts) {
+  const err = new Error(uniqueConflictMessage(conflicts[0]));
+  err.statusCode = 409;
+  err.code = 'UNIQUE_CONFLICT';
+  err.conflicts = conflicts;
+  return err;
+}
+
+export function uniqueConflictBody(conflicts) {
+  const fieldErrors = {};
+  for (const c of conflicts) fieldErrors[c.field] = uniqueConflictMessage(c);
+  return {
+    error: uniqueConflictMessage(conflicts[0]),
+    code: 'UNIQUE_CONFLICT',
+    conflicts: conflicts.map(({ field, value, entry }) => ({ field, value, entry })),
+    fieldErrors,
+  };
+}
+
+/** findUniqueConflicts, throwing uniqueConflictError when there are any. */
+export async function assertUnique(db, typeId, fieldDefs, data, opts) {
+  const conflicts = await findUniqueConflicts(db, typeId, fieldDefs, data, opts);
+  if (conflicts.length) throw uniqueConflictError(conflicts);
+}
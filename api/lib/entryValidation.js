@@ -0,0 +1,309 @@
+// api/lib/entryValidation.js
+// Checks entry data against its content_fields definitions before it is
+// written: required, per-type shape, inline choices, and the min / max /
+// minLength / maxLength / pattern constraints from field config. Repeater
+// rows are checked against their subfields (respecting the same show/hide
+// rules the editor applies).
+//
+// Runs on the incoming data once its keys are mapped to the field keys, but
+// before normalizeEntryData, so an invalid email or URL is reported instead
+// of being silently blanked.
+
+import validator from 'validator';
+import { normalizeUrl } from './fieldUtils.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const CHOICE_TYPES = new Set(['dropdown', 'select', 'radio']);
+const MULTI_CHOICE_TYPES = new Set(['multiselect', 'checkbox']);
+// Object values made of subfields: blank when every subfield is
+const COMPOSITE_TYPES = new Set(['name', 'address']);
+
+function fieldConfig(field) {
+  return field?.config && typeof field.config === 'object' ? field.config : {};
+}
+
+function fieldKeyOf(field) {
+  return String(field?.key || field?.field_key || '').trim();
+}
+
+export function isEmptyValue(v) {
+  if (v == null) return true;
+  if (typeof v === 'string') return v.trim() === '';
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+function isBlankComposite(v) {
+  if (isEmptyValue(v)) return true;
+  if (typeof v !== 'object' || Array.isArray(v)) return false;
+  return Object.values(v).every(isBlankComposite);
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'string' && v.trim() !== '') {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+function isValidDateString(s) {
+  if (typeof s !== 'string' || !DATE_RE.test(s)) return false;
+  const [y, m, d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// Inline choices only: taxonomy- or relation-backed options are resolved elsewhere
+function inlineChoiceValues(field) {
+  const cfg = fieldConfig(field);
+  if (cfg.optionsSource && cfg.optionsSource !== 'inline') return null;
+  const list = cfg.choices ?? cfg.options ?? field?.choices ?? field?.options;
+  if (!Array.isArray(list) || !list.length) return null;
+
+  const values = new Set();
+  for (const it of list) {
+    if (it == null) continue;
+    if (typeof it !== 'object') values.add(String(it));
+    else {
+      const v = it.value ?? it.slug ?? it.id ?? it.key ?? it.code ?? it.name ?? it.title ?? it.label;
+      if (v != null) values.add(String(v));
+    }
+  }
+  return values.size ? values : null;
+}
+
+// Same rule evaluation as the repeater editor (FieldInput.jsx evalRule)
+function ruleMatches(row, rule) {
+  const ifKey = String(rule?.ifKey || '').trim();
+  const op = String(rule?.op || 'equals').trim();
+  const actual = ifKey ? row?.[ifKey] : undefined;
+
+  if (op === 'truthy') return !isEmptyValue(actual);
+  if (op === 'falsy') return isEmptyValue(actual);
+
+  const sa = actual == null ? '' : String(actual);
+  const sb = rule?.value == null ? '' : String(rule.value);
+  const na = Number(actual);
+  const nb = Number(rule?.value);
+  const bothNum = !Number.isNaN(na) && !Number.isNaN(nb);
+
+  switch (op) {
+    case 'not_equals':
+      return sa !== sb;
+    case 'contains':
+      return sa.toLowerCase().includes(sb.toLowerCase());
+    case 'not_contains':
+      return !sa.toLowerCase().includes(sb.toLowerCase());
+    case 'gt':
+      return bothNum ? na > nb : sa > sb;
+    case 'gte':
+      return bothNum ? na >= nb : sa >= sb;
+    case 'lt':
+      return bothNum ? na < nb : sa < sb;
+    case 'lte':
+      return bothNum ? na <= nb : sa <= sb;
+    default:
+      return sa === sb;
+  }
+}
+
+function hiddenSubfields(row, rules) {
+  const hidden = new Set();
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    if (!ruleMatches(row, rule)) continue;
+    for (const t of Array.isArray(rule?.targets) ? rule.targets : []) {
+      const k = String(t || '').trim();
+      if (!k) continue;
+      if (String(rule?.action || 'show') === 'hide') hidden.add(k);
+      else hidden.delete(k);
+    }
+  }
+  return hidden;
+}
+
+function checkRange(value, cfg, push, { unit = '', format = String } = {}) {
+  const min = cfg.min;
+  const max = cfg.max;
+  if (min != null && min !== '' && value < min) push('min', `must be at least ${format(min)}${unit}`);
+  if (max != null && max !== '' && value > max) push('max', `must be at most ${format(max)}${unit}`);
+}
+
+function checkText(value, cfg, push) {
+  if (typeof value !== 'string') return;
+  const minLength = toNumber(cfg.minLength);
+  const maxLength = toNumber(cfg.maxLength);
+  if (minLength != null && value.length < minLength) {
+    push('minLength', `must be at least ${minLength} characters`);
+  }
+  if (maxLength != null && value.length > maxLength) {
+    push('maxLength', `must be at most ${maxLength} characters`);
+  }
+  if (cfg.pattern) {
+    let re = null;
+    try {
+      re = new RegExp(cfg.pattern);
+    } catch {
+      re = null; // a broken pattern in config should not block saves
+    }
+    if (re && !re.test(value)) push('pattern', cfg.patternMessage || 'is not in the expected format');
+  }
+}
+
+/**
+ * Validate one value. `push(code, message)` records an error for it.
+ * Empty values only fail `required`; every other rule skips them.
+ */
+function validateValue(field, value, push, path, errors, depth) {
+  const type = String(field?.type || 'text').toLowerCase();
+  const cfg = fieldConfig(field);
+
+  if (isEmptyValue(value) || (COMPOSITE_TYPES.has(type) && isBlankComposite(value))) {
+    if (field?.required) push('required', 'is required');
+    return;
+  }
+
+  switch (type) {
+    case 'number': {
+      const n = toNumber(value);
+      if (n == null) return push('type', 'must be a number');
+      checkRange(n, { min: toNumber(cfg.min), max: toNumber(cfg.max) }, push);
+      return;
+    }
+    case 'price': {
+      const amount = typeof value === 'object' && !Array.isArray(value) ? value.amount : value;
+      const n = toNumber(amount);
+      if (n == null) return push('type', 'must be a price');
+      checkRange(n, { min: toNumber(cfg.min), max: toNumber(cfg.max) }, push);
+      return;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') push('type', 'must be true or false');
+      return;
+    case 'date':
+      if (!isValidDateString(value)) return push('type', 'must be a date (YYYY-MM-DD)');
+      checkRange(value, {
+        min: isValidDateString(cfg.min) ? cfg.min : null,
+        max: isValidDateString(cfg.max) ? cfg.max : null,
+      }, push);
+      return;
+    case 'datetime': {
+      const utc = typeof value === 'object' && !Array.isArray(value) ? value.utc : value;
+      if (typeof utc !== 'string' || Number.isNaN(new Date(utc).getTime())) {
+        push('type', 'must be a date and time');
+      }
+      return;
+    }
+    case 'email':
+      if (typeof value !== 'string' || !validator.isEmail(value.trim())) {
+        return push('type', 'must be a valid email address');
+      }
+      checkText(value, cfg, push);
+      return;
+    case 'url':
+      if (typeof value !== 'string' || !normalizeUrl(value)) return push('type', 'must be a valid URL');
+      checkText(value, cfg, push);
+      return;
+    case 'color': {
+      const hex = typeof value === 'object' && !Array.isArray(value) ? value.hex : value;
+      if (typeof hex !== 'string' || !HEX_RE.test(hex.trim())) push('type', 'must be a hex colour');
+      return;
+    }
+    case 'repeater':
+      validateRepeater(field, value, path, errors, depth, push);
+      return;
+    default:
+      break;
+  }
+
+  if (CHOICE_TYPES.has(type)) {
+    const allowed = inlineChoiceValues(field);
+    if (allowed && !allowed.has(String(value))) push('choice', 'is not one of the allowed choices');
+    return;
+  }
+
+  if (MULTI_CHOICE_TYPES.has(type)) {
+    const list = Array.isArray(value) ? value : [value];
+    const allowed = inlineChoiceValues(field);
+    const bad = allowed ? list.filter((v) => !allowed.has(String(v))) : [];
+    if (bad.length) push('choice', `has values that are not allowed: ${bad.join(', ')}`);
+    return;
+  }
+
+  checkText(value, cfg, push);
+}
+
+function validateRepeater(field, value, path, errors, depth, push) {
+  if (!Array.isArray(value)) return push('type', 'must be a list of rows');
+
+  const cfg = fieldConfig(field);
+  const minRows = toNumber(cfg.minRows);
+  const maxRows = toNumber(cfg.maxRows);
+  if (minRows != null && value.length < minRows) push('minRows', `needs at least ${minRows} rows`);
+  if (maxRows != null && value.length > maxRows) push('maxRows', `allows at most ${maxRows} rows`);
+
+  const subfields = Array.isArray(cfg.subfields) ? cfg.subfields : [];
+  if (!subfields.length || depth > 5) return;
+
+  value.forEach((row, i) => {
+    const r = row && typeof row === 'object' && !Array.isArray(row) ? row : {};
+    const hidden = hiddenSubfields(r, cfg.rules);
+    for (const sf of subfields) {
+      const k = fieldKeyOf(sf);
+      if (!k || hidden.has(k)) continue;
+      validateField(sf, r[k], `${path}[${i}].${k}`, errors, depth + 1);
+    }
+  });
+}
+
+function validateField(field, value, path, errors, depth) {
+  const label = field?.label || fieldKeyOf(field);
+  const rootKey = path.split(/[.[]/)[0];
+  const push = (code, message) => {
+    errors.push({ field: rootKey, path, code, message: `${label} ${message}` });
+  };
+  validateValue(field, value, push, path, errors, depth);
+}
+
+/**
+ * Validate `data` against the type's field definitions.
+ *
+ * @param {Array<{key: string, label?: string, type: string, required?: boolean, config?: object}>} fieldDefs
+ * @param {object} data
+ * @returns {Array<{ field: string, path: string, code: string, message: string }>}
+ */
+export function validateEntryData(fieldDefs, data) {
+  const errors = [];
+  const d = data && typeof data === 'object' ? data : {};
+  for (const f of fieldDefs || []) {
+    const key = fieldKeyOf(f);
+    if (!key) continue;
+    // Computed on save (entryFormulas.js); whatever was sent is replaced
+    if (String(f.type || '').toLowerCase() === 'formula') continue;
+    validateField(f, d[key], key, errors, 1);
+  }
+  return errors;
+}
+
+/**
+ * The 422 error handlers send back. `fieldErrors` keeps the first message
+ * per path for inline display next to each input.
+ */
+export function entryValidationError(errors) {
+  const err = new Error('Validation failed');
+  err.statusCode = 422;
+  err.code = 'VALIDATION_FAILED';
+  err.errors = errors;
+  return err;
+}
+
+export function validationErrorBody(errors) {
+  const fieldErrors = {};
+  for (const e of errors) {
+    if (!(e.path in fieldErrors)) fieldErrors[e.path] = e.message;
+  }
+  return { error: 'Validation failed', code: 'VALIDATION_FAILED', errors, fieldErrors };
+}
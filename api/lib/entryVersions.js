@@ -0,0 +1,136 @@
+// api/lib/entryVersions.js
+// Entry version snapshots (entry_versions), field-by-field diffs and the
+// ETag helpers built on the same version counter.
+//
+// Every write to `entries` bumps entries.version; the snapshot stored here
+// carries the same number so history lines up with what clients saw.
+
+import { queueEntryWebhook } from './webhooks.js';
+import { ENTRY_MIRROR_KEYS } from './entryMirrors.js';
+
+// Mirrored keys in `data` are diffed once, as the top-level columns
+const MIRRORED_DATA_KEYS = new Set(ENTRY_MIRROR_KEYS);
+
+const TOP_LEVEL_KEYS = ['title', 'slug', 'status'];
+
+/**
+ * Insert a snapshot of `entry` (a row from `entries`, after the write), and
+ * queue the matching webhook event (lib/webhooks.js) in the same transaction.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} entry
+ * @param {{ userId?: string|null, actor?: string|null, action?: string, restoredFrom?: string|null }} [opts]
+ *   actor names whatever made a change without a user, e.g. 'scheduler'
+ */
+export async function recordEntryVersion(db, entry, opts = {}) {
+  const { userId = null, actor = null, action = 'update', restoredFrom = null } = opts;
+
+  const { rows } = await db.query(
+    `INSERT INTO entry_versions
+       (entry_id, version_number, title, slug, status, data, action, restored_from, created_by, actor)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      entry.id,
+      entry.version ?? null,
+      entry.title ?? null,
+      entry.slug ?? null,
+      entry.status ?? null,
+      entry.data || {},
+      action,
+      restoredFrom,
+      userId || null,
+      actor,
+    ]
+  );
+  await queueEntryWebhook(db, entry, action);
+  return rows[0];
+}
+
+// Stable stringify so key order never shows up as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+/**
+ * Compare two snapshots ({ title, slug, status, data }) field by field.
+ * Returns only the fields that differ, in content_fields order first.
+ *
+ * @param {object} before
+ * @param {object} after
+ * @param {Array<{key: string, label?: string}>} [fieldDefs]
+ * @returns {Array<{ field: string, label: string, change: 'added'|'removed'|'changed', before: any, after: any }>}
+ */
+export function diffSnapshots(before, after, fieldDefs = []) {
+  const labels = { title: 'Title', slug: 'Slug', status: 'Status' };
+  for (const f of fieldDefs || []) {
+    if (f?.key) labels[f.key] = f.label || f.key;
+  }
+
+  const changes = [];
+
+  function compare(field, a, b) {
+    if (canonical(a) === canonical(b)) return;
+    const change = isBlank(a) ? 'added' : isBlank(b) ? 'removed' : 'changed';
+    changes.push({
+      field,
+      label: labels[field] || field,
+      change,
+      before: a ?? null,
+      after: b ?? null,
+    });
+  }
+
+  for (const k of TOP_LEVEL_KEYS) compare(k, before?.[k], after?.[k]);
+
+  const dataA = before?.data && typeof before.data === 'object' ? before.data : {};
+  const dataB = after?.data && typeof after.data === 'object' ? after.data : {};
+
+  const ordered = (fieldDefs || []).map((f) => f?.key).filter(Boolean);
+  const keys = new Set([...ordered, ...Object.keys(dataA), ...Object.keys(dataB)]);
+
+  for (const k of keys) {
+    if (MIRRORED_DATA_KEYS.has(k)) continue;
+    compare(k, dataA[k], dataB[k]);
+  }
+
+  return changes;
+}
+
+// ---------------------------------------------------------------------------
+// Optimistic concurrency (ETag / If-Match)
+// ---------------------------------------------------------------------------
+
+/** Strong ETag for an entry row: its version counter, quoted. */
+export function entryEtag(entry) {
+  return entry?.version != null ? `"${entry.version}"` : null;
+}
+
+/**
+ * Parse an If-Match header. Returns null when absent, { any: true } for "*",
+ * otherwise { versions: number[] } (weak W/ prefixes are tolerated).
+ */
+export function parseIfMatch(header) {
+  const raw = String(header || '').trim();
+  if (!raw) return null;
+  if (raw === '*') return { any: true };
+
+  const versions = raw
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//i, '').replace(/^"|"$/g, ''))
+    .filter((tag) => /^\d+$/.test(tag))
+    .map(Number);
+
+  return { versions };
+}
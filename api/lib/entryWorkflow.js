@@ -0,0 +1,228 @@
+// api/lib/entryWorkflow.js
+// Editorial workflow per content type: the states an entry's status may take,
+// the transitions between them, and who may perform each transition.
+//
+// content_types.workflow holds the definition (NULL = DEFAULT_WORKFLOW):
+//
+//   {
+//     initial: 'draft',
+//     unpublished: 'draft',
+//     states: [{ key: 'draft', label: 'Draft' }, { key: 'in_review', label: 'In review' }, ...],
+//     transitions: [
+//       { key: 'submit', label: 'Submit for review', from: ['draft'], to: 'in_review', roles: ['EDITOR'] },
+//       ...
+//     ]
+//   }
+//
+// `from` may be '*' (any state). A transition with no `roles` is open to every
+// signed-in user. ADMIN may always perform every transition, and a role is
+// also allowed when role_permissions grants it `workflow.<type slug>.<key>`
+// (those permissions are created when the workflow is saved).
+//
+// The public site serves entries whose status is `published` and scheduled
+// publishing moves entries there, so every workflow must have that state.
+// `unpublished` is the state a scheduled unpublish moves a published entry
+// back to (default: the initial state).
+
+import { queueStatusChangeWebhook } from './webhooks.js';
+import { httpError } from './requestUtils.js';
+
+// Status of entries that are live on the site
+export const LIVE_STATE = 'published';
+
+export const DEFAULT_WORKFLOW = {
+  initial: 'draft',
+  unpublished: 'draft',
+  states: [
+    { key: 'draft', label: 'Draft' },
+    { key: 'published', label: 'Published' },
+    { key: 'archived', label: 'Archived' },
+  ],
+  transitions: [
+    { key: 'publish', label: 'Publish', from: ['draft', 'archived'], to: 'published', roles: [] },
+    { key: 'unpublish', label: 'Unpublish', from: ['published'], to: 'draft', roles: [] },
+    { key: 'archive', label: 'Archive', from: ['draft', 'published'], to: 'archived', roles: [] },
+    { key: 'unarchive', label: 'Restore to draft', from: ['archived'], to: 'draft', roles: [] },
+  ],
+};
+
+const KEY_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+function labelFromKey(key) {
+  return key.replace(/[_-]+/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+}
+
+export function transitionPermission(typeSlug, transitionKey) {
+  return `workflow.${typeSlug}.${transitionKey}`;
+}
+
+/**
+ * Validate and tidy a workflow definition. Throws (statusCode 400) naming the
+ * first problem found.
+ */
+export function normalizeWorkflow(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw httpError('workflow must be an object', 400);
+  }
+
+  const states = [];
+  const stateKeys = new Set();
+  for (const s of Array.isArray(raw.states) ? raw.states : []) {
+    const key = String((typeof s === 'string' ? s : s?.key) || '').trim();
+    if (!KEY_RE.test(key)) throw httpError(`Invalid state key "${key}"`, 400);
+    if (stateKeys.has(key)) throw httpError(`Duplicate state "${key}"`, 400);
+    stateKeys.add(key);
+    const label = typeof s === 'object' && s?.label ? String(s.label).trim() : '';
+    states.push({ key, label: label || labelFromKey(key) });
+  }
+  if (!states.length) throw httpError('workflow needs at least one state', 400);
+
+  const initial = String(raw.initial || states[0].key).trim();
+  if (!stateKeys.has(initial)) throw httpError(`Initial state "${initial}" is not a state`, 400);
+
+  if (!stateKeys.has(LIVE_STATE)) {
+    throw httpError(`workflow needs a "${LIVE_STATE}" state for entries that are live`, 400);
+  }
+  const defaultUnpublished =
+    initial !== LIVE_STATE ? initial : states.find((s) => s.key !== LIVE_STATE)?.key;
+  const unpublished = String(raw.unpublished || defaultUnpublished || '').trim();
+  if (!unpublished) {
+    throw httpError(`workflow needs a state besides "${LIVE_STATE}" for unpublished entries`, 400);
+  }
+  if (!stateKeys.has(unpublished) || unpublished === LIVE_STATE) {
+    throw httpError(
+      `Unpublished state "${unpublished}" must be a state other than "${LIVE_STATE}"`,
+      400
+    );
+  }
+
+  const transitions = [];
+  const transitionKeys = new Set();
+  for (const t of Array.isArray(raw.transitions) ? raw.transitions : []) {
+    const to = String(t?.to || '').trim();
+    const key = String(t?.key || to).trim();
+    if (!KEY_RE.test(key)) throw httpError(`Invalid transition key "${key}"`, 400);
+    if (transitionKeys.has(key)) throw httpError(`Duplicate transition "${key}"`, 400);
+    if (!stateKeys.has(to)) throw httpError(`Transition "${key}" goes to unknown state "${to}"`, 400);
+
+    let from;
+    if (t.from === '*' || (Array.isArray(t.from) && t.from.includes('*'))) from = '*';
+    else {
+      from = (Array.isArray(t.from) ? t.from : [t.from]).map((f) => String(f || '').trim()).filter(Boolean);
+      for (const f of from) {
+        if (!stateKeys.has(f)) throw httpError(`Transition "${key}" starts from unknown state "${f}"`, 400);
+      }
+      if (!from.length) throw httpError(`Transition "${key}" needs at least one "from" state`, 400);
+    }
+
+    const roles = Array.from(
+      new Set((Array.isArray(t.roles) ? t.roles : []).map((r) => String(r || '').trim().toUpperCase()).filter(Boolean))
+    );
+
+    transitionKeys.add(key);
+    transitions.push({ key, label: String(t.label || '').trim() || labelFromKey(key), from, to, roles });
+  }
+
+  return { initial, unpublished, states, transitions };
+}
+
+/**
+ * A type's workflow definition (DEFAULT_WORKFLOW when it has none).
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ */
+export async function loadWorkflow(db, typeId) {
+  const { rows } = await db.query('SELECT slug, workflow FROM content_types WHERE id = $1', [typeId]);
+  const custom = rows[0]?.workflow;
+  return {
+    typeSlug: rows[0]?.slug || '',
+    custom: !!custom,
+    workflow: custom ? normalizeWorkflow(custom) : DEFAULT_WORKFLOW,
+  };
+}
+
+/**
+ * Load a type's workflow plus the caller's transition grants, and return the
+ * checks the entry routes need.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} typeId
+ * @param {string} role  the user's role (any case)
+ */
+export async function loadWorkflowGuard(db, typeId, role) {
+  const { typeSlug, custom, workflow } = await loadWorkflow(db, typeId);
+  const roleUpper = String(role || '').toUpperCase();
+
+  const granted = new Set();
+  if (roleUpper && roleUpper !== 'ADMIN') {
+    const { rows: grants } = await db.query(
+      `SELECT permission_slug FROM role_permissions
+       WHERE upper(role_slug) = $1 AND allowed = true AND permission_slug LIKE $2`,
+      [roleUpper, `workflow.${typeSlug}.%`]
+    );
+    for (const g of grants) granted.add(g.permission_slug);
+  }
+
+  const stateKeys = new Set(workflow.states.map((s) => s.key));
+
+  function canPerform(t) {
+    if (roleUpper === 'ADMIN') return true;
+    if (!t.roles.length || t.roles.includes(roleUpper)) return true;
+    return granted.has(transitionPermission(typeSlug, t.key));
+  }
+
+  // An entry whose status predates the workflow may take any transition
+  function startsFrom(t, from) {
+    return t.from === '*' || !stateKeys.has(from) || t.from.includes(from);
+  }
+
+  return {
+    workflow,
+    custom,
+    initial: workflow.initial,
+    unpublished: workflow.unpublished,
+
+    /** Whether this user may perform transition `t` (from a state it allows). */
+    canPerform,
+
+    /** Transitions out of `from` that this user may perform. */
+    available(from) {
+      return workflow.transitions.filter((t) => t.to !== from && startsFrom(t, from) && canPerform(t));
+    },
+
+    /**
+     * Check a status change. `from` is null for a new entry, which starts in
+     * the initial state. Returns the transition used, or null when the status
+     * does not change. Throws 400 (unknown state), 409 (no such transition)
+     * or 403 (role may not perform it).
+     */
+    check(from, to) {
+      const start = from ?? workflow.initial;
+      if (to === start) return null;
+      if (!stateKeys.has(to)) throw httpError(`"${to}" is not a workflow state for this content type`, 400);
+
+      const candidates = workflow.transitions.filter((t) => t.to === to && startsFrom(t, start));
+      if (!candidates.length) throw httpError(`Cannot move an entry from "${start}" to "${to}"`, 409);
+
+      const allowed = candidates.find(canPerform);
+      if (!allowed) throw httpError(`Your role may not move entries from "${start}" to "${to}"`, 403);
+      return allowed;
+    },
+  };
+}
+
+/**
+ * Append one row to an entry's workflow history, and queue the
+ * entry.status_changed webhook event in the same transaction.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {{ entryId: string, from: string|null, to: string, transition?: string|null, userId?: string|null }} t
+ */
+export async function recordWorkflowTransition(db, { entryId, from, to, transition = null, userId = null }) {
+  await db.query(
+    `INSERT INTO entry_workflow_history (entry_id, from_state, to_state, transition, created_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [entryId, from, to, transition, userId]
+  );
+  await queueStatusChangeWebhook(db, { entryId, from, to, transition });
+}
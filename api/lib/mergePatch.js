@@ -0,0 +1,21 @@
+// api/lib/mergePatch.js
+// JSON Merge Patch (RFC 7396): objects merge key by key, null removes a key,
+// anything else (arrays included) replaces the target value.
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Apply `patch` to `target` and return the result. Neither input is mutated.
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete out[key];
+    else out[key] = applyMergePatch(out[key], value);
+  }
+  return out;
+}
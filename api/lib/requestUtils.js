@@ -0,0 +1,28 @@
+// api/lib/requestUtils.js
+// Small helpers shared by the routes and lib modules.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return UUID_RE.test(String(value || '').trim());
+}
+
+/** An Error carrying the HTTP status the route should answer with. */
+export function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+export function badRequest(message) {
+  return httpError(message, 400);
+}
+
+export function slugify(str) {
+  return (str || '')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,135 @@
+// api/lib/siteRedirects.js
+// Admin-managed redirect rules for public pages (site_redirects). Rules are
+// matched against the requested page slug with leading/trailing slashes
+// trimmed:
+//
+//   exact     "old-services"        only that slug
+//   wildcard  "blog-*"              "*" matches anything; captures are $1, $2, …
+//   regex     "^team-(\w+)$"        a JavaScript regular expression; groups are $1, …
+//
+// The target is a page slug ("services", "news-$1"), a path ("/contact") or a
+// full URL. Rules run in ascending priority; a gadget's own rules come before
+// the global ones (gadget_id null) at the same priority.
+
+import { isUuid, badRequest } from './requestUtils.js';
+
+export const REDIRECT_MATCH_TYPES = ['exact', 'wildcard', 'regex'];
+export const REDIRECT_STATUS_CODES = [301, 302, 307, 308];
+
+const MAX_PATTERN_LENGTH = 500;
+
+function trimSlashes(s) {
+  return String(s ?? '').trim().replace(/^\/+|\/+$/g, '');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileRule(rule) {
+  if (rule.match_type === 'regex') return new RegExp(rule.source);
+  if (rule.match_type === 'wildcard') {
+    const parts = trimSlashes(rule.source).split('*').map(escapeRegExp);
+    return new RegExp(`^${parts.join('(.*)')}$`, 'i');
+  }
+  return null;
+}
+
+/**
+ * Validate a rule from a request body (for updates, the stored row merged
+ * with the body) and fill in defaults. Throws (statusCode 400).
+ */
+export function normalizeRedirectRule(body) {
+  const b = body && typeof body === 'object' ? body : {};
+
+  const gadgetId = b.gadget_id || null;
+  if (gadgetId !== null && !isUuid(gadgetId)) {
+    throw badRequest('gadget_id must be a gadget id or null');
+  }
+
+  const matchType = String(b.match_type || 'exact').toLowerCase();
+  if (!REDIRECT_MATCH_TYPES.includes(matchType)) {
+    throw badRequest(`match_type must be one of: ${REDIRECT_MATCH_TYPES.join(', ')}`);
+  }
+
+  const source = String(b.source ?? '').trim();
+  if (!source) throw badRequest('source is required');
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw badRequest(`source must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (matchType === 'regex') {
+    try {
+      compileRule({ match_type: 'regex', source });
+    } catch (e) {
+      throw badRequest(`source is not a valid regular expression: ${e.message}`);
+    }
+  }
+
+  const target = String(b.target ?? '').trim();
+  if (!target) throw badRequest('target is required');
+
+  const statusCode = b.status_code == null || b.status_code === '' ? 301 : Number(b.status_code);
+  if (!REDIRECT_STATUS_CODES.includes(statusCode)) {
+    throw badRequest(`status_code must be one of: ${REDIRECT_STATUS_CODES.join(', ')}`);
+  }
+
+  const priority = b.priority == null || b.priority === '' ? 0 : Number(b.priority);
+  if (!Number.isInteger(priority)) throw badRequest('priority must be an integer');
+
+  return {
+    gadget_id: gadgetId,
+    match_type: matchType,
+    source,
+    target,
+    status_code: statusCode,
+    priority,
+    is_active: b.is_active !== false,
+  };
+}
+
+/**
+ * Active rules for a gadget (plus the global ones), in the order they run.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string|null} gadgetId  null for requests not tied to a gadget
+ */
+export async function loadRedirectRules(db, gadgetId) {
+  const { rows } = await db.query(
+    `SELECT * FROM site_redirects
+      WHERE is_active AND (gadget_id IS NULL OR gadget_id = $1)
+      ORDER BY priority ASC, (gadget_id IS NULL) ASC, created_at ASC`,
+    [gadgetId || null]
+  );
+  return rows;
+}
+
+/**
+ * First rule matching `pageSlug` → { rule, target, status }, with $1… in the
+ * target filled from the match. Rules that fail to compile are skipped.
+ */
+export function matchRedirectRule(rules, pageSlug) {
+  const path = trimSlashes(pageSlug);
+  for (const rule of rules || []) {
+    if (rule.match_type === 'exact') {
+      if (trimSlashes(rule.source).toLowerCase() !== path.toLowerCase()) continue;
+      return { rule, target: rule.target, status: rule.status_code };
+    }
+
+    let re;
+    try {
+      re = compileRule(rule);
+    } catch {
+      continue;
+    }
+    const m = re && path.match(re);
+    if (!m) continue;
+    const target = rule.target.replace(/\$(\d+)/g, (_, n) => m[Number(n)] ?? '');
+    return { rule, target, status: rule.status_code };
+  }
+  return null;
+}
+
+/** True when a target is a path or URL rather than a page slug. */
+export function isUrlTarget(target) {
+  return /^(\/|https?:\/\/)/i.test(String(target || ''));
+}
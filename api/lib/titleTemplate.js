@@ -0,0 +1,375 @@
+// api/lib/titleTemplate.js
+// Title templates: "{last}[[, {first}]] – {due_date|date:"MMM d"}".
+// The admin imports this file too (the @apiLib alias in admin/vite.config.js)
+// for list view row titles, repeater row labels and the editor's title
+// preview, so a title reads the same wherever it is built. Keep it free of
+// Node-only imports.
+//
+//   {path}                 value at a dotted path (name fields read "Dr Jane Doe")
+//   {path|fmt|fmt:"arg"}   formatters, applied left to right:
+//       upper  lower  capitalize  trim  truncate:20  join:" / "
+//       date   date:"MMM d, yyyy"   (yyyy yy MMMM MMM MM M dd d EEEE EEE HH H hh h mm a)
+//       number number:2   currency  currency:"EUR"
+//       default:"Unknown"  used when the value is empty
+//   [[ … ]]                optional segment: dropped, punctuation and all,
+//                          when any {token} directly inside it is empty
+//   \{ \} \[ \]            literal braces / brackets (single [ ] are literal anyway)
+//
+// Unknown formatters are ignored. Whitespace is collapsed and trimmed.
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_DATE_PATTERN = 'MMM d, yyyy';
+const DATE_PATTERN_RE = /yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|a|'[^']*'/g;
+const DATE_ONLY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/** Value at a dotted path. A non-numeric step into a list takes that key from every item. */
+export function getByPath(obj, path) {
+  if (!path) return undefined;
+  const parts = Array.isArray(path)
+    ? path
+    : String(path)
+        .split('.')
+        .map((s) => s.trim())
+        .filter(Boolean);
+
+  let cur = obj;
+  for (const p of parts) {
+    if (cur == null) return undefined;
+    if (Array.isArray(cur) && !/^\d+$/.test(p)) {
+      cur = cur.flatMap((item) => (item == null ? [] : item[p] ?? []));
+    } else {
+      cur = cur[p];
+    }
+  }
+  return cur;
+}
+
+/** One-line text for any stored value. */
+export function asPrettyInline(value) {
+  if (value == null) return '';
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(asPrettyInline).filter(Boolean).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    const has = (k) => Object.prototype.hasOwnProperty.call(value, k);
+
+    // name fields
+    if (has('first') || has('last') || has('middle') || has('title') || has('suffix')) {
+      const out = [value.title, value.first, value.middle, value.last]
+        .filter(Boolean)
+        .map(String)
+        .join(' ')
+        .trim();
+      return value.suffix ? `${out} ${value.suffix}`.trim() : out;
+    }
+    // price fields
+    if (has('amount')) return asPrettyInline(value.amount);
+    // datetime fields
+    if (has('utc')) return asPrettyInline(value.utc);
+
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return String(value);
+    }
+  }
+
+  return String(value);
+}
+
+// ---------------------------------------------------------------------------
+// Formatters
+// ---------------------------------------------------------------------------
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// { year, month (1-12), day, weekday (0-6), hour, minute } or null. Plain
+// dates are calendar days; timestamps read in their own time zone
+// ({ utc, sourceTZ } from datetime fields) or UTC, so server and browser agree.
+function dateParts(value) {
+  let raw = value;
+  let tz = 'UTC';
+  if (raw && typeof raw === 'object' && !(raw instanceof Date)) {
+    tz = raw.sourceTZ || 'UTC';
+    raw = raw.utc ?? raw.start ?? null;
+  }
+  if (raw == null || raw === '') return null;
+
+  const m = typeof raw === 'string' ? DATE_ONLY_RE.exec(raw.trim()) : null;
+  if (m) {
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (Number.isNaN(d.getTime())) return null;
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay(), hour: 0, minute: 0 };
+  }
+
+  const d = raw instanceof Date ? raw : new Date(raw);
+  if (Number.isNaN(d.getTime())) return null;
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(d);
+  } catch {
+    return dateParts(d.toISOString());
+  }
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    weekday: WEEKDAYS.findIndex((w) => w.startsWith(get('weekday'))),
+    hour: Number(get('hour')) % 24,
+    minute: Number(get('minute')),
+  };
+}
+
+function formatDate(value, pattern) {
+  const p = dateParts(value);
+  if (!p) return asPrettyInline(value);
+  const h12 = p.hour % 12 || 12;
+  return String(pattern || DEFAULT_DATE_PATTERN).replace(DATE_PATTERN_RE, (tok) => {
+    switch (tok) {
+      case 'yyyy': return String(p.year);
+      case 'yy': return String(p.year).slice(-2);
+      case 'MMMM': return MONTHS[p.month - 1];
+      case 'MMM': return MONTHS[p.month - 1].slice(0, 3);
+      case 'MM': return pad2(p.month);
+      case 'M': return String(p.month);
+      case 'dd': return pad2(p.day);
+      case 'd': return String(p.day);
+      case 'EEEE': return WEEKDAYS[p.weekday] || '';
+      case 'EEE': return (WEEKDAYS[p.weekday] || '').slice(0, 3);
+      case 'HH': return pad2(p.hour);
+      case 'H': return String(p.hour);
+      case 'hh': return pad2(h12);
+      case 'h': return String(h12);
+      case 'mm': return pad2(p.minute);
+      case 'a': return p.hour < 12 ? 'am' : 'pm';
+      default: return tok.slice(1, -1); // 'quoted text'
+    }
+  });
+}
+
+function toNumber(value) {
+  const raw = value && typeof value === 'object' && 'amount' in value ? value.amount : value;
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatNumber(value, decimals) {
+  const n = toNumber(value);
+  if (n == null) return asPrettyInline(value);
+  const places = decimals == null || decimals === '' ? null : Math.max(0, Math.min(10, Number(decimals) || 0));
+  return new Intl.NumberFormat('en-US', places == null
+    ? {}
+    : { minimumFractionDigits: places, maximumFractionDigits: places }).format(n);
+}
+
+function formatCurrency(value, code) {
+  const n = toNumber(value);
+  if (n == null) return asPrettyInline(value);
+  const currency = code || (value && typeof value === 'object' && value.currency) || 'USD';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(n);
+  } catch {
+    return n.toFixed(2);
+  }
+}
+
+const isEmpty = (v) => asPrettyInline(v).trim() === '';
+
+const FORMATTERS = {
+  upper: (v) => asPrettyInline(v).toUpperCase(),
+  lower: (v) => asPrettyInline(v).toLowerCase(),
+  capitalize: (v) => asPrettyInline(v).toLowerCase().replace(/(^|[\s-])(\S)/g, (_, sep, c) => sep + c.toUpperCase()),
+  trim: (v) => asPrettyInline(v).trim(),
+  truncate: (v, arg) => {
+    const s = asPrettyInline(v);
+    const max = Number(arg) || 40;
+    return s.length > max ? `${s.slice(0, max).trimEnd()}…` : s;
+  },
+  join: (v, arg) =>
+    Array.isArray(v) ? v.map(asPrettyInline).filter(Boolean).join(arg ?? ', ') : v,
+  date: (v, arg) => (isEmpty(v) ? '' : formatDate(v, arg)),
+  number: (v, arg) => (isEmpty(v) ? '' : formatNumber(v, arg)),
+  currency: (v, arg) => (isEmpty(v) ? '' : formatCurrency(v, arg)),
+  default: (v, arg) => (isEmpty(v) ? arg ?? '' : v),
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// Split on `sep` outside quotes
+function splitOutsideQuotes(s, sep) {
+  const out = [];
+  let cur = '';
+  let quote = null;
+  for (let i = 0; i < s.length; i += 1) {
+    const ch = s[i];
+    if (quote) {
+      if (ch === '\\' && i + 1 < s.length) {
+        cur += ch + s[i + 1];
+        i += 1;
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === sep) {
+      out.push(cur);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function parseFilter(raw) {
+  const [name, ...rest] = splitOutsideQuotes(raw, ':');
+  let arg = rest.length ? rest.join(':').trim() : undefined;
+  if (arg && /^(["']).*\1$/s.test(arg)) arg = arg.slice(1, -1).replace(/\\(.)/g, '$1');
+  return { name: name.trim().toLowerCase(), arg };
+}
+
+function parseToken(inner) {
+  const [path, ...filters] = splitOutsideQuotes(inner, '|');
+  return { t: 'token', path: path.trim(), filters: filters.map(parseFilter).filter((f) => f.name) };
+}
+
+// Index of the "}" closing a token that starts at `start` (just after "{")
+function tokenEnd(tpl, start) {
+  let quote = null;
+  for (let i = start; i < tpl.length; i += 1) {
+    const ch = tpl[i];
+    if (quote) {
+      if (ch === '\\') i += 1;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      // Quotes only matter inside formatter arguments
+      if (tpl.lastIndexOf('|', i) >= start) quote = ch;
+    } else if (ch === '}') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function parseTemplate(tpl) {
+  const root = { t: 'group', nodes: [] };
+  const stack = [root];
+  let text = '';
+  const flush = () => {
+    if (text) stack[stack.length - 1].nodes.push({ t: 'text', v: text });
+    text = '';
+  };
+
+  for (let i = 0; i < tpl.length; i += 1) {
+    const ch = tpl[i];
+    if (ch === '\\' && i + 1 < tpl.length) {
+      text += tpl[i + 1];
+      i += 1;
+    } else if (ch === '{') {
+      const end = tokenEnd(tpl, i + 1);
+      if (end === -1) {
+        text += ch;
+        continue;
+      }
+      flush();
+      stack[stack.length - 1].nodes.push(parseToken(tpl.slice(i + 1, end)));
+      i = end;
+    } else if (ch === '[' && tpl[i + 1] === '[') {
+      flush();
+      const group = { t: 'group', nodes: [] };
+      stack[stack.length - 1].nodes.push(group);
+      stack.push(group);
+      i += 1;
+    } else if (ch === ']' && tpl[i + 1] === ']' && stack.length > 1) {
+      flush();
+      stack.pop();
+      i += 1;
+    } else {
+      text += ch;
+    }
+  }
+  flush();
+  return root;
+}
+
+const parsedCache = new Map();
+const PARSED_CACHE_SIZE = 200;
+
+function parsed(tpl) {
+  if (parsedCache.has(tpl)) return parsedCache.get(tpl);
+  const ast = parseTemplate(tpl);
+  if (parsedCache.size >= PARSED_CACHE_SIZE) parsedCache.delete(parsedCache.keys().next().value);
+  parsedCache.set(tpl, ast);
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function renderToken(node, data) {
+  if (!node.path) return '';
+  let value = getByPath(data, node.path);
+  for (const f of node.filters) {
+    const fn = FORMATTERS[f.name];
+    if (fn) value = fn(value, f.arg);
+  }
+  return asPrettyInline(value);
+}
+
+// → { text, missing }: `missing` when a token directly in the group is empty
+function renderGroup(group, data) {
+  let text = '';
+  let missing = false;
+  for (const node of group.nodes) {
+    if (node.t === 'text') {
+      text += node.v;
+    } else if (node.t === 'token') {
+      const s = renderToken(node, data);
+      if (!s.trim()) missing = true;
+      text += s;
+    } else {
+      const inner = renderGroup(node, data);
+      if (!inner.missing) text += inner.text;
+    }
+  }
+  return { text, missing };
+}
+
+/**
+ * Render a template against entry data (or a repeater row). Returns '' for
+ * an empty template.
+ */
+export function renderTemplate(template, data) {
+  const tpl = String(template || '');
+  if (!tpl.trim()) return '';
+  return renderGroup(parsed(tpl), data || {}).text.replace(/\s+/g, ' ').trim();
+}
+
+/** Entry title from the type's title template. */
+export function deriveTitleFromTemplate(template, data) {
+  return renderTemplate(template, data);
+}
@@ -0,0 +1,488 @@
+// api/lib/webhooks.js
+// Outgoing webhooks. A webhook subscribes a URL to some of WEBHOOK_EVENTS,
+// optionally only for some content types:
+//
+//   entry.created / entry.updated / entry.deleted   { entry }
+//   entry.status_changed                            { entry, from, to, transition }
+//   user.created                                    { user }
+//   content_type.updated                            { content_type, change }
+//
+// Events are queued with queueWebhookEvent inside the transaction that makes
+// the change, so a rolled-back write sends nothing. Entry events come from
+// recordEntryVersion / recordWorkflowTransition, which every entry write
+// goes through. A dispatcher in the API process sends what is due:
+//
+//   POST <url>
+//   Content-Type: application/json
+//   X-ServiceUp-Event: entry.created
+//   X-ServiceUp-Delivery: <delivery id>
+//   X-ServiceUp-Timestamp: <unix seconds>
+//   X-ServiceUp-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+//
+//   { "id": "<event id>", "event": "entry.created", "created_at": "...", "data": { ... } }
+//
+// The event id is the same for every webhook and every resend of the event,
+// so receivers can use it to skip duplicates.
+//
+// A 2xx response completes the delivery. Anything else is retried with
+// exponential backoff (30s, 1m, 2m, … capped at 1h) up to MAX_ATTEMPTS, then
+// the delivery is marked failed. Finished deliveries are pruned after
+// DELIVERY_RETENTION_DAYS.
+//
+// URLs must point at public hosts: localhost and private, loopback and
+// link-local addresses are refused when a webhook is saved, and the host is
+// resolved again before each send (it may have been re-pointed since), in
+// which case the delivery fails without retrying.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { isUuid, badRequest } from './requestUtils.js';
+
+export const WEBHOOK_EVENTS = [
+  'entry.created',
+  'entry.updated',
+  'entry.deleted',
+  'entry.status_changed',
+  'user.created',
+  'content_type.updated',
+];
+
+// Events that carry a content type and honour a webhook's content type filter
+const CONTENT_TYPE_EVENTS = new Set([
+  'entry.created',
+  'entry.updated',
+  'entry.deleted',
+  'entry.status_changed',
+  'content_type.updated',
+]);
+
+export const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_LOGGED_BODY = 64 * 1024;
+const DISPATCH_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 20;
+const DELIVERY_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// recordEntryVersion actions → entry events
+const ENTRY_ACTION_EVENTS = {
+  create: 'entry.created',
+  trash: 'entry.deleted',
+};
+
+// [address, prefix length] ranges a webhook may not reach
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, part) => n * 256 + Number(part), 0);
+}
+
+function inV4Range(ip, [base, bits]) {
+  const size = 2 ** (32 - bits);
+  return Math.floor(v4ToInt(ip) / size) === Math.floor(v4ToInt(base) / size);
+}
+
+// First 16 bits of an IPv6 address, or null for "::"-leading forms
+function v6Head(ip) {
+  const first = ip.split(':')[0];
+  return first ? parseInt(first, 16) : null;
+}
+
+/** Whether an IP address is private, loopback, link-local or unspecified. */
+export function isPrivateAddress(ip) {
+  const addr = String(ip || '').replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIPv4(addr)) return BLOCKED_V4.some((range) => inV4Range(addr, range));
+  if (!net.isIPv6(addr)) return false;
+
+  // IPv4-mapped (::ffff:10.0.0.1, or ::ffff:a00:1 as URL writes it) follows the IPv4 rules
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const mappedHex = addr.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const [hi, lo] = mappedHex.slice(1).map((h) => parseInt(h, 16));
+    return isPrivateAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join('.'));
+  }
+  if (addr === '::' || addr === '::1') return true;
+  const head = v6Head(addr);
+  if (head == null) return false;
+  return (head & 0xfe00) === 0xfc00 || (head & 0xffc0) === 0xfe80; // fc00::/7, fe80::/10
+}
+
+// localhost, or an IP literal that isPrivateAddress refuses (URL hostnames
+// keep IPv6 literals in brackets)
+function isPrivateHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * Resolve a webhook URL's host and throw (statusCode 400) if it, or any
+ * address it resolves to, is not public.
+ */
+export async function assertPublicWebhookUrl(rawUrl) {
+  const { hostname } = new URL(rawUrl);
+  if (isPrivateHost(hostname)) throw badRequest(`${hostname} is a private address`);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+
+  // A lookup failure throws without a statusCode, so the delivery retries
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  if (blocked) throw badRequest(`${hostname} resolves to a private address (${blocked.address})`);
+}
+
+/** A new signing secret. */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/** "sha256=<hex>" for a body sent at `timestamp` (unix seconds). */
+export function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Validate a webhook from a request body into the stored columns. With
+ * `partial`, keys that are absent are left out. Throws (statusCode 400).
+ *
+ * @returns {{ name?, url?, events?, content_type_ids?, is_active? }}
+ */
+export function normalizeWebhook(input, { partial = false } = {}) {
+  const body = input && typeof input === 'object' ? input : {};
+  const out = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) throw badRequest('name is required');
+    out.name = name;
+  }
+
+  if (has('url') || !partial) {
+    const raw = String(body.url || '').trim();
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw badRequest('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw badRequest('url must be an absolute http(s) URL');
+    }
+    if (isPrivateHost(url.hostname)) {
+      throw badRequest('url must point to a public host, not a private, loopback or link-local address');
+    }
+    out.url = url.toString();
+  }
+
+  if (has('events') || !partial) {
+    const events = Array.isArray(body.events) ? body.events.map((e) => String(e).trim()) : [];
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) {
+      throw badRequest(`Unknown event(s): ${unknown.join(', ')}; use ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    if (!events.length) throw badRequest('Pick at least one event');
+    out.events = [...new Set(events)];
+  }
+
+  if (has('content_type_ids') || !partial) {
+    const ids = Array.isArray(body.content_type_ids) ? body.content_type_ids : [];
+    if (ids.some((id) => !isUuid(id))) throw badRequest('content_type_ids must be content type ids');
+    out.content_type_ids = [...new Set(ids)];
+  }
+
+  if (has('is_active') || !partial) {
+    out.is_active = body.is_active === undefined ? true : !!body.is_active;
+  }
+
+  return out;
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it. Call inside the
+ * transaction that makes the change. `data` may be a function; it is only
+ * called (once) when some webhook wants the event.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} event  one of WEBHOOK_EVENTS
+ * @param {object|(() => Promise<object>|object)} data
+ * @param {{ contentTypeId?: string|null }} [opts]
+ * @returns {Promise<number>} deliveries queued
+ */
+export async function queueWebhookEvent(db, event, data, { contentTypeId = null } = {}) {
+  const filtered = CONTENT_TYPE_EVENTS.has(event);
+  const { rows: hooks } = await db.query(
+    `SELECT id FROM webhooks
+      WHERE is_active AND $1 = ANY(events)
+        AND ($2::boolean IS FALSE OR cardinality(content_type_ids) = 0
+             OR $3::uuid = ANY(content_type_ids))`,
+    [event, filtered, contentTypeId]
+  );
+  if (!hooks.length) return 0;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data: typeof data === 'function' ? await data() : data,
+  };
+  for (const hook of hooks) {
+    await db.query(
+      'INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES ($1, $2, $3)',
+      [hook.id, event, payload]
+    );
+  }
+  return hooks.length;
+}
+
+// Entry payload: the row plus its content type's slug
+async function entryPayload(db, entry) {
+  const { rows } = await db.query('SELECT slug FROM content_types WHERE id = $1', [
+    entry.content_type_id,
+  ]);
+  return { ...entry, content_type: rows[0]?.slug || null };
+}
+
+/**
+ * Queue the entry event for a recordEntryVersion action: "create" →
+ * entry.created, "trash" → entry.deleted, anything else → entry.updated.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {object} entry  entries row after the write
+ * @param {string} action
+ */
+export function queueEntryWebhook(db, entry, action) {
+  const event = ENTRY_ACTION_EVENTS[action] || 'entry.updated';
+  return queueWebhookEvent(db, event, async () => ({ entry: await entryPayload(db, entry) }), {
+    contentTypeId: entry.content_type_id,
+  });
+}
+
+/**
+ * Queue entry.status_changed. An entry's first status (from null) is part of
+ * entry.created and is not reported here.
+ *
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ entryId: string, from: string|null, to: string, transition?: string|null }} t
+ */
+export async function queueStatusChangeWebhook(db, { entryId, from, to, transition = null }) {
+  if (from == null || from === to) return 0;
+  const { rows } = await db.query('SELECT * FROM entries WHERE id = $1', [entryId]);
+  if (!rows.length) return 0;
+  const entry = rows[0];
+  return queueWebhookEvent(
+    db,
+    'entry.status_changed',
+    async () => ({ entry: await entryPayload(db, entry), from, to, transition }),
+    { contentTypeId: entry.content_type_id }
+  );
+}
+
+function truncate(text) {
+  const s = String(text ?? '');
+  return s.length > MAX_LOGGED_BODY ? `${s.slice(0, MAX_LOGGED_BODY)}… [truncated]` : s;
+}
+
+/** Delay before attempt `attempts + 1`, after `attempts` failures. */
+export function retryDelayMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Send one delivery now and record the outcome on its row. Failures are
+ * rescheduled with backoff, or marked failed after MAX_ATTEMPTS (at once when
+ * the host now resolves to a private address).
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} delivery  webhook_deliveries row
+ * @returns {Promise<object>} the updated row
+ */
+export async function attemptDelivery(pool, delivery) {
+  const { rows: hooks } = await pool.query('SELECT * FROM webhooks WHERE id = $1', [
+    delivery.webhook_id,
+  ]);
+  const hook = hooks[0];
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'ServiceUp-Webhooks/1.0',
+    'X-ServiceUp-Event': delivery.event,
+    'X-ServiceUp-Delivery': delivery.id,
+    'X-ServiceUp-Timestamp': String(timestamp),
+  };
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  let blocked = false;
+  const started = Date.now();
+  if (!hook) {
+    error = 'Webhook no longer exists';
+  } else {
+    headers['X-ServiceUp-Signature'] = signWebhookPayload(hook.secret, timestamp, body);
+    try {
+      await assertPublicWebhookUrl(hook.url);
+    } catch (err) {
+      blocked = err.statusCode === 400;
+      error = err.message;
+    }
+  }
+  if (hook && !error) {
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = res.status;
+      responseBody = truncate(await res.text().catch(() => ''));
+      if (res.status < 200 || res.status >= 300) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+    }
+  }
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const ok = !error;
+  const giveUp = !ok && (!hook || blocked || attempts >= MAX_ATTEMPTS);
+  const status = ok ? 'succeeded' : giveUp ? 'failed' : 'pending';
+  const nextAttemptAt =
+    status === 'pending' ? new Date(Date.now() + retryDelayMs(attempts)).toISOString() : null;
+
+  // The signature is logged too: it is only valid for this body and timestamp
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+        SET status = $2, attempts = $3, next_attempt_at = $4,
+            request_headers = $5, request_body = $6,
+            response_status = $7, response_body = $8, error = $9, duration_ms = $10,
+            last_attempt_at = now(),
+            completed_at = CASE WHEN $2 = 'pending' THEN NULL ELSE now() END
+      WHERE id = $1
+      RETURNING *`,
+    [
+      delivery.id,
+      status,
+      attempts,
+      nextAttemptAt,
+      headers,
+      truncate(body),
+      responseStatus,
+      responseBody,
+      error,
+      Date.now() - started,
+    ]
+  );
+  return rows[0] || delivery;
+}
+
+/**
+ * Send every pending delivery that is due, a batch at a time. Each one is
+ * claimed by pushing its next_attempt_at out first, so a second API process
+ * skips it and a crash mid-send only delays the retry.
+ *
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<object[]>} the updated rows
+ */
+export async function deliverDueWebhooks(pool) {
+  const { rows: due } = await pool.query(
+    `UPDATE webhook_deliveries
+        SET next_attempt_at = now() + interval '5 minutes'
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at ASC, created_at ASC
+         LIMIT ${BATCH_SIZE}
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`
+  );
+
+  // RETURNING does not keep the subquery's order
+  due.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const out = [];
+  for (const delivery of due) {
+    out.push(await attemptDelivery(pool, delivery));
+  }
+  return out;
+}
+
+/**
+ * Queue a copy of a delivery (same event and payload, fresh attempts) and
+ * send it right away. The copy gets its own log entry.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {object} delivery  webhook_deliveries row to resend
+ */
+export async function redeliver(pool, delivery) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [delivery.webhook_id, delivery.event, delivery.payload, delivery.id]
+  );
+  return attemptDelivery(pool, rows[0]);
+}
+
+/** Delete finished deliveries older than `days`. */
+export async function pruneWebhookDeliveries(pool, days = DELIVERY_RETENTION_DAYS) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM webhook_deliveries
+      WHERE status <> 'pending' AND created_at < now() - make_interval(days => $1::int)`,
+    [days]
+  );
+  return rowCount;
+}
+
+/**
+ * Send due deliveries now and then every few seconds; prune old ones hourly.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+export function startWebhookDispatcher(pool, intervalMs = DISPATCH_INTERVAL_MS) {
+  let running = false;
+  let lastPrune = 0;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await deliverDueWebhooks(pool);
+      for (const d of sent) {
+        if (d.status === 'succeeded') continue;
+        console.warn(
+          `[webhooks] ${d.event} delivery ${d.id} attempt ${d.attempts}: ${d.error}` +
+            (d.status === 'failed' ? ' (giving up)' : '')
+        );
+      }
+      if (Date.now() - lastPrune >= PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        await pruneWebhookDeliveries(pool);
+      }
+    } catch (err) {
+      console.error('[webhooks] dispatch failed', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  return timer;
+}
@@ -112,3 +112,28 @@ export function checkAnyPermission(permissionSlugs = []) {
     }
   };
 }
+
+/**
+ * For handlers that read req.user.role themselves: a token without a role is
+ * rejected rather than treated as any particular role.
+ */
+export function requireRole(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthenticated' });
+  }
+  if (!String(req.user.role || '').trim()) {
+    return res.status(403).json({ error: 'Forbidden: no role on this account' });
+  }
+  next();
+}
+
+/**
+ * Plain check for code that filters what it returns instead of rejecting the
+ * request. Same rules as checkPermission: ADMIN always passes.
+ */
+export async function roleHasPermission(role, permissionSlug) {
+  const r = String(role || '').toUpperCase();
+  if (r === 'ADMIN') return true;
+  await loadPermissionsIntoCache();
+  return !!rolePermCache.get(`${r}::${permissionSlug}`);
+}
@@ -1,6 +1,22 @@
 // ServiceUp/api/routes/contentTypes.js
 import express from "express";
 import pg from "pg";
+import {
+  DEFAULT_WORKFLOW,
+  loadWorkflowGuard,
+  normalizeWorkflow,
+  transitionPermission,
+} from "../lib/entryWorkflow.js";
+import { RELATION_FIELD_TYPES, rebuildFieldRelations } from "../lib/entryRelations.js";
+import { refreshTypeSearchIndex, searchableFieldsKey } from "../lib/entrySearch.js";
+import {
+  checkFormulaFields,
+  formulaFieldsKey,
+  recomputeTypeFormulasBatched,
+} from "../lib/entryFormulas.js";
+import { checkDefaultFields } from "../lib/entryDefaults.js";
+import { queueWebhookEvent } from "../lib/webhooks.js";
+import { isUuid } from "../lib/requestUtils.js";
 
 const router = express.Router();
 
@@ -12,6 +28,114 @@ const pool = new pg.Pool({
       : false,
 });
 
+// Queue content_type.updated (lib/webhooks.js) with the type and its fields.
+// `change` says what was saved: "settings", "workflow" or "fields".
+function queueTypeUpdated(db, typeId, change) {
+  return queueWebhookEvent(
+    db,
+    "content_type.updated",
+    async () => {
+      const { rows } = await db.query("SELECT * FROM content_types WHERE id = $1", [typeId]);
+      const { rows: fields } = await db.query(
+        `SELECT field_key, label, type, required, localizable, help_text, order_index, config
+         FROM content_fields WHERE content_type_id = $1
+         ORDER BY order_index ASC, created_at ASC`,
+        [typeId]
+      );
+      return { content_type: { ...rows[0], fields }, change };
+    },
+    { contentTypeId: typeId }
+  );
+}
+
+// Save fields by field_key so the ones that stay keep their ids, and with
+// them their entry_relations rows. With `replace`, fields missing from the
+// list are deleted. Returns the saved rows and the rows as they were before.
+async function saveTypeFields(client, typeId, fields, { replace = false } = {}) {
+  const { rows: before } = await client.query(
+    "SELECT * FROM content_fields WHERE content_type_id = $1",
+    [typeId]
+  );
+  if (replace) {
+    await client.query(
+      "DELETE FROM content_fields WHERE content_type_id = $1 AND NOT (field_key = ANY($2::text[]))",
+      [typeId, fields.map((f) => f.field_key)]
+    );
+  }
+
+  const upsertSql = `
+    INSERT INTO content_fields
+      (content_type_id, field_key, label, type, required, help_text, order_index, config, localizable)
+    VALUES
+      ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9)
+    ON CONFLICT (content_type_id, field_key) DO UPDATE
+      SET label = EXCLUDED.label, type = EXCLUDED.type, required = EXCLUDED.required,
+          help_text = EXCLUDED.help_text, order_index = EXCLUDED.order_index,
+          config = EXCLUDED.config, localizable = EXCLUDED.localizable, updated_at = now()
+    RETURNING *;
+  `;
+  const saved = [];
+  for (const f of fields) {
+    const { rows } = await client.query(upsertSql, [
+      typeId,
+      f.field_key,
+      f.label,
+      f.type || "text",
+      !!f.required,
+      f.help_text || "",
+      f.order_index,
+      JSON.stringify(f.config || {}),
+      !!f.localizable,
+    ]);
+    saved.push(rows[0]);
+  }
+  return { before, saved };
+}
+
+// Re-index a type's entries once a field save has committed. Runs on the
+// pool in the background, a batch per statement, so the request neither
+// waits for it nor holds its transaction open; the trigger on entries keeps
+// rows written meanwhile current.
+function refreshSearchIndexLater(typeId) {
+  refreshTypeSearchIndex(pool, typeId).catch((err) =>
+    console.error("[content-types] search re-index failed", typeId, err)
+  );
+}
+
+// Recompute stored formula values once a field save that changed a formula
+// has committed; same background rules as refreshSearchIndexLater
+function recomputeFormulasLater(typeId) {
+  recomputeTypeFormulasBatched(pool, typeId).catch((err) =>
+    console.error("[content-types] formula recompute failed", typeId, err)
+  );
+}
+
+function isRelationType(type) {
+  return RELATION_FIELD_TYPES.includes(String(type || "").toLowerCase());
+}
+
+// Saved fields whose entry_relations rows no longer match their type: new
+// relation fields, and fields that became or stopped being relation fields.
+// (Deleted fields lose their rows by cascade.)
+function relationFieldsToRebuild(before, saved) {
+  const typeBefore = new Map(before.map((f) => [f.field_key, f.type]));
+  return saved
+    .filter((f) => {
+      const was = typeBefore.has(f.field_key) && isRelationType(typeBefore.get(f.field_key));
+      return was !== isRelationType(f.type);
+    })
+    .map((f) => f.id);
+}
+
+function duplicateFieldKey(fields) {
+  const seen = new Set();
+  for (const f of fields) {
+    if (seen.has(f.field_key)) return f.field_key;
+    seen.add(f.field_key);
+  }
+  return null;
+}
+
 // Simple helper: require admin role
 function requireAdmin(req, res, next) {
   if (!req.user || req.user.role !== "ADMIN") {
@@ -20,13 +144,6 @@ function requireAdmin(req, res, next) {
   next();
 }
 
-// Helper to detect UUID
-function isUuid(value) {
-  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
-    String(value || "").trim()
-  );
-}
-
 // Resolve content type ID from slug or ID
 async function resolveContentTypeId(idOrSlug) {
   const raw = String(idOrSlug).trim();
@@ -214,6 +331,7 @@ router.post("/import", requireAdmin, async (req, res) => {
           label: String(f?.label || fieldKey).trim(),
           type,
           required: !!f?.required,
+          localizable: !!f?.localizable,
           help_text: String(f?.help_text || "").trim(),
           order_index:
             typeof f?.order_index === "number" ? f.order_index : index,
@@ -225,6 +343,15 @@ router.post("/import", requireAdmin, async (req, res) => {
     if (!normalizedFields.length) {
       return res.status(400).json({ error: "No valid fields provided" });
     }
+    const dupKey = duplicateFieldKey(normalizedFields);
+    if (dupKey) return res.status(400).json({ error: `Duplicate field key "${dupKey}"` });
+
+    try {
+      checkFormulaFields(normalizedFields);
+      checkDefaultFields(normalizedFields);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
     if (dryRun) {
       return res.json({
@@ -277,11 +404,6 @@ router.post("/import", requireAdmin, async (req, res) => {
       ]);
 
       contentTypeRow = updated.rows[0];
-
-      // Replace fields
-      await client.query(`DELETE FROM content_fields WHERE content_type_id = $1`, [
-        contentTypeRow.id,
-      ]);
     } else {
       // INSERT new
       const insertTypeSql = `
@@ -306,31 +428,22 @@ router.post("/import", requireAdmin, async (req, res) => {
       contentTypeRow = inserted.rows[0];
     }
 
-    // Insert fields
-    const insertFieldSql = `
-      INSERT INTO content_fields
-        (content_type_id, field_key, label, type, required, help_text, order_index, config)
-      VALUES
-        ($1, $2, $3, $4, $5, $6, $7, $8::jsonb)
-      RETURNING *;
-    `;
+    // Replace the fields; ones already on the type keep their ids
+    const searchBefore = await searchableFieldsKey(client, contentTypeRow.id);
+    const { before, saved: insertedFields } = await saveTypeFields(
+      client,
+      contentTypeRow.id,
+      normalizedFields,
+      { replace: true }
+    );
 
-    const insertedFields = [];
-    for (const f of normalizedFields) {
-      const fieldRes = await client.query(insertFieldSql, [
-        contentTypeRow.id,
-        f.field_key,
-        f.label,
-        f.type || "text",
-        f.required,
-        f.help_text || "",
-        f.order_index,
-        JSON.stringify(f.config || {}),
-      ]);
-      insertedFields.push(fieldRes.rows[0]);
-    }
+    await rebuildFieldRelations(client, relationFieldsToRebuild(before, insertedFields));
+    const reindex = (await searchableFieldsKey(client, contentTypeRow.id)) !== searchBefore;
+    const recompute = formulaFieldsKey(insertedFields) !== formulaFieldsKey(before);
 
     await client.query("COMMIT");
+    if (reindex) refreshSearchIndexLater(contentTypeRow.id);
+    if (recompute) recomputeFormulasLater(contentTypeRow.id);
 
     return res.json({
       ok: true,
@@ -369,7 +482,7 @@ router.get("/:id", async (req, res) => {
     }
 
     const fieldsResult = await pool.query(
-      `SELECT id, content_type_id, field_key, label, type, required, help_text, order_index, config
+      `SELECT id, content_type_id, field_key, label, type, required, localizable, help_text, order_index, config
        FROM content_fields
        WHERE content_type_id = $1
        ORDER BY order_index ASC, created_at ASC`,
@@ -454,6 +567,7 @@ router.post("/:id/fields/import", requireAdmin, async (req, res) => {
           label,
           type,
           required: !!f?.required,
+          localizable: !!f?.localizable,
           help_text: String(f?.help_text || "").trim(),
           config,
         };
@@ -478,13 +592,26 @@ router.post("/:id/fields/import", requireAdmin, async (req, res) => {
 
     // Load existing field keys + max order_index
     const existingRes = await client.query(
-      `SELECT field_key, order_index
+      `SELECT field_key, type, config, order_index
        FROM content_fields
        WHERE content_type_id = $1`,
       [resolvedId]
     );
 
+    // Check formulas against the field set after the import (existing keys are
+    // skipped), and the new fields' defaults
+    try {
+      const existingFieldKeys = new Set(existingRes.rows.map((r) => r.field_key));
+      const added = normalized.filter((f) => !existingFieldKeys.has(f.field_key));
+      checkFormulaFields([...existingRes.rows, ...added]);
+      checkDefaultFields(added);
+    } catch (e) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: e.message });
+    }
+
     const existingKeys = new Set(existingRes.rows.map((r) => r.field_key));
+    const searchBefore = await searchableFieldsKey(client, resolvedId);
     const maxIndex = existingRes.rows.reduce((max, r) => {
       const n = Number.isFinite(r?.order_index) ? r.order_index : -1;
       return Math.max(max, n);
@@ -492,9 +619,9 @@ router.post("/:id/fields/import", requireAdmin, async (req, res) => {
 
     const insertSql = `
       INSERT INTO content_fields
-        (content_type_id, field_key, label, type, required, help_text, order_index, config)
+        (content_type_id, field_key, label, type, required, help_text, order_index, config, localizable)
       VALUES
-        ($1, $2, $3, $4, $5, $6, $7, $8::jsonb)
+        ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9)
       RETURNING *;
     `;
 
@@ -518,13 +645,30 @@ router.post("/:id/fields/import", requireAdmin, async (req, res) => {
         f.help_text || "",
         nextIndex++,
         JSON.stringify(f.config || {}),
+        !!f.localizable,
       ]);
 
       inserted.push(rows[0]);
       existingKeys.add(f.field_key);
     }
 
+    // Pick up values already stored under newly added relation / searchable fields
+    let reindex = false;
+    let recompute = false;
+    if (inserted.length) {
+      await rebuildFieldRelations(
+        client,
+        inserted.filter((f) => isRelationType(f.type)).map((f) => f.id)
+      );
+      reindex = (await searchableFieldsKey(client, resolvedId)) !== searchBefore;
+      recompute =
+        formulaFieldsKey([...existingRes.rows, ...inserted]) !== formulaFieldsKey(existingRes.rows);
+      await queueTypeUpdated(client, resolvedId, "fields");
+    }
+
     await client.query("COMMIT");
+    if (reindex) refreshSearchIndexLater(resolvedId);
+    if (recompute) recomputeFormulasLater(resolvedId);
 
     return res.json({
       ok: true,
@@ -582,6 +726,10 @@ router.put("/:id", requireAdmin, async (req, res) => {
     ]);
 
     if (!rows.length) return res.status(404).json({ error: "Content type not found" });
+
+    await queueTypeUpdated(pool, resolvedId, "settings").catch((e) =>
+      console.error("Failed to queue content_type.updated webhook", e)
+    );
     res.json(rows[0]);
   } catch (err) {
     console.error("Error updating content type", err);
@@ -590,6 +738,94 @@ router.put("/:id", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/content-types/:id/workflow
+ * The type's workflow (the default one when none is saved), plus the keys of
+ * the transitions the current user's role may perform.
+ */
+router.get("/:id/workflow", async (req, res) => {
+  try {
+    const resolvedId = await resolveContentTypeId(req.params.id);
+    if (!resolvedId) return res.status(404).json({ error: "Content type not found" });
+
+    const role = String(req.user?.role || "ADMIN").toUpperCase();
+    const guard = await loadWorkflowGuard(pool, resolvedId, role);
+
+    res.json({
+      workflow: guard.workflow,
+      custom: guard.custom,
+      allowedTransitions: guard.workflow.transitions.filter(guard.canPerform).map((t) => t.key),
+    });
+  } catch (err) {
+    console.error("Error fetching workflow", err);
+    res.status(500).json({ error: "Failed to fetch workflow" });
+  }
+});
+
+/**
+ * PUT /api/content-types/:id/workflow
+ * Body: { workflow } — null goes back to the default workflow.
+ * Every transition also gets a `workflow.<type>.<transition>` permission so
+ * it can be granted to more roles from the Permissions screen.
+ */
+router.put("/:id/workflow", requireAdmin, async (req, res) => {
+  try {
+    const resolvedId = await resolveContentTypeId(req.params.id);
+    if (!resolvedId) return res.status(404).json({ error: "Content type not found" });
+
+    const raw = req.body?.workflow ?? null;
+    let workflow = null;
+    if (raw !== null) {
+      try {
+        workflow = normalizeWorkflow(raw);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      const roles = [...new Set(workflow.transitions.flatMap((t) => t.roles))];
+      if (roles.length) {
+        const { rows } = await pool.query(
+          "SELECT upper(slug) AS slug FROM roles WHERE upper(slug) = ANY($1::text[])",
+          [roles]
+        );
+        const known = new Set(rows.map((r) => r.slug));
+        const unknown = roles.filter((r) => !known.has(r));
+        if (unknown.length) {
+          return res.status(400).json({ error: `Unknown role(s): ${unknown.join(", ")}` });
+        }
+      }
+    }
+
+    const { rows } = await pool.query(
+      "UPDATE content_types SET workflow = $1, updated_at = NOW() WHERE id = $2 RETURNING slug, label_plural",
+      [workflow, resolvedId]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Content type not found" });
+
+    const type = rows[0];
+    for (const t of (workflow || DEFAULT_WORKFLOW).transitions) {
+      await pool.query(
+        `INSERT INTO permissions (slug, label, description)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (slug) DO NOTHING`,
+        [
+          transitionPermission(type.slug, t.key),
+          `${type.label_plural || type.slug}: ${t.label}`,
+          `Perform the "${t.label}" workflow transition`,
+        ]
+      );
+    }
+
+    await queueTypeUpdated(pool, resolvedId, "workflow").catch((e) =>
+      console.error("Failed to queue content_type.updated webhook", e)
+    );
+    res.json({ workflow: workflow || DEFAULT_WORKFLOW, custom: !!workflow });
+  } catch (err) {
+    console.error("Error saving workflow", err);
+    res.status(500).json({ error: "Failed to save workflow" });
+  }
+});
+
 /**
  * DELETE /api/content-types/:id
  */
@@ -625,7 +861,19 @@ router.put("/:id/fields", requireAdmin, async (req, res) => {
     const resolvedId = await resolveContentTypeId(id);
     if (!resolvedId) return res.status(404).json({ error: "Content type not found" });
 
-    const { fields } = req.body || {};
+    const fields = (req.body?.fields || []).map((f, index) => ({
+      ...f,
+      order_index: typeof f.order_index === "number" ? f.order_index : index,
+    }));
+    const dupKey = duplicateFieldKey(fields);
+    if (dupKey) return res.status(400).json({ error: `Duplicate field key "${dupKey}"` });
+
+    try {
+      checkFormulaFields(fields);
+      checkDefaultFields(fields);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
 
     await client.query("BEGIN");
 
@@ -637,34 +885,20 @@ router.put("/:id/fields", requireAdmin, async (req, res) => {
       return res.status(404).json({ error: "Content type not found" });
     }
 
-    await client.query("DELETE FROM content_fields WHERE content_type_id = $1", [
-      resolvedId,
-    ]);
-
-    const insertSql = `
-      INSERT INTO content_fields
-        (content_type_id, field_key, label, type, required, help_text, order_index, config)
-      VALUES
-        ($1, $2, $3, $4, $5, $6, $7, $8::jsonb)
-      RETURNING *;
-    `;
+    // Fields that stay keep their ids (and entry_relations rows); the rest go
+    const searchBefore = await searchableFieldsKey(client, resolvedId);
+    const { before, saved: inserted } = await saveTypeFields(client, resolvedId, fields, {
+      replace: true,
+    });
 
-    const inserted = [];
-    for (const [index, f] of (fields || []).entries()) {
-      const { rows } = await client.query(insertSql, [
-        resolvedId,
-        f.field_key,
-        f.label,
-        f.type || "text",
-        !!f.required,
-        f.help_text || "",
-        typeof f.order_index === "number" ? f.order_index : index,
-        JSON.stringify(f.config || {}),
-      ]);
-      inserted.push(rows[0]);
-    }
+    await rebuildFieldRelations(client, relationFieldsToRebuild(before, inserted));
+    const reindex = (await searchableFieldsKey(client, resolvedId)) !== searchBefore;
+    const recompute = formulaFieldsKey(inserted) !== formulaFieldsKey(before);
+    await queueTypeUpdated(client, resolvedId, "fields");
 
     await client.query("COMMIT");
+    if (reindex) refreshSearchIndexLater(resolvedId);
+    if (recompute) recomputeFormulasLater(resolvedId);
     res.json(inserted);
   } catch (err) {
     await client.query("ROLLBACK");
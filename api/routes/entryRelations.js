@@ -0,0 +1,83 @@
+// api/routes/entryRelations.js
+// Backlinks from entry_relations: which entries point at this one through a
+// relation / relationship field.
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { listEntryReferences, rebuildTypeRelations } from '../lib/entryRelations.js';
+import { isUuid } from '../lib/requestUtils.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/content/:slug/:id/references?type=jobs&field=customer&limit=20
+ * → { entry_id, references: [{ type, field, total, entries }], total }
+ * `type` / `field` narrow to one referencing type and field; `limit` caps
+ * the entries listed per group (totals still count them all).
+ */
+router.get('/content/:slug/:id/references', async (req, res) => {
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [req.params.slug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+
+    const { rows } = await pool.query(
+      `SELECT id FROM entries
+        WHERE ${isUuid(req.params.id) ? 'id' : 'slug'} = $1 AND content_type_id = $2
+          AND deleted_at IS NULL
+        LIMIT 1`,
+      [req.params.id, ctRows[0].id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Entry not found' });
+
+    const limit = parseInt(String(req.query.limit || ''), 10);
+    const references = await listEntryReferences(pool, rows[0].id, {
+      typeSlug: req.query.type ? String(req.query.type) : undefined,
+      fieldKey: req.query.field ? String(req.query.field) : undefined,
+      limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, 500) : undefined,
+    });
+
+    res.json({
+      entry_id: rows[0].id,
+      references,
+      total: references.reduce((sum, g) => sum + g.total, 0),
+    });
+  } catch (err) {
+    console.error('[GET /api/content/:slug/:id/references]', err);
+    res.status(500).json({ error: 'Failed to load references', detail: err.message });
+  }
+});
+
+/**
+ * POST /api/content/:slug/relations/rebuild  (ADMIN)
+ * Re-reads every entry of the type into entry_relations, for data saved
+ * before relations were tracked.
+ */
+router.post('/content/:slug/relations/rebuild', async (req, res) => {
+  if (String(req.user?.role || '').toUpperCase() !== 'ADMIN') {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const { rows: ctRows } = await client.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [req.params.slug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+
+    await client.query('BEGIN');
+    const entries = await rebuildTypeRelations(client, ctRows[0].id);
+    await client.query('COMMIT');
+    res.json({ ok: true, entries });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[POST /api/content/:slug/relations/rebuild]', err);
+    res.status(500).json({ error: 'Failed to rebuild relations', detail: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
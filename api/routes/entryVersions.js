@@ -0,0 +1,280 @@
+// api/routes/entryVersions.js
+// Entry version history: list, fetch, diff and restore snapshots.
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { requireRole } from '../middleware/checkPermission.js';
+import {
+  recordEntryVersion,
+  diffSnapshots,
+  entryEtag,
+  parseIfMatch,
+} from '../lib/entryVersions.js';
+import { loadWorkflowGuard, recordWorkflowTransition } from '../lib/entryWorkflow.js';
+import { syncEntryRelations } from '../lib/entryRelations.js';
+import { recordSlugChange } from '../lib/entrySlugHistory.js';
+import { assertUnique, uniqueConflictBody } from '../lib/entryUnique.js';
+import { isUuid } from '../lib/requestUtils.js';
+
+const router = express.Router();
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function notFound(message) {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+}
+
+// Resolve :slug (content type) + :id (entry UUID or slug) to the entry row
+async function loadEntry(typeSlug, idOrSlug) {
+  const { rows: ctRows } = await pool.query(
+    'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+    [typeSlug]
+  );
+  if (!ctRows.length) throw notFound('Content type not found');
+  const typeId = ctRows[0].id;
+
+  const { rows } = await pool.query(
+    `SELECT * FROM entries
+      WHERE ${isUuid(idOrSlug) ? 'id' : 'slug'} = $1 AND content_type_id = $2
+        AND deleted_at IS NULL
+      LIMIT 1`,
+    [idOrSlug, typeId]
+  );
+  if (!rows.length) throw notFound('Entry not found');
+  return rows[0];
+}
+
+// A version may be addressed by its UUID or by its version number
+async function loadVersion(entryId, ref) {
+  const raw = String(ref || '').trim();
+  let where;
+  if (isUuid(raw)) where = 'v.id = $2';
+  else if (/^\d+$/.test(raw)) where = 'v.version_number = $2::int';
+  else throw notFound('Version not found');
+
+  const { rows } = await pool.query(
+    `SELECT v.*, u.name AS author_name, u.email AS author_email
+       FROM entry_versions v
+       LEFT JOIN users u ON u.id = v.created_by
+      WHERE v.entry_id = $1 AND ${where}
+      LIMIT 1`,
+    [entryId, raw]
+  );
+  if (!rows.length) throw notFound('Version not found');
+  return rows[0];
+}
+
+async function loadFieldDefs(typeId) {
+  const { rows } = await pool.query(
+    `SELECT id, field_key AS key, label, type, config
+       FROM content_fields
+      WHERE content_type_id = $1
+      ORDER BY order_index ASC, created_at ASC`,
+    [typeId]
+  );
+  return rows;
+}
+
+function mapVersion(row, { includeData = true } = {}) {
+  const out = {
+    id: row.id,
+    entry_id: row.entry_id,
+    version_number: row.version_number,
+    title: row.title,
+    slug: row.slug,
+    status: row.status,
+    action: row.action,
+    restored_from: row.restored_from,
+    created_at: row.created_at,
+    actor: row.actor || null,
+    author: row.created_by
+      ? { id: row.created_by, name: row.author_name || null, email: row.author_email || null }
+      : null,
+  };
+  if (includeData) out.data = row.data;
+  return out;
+}
+
+function sendError(res, label, err, fallback) {
+  if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+  console.error(label, err);
+  return res.status(500).json({ error: fallback, detail: err.message });
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/content/:slug/:id/versions
+ * Newest first, without the data payload.
+ */
+router.get('/content/:slug/:id/versions', async (req, res) => {
+  try {
+    const entry = await loadEntry(req.params.slug, req.params.id);
+    const { rows } = await pool.query(
+      `SELECT v.id, v.entry_id, v.version_number, v.title, v.slug, v.status,
+              v.action, v.restored_from, v.created_at, v.created_by, v.actor,
+              u.name AS author_name, u.email AS author_email
+         FROM entry_versions v
+         LEFT JOIN users u ON u.id = v.created_by
+        WHERE v.entry_id = $1
+        ORDER BY v.version_number DESC NULLS LAST, v.created_at DESC`,
+      [entry.id]
+    );
+
+    res.json({
+      entry_id: entry.id,
+      current_version: entry.version ?? null,
+      versions: rows.map((r) => mapVersion(r, { includeData: false })),
+    });
+  } catch (err) {
+    sendError(res, '[GET /api/content/:slug/:id/versions]', err, 'Failed to load versions');
+  }
+});
+
+/**
+ * GET /api/content/:slug/:id/versions/diff?from=<version>&to=<version|current>
+ * Field-by-field changes going from `from` to `to` (default: current entry).
+ */
+router.get('/content/:slug/:id/versions/diff', async (req, res) => {
+  try {
+    const entry = await loadEntry(req.params.slug, req.params.id);
+    const { from, to } = req.query;
+    if (!from) return res.status(400).json({ error: 'from is required' });
+
+    const fromVersion = await loadVersion(entry.id, from);
+    const toSnapshot =
+      !to || String(to) === 'current' ? entry : await loadVersion(entry.id, to);
+
+    const fieldDefs = await loadFieldDefs(entry.content_type_id);
+    const changes = diffSnapshots(fromVersion, toSnapshot, fieldDefs);
+
+    res.json({
+      from: mapVersion(fromVersion, { includeData: false }),
+      to:
+        toSnapshot === entry
+          ? { current: true, version_number: entry.version ?? null }
+          : mapVersion(toSnapshot, { includeData: false }),
+      changes,
+    });
+  } catch (err) {
+    sendError(res, '[GET /api/content/:slug/:id/versions/diff]', err, 'Failed to diff versions');
+  }
+});
+
+/**
+ * GET /api/content/:slug/:id/versions/:versionId
+ * :versionId may be the version UUID or its number.
+ */
+router.get('/content/:slug/:id/versions/:versionId', async (req, res) => {
+  try {
+    const entry = await loadEntry(req.params.slug, req.params.id);
+    const version = await loadVersion(entry.id, req.params.versionId);
+    res.json(mapVersion(version));
+  } catch (err) {
+    sendError(res, '[GET /api/content/:slug/:id/versions/:versionId]', err, 'Failed to load version');
+  }
+});
+
+/**
+ * POST /api/content/:slug/:id/versions/:versionId/restore
+ * Writes the snapshot back to the entry as a new version. Bringing back an
+ * older status is a workflow transition like any other. Honors If-Match the
+ * way PUT does: a stale version gets 409 with the current entry.
+ */
+router.post('/content/:slug/:id/versions/:versionId/restore', requireRole, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const found = await loadEntry(req.params.slug, req.params.id);
+    const version = await loadVersion(found.id, req.params.versionId);
+    const role = String(req.user?.role || '').toUpperCase();
+    const guard = await loadWorkflowGuard(pool, found.content_type_id, role);
+    const fieldDefs = await loadFieldDefs(found.content_type_id);
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+
+    await client.query('BEGIN');
+
+    // Lock the row and work from what is stored now, not the copy read above
+    const { rows: currentRows } = await client.query(
+      'SELECT * FROM entries WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [found.id]
+    );
+    if (!currentRows.length) throw notFound('Entry not found');
+    const entry = currentRows[0];
+
+    if (ifMatch && !ifMatch.any && !ifMatch.versions.includes(entry.version)) {
+      await client.query('ROLLBACK');
+      res.set('ETag', entryEtag(entry));
+      return res.status(409).json({
+        error: 'This entry was changed by someone else since you loaded it',
+        code: 'VERSION_CONFLICT',
+        current: entry,
+      });
+    }
+
+    const status = version.status ?? entry.status;
+    const transition = guard.check(entry.status, status);
+
+    // Another entry may have taken one of the old unique values since
+    await assertUnique(client, entry.content_type_id, fieldDefs, version.data || {}, {
+      excludeId: entry.id,
+      previous: entry.data,
+    });
+
+    const { rows } = await client.query(
+      `UPDATE entries
+          SET title = $1, slug = $2, status = $3, data = $4, updated_by = $6,
+              version = version + 1, updated_at = now()
+        WHERE id = $5
+        RETURNING *`,
+      [
+        version.title ?? entry.title,
+        version.slug ?? entry.slug,
+        status,
+        version.data || {},
+        entry.id,
+        req.user?.id || null,
+      ]
+    );
+
+    await recordEntryVersion(client, rows[0], {
+      userId: req.user?.id,
+      action: 'restore',
+      restoredFrom: version.id,
+    });
+    await syncEntryRelations(client, rows[0], fieldDefs);
+    await recordSlugChange(client, entry, rows[0]);
+    if (transition) {
+      await recordWorkflowTransition(client, {
+        entryId: entry.id,
+        from: entry.status,
+        to: status,
+        transition: transition.key,
+        userId: req.user?.id,
+      });
+    }
+
+    await client.query('COMMIT');
+    res.set('ETag', entryEtag(rows[0]));
+    res.json(rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.conflicts) return res.status(409).json(uniqueConflictBody(err.conflicts));
+    if (err.code === '23505') {
+      return res.status(409).json({
+        error: 'Slug already exists for this content type',
+        code: err.code,
+        detail: err.detail || err.message,
+      });
+    }
+    sendError(res, '[POST /api/content/:slug/:id/versions/:versionId/restore]', err, 'Failed to restore version');
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -7,6 +7,7 @@
 import express from 'express';
 import { pool } from '../dbPool.js';
 import { checkPermission } from '../middleware/checkPermission.js';
+import { isUuid } from '../lib/requestUtils.js';
 
 const router = express.Router();
 
@@ -14,12 +15,6 @@ const router = express.Router();
 // Helpers
 // ---------------------------------------------------------------------------
 
-function isUuid(value) {
-  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
-    String(value || '').trim()
-  );
-}
-
 async function resolveContentTypeId(idOrSlug) {
   if (!idOrSlug) return null;
   const raw = String(idOrSlug).trim();
@@ -0,0 +1,73 @@
+// api/routes/entryWorkflow.js
+// Workflow state of one entry: where it is, which transitions the current
+// user may take from there, and the transition history.
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { requireRole } from '../middleware/checkPermission.js';
+import { loadWorkflowGuard } from '../lib/entryWorkflow.js';
+import { isUuid } from '../lib/requestUtils.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/content/:slug/:id/workflow
+ * → { state, initial, states, transitions, history }
+ * `transitions` holds only those the caller's role may perform now.
+ */
+router.get('/content/:slug/:id/workflow', requireRole, async (req, res) => {
+  try {
+    const { rows: ctRows } = await pool.query(
+      'SELECT id FROM content_types WHERE slug = $1 LIMIT 1',
+      [req.params.slug]
+    );
+    if (!ctRows.length) return res.status(404).json({ error: 'Content type not found' });
+    const typeId = ctRows[0].id;
+
+    const { rows } = await pool.query(
+      `SELECT id, status FROM entries
+        WHERE ${isUuid(req.params.id) ? 'id' : 'slug'} = $1 AND content_type_id = $2
+          AND deleted_at IS NULL
+        LIMIT 1`,
+      [req.params.id, typeId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Entry not found' });
+    const entry = rows[0];
+
+    const role = String(req.user?.role || '').toUpperCase();
+    const guard = await loadWorkflowGuard(pool, typeId, role);
+
+    const { rows: history } = await pool.query(
+      `SELECT h.id, h.from_state, h.to_state, h.transition, h.created_at, h.created_by,
+              u.name AS author_name, u.email AS author_email
+         FROM entry_workflow_history h
+         LEFT JOIN users u ON u.id = h.created_by
+        WHERE h.entry_id = $1
+        ORDER BY h.created_at DESC`,
+      [entry.id]
+    );
+
+    const state = entry.status ?? guard.initial;
+    res.json({
+      state,
+      initial: guard.initial,
+      states: guard.workflow.states,
+      transitions: guard.available(state),
+      history: history.map((h) => ({
+        id: h.id,
+        from: h.from_state,
+        to: h.to_state,
+        transition: h.transition,
+        created_at: h.created_at,
+        author: h.created_by
+          ? { id: h.created_by, name: h.author_name || null, email: h.author_email || null }
+          : null,
+      })),
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error('[GET /api/content/:slug/:id/workflow]', err);
+    res.status(500).json({ error: 'Failed to load workflow', detail: err.message });
+  }
+});
+
+export default router;
@@ -348,6 +348,7 @@ router.post('/apply', async (req, res) => {
            SET title = $1,
                status = $2,
                data = $3,
+               version = version + 1,
                updated_at = now()
            WHERE id = $4`,
           [
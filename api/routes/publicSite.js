@@ -1,6 +1,15 @@
 // api/routes/publicSite.js
 import express from 'express';
 import pg from 'pg';
+import { findEntryByOldSlug } from '../lib/entrySlugHistory.js';
+import { loadRedirectRules, matchRedirectRule, isUrlTarget } from '../lib/siteRedirects.js';
+import {
+  loadLocaleSettings,
+  resolveRequestLocale,
+  localeChain,
+  localizeEntries,
+  findEntryIdByLocaleSlug,
+} from '../lib/entryLocales.js';
 
 const router = express.Router();
 
@@ -10,9 +19,108 @@ const pool = new pg.Pool({
 });
 
 /**
- * Helper: load gadget, gizmos, widgets, and page for a given gadget & page slug
+ * Helper: the ?locale= a page is asked for. `locale` is null for the default
+ * locale; an unknown one throws (statusCode 400).
  */
-async function loadSitePayload(gadgetSlug, pageSlug) {
+async function requestLocale(req) {
+  const raw = req.query?.locale;
+  if (raw == null || raw === '') return { locale: null, settings: null };
+  const settings = await loadLocaleSettings(pool);
+  return { locale: resolveRequestLocale(raw, settings), settings };
+}
+
+/**
+ * Helper: load a live page entry by slug, or null. In a locale the slug may
+ * be the page's slug in that locale (or its fallbacks), and the page comes
+ * back localized.
+ */
+async function loadPage(pageTypeId, pageSlug, { locale, settings }) {
+  let column = 'slug';
+  let value = pageSlug;
+  if (locale) {
+    const id = await findEntryIdByLocaleSlug(
+      pool,
+      pageTypeId,
+      localeChain(locale, settings),
+      pageSlug,
+    );
+    if (id) {
+      column = 'id';
+      value = id;
+    }
+  }
+
+  const { rows: entryRows } = await pool.query(
+    `
+      SELECT *
+      FROM entries
+      WHERE content_type_id = $1
+        AND ${column} = $2
+        AND deleted_at IS NULL
+      LIMIT 1
+    `,
+    [pageTypeId, value],
+  );
+  if (!entryRows.length) return null;
+
+  if (locale) {
+    const { rows: fieldDefs } = await pool.query(
+      'SELECT field_key AS key, type, localizable FROM content_fields WHERE content_type_id = $1',
+      [pageTypeId],
+    );
+    await localizeEntries(pool, entryRows, { locale, settings, fieldDefs });
+  }
+  return entryRows[0];
+}
+
+/**
+ * Helper: where a missing page slug should go instead, or null.
+ * An old slug of a page wins over the admin-managed redirect rules.
+ * Returns { status, pageSlug } or { status, url }.
+ */
+async function findPageRedirect(pageTypeId, gadgetId, pageSlug) {
+  const renamed = await findEntryByOldSlug(pool, pageTypeId, pageSlug);
+  if (renamed) return { status: 301, pageSlug: renamed.slug };
+
+  const match = matchRedirectRule(await loadRedirectRules(pool, gadgetId), pageSlug);
+  if (!match) return null;
+  if (isUrlTarget(match.target)) return { status: match.status, url: match.target };
+  // A rule pointing a slug at itself would loop
+  if (match.target === pageSlug) return null;
+  return { status: match.status, pageSlug: match.target };
+}
+
+/**
+ * Helper: answer with a redirect. Page targets point at the same route with
+ * the new slug (query string kept), so clients that follow redirects land on
+ * the current page; path / URL targets are sent as given.
+ */
+function sendRedirect(req, res, redirect, locationForSlug) {
+  const query = req.originalUrl.includes('?')
+    ? req.originalUrl.slice(req.originalUrl.indexOf('?'))
+    : '';
+  const location = redirect.pageSlug
+    ? `${locationForSlug(encodeURIComponent(redirect.pageSlug))}${query}`
+    : redirect.url;
+
+  res.set('Location', location);
+  return res.status(redirect.status).json({
+    ok: false,
+    redirect: {
+      from: req.params.pageSlug,
+      to: redirect.pageSlug || redirect.url,
+      pageSlug: redirect.pageSlug || null,
+      location,
+      status: redirect.status,
+    },
+  });
+}
+
+/**
+ * Helper: load gadget, gizmos, widgets, and page for a given gadget & page slug.
+ * When the page does not exist but should redirect, returns { redirect } instead.
+ */
+async function loadSitePayload(gadgetSlug, pageSlug, localeCtx) {
   // 1) Load gadget by slug
   const { rows: gadgetRows } = await pool.query(
     'SELECT * FROM gadgets WHERE slug = $1 LIMIT 1',
@@ -80,26 +188,18 @@ async function loadSitePayload(gadgetSlug, pageSlug) {
   }
   const pageTypeId = ctRows[0].id;
 
-  // 5) Load the page entry by slug
-  const { rows: entryRows } = await pool.query(
-    `
-      SELECT *
-      FROM entries
-      WHERE content_type_id = $1
-        AND slug = $2
-      LIMIT 1
-    `,
-    [pageTypeId, pageSlug],
-  );
+  // 5) Load the page entry by slug (in the requested locale, if any)
+  const page = await loadPage(pageTypeId, pageSlug, localeCtx);
+
+  if (!page) {
+    const redirect = await findPageRedirect(pageTypeId, gadget.id, pageSlug);
+    if (redirect) return { redirect };
 
-  if (!entryRows.length) {
     const e = new Error('Page entry not found');
     e.statusCode = 404;
     throw e;
   }
 
-  const page = entryRows[0];
-
   return { gadget, gizmos, widgets, page };
 }
 
@@ -115,12 +215,24 @@ async function loadSitePayload(gadgetSlug, pageSlug) {
  *   widgets,
  *   page
  * }
+ *
+ * An old page slug, or one matching a redirect rule, gets a 301/302/307/308
+ * with Location and { ok: false, redirect: { from, to, pageSlug, location, status } }.
+ *
+ * ?locale=fr returns the page in that locale (see lib/entryLocales.js); the
+ * page slug may then be its French slug.
  */
 router.get('/sites/:gadgetSlug/pages/:pageSlug', async (req, res) => {
   const { gadgetSlug, pageSlug } = req.params;
 
   try {
-    const payload = await loadSitePayload(gadgetSlug, pageSlug);
+    const localeCtx = await requestLocale(req);
+    const payload = await loadSitePayload(gadgetSlug, pageSlug, localeCtx);
+    if (payload.redirect) {
+      return sendRedirect(req, res, payload.redirect, (slug) =>
+        `${req.baseUrl}/sites/${encodeURIComponent(gadgetSlug)}/pages/${slug}`,
+      );
+    }
     return res.json({ ok: true, ...payload });
   } catch (err) {
     const status = err.statusCode || 500;
@@ -141,15 +253,22 @@ router.get('/sites/:gadgetSlug/pages/:pageSlug', async (req, res) => {
  *
  * - If `gadget` is provided, it will try to use the same gadget-aware logic.
  * - If `gadget` is missing, it just loads the page by slug.
+ * - Old slugs and redirect rules (only global ones without `gadget`) answer
+ *   with a redirect, as on the route above.
+ * - `locale` works as on the route above.
  */
 router.get('/public/pages/:pageSlug', async (req, res) => {
   const { pageSlug } = req.params;
   const { gadget } = req.query || {};
+  const locationForSlug = (slug) => `${req.baseUrl}/public/pages/${slug}`;
 
   try {
+    const localeCtx = await requestLocale(req);
+
     if (gadget) {
       // Use the same helper for gadget-aware loading
-      const payload = await loadSitePayload(gadget, pageSlug);
+      const payload = await loadSitePayload(gadget, pageSlug, localeCtx);
+      if (payload.redirect) return sendRedirect(req, res, payload.redirect, locationForSlug);
       return res.json({ page: payload.page });
     }
 
@@ -164,24 +283,17 @@ router.get('/public/pages/:pageSlug', async (req, res) => {
     }
     const pageTypeId = ctRows[0].id;
 
-    const { rows: entryRows } = await pool.query(
-      `
-        SELECT *
-        FROM entries
-        WHERE content_type_id = $1
-          AND slug = $2
-        LIMIT 1
-      `,
-      [pageTypeId, pageSlug],
-    );
+    const page = await loadPage(pageTypeId, pageSlug, localeCtx);
 
-    if (!entryRows.length) {
+    if (!page) {
+      const redirect = await findPageRedirect(pageTypeId, null, pageSlug);
+      if (redirect) return sendRedirect(req, res, redirect, locationForSlug);
       return res.status(404).json({ error: 'Page entry not found' });
     }
 
-    const page = entryRows[0];
     return res.json({ page });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('[GET /api/public/pages/:pageSlug] error', err);
     return res.status(500).json({
       error: 'Failed to load page',
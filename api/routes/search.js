@@ -0,0 +1,196 @@
+// api/routes/search.js
+// Global admin search: one box over entries of every type, users, taxonomy
+// terms, content types, gadgets and gizmos. Each hit carries the admin URL
+// to open it.
+//
+// Entries use the full-text index (lib/entrySearch.js); the rest are small
+// tables matched with ILIKE. Results are filtered to what the caller can see:
+//   - entries / content types: every type, except that once an
+//     `entries.read:<type slug>` permission exists only roles granted it
+//     see that type
+//   - users: the `users.manage` permission
+//   - terms, gadgets, gizmos: any signed-in user (as in their admin pages)
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { buildSearchSql } from '../lib/entrySearch.js';
+import { requireRole, roleHasPermission } from '../middleware/checkPermission.js';
+
+const router = express.Router();
+
+const SEARCH_GROUPS = ['entries', 'content_types', 'users', 'terms', 'gadgets', 'gizmos'];
+
+const DEFAULT_GROUP_LIMIT = 5;
+const MAX_GROUP_LIMIT = 20;
+
+// Content types the role may read, as SQL over content_types `ct` ($1 = role)
+const READABLE_TYPE_SQL = `(
+  $1 = 'ADMIN'
+  OR NOT EXISTS (SELECT 1 FROM permissions p WHERE p.slug = 'entries.read:' || ct.slug)
+  OR EXISTS (
+    SELECT 1 FROM role_permissions rp
+     WHERE upper(rp.role_slug) = $1
+       AND rp.permission_slug = 'entries.read:' || ct.slug
+       AND rp.allowed
+  )
+)`;
+
+async function searchEntries(q, role, limit) {
+  const values = [role];
+  const search = buildSearchSql(q, values);
+  values.push(limit);
+  const { rows } = await pool.query(
+    `SELECT entries.id, entries.title, entries.slug, entries.status, entries.updated_at,
+            ct.slug AS type_slug, ct.name AS type_name,
+            ${search.rank || '0'} AS rank,
+            ${search.snippet || 'NULL'} AS snippet
+       FROM entries
+       JOIN content_types ct ON ct.id = entries.content_type_id
+       LEFT JOIN entry_search_index s ON s.entry_id = entries.id
+      WHERE entries.deleted_at IS NULL
+        AND ${READABLE_TYPE_SQL}
+        AND ${search.where}
+      ORDER BY rank DESC, entries.updated_at DESC, entries.id
+      LIMIT $${values.length}`,
+    values
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    title: r.title || r.slug || '(untitled)',
+    subtitle: [r.type_name, r.status].filter(Boolean).join(' · '),
+    snippet: r.snippet,
+    url: `/admin/content/${r.type_slug}/${r.id}`,
+  }));
+}
+
+async function searchContentTypes(q, role, limit) {
+  const { rows } = await pool.query(
+    `SELECT ct.id, ct.slug, ct.name, ct.label_plural, ct.description
+       FROM content_types ct
+      WHERE ${READABLE_TYPE_SQL}
+        AND (ct.name ILIKE $2 OR ct.slug ILIKE $2 OR ct.label_plural ILIKE $2)
+      ORDER BY (lower(ct.name) = lower($3)) DESC, ct.name
+      LIMIT $4`,
+    [role, `%${q}%`, q, limit]
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    title: r.label_plural || r.name,
+    subtitle: r.description || r.slug,
+    url: `/admin/content/${r.slug}`,
+  }));
+}
+
+async function searchUsers(q, limit) {
+  const { rows } = await pool.query(
+    `SELECT id, name, email, role, status
+       FROM public.users
+      WHERE name ILIKE $1 OR email ILIKE $1 OR username ILIKE $1
+      ORDER BY name NULLS LAST, email
+      LIMIT $2`,
+    [`%${q}%`, limit]
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    title: r.name || r.email,
+    subtitle: [r.name ? r.email : null, r.role, r.status].filter(Boolean).join(' · '),
+    url: '/admin/users',
+  }));
+}
+
+async function searchTerms(q, limit) {
+  const { rows } = await pool.query(
+    `SELECT t.id, t.name, t.slug, x.label AS taxonomy
+       FROM terms t
+       JOIN taxonomies x ON x.id = t.taxonomy_id
+      WHERE t.name ILIKE $1 OR t.slug ILIKE $1
+      ORDER BY t.name
+      LIMIT $2`,
+    [`%${q}%`, limit]
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    title: r.name,
+    subtitle: r.taxonomy,
+    url: '/admin/taxonomies',
+  }));
+}
+
+async function searchGadgetsOrGizmos(table, q, limit) {
+  const kindColumn = table === 'gadgets' ? 'gadget_type' : 'gizmo_type';
+  const { rows } = await pool.query(
+    `SELECT id, name, slug, ${kindColumn} AS kind
+       FROM ${table}
+      WHERE name ILIKE $1 OR slug ILIKE $1 OR description ILIKE $1
+      ORDER BY name
+      LIMIT $2`,
+    [`%${q}%`, limit]
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    title: r.name,
+    subtitle: [r.kind, r.slug].filter(Boolean).join(' · '),
+    url: `/admin/${table}/${r.id}`,
+  }));
+}
+
+const GROUP_LABELS = {
+  entries: 'Entries',
+  content_types: 'Content types',
+  users: 'Users',
+  terms: 'Taxonomy terms',
+  gadgets: 'Gadgets',
+  gizmos: 'Gizmos',
+};
+
+/**
+ * GET /api/search?q=oak&groups=entries,users&limit=5
+ * → { q, groups: [{ key, label, items: [{ id, title, subtitle, snippet?, url }] }] }
+ * `groups` narrows what is searched (default: all); `limit` is per group.
+ * Groups the caller cannot see, or with no hits, are left out. Entry
+ * snippets mark matches with <mark>.
+ */
+router.get('/search', requireRole, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < 2) return res.json({ q, groups: [] });
+
+  const requested = String(req.query.groups || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = requested.filter((g) => !SEARCH_GROUPS.includes(g));
+  if (unknown.length) {
+    return res.status(400).json({ error: `Unknown search group(s): ${unknown.join(', ')}` });
+  }
+  const wanted = requested.length ? [...new Set(requested)] : SEARCH_GROUPS;
+
+  const limitRaw = parseInt(String(req.query.limit || ''), 10);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0
+    ? Math.min(limitRaw, MAX_GROUP_LIMIT)
+    : DEFAULT_GROUP_LIMIT;
+  const role = String(req.user?.role || '').toUpperCase();
+
+  try {
+    const canSeeUsers = wanted.includes('users') && (await roleHasPermission(role, 'users.manage'));
+
+    const runners = {
+      entries: () => searchEntries(q, role, limit),
+      content_types: () => searchContentTypes(q, role, limit),
+      users: () => (canSeeUsers ? searchUsers(q, limit) : []),
+      terms: () => searchTerms(q, limit),
+      gadgets: () => searchGadgetsOrGizmos('gadgets', q, limit),
+      gizmos: () => searchGadgetsOrGizmos('gizmos', q, limit),
+    };
+
+    const results = await Promise.all(wanted.map((key) => runners[key]()));
+    const groups = wanted
+      .map((key, i) => ({ key, label: GROUP_LABELS[key], items: results[i] }))
+      .filter((g) => g.items.length);
+
+    res.json({ q, groups });
+  } catch (err) {
+    console.error('[GET /api/search]', err);
+    res.status(500).json({ error: 'Search failed', detail: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+// api/routes/siteRedirects.js
+// Admin CRUD for site_redirects: the redirect rules the public page routes
+// fall back to when a page slug does not exist (see lib/siteRedirects.js).
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { checkPermission } from '../middleware/checkPermission.js';
+import {
+  normalizeRedirectRule,
+  loadRedirectRules,
+  matchRedirectRule,
+  isUrlTarget,
+} from '../lib/siteRedirects.js';
+import { isUuid } from '../lib/requestUtils.js';
+
+const router = express.Router();
+
+const COLUMNS = ['gadget_id', 'match_type', 'source', 'target', 'status_code', 'priority', 'is_active'];
+
+function sendError(res, err, fallback) {
+  if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+  if (err.code === '23503') return res.status(400).json({ error: 'Gadget not found' });
+  return res.status(500).json({ error: fallback, detail: err.message });
+}
+
+/**
+ * GET /api/site-redirects?gadget_id=<uuid|global>
+ * All rules in the order they run; `gadget_id` narrows to one gadget's
+ * rules, `global` to the ones that apply to every gadget.
+ */
+router.get('/site-redirects', checkPermission('redirects.manage'), async (req, res) => {
+  const gadgetId = String(req.query.gadget_id || '').trim();
+  const where = [];
+  const values = [];
+  if (gadgetId === 'global') {
+    where.push('gadget_id IS NULL');
+  } else if (gadgetId) {
+    if (!isUuid(gadgetId)) return res.status(400).json({ error: 'gadget_id must be a gadget id or "global"' });
+    values.push(gadgetId);
+    where.push(`gadget_id = $${values.length}`);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM site_redirects
+        ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY priority ASC, (gadget_id IS NULL) ASC, created_at ASC`,
+      values
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('[GET /api/site-redirects]', err);
+    res.status(500).json({ error: 'Failed to load redirects' });
+  }
+});
+
+/**
+ * POST /api/site-redirects/test { gadget_id?, path }
+ * → { match: { rule, target, status, location_kind } | null }
+ * Runs the active rules against a page slug without saving anything.
+ */
+router.post('/site-redirects/test', checkPermission('redirects.manage'), async (req, res) => {
+  const { gadget_id: gadgetId, path } = req.body || {};
+  if (!String(path || '').trim()) return res.status(400).json({ error: 'path is required' });
+  if (gadgetId && !isUuid(gadgetId)) return res.status(400).json({ error: 'gadget_id must be a gadget id' });
+
+  try {
+    const rules = await loadRedirectRules(pool, gadgetId || null);
+    const match = matchRedirectRule(rules, String(path));
+    res.json({
+      match: match
+        ? { ...match, location_kind: isUrlTarget(match.target) ? 'url' : 'page' }
+        : null,
+    });
+  } catch (err) {
+    console.error('[POST /api/site-redirects/test]', err);
+    res.status(500).json({ error: 'Failed to test redirects' });
+  }
+});
+
+// POST /api/site-redirects
+router.post('/site-redirects', checkPermission('redirects.manage'), async (req, res) => {
+  try {
+    const rule = normalizeRedirectRule(req.body);
+    const { rows } = await pool.query(
+      `INSERT INTO site_redirects (${COLUMNS.join(', ')})
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      COLUMNS.map((c) => rule[c])
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('[POST /api/site-redirects]', err);
+    sendError(res, err, 'Failed to create redirect');
+  }
+});
+
+// PUT /api/site-redirects/:id – only the keys sent are changed
+router.put('/site-redirects/:id', checkPermission('redirects.manage'), async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Redirect not found' });
+
+  try {
+    const { rows: existing } = await pool.query(
+      'SELECT * FROM site_redirects WHERE id = $1',
+      [id]
+    );
+    if (!existing.length) return res.status(404).json({ error: 'Redirect not found' });
+
+    // Validate the merged rule, so e.g. switching to regex checks the stored source
+    const rule = normalizeRedirectRule({ ...existing[0], ...req.body });
+    const keys = COLUMNS.filter((c) => req.body?.[c] !== undefined);
+    if (!keys.length) return res.json(existing[0]);
+
+    const sets = keys.map((c, i) => `${c} = $${i + 1}`);
+    const { rows } = await pool.query(
+      `UPDATE site_redirects
+          SET ${sets.join(', ')}, updated_at = now()
+        WHERE id = $${keys.length + 1}
+        RETURNING *`,
+      [...keys.map((c) => rule[c]), id]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('[PUT /api/site-redirects/:id]', err);
+    sendError(res, err, 'Failed to update redirect');
+  }
+});
+
+// DELETE /api/site-redirects/:id
+router.delete('/site-redirects/:id', checkPermission('redirects.manage'), async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Redirect not found' });
+
+  try {
+    const { rowCount } = await pool.query('DELETE FROM site_redirects WHERE id = $1', [id]);
+    if (!rowCount) return res.status(404).json({ error: 'Redirect not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/site-redirects/:id]', err);
+    res.status(500).json({ error: 'Failed to delete redirect' });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { Router } from 'express';
 import { pool } from '../dbPool.js';
 import bcrypt from 'bcryptjs';
 import { supabaseAdmin } from '../lib/supabaseAdmin.js';
+import { queueWebhookEvent } from '../lib/webhooks.js';
 
 const router = Router();
 
@@ -214,6 +215,15 @@ router.post('/', async (req, res) => {
     );
 
     const user = rows[0];
+
+    // The user exists either way; a failed queue only costs the webhook
+    try {
+      const { supabase_id: _supabaseId, ...publicUser } = user;
+      await queueWebhookEvent(pool, 'user.created', { user: publicUser });
+    } catch (err) {
+      console.error('[POST /api/users] failed to queue user.created webhook', err);
+    }
+
     res.status(201).json(user);
   } catch (e) {
     console.error('[POST /api/users]', e);
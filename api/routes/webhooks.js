@@ -0,0 +1,235 @@
+// api/routes/webhooks.js
+// Admin CRUD for outgoing webhooks and their delivery log (see
+// lib/webhooks.js for events, signing and retries).
+import express from 'express';
+import { pool } from '../dbPool.js';
+import { checkPermission } from '../middleware/checkPermission.js';
+import {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  normalizeWebhook,
+  generateWebhookSecret,
+  redeliver,
+} from '../lib/webhooks.js';
+import { isUuid } from '../lib/requestUtils.js';
+
+const router = express.Router();
+
+const COLUMNS = ['name', 'url', 'events', 'content_type_ids', 'is_active'];
+
+// The log lists leave out the bodies; one delivery is fetched for those
+const DELIVERY_SUMMARY_COLUMNS = `id, webhook_id, event, status, attempts, next_attempt_at,
+  response_status, error, duration_ms, redelivery_of, created_at, last_attempt_at, completed_at`;
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+function sendError(res, err, fallback) {
+  if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+  return res.status(500).json({ error: fallback, detail: err.message });
+}
+
+// A secret given in the body, or a generated one
+function secretFrom(body) {
+  const secret = typeof body?.secret === 'string' ? body.secret.trim() : '';
+  if (secret && secret.length < 16) {
+    const err = new Error('secret must be at least 16 characters');
+    err.statusCode = 400;
+    throw err;
+  }
+  return secret || generateWebhookSecret();
+}
+
+/**
+ * GET /api/webhooks/events
+ * → { events, maxAttempts }
+ */
+router.get('/webhooks/events', checkPermission('webhooks.manage'), (_req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, maxAttempts: MAX_ATTEMPTS });
+});
+
+/**
+ * GET /api/webhooks
+ * Every webhook with counts of its pending and failed deliveries and the
+ * time of the last one.
+ */
+router.get('/webhooks', checkPermission('webhooks.manage'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT w.*,
+              count(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_count,
+              count(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count,
+              max(d.created_at) AS last_delivery_at
+         FROM webhooks w
+         LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+        GROUP BY w.id
+        ORDER BY w.created_at ASC`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('[GET /api/webhooks]', err);
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
+
+// POST /api/webhooks – the secret is generated unless one is given
+router.post('/webhooks', checkPermission('webhooks.manage'), async (req, res) => {
+  try {
+    const hook = normalizeWebhook(req.body);
+    const { rows } = await pool.query(
+      `INSERT INTO webhooks (${COLUMNS.join(', ')}, secret, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [...COLUMNS.map((c) => hook[c]), secretFrom(req.body), req.user?.id || null]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('[POST /api/webhooks]', err);
+    sendError(res, err, 'Failed to create webhook');
+  }
+});
+
+// PUT /api/webhooks/:id – only the keys sent are changed; rotate_secret: true
+// replaces the secret with a generated one
+router.put('/webhooks/:id', checkPermission('webhooks.manage'), async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Webhook not found' });
+
+  try {
+    const hook = normalizeWebhook(req.body, { partial: true });
+    const sets = [];
+    const values = [];
+    for (const c of COLUMNS.filter((key) => key in hook)) {
+      values.push(hook[c]);
+      sets.push(`${c} = $${values.length}`);
+    }
+    if (req.body?.rotate_secret === true || req.body?.secret !== undefined) {
+      values.push(req.body.rotate_secret === true ? generateWebhookSecret() : secretFrom(req.body));
+      sets.push(`secret = $${values.length}`);
+    }
+
+    values.push(id);
+    const { rows } = await pool.query(
+      `UPDATE webhooks
+          SET ${[...sets, 'updated_at = now()'].join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *`,
+      values
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('[PUT /api/webhooks/:id]', err);
+    sendError(res, err, 'Failed to update webhook');
+  }
+});
+
+// DELETE /api/webhooks/:id – its delivery log goes with it
+router.delete('/webhooks/:id', checkPermission('webhooks.manage'), async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Webhook not found' });
+
+  try {
+    const { rowCount } = await pool.query('DELETE FROM webhooks WHERE id = $1', [id]);
+    if (!rowCount) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[DELETE /api/webhooks/:id]', err);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries?status=&event=&limit=&offset=
+ * → { deliveries, total, limit, offset }, newest first, without bodies.
+ */
+router.get('/webhooks/:id/deliveries', checkPermission('webhooks.manage'), async (req, res) => {
+  const { id } = req.params;
+  if (!isUuid(id)) return res.status(404).json({ error: 'Webhook not found' });
+
+  const status = String(req.query.status || '').trim();
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  const event = String(req.query.event || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const where = ['webhook_id = $1'];
+  const values = [id];
+  if (status) {
+    values.push(status);
+    where.push(`status = $${values.length}`);
+  }
+  if (event) {
+    values.push(event);
+    where.push(`event = $${values.length}`);
+  }
+
+  try {
+    const [{ rows: deliveries }, { rows: countRows }] = await Promise.all([
+      pool.query(
+        `SELECT ${DELIVERY_SUMMARY_COLUMNS} FROM webhook_deliveries
+          WHERE ${where.join(' AND ')}
+          ORDER BY created_at DESC
+          LIMIT ${limit} OFFSET ${offset}`,
+        values
+      ),
+      pool.query(
+        `SELECT count(*)::int AS total FROM webhook_deliveries WHERE ${where.join(' AND ')}`,
+        values
+      ),
+    ]);
+    res.json({ deliveries, total: countRows[0]?.total ?? 0, limit, offset });
+  } catch (err) {
+    console.error('[GET /api/webhooks/:id/deliveries]', err);
+    res.status(500).json({ error: 'Failed to load deliveries' });
+  }
+});
+
+async function findDelivery(webhookId, deliveryId) {
+  if (!isUuid(webhookId) || !isUuid(deliveryId)) return null;
+  const { rows } = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+    [deliveryId, webhookId]
+  );
+  return rows[0] || null;
+}
+
+// GET /api/webhooks/:id/deliveries/:deliveryId – with request and response
+router.get(
+  '/webhooks/:id/deliveries/:deliveryId',
+  checkPermission('webhooks.manage'),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req.params.id, req.params.deliveryId);
+      if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+      res.json(delivery);
+    } catch (err) {
+      console.error('[GET /api/webhooks/:id/deliveries/:deliveryId]', err);
+      res.status(500).json({ error: 'Failed to load delivery' });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Sends the same event again as a new delivery and answers with it once the
+ * first attempt is done (201). A failed attempt is retried like any other.
+ */
+router.post(
+  '/webhooks/:id/deliveries/:deliveryId/redeliver',
+  checkPermission('webhooks.manage'),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(req.params.id, req.params.deliveryId);
+      if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+      const copy = await redeliver(pool, delivery);
+      res.status(201).json(copy);
+    } catch (err) {
+      console.error('[POST /api/webhooks/:id/deliveries/:deliveryId/redeliver]', err);
+      res.status(500).json({ error: 'Failed to redeliver' });
+    }
+  }
+);
+
+export default router;
@@ -1,6 +1,7 @@
 // api/routes/widgets.js
 import express from 'express';
 import pg from 'pg';
+import { slugify } from '../lib/requestUtils.js';
 
 const router = express.Router();
 
@@ -9,16 +10,6 @@ const pool = new pg.Pool({
   ssl: { require: true, rejectUnauthorized: false },
 });
 
-// Helper – tiny slugify for convenience (if you use it later)
-function slugify(str) {
-  return (str || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-}
-
 // GET /api/widgets – list all widgets
 router.get('/widgets', async (_req, res) => {
   try {
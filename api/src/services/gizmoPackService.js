@@ -2,6 +2,9 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import pg from "pg";
+import { rebuildTypeRelations } from "../../lib/entryRelations.js";
+import { refreshTypeSearchIndex } from "../../lib/entrySearch.js";
+import { recomputeTypeFormulas } from "../../lib/entryFormulas.js";
 
 const { Pool } = pg;
 
@@ -248,6 +251,14 @@ export async function applyGizmoPack({ packSlug, gadgetSlug, gadgetName }) {
       );
     }
 
+    // Fields were recreated (new ids) and seed entries written; refresh relations,
+    // the search index and formula values
+    for (const contentTypeId of contentTypeSlugToId.values()) {
+      await rebuildTypeRelations(client, contentTypeId);
+      await refreshTypeSearchIndex(client, contentTypeId);
+      await recomputeTypeFormulas(client, contentTypeId);
+    }
+
     await client.query("COMMIT");
     return {
       gadget_id: gadgetId,
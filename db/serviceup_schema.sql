@@ -172,16 +172,263 @@ create table if not exists public.entry_versions (
   created_at timestamptz not null default now()
 );
 
--- Relations
+-- Version counter bumped on every write (drives history numbering)
+alter table public.entries
+  add column if not exists version integer not null default 1;
+
+-- Full snapshots: who saved what, and why
+alter table public.entry_versions
+  add column if not exists version_number integer,
+  add column if not exists title text,
+  add column if not exists slug text,
+  add column if not exists status text,
+  add column if not exists action text not null default 'update',
+  add column if not exists restored_from uuid,
+  add column if not exists created_by uuid references public.users(id) on delete set null,
+  -- Set when no user made the change (e.g. 'scheduler')
+  add column if not exists actor text;
+
+create unique index if not exists entry_versions_entry_number_unique
+  on public.entry_versions (entry_id, version_number)
+  where version_number is not null;
+
+create index if not exists entry_versions_entry_idx
+  on public.entry_versions (entry_id, created_at desc);
+
+-- Soft delete: trashed entries keep their row until purged
+alter table public.entries
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.users(id) on delete set null;
+
+create index if not exists entries_trash_idx
+  on public.entries (content_type_id, deleted_at)
+  where deleted_at is not null;
+
+-- Trashed entries give up their slug: only live entries must be unique, and
+-- a restore that finds its slug taken comes back as "<slug>-2" (entryTrash.js)
+drop index if exists public.entries_content_type_slug_unique;
+create unique index if not exists entries_content_type_live_slug_unique
+  on public.entries (content_type_id, slug)
+  where slug is not null and deleted_at is null;
+
+-- Scheduled publish / unpublish (see api/lib/entrySchedule.js)
+alter table public.entries
+  add column if not exists publish_at timestamptz,
+  add column if not exists unpublish_at timestamptz;
+
+create index if not exists entries_publish_at_idx
+  on public.entries (publish_at)
+  where publish_at is not null;
+
+create index if not exists entries_unpublish_at_idx
+  on public.entries (unpublish_at)
+  where unpublish_at is not null;
+
+-- Editorial workflow (see api/lib/entryWorkflow.js). NULL = the default
+-- draft / published / archived workflow.
+alter table public.content_types
+  add column if not exists workflow jsonb;
+
+create table if not exists public.entry_workflow_history (
+  id uuid primary key default gen_random_uuid(),
+  entry_id uuid not null references public.entries(id) on delete cascade,
+  from_state text,
+  to_state text not null,
+  transition text,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists entry_workflow_history_entry_idx
+  on public.entry_workflow_history (entry_id, created_at desc);
+
+-- Entry authorship: who created the entry, who last changed it, and who
+-- owns it (defaults to the creator, reassignable)
+alter table public.entries
+  add column if not exists owner_id uuid references public.users(id) on delete set null,
+  add column if not exists created_by uuid references public.users(id) on delete set null,
+  add column if not exists updated_by uuid references public.users(id) on delete set null;
+
+create index if not exists entries_type_owner_idx
+  on public.entries (content_type_id, owner_id);
+
+-- Relations: one row per entry a relation / relationship field points at,
+-- rewritten from entries.data whenever the entry is saved
+-- (api/lib/entryRelations.js). field_id is the content_fields row.
 create table if not exists public.entry_relations (
   id uuid primary key default gen_random_uuid(),
-  field_id uuid references public.fields(id) on delete cascade,
+  field_id uuid references public.content_fields(id) on delete cascade,
   from_id uuid references public.entries(id) on delete cascade,
   to_id uuid references public.entries(id) on delete cascade,
+  position integer not null default 0,
   created_at timestamptz not null default now(),
   constraint entry_relations_unique unique (field_id, from_id, to_id)
 );
 
+-- Older installs created field_id against the legacy fields table
+alter table public.entry_relations
+  add column if not exists position integer not null default 0;
+alter table public.entry_relations
+  drop constraint if exists entry_relations_field_id_fkey;
+delete from public.entry_relations r
+ where not exists (select 1 from public.content_fields f where f.id = r.field_id);
+alter table public.entry_relations
+  add constraint entry_relations_field_id_fkey
+  foreign key (field_id) references public.content_fields(id) on delete cascade;
+
+create index if not exists entry_relations_to_idx
+  on public.entry_relations (to_id);
+
+-- Full-text search (api/lib/entrySearch.js). One tsvector per entry built
+-- from the title (weight A) and the searchable fields in data. A field is
+-- searchable when its config says "searchable": true, or by default when it
+-- is a text-like type; "search_weight" (A-D, default C) sets its weight.
+create table if not exists public.entry_search_index (
+  entry_id uuid primary key references public.entries(id) on delete cascade,
+  search_vector tsvector not null
+);
+
+create index if not exists entry_search_index_vector_idx
+  on public.entry_search_index using gin (search_vector);
+
+create or replace function public.entry_searchable_fields(p_type_id uuid)
+returns table (field_key text, weight "char")
+language sql
+stable
+as $$
+  select f.field_key,
+         case when upper(f.config->>'search_weight') in ('A', 'B', 'C', 'D')
+              then upper(f.config->>'search_weight')::"char"
+              else 'C'::"char" end
+    from public.content_fields f
+   where f.content_type_id = p_type_id
+     and case lower(coalesce(f.config->>'searchable', ''))
+           when 'true' then true
+           when 'false' then false
+           else f.type in ('text', 'textarea', 'rich_text', 'email', 'phone',
+                           'url', 'name', 'address', 'tags')
+         end
+   order by f.order_index, f.field_key;
+$$;
+
+-- Every string inside a stored value, HTML tags dropped
+create or replace function public.entry_search_text(p_value jsonb)
+returns text
+language sql
+immutable
+as $$
+  select btrim(regexp_replace(
+           regexp_replace(string_agg(v #>> '{}', ' '), '<[^>]*>', ' ', 'g'),
+           '\s+', ' ', 'g'))
+    from jsonb_path_query(p_value, 'strict $.** ? (@.type() == "string")') as v;
+$$;
+
+create or replace function public.entry_search_vector(p_type_id uuid, p_title text, p_data jsonb)
+returns tsvector
+language plpgsql
+stable
+as $$
+declare
+  f record;
+  v tsvector := setweight(to_tsvector('english', coalesce(p_title, '')), 'A');
+begin
+  for f in select * from public.entry_searchable_fields(p_type_id) loop
+    v := v || setweight(
+      to_tsvector('english', coalesce(public.entry_search_text(p_data -> f.field_key), '')),
+      f.weight
+    );
+  end loop;
+  return v;
+end;
+$$;
+
+-- Plain text of the same fields, for ts_headline snippets
+create or replace function public.entry_search_document(p_type_id uuid, p_title text, p_data jsonb)
+returns text
+language sql
+stable
+as $$
+  select concat_ws(' … ', p_title,
+           (select string_agg(public.entry_search_text(p_data -> f.field_key), ' … ')
+              from public.entry_searchable_fields(p_type_id) f));
+$$;
+
+create or replace function public.entries_refresh_search_index()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into public.entry_search_index (entry_id, search_vector)
+  values (new.id, public.entry_search_vector(new.content_type_id, new.title, new.data))
+  on conflict (entry_id) do update set search_vector = excluded.search_vector;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_entries_search_index on public.entries;
+create trigger trg_entries_search_index
+after insert or update of title, data, content_type_id on public.entries
+for each row execute function public.entries_refresh_search_index();
+
+-- Backfill entries saved before the index existed
+insert into public.entry_search_index (entry_id, search_vector)
+select e.id, public.entry_search_vector(e.content_type_id, e.title, e.data)
+  from public.entries e
+ where not exists (select 1 from public.entry_search_index s where s.entry_id = e.id);
+
+-- Slug history: slugs an entry used to have, so public routes can redirect
+-- them to the current one (api/lib/entrySlugHistory.js). A slug belongs to
+-- the entry that gave it up most recently.
+create table if not exists public.entry_slug_history (
+  id uuid primary key default gen_random_uuid(),
+  content_type_id uuid not null references public.content_types(id) on delete cascade,
+  entry_id uuid not null references public.entries(id) on delete cascade,
+  slug text not null,
+  created_at timestamptz not null default now(),
+  constraint entry_slug_history_unique unique (content_type_id, slug)
+);
+
+create index if not exists entry_slug_history_entry_idx
+  on public.entry_slug_history (entry_id);
+
+-- Sequence counters for fields with an auto-number default, e.g.
+-- "INV-{YYYY}-{0000}" (api/lib/entryDefaults.js). One row per rendered
+-- prefix, so a pattern with {YYYY} starts again at 1 each year. Incremented
+-- with an upsert inside the creating transaction, which holds the row lock
+-- until commit: concurrent creates queue up instead of sharing a number.
+create table if not exists public.entry_sequences (
+  content_type_id uuid not null references public.content_types(id) on delete cascade,
+  field_key text not null,
+  scope text not null default '',
+  last_value bigint not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (content_type_id, field_key, scope)
+);
+
+-- Localized content (api/lib/entryLocales.js). Fields flagged localizable
+-- keep one value per locale; entries.data holds the default locale's values
+-- and entry_localizations the others, each with its own title and slug.
+alter table public.content_fields
+  add column if not exists localizable boolean not null default false;
+
+create table if not exists public.entry_localizations (
+  id uuid primary key default gen_random_uuid(),
+  entry_id uuid not null references public.entries(id) on delete cascade,
+  content_type_id uuid not null references public.content_types(id) on delete cascade,
+  locale text not null,
+  title text,
+  slug text,
+  data jsonb not null default '{}'::jsonb,
+  updated_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint entry_localizations_unique unique (entry_id, locale)
+);
+
+create unique index if not exists entry_localizations_slug_unique
+  on public.entry_localizations (content_type_id, locale, slug)
+  where slug is not null;
+
 -- =========================================================
 -- Taxonomies & terms (tenant-aware)
 -- =========================================================
@@ -366,6 +613,78 @@ create table if not exists public.gadget_gizmos (
   primary key (gadget_id, gizmo_id)
 );
 
+-- Redirect rules for public pages (api/lib/siteRedirects.js), checked when a
+-- page slug matches neither a page nor an old slug. gadget_id null applies
+-- to every site. match_type: exact | wildcard ("*" captures $1, $2, …) |
+-- regex; target is a page slug, a /path or a full URL.
+create table if not exists public.site_redirects (
+  id uuid primary key default gen_random_uuid(),
+  gadget_id uuid references public.gadgets(id) on delete cascade,
+  match_type text not null default 'exact',
+  source text not null,
+  target text not null,
+  status_code integer not null default 301,
+  priority integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint site_redirects_match_type_check check (match_type in ('exact', 'wildcard', 'regex')),
+  constraint site_redirects_status_code_check check (status_code in (301, 302, 307, 308))
+);
+
+create index if not exists site_redirects_gadget_idx
+  on public.site_redirects (gadget_id, priority);
+
+-- Outgoing webhooks (api/lib/webhooks.js). Events are queued into
+-- webhook_deliveries by the transaction that makes the change, one row per
+-- subscribed webhook, and sent by a dispatcher in the API process with HMAC
+-- signatures and retries. content_type_ids empty = every content type.
+create table if not exists public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  url text not null,
+  secret text not null,
+  events text[] not null default '{}',
+  content_type_ids uuid[] not null default '{}',
+  is_active boolean not null default true,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One delivery per event and webhook. status: pending (waiting for its next
+-- attempt) | succeeded | failed (out of attempts). The request and the last
+-- response are kept for the delivery log; redelivery_of links a manual resend
+-- to the delivery it copies. Timestamps use clock_timestamp() so the events
+-- one transaction queues go out in the order they happened.
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks(id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz default clock_timestamp(),
+  request_headers jsonb,
+  request_body text,
+  response_status integer,
+  response_body text,
+  error text,
+  duration_ms integer,
+  redelivery_of uuid references public.webhook_deliveries(id) on delete set null,
+  created_at timestamptz not null default clock_timestamp(),
+  last_attempt_at timestamptz,
+  completed_at timestamptz,
+  constraint webhook_deliveries_status_check check (status in ('pending', 'succeeded', 'failed'))
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+create index if not exists webhook_deliveries_webhook_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+
 -- =========================================================
 -- Triggers: updated_at (apply broadly)
 -- =========================================================